@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const ApiKey = require('../models/ApiKey');
+const Merchant = require('../models/Merchant');
+const ApiKeyService = require('../services/ApiKeyService');
+const { requireApiKey } = require('../middlewares/apiKeyAuth');
+const { globalErrorHandler } = require('../middlewares/errorHandler');
+const { query, objectId } = require('./support/helpers');
+
+const merchant = { _id: objectId(), status: 'active' };
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+function storedKey(rawKey, fields = {}) {
+  return new ApiKey({
+    merchant: merchant._id,
+    name: 'Server',
+    type: 'secret',
+    mode: 'test',
+    prefix: 'sk_test_',
+    keyHash: sha256(rawKey),
+    last4: rawKey.slice(-4),
+    ...fields
+  });
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(ApiKey, 'create').mockImplementation(async (doc) => new ApiKey(doc));
+  jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({});
+  jest.spyOn(Merchant, 'findById').mockReturnValue(query(merchant));
+});
+
+describe('ApiKeyService.createKey', () => {
+  it('returns the raw key once and stores only its hash', async () => {
+    const { apiKey, key } = await ApiKeyService.createKey({ merchantId: merchant._id, type: 'secret', mode: 'live', name: 'Server' });
+
+    expect(key).toMatch(/^sk_live_/);
+    expect(apiKey.keyHash).toBe(sha256(key));
+    expect(apiKey.publishableKey).toBeUndefined();
+    expect(apiKey.toJSON()).not.toHaveProperty('keyHash');
+    expect(apiKey.maskedKey).toBe(`sk_live_••••${key.slice(-4)}`);
+  });
+});
+
+describe('ApiKeyService.authenticate', () => {
+  const rawKey = `sk_test_${'a'.repeat(32)}`;
+
+  it('resolves a live key to its merchant', async () => {
+    jest.spyOn(ApiKey, 'findOne').mockReturnValue(query(storedKey(rawKey)));
+
+    const result = await ApiKeyService.authenticate(rawKey);
+
+    expect(ApiKey.findOne).toHaveBeenCalledWith({ keyHash: sha256(rawKey) });
+    expect(result.merchant).toBe(merchant);
+  });
+
+  it('rejects revoked keys', async () => {
+    jest.spyOn(ApiKey, 'findOne').mockReturnValue(query(storedKey(rawKey, { revokedAt: new Date() })));
+
+    await expect(ApiKeyService.authenticate(rawKey)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects a rolled key once its grace period is over', async () => {
+    jest.spyOn(ApiKey, 'findOne').mockReturnValue(query(storedKey(rawKey, { expiresAt: new Date(Date.now() - 1000) })));
+
+    await expect(ApiKeyService.authenticate(rawKey)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects malformed keys without a lookup', async () => {
+    const findOne = jest.spyOn(ApiKey, 'findOne');
+
+    await expect(ApiKeyService.authenticate('not-a-key')).rejects.toMatchObject({ statusCode: 401 });
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('ApiKeyService.rollKey', () => {
+  it('keeps the old key working for the grace period', async () => {
+    const current = storedKey(`sk_test_${'b'.repeat(32)}`);
+    jest.spyOn(ApiKey, 'findOne').mockReturnValue(query(current));
+    jest.spyOn(current, 'save').mockResolvedValue(current);
+
+    const { apiKey, previous } = await ApiKeyService.rollKey(merchant._id, current._id, { graceHours: 2 });
+
+    expect(previous.rotatedTo).toEqual(apiKey._id);
+    expect(previous.revokedAt).toBeUndefined();
+    expect(previous.active).toBe(true);
+    expect(previous.expiresAt.getTime()).toBeGreaterThan(Date.now() + 119 * 60 * 1000);
+  });
+});
+
+describe('requireApiKey', () => {
+  const app = express();
+  app.post('/payments', requireApiKey(), (req, res) => res.json({ merchantId: req.merchant._id, livemode: req.livemode }));
+  app.use(globalErrorHandler);
+
+  it('refuses publishable keys on secret-key routes', async () => {
+    const res = await request(app).post('/payments').set('X-API-Key', `pk_test_${'c'.repeat(32)}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('requires a key', async () => {
+    const res = await request(app).post('/payments');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('sets the merchant and mode from a secret key', async () => {
+    const rawKey = `sk_test_${'d'.repeat(32)}`;
+    jest.spyOn(ApiKey, 'findOne').mockReturnValue(query(storedKey(rawKey)));
+
+    const res = await request(app).post('/payments').set('Authorization', `Bearer ${rawKey}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ merchantId: merchant._id.toString(), livemode: false });
+  });
+});
@@ -0,0 +1,86 @@
+const express = require('express');
+const request = require('supertest');
+const AuditEvent = require('../models/AuditEvent');
+const AuditService = require('../services/AuditService');
+const ApiError = require('../lib/ApiError');
+const { auditRequest } = require('../middlewares/audit');
+const { globalErrorHandler } = require('../middlewares/errorHandler');
+const { query } = require('./support/helpers');
+
+const { AUDIT_ACTIONS } = AuditService;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(AuditEvent, 'create').mockImplementation(async (doc) => doc);
+});
+
+describe('AuditService.record', () => {
+  it('redacts secrets and masks account numbers', async () => {
+    await AuditService.record({
+      action: AUDIT_ACTIONS.PASSWORD_RESET,
+      changes: { before: { password: 'old' }, after: { password: 'new' } },
+      metadata: { otp: '123456', payout: { accountNumber: '0123456789', bankCode: '058' }, note: 'kept' }
+    }, { ip: '10.0.0.1', requestId: 'req-1' });
+
+    const [stored] = AuditEvent.create.mock.calls[0];
+    expect(stored.changes).toEqual({ before: { password: '[REDACTED]' }, after: { password: '[REDACTED]' } });
+    expect(stored.metadata).toEqual({ otp: '[REDACTED]', payout: { accountNumber: '****6789', bankCode: '058' }, note: 'kept' });
+    expect(stored).toMatchObject({ actor: { type: 'anonymous' }, ip: '10.0.0.1', requestId: 'req-1', outcome: 'success' });
+  });
+
+  it('never fails the audited action', async () => {
+    AuditEvent.create.mockRejectedValue(new Error('disk full'));
+
+    await expect(AuditService.record({ action: AUDIT_ACTIONS.LOGIN })).resolves.toBeNull();
+  });
+});
+
+describe('AuditEvent', () => {
+  it('refuses updates and deletes', async () => {
+    await expect(AuditEvent.updateOne({}, { $set: { outcome: 'success' } })).rejects.toThrow('Audit events are append-only');
+    await expect(AuditEvent.deleteMany({})).rejects.toThrow('Audit events are append-only');
+  });
+});
+
+describe('auditRequest', () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { userId: 'user-1', email: 'admin@acme.test', role: 'merchant' };
+    next();
+  });
+  app.post('/liquidity', auditRequest(AUDIT_ACTIONS.CRYPTO_ADD_LIQUIDITY), () => {
+    throw ApiError.forbidden('You do not have permission to perform this action');
+  });
+  app.use(globalErrorHandler);
+
+  it('records denied calls as failures', async () => {
+    const recorded = new Promise((resolve) => {
+      jest.spyOn(AuditService, 'record').mockImplementation(async (event) => resolve(event));
+    });
+
+    await request(app).post('/liquidity').send({ amount: '10' }).expect(403);
+
+    await expect(recorded).resolves.toMatchObject({
+      action: AUDIT_ACTIONS.CRYPTO_ADD_LIQUIDITY,
+      outcome: 'failure',
+      actor: { type: 'user', id: 'user-1' },
+      metadata: { method: 'POST', path: '/liquidity', statusCode: 403, body: { amount: '10' } }
+    });
+  });
+});
+
+describe('AuditService.query', () => {
+  it('filters by actor, action and time range', async () => {
+    const find = jest.spyOn(AuditEvent, 'find').mockReturnValue(query([]));
+    jest.spyOn(AuditEvent, 'countDocuments').mockResolvedValue(0);
+
+    await AuditService.query({ actorId: 'user-1', action: AUDIT_ACTIONS.LOGIN, from: '2026-01-01', to: '2026-02-01' });
+
+    expect(find).toHaveBeenCalledWith({
+      'actor.id': 'user-1',
+      action: AUDIT_ACTIONS.LOGIN,
+      createdAt: { $gte: new Date('2026-01-01'), $lte: new Date('2026-02-01') }
+    });
+  });
+});
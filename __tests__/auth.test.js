@@ -0,0 +1,118 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const TokenService = require('../services/TokenService');
+const SessionService = require('../services/SessionService');
+const AuditService = require('../services/AuditService');
+const SecurityPolicyService = require('../services/SecurityPolicyService');
+const emailService = require('../services/sendEmail');
+const authRoutes = require('../routes/authRoutes');
+const { query, appFor } = require('./support/helpers');
+
+const app = appFor('/api/auth', authRoutes);
+
+const tokens = { accessToken: 'access', refreshToken: 'refresh', sessionId: 'session-1' };
+
+async function user(fields = {}) {
+  return new User({
+    businessName: 'Acme Stores',
+    email: 'owner@acme.test',
+    password: await bcrypt.hash('correct-horse', 4),
+    verified: true,
+    ...fields
+  });
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(AuditService, 'record').mockResolvedValue();
+  jest.spyOn(TokenService, 'issue').mockResolvedValue(tokens);
+  jest.spyOn(SessionService, 'notifyIfNewDevice').mockResolvedValue();
+  jest.spyOn(SecurityPolicyService, 'isTwoFactorRequired').mockResolvedValue(false);
+  jest.spyOn(emailService, 'sendOTPVerification').mockResolvedValue({ success: true });
+});
+
+describe('POST /api/auth/register', () => {
+  it('creates an unverified user and emails a verification code', async () => {
+    jest.spyOn(User, 'checkExistence').mockResolvedValue({ emailExists: false, businessExists: false });
+    const save = jest.spyOn(User.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ businessName: 'Acme Stores', email: 'Owner@Acme.test', password: 'correct-horse' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.otpSent).toBe(true);
+    expect(res.body.data.user).toMatchObject({ email: 'owner@acme.test', verified: false });
+    expect(save).toHaveBeenCalled();
+    expect(emailService.sendOTPVerification).toHaveBeenCalledWith('owner@acme.test', expect.stringMatching(/^\d{6}$/), 'Acme Stores');
+  });
+
+  it('rejects an email that is already registered', async () => {
+    jest.spyOn(User, 'checkExistence').mockResolvedValue({ emailExists: true, businessExists: false });
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ businessName: 'Acme Stores', email: 'owner@acme.test', password: 'correct-horse' });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('validates the request body', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ businessName: 'A', email: 'not-an-email', password: 'short' });
+
+    expect(res.status).toBe(422);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('returns a token pair for a verified user', async () => {
+    const account = await user();
+    jest.spyOn(User, 'findByEmail').mockReturnValue(query(account));
+    jest.spyOn(account, 'resetLoginAttempts').mockResolvedValue();
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'owner@acme.test', password: 'correct-horse' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.tokens).toEqual(tokens);
+    expect(TokenService.issue).toHaveBeenCalledWith(account, expect.any(Object));
+  });
+
+  it('counts a wrong password towards the lockout', async () => {
+    const account = await user();
+    jest.spyOn(User, 'findByEmail').mockReturnValue(query(account));
+    const incLoginAttempts = jest.spyOn(account, 'incLoginAttempts').mockResolvedValue({ locked: false });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'owner@acme.test', password: 'wrong-password' });
+
+    expect(res.status).toBe(401);
+    expect(incLoginAttempts).toHaveBeenCalled();
+    expect(TokenService.issue).not.toHaveBeenCalled();
+  });
+
+  it('refuses unverified users', async () => {
+    const account = await user({ verified: false });
+    jest.spyOn(User, 'findByEmail').mockReturnValue(query(account));
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'owner@acme.test', password: 'correct-horse' });
+
+    expect(res.status).toBe(403);
+    expect(TokenService.issue).not.toHaveBeenCalled();
+  });
+});
+
+describe('User schema', () => {
+  it('has no TTL index on otp.expiresAt, which would delete unverified users', () => {
+    const ttl = User.schema.indexes().filter(([fields, options]) => 'otp.expiresAt' in fields && options.expireAfterSeconds !== undefined);
+
+    expect(ttl).toEqual([]);
+  });
+});
@@ -0,0 +1,86 @@
+const request = require('supertest');
+const Membership = require('../models/Membership');
+const TokenService = require('../services/TokenService');
+const SessionService = require('../services/SessionService');
+const AuditService = require('../services/AuditService');
+const SecurityPolicyService = require('../services/SecurityPolicyService');
+const { assertMerchantAccess } = require('../middlewares/authorize');
+const { MERCHANT_PERMISSIONS } = require('../lib/permissions');
+const { query, appFor, bearer, objectId } = require('./support/helpers');
+
+jest.mock('../controllers/cryptoIntegrationController', () => ({
+  creditMerchant: (req, res) => res.json({ success: true }),
+  getOwner: (req, res) => res.json({ success: true, data: { owner: '0xowner' } }),
+  addLiquidity: (req, res) => res.json({ success: true }),
+  removeLiquidity: (req, res) => res.json({ success: true })
+}));
+
+const app = appFor('/api/crypto', require('../routes/cryptoIntegration'));
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(TokenService, 'isSessionActive').mockResolvedValue(true);
+  jest.spyOn(SessionService, 'touch').mockResolvedValue();
+  jest.spyOn(AuditService, 'record').mockResolvedValue();
+  jest.spyOn(SecurityPolicyService, 'isTwoFactorRequired').mockResolvedValue(false);
+});
+
+describe('admin-only crypto endpoints', () => {
+  it('reject requests without a token', async () => {
+    const res = await request(app).get('/api/crypto/owner');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('reject merchant users', async () => {
+    const res = await request(app).get('/api/crypto/owner').set('Authorization', bearer({ role: 'merchant' }));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('allow admins', async () => {
+    const res = await request(app).get('/api/crypto/owner').set('Authorization', bearer({ role: 'admin' }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.owner).toBe('0xowner');
+  });
+
+  it('reject tokens whose session was revoked', async () => {
+    TokenService.isSessionActive.mockResolvedValue(false);
+
+    const res = await request(app).get('/api/crypto/owner').set('Authorization', bearer({ role: 'admin' }));
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('assertMerchantAccess', () => {
+  const userId = objectId().toString();
+  const merchant = { _id: objectId(), owner: objectId() };
+
+  it('lets platform admins into any merchant', async () => {
+    await expect(assertMerchantAccess({ userId, role: 'admin' }, merchant, MERCHANT_PERMISSIONS.PAYOUTS_MANAGE))
+      .resolves.toBe('platform_admin');
+  });
+
+  it('refuses users outside the merchant', async () => {
+    jest.spyOn(Membership, 'findOne').mockReturnValue(query(null));
+
+    await expect(assertMerchantAccess({ userId, role: 'merchant' }, merchant))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('refuses team roles without the permission', async () => {
+    jest.spyOn(Membership, 'findOne').mockReturnValue(query({ role: 'viewer' }));
+
+    await expect(assertMerchantAccess({ userId, role: 'merchant' }, merchant, MERCHANT_PERMISSIONS.PAYOUTS_MANAGE))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('treats the recorded owner of a merchant without memberships as owner', async () => {
+    jest.spyOn(Membership, 'findOne').mockReturnValue(query(null));
+
+    await expect(assertMerchantAccess({ userId, role: 'merchant' }, { ...merchant, owner: userId }, MERCHANT_PERMISSIONS.DEACTIVATE))
+      .resolves.toBe('owner');
+  });
+});
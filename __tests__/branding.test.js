@@ -0,0 +1,107 @@
+const request = require('supertest');
+const Merchant = require('../models/Merchant');
+const Membership = require('../models/Membership');
+const BrandingService = require('../services/BrandingService');
+const AuditService = require('../services/AuditService');
+const TokenService = require('../services/TokenService');
+const PaymentService = require('../services/paymentIntegrationServices');
+const merchantRoutes = require('../routes/merchantRoutes');
+const { flwClient } = require('../config/flutterwave');
+const { query, appFor, bearer, objectId } = require('./support/helpers');
+
+jest.mock('../services/pricefeed', () => ({
+  convert: jest.fn(async (from, to, amount) => amount)
+}));
+
+function merchant(fields = {}) {
+  const doc = new Merchant({ businessName: 'Acme Stores', owner: objectId(), ...fields });
+  jest.spyOn(doc, 'save').mockResolvedValue(doc);
+  return doc;
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(AuditService, 'record').mockResolvedValue();
+});
+
+describe('BrandingService.checkoutBranding', () => {
+  it('falls back to the business name', () => {
+    expect(BrandingService.checkoutBranding(merchant())).toEqual({
+      displayName: 'Acme Stores',
+      logoUrl: null,
+      brandColor: null,
+      supportEmail: null,
+      returnUrl: null
+    });
+  });
+
+  it('versions the logo URL by checksum', () => {
+    const doc = merchant({ branding: { displayName: 'Acme', logo: { storageKey: 'branding/x.png', mimeType: 'image/png', checksum: 'a'.repeat(64) } } });
+
+    expect(BrandingService.checkoutBranding(doc).logoUrl).toMatch(new RegExp(`/api/merchant/${doc._id}/branding/logo\\?v=aaaaaaaaaaaa$`));
+  });
+});
+
+describe('BrandingService.update', () => {
+  it('sets and clears fields and audits the change', async () => {
+    const doc = merchant({ branding: { brandColor: '#000000' } });
+
+    const branding = await BrandingService.update(doc, { displayName: 'Acme', brandColor: null });
+
+    expect(branding).toMatchObject({ displayName: 'Acme', brandColor: null });
+    expect(AuditService.record).toHaveBeenCalledWith(expect.objectContaining({
+      changes: { before: { displayName: null, brandColor: '#000000' }, after: { displayName: 'Acme', brandColor: null } }
+    }), undefined);
+  });
+});
+
+describe('/api/merchant/:merchantId/branding', () => {
+  const app = appFor('/api/merchant', merchantRoutes);
+  let doc;
+
+  beforeEach(() => {
+    doc = merchant();
+    jest.spyOn(TokenService, 'isSessionActive').mockResolvedValue(true);
+    jest.spyOn(Merchant, 'findById').mockReturnValue(query(doc));
+    jest.spyOn(Membership, 'findOne').mockReturnValue(query({ role: 'owner' }));
+  });
+
+  it('rejects non-http return URLs and malformed colors', async () => {
+    const res = await request(app)
+      .put(`/api/merchant/${doc._id}/branding`)
+      .set('Authorization', bearer({ userId: doc.owner.toString() }))
+      .send({ returnUrl: 'javascript:alert(1)', brandColor: 'red' });
+
+    expect(res.status).toBe(422);
+    expect(doc.save).not.toHaveBeenCalled();
+  });
+
+  it('accepts only PNG and JPEG logos', async () => {
+    const res = await request(app)
+      .put(`/api/merchant/${doc._id}/branding/logo`)
+      .set('Authorization', bearer({ userId: doc.owner.toString() }))
+      .attach('file', Buffer.from('GIF89a'), { filename: 'logo.gif', contentType: 'image/gif' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('PaymentService.createPayment', () => {
+  it('puts the merchant branding on the Flutterwave payment page', async () => {
+    const post = jest.spyOn(flwClient, 'post').mockResolvedValue({ data: { data: { link: 'https://checkout.test' } } });
+
+    await PaymentService.createPayment({
+      amount: 5000,
+      currency: 'NGN',
+      method: 'card',
+      customer: { email: 'buyer@example.com' },
+      merchant: { businessName: 'Acme Stores' },
+      branding: { displayName: 'Acme', logoUrl: 'https://cdn.test/logo.png', returnUrl: 'https://acme.test/done' }
+    });
+
+    expect(post).toHaveBeenCalledWith('/payments', expect.objectContaining({
+      redirect_url: 'https://acme.test/done',
+      customizations: { title: 'Acme', description: 'Payment to Acme', logo: 'https://cdn.test/logo.png' }
+    }));
+  });
+});
@@ -0,0 +1,180 @@
+const request = require('supertest');
+const Merchant = require('../models/Merchant');
+const PaymentIntent = require('../models/PaymentInent');
+const CheckoutService = require('../services/CheckoutService');
+const PaymentService = require('../services/paymentIntegrationServices');
+const checkoutRoutes = require('../routes/checkoutRoutes');
+const { query, appFor } = require('./support/helpers');
+
+jest.mock('../services/pricefeed', () => ({
+  // 1 USDT/USD = 1500 NGN
+  convert: jest.fn(async (from, to, amount) => {
+    if (from === 'NGN') return amount / 1500;
+    if (to === 'NGN') return amount * 1500;
+    return amount;
+  })
+}));
+
+const app = appFor('/api/checkout', checkoutRoutes);
+const REFERENCE = '0123456789abcdef';
+
+function merchant(fields = {}) {
+  return new Merchant({
+    businessName: 'Acme Stores',
+    walletAddress: '0x'.padEnd(42, 'a'),
+    kycStatus: 'approved',
+    payoutPreferences: { method: 'bank_transfer', currency: 'NGN', accountDetails: { bankCode: '058', accountNumber: '0123456789' } },
+    ...fields
+  });
+}
+
+function intent(owner, fields = {}) {
+  return new PaymentIntent({
+    merchantId: owner._id,
+    amount: 15000,
+    sourceCurrency: 'NGN',
+    targetCurrency: 'USDT',
+    status: 'REQUIRES_PAYMENT',
+    livemode: false,
+    widgetToken: 'f'.repeat(32),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    metadata: { reference: REFERENCE },
+    ...fields
+  });
+}
+
+function session(owner, fields) {
+  const current = intent(owner, fields);
+  jest.spyOn(PaymentIntent, 'findOne').mockReturnValue(query(current));
+  jest.spyOn(Merchant, 'findById').mockReturnValue(query(owner));
+  return current;
+}
+
+beforeAll(() => {
+  process.env.CONTRACT_ADDRESS = '0x'.padEnd(42, 'c');
+  process.env.USDT_ADDRESS = '0x'.padEnd(42, 'd');
+});
+
+afterAll(() => {
+  delete process.env.CONTRACT_ADDRESS;
+  delete process.env.USDT_ADDRESS;
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/checkout/:reference', () => {
+  it('returns the public session with every method for a naira intent', async () => {
+    const owner = merchant();
+    session(owner);
+
+    const res = await request(app).get(`/api/checkout/${REFERENCE}`);
+
+    expect(res.status).toBe(200);
+    expect(PaymentIntent.findOne).toHaveBeenCalledWith({ 'metadata.reference': REFERENCE });
+    expect(res.body.data).toMatchObject({
+      payable: true,
+      amountDue: 15000,
+      currency: 'NGN',
+      merchant: { displayName: 'Acme Stores' },
+      paymentMethods: ['card', 'bank_transfer', 'opay', 'crypto'],
+      quote: { sourceAmount: 15000, targetAmount: 10, targetCurrency: 'USDT' },
+      crypto: { method: 'payWithToken', amount: '10.000000', amountInMinor: '10000000', txRef: REFERENCE }
+    });
+  });
+
+  it('does not expose merchant-internal fields', async () => {
+    session(merchant());
+
+    const { body } = await request(app).get(`/api/checkout/${REFERENCE}`);
+    const text = JSON.stringify(body);
+
+    for (const field of ['payoutPreferences', 'accountNumber', 'kycStatus', 'owner', 'widgetToken', 'merchantId']) {
+      expect(text).not.toContain(field);
+    }
+  });
+
+  it('offers only crypto for intents outside naira', async () => {
+    session(merchant(), { sourceCurrency: 'USD', amount: 10 });
+
+    const { body } = await request(app).get(`/api/checkout/${REFERENCE}`);
+
+    expect(body.data.paymentMethods).toEqual(['crypto']);
+  });
+
+  it('is not payable once expired', async () => {
+    session(merchant(), { expiresAt: new Date(Date.now() - 1000) });
+
+    const { body } = await request(app).get(`/api/checkout/${REFERENCE}`);
+
+    expect(body.data).toMatchObject({ payable: false, paymentMethods: [] });
+  });
+
+  it('returns 404 for an unknown reference', async () => {
+    jest.spyOn(PaymentIntent, 'findOne').mockReturnValue(query(null));
+
+    await request(app).get(`/api/checkout/${REFERENCE}`).expect(404);
+  });
+});
+
+describe('GET /api/checkout/widget/:widgetToken', () => {
+  it('finds the session by widget token', async () => {
+    session(merchant());
+
+    await request(app).get(`/api/checkout/widget/${'f'.repeat(32)}`).expect(200);
+    expect(PaymentIntent.findOne).toHaveBeenCalledWith({ widgetToken: 'f'.repeat(32) });
+  });
+});
+
+describe('POST /api/checkout/:reference/payments', () => {
+  it('starts a card payment for the amount due', async () => {
+    const owner = merchant();
+    const current = session(owner, { status: 'PARTIALLY_PAID', amountReceived: 5000 });
+    const create = jest.spyOn(PaymentService, 'createPayment').mockResolvedValue({ link: 'https://checkout.flutterwave.test' });
+
+    const res = await request(app)
+      .post(`/api/checkout/${REFERENCE}/payments`)
+      .send({ method: 'card', customer: { email: 'buyer@example.com', name: 'Buyer' } });
+
+    expect(res.status).toBe(201);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 10000,
+      currency: 'NGN',
+      method: 'card',
+      tx_ref: expect.stringMatching(new RegExp(`^${REFERENCE}-[0-9a-f]{8}$`)),
+      metadata: { paymentIntentId: current._id.toString(), livemode: false }
+    }));
+  });
+
+  it('refuses card payments for intents outside naira', async () => {
+    session(merchant(), { sourceCurrency: 'USD', amount: 10 });
+    const create = jest.spyOn(PaymentService, 'createPayment');
+
+    const res = await request(app)
+      .post(`/api/checkout/${REFERENCE}/payments`)
+      .send({ method: 'card', customer: { email: 'buyer@example.com' } });
+
+    expect(res.status).toBe(400);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('refuses sessions that are already paid', async () => {
+    session(merchant(), { status: 'PAID' });
+
+    const res = await request(app)
+      .post(`/api/checkout/${REFERENCE}/payments`)
+      .send({ method: 'crypto' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.details.code).toBe('CHECKOUT_NOT_PAYABLE');
+  });
+});
+
+describe('CheckoutService.isPayable', () => {
+  it('refuses suspended merchants', () => {
+    const owner = merchant({ status: 'suspended' });
+
+    expect(CheckoutService.isPayable(intent(owner), owner)).toBe(false);
+  });
+});
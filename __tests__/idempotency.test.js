@@ -0,0 +1,137 @@
+const express = require('express');
+const request = require('supertest');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const Merchant = require('../models/Merchant');
+const ApiKeyService = require('../services/ApiKeyService');
+const IdempotencyService = require('../services/IdempotencyService');
+const PaymentService = require('../services/paymentIntegrationServices');
+const { idempotent } = require('../middlewares/idempotency');
+const { globalErrorHandler } = require('../middlewares/errorHandler');
+const paymentRoutes = require('../routes/paymentintegrationRoute');
+const { appFor, objectId } = require('./support/helpers');
+
+const merchant = new Merchant({ businessName: 'Acme Stores', kycStatus: 'approved' });
+
+// In-memory stand-in for the idempotencykeys collection and its unique index
+let stored;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  stored = new Map();
+  const id = (filter) => `${filter.merchant}:${filter.key}`;
+
+  jest.spyOn(IdempotencyKey, 'create').mockImplementation(async (doc) => {
+    if (stored.has(id(doc))) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    const record = { _id: id(doc), ...doc };
+    stored.set(record._id, record);
+    return record;
+  });
+  jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(async (filter) => stored.get(id(filter)) || null);
+  jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(null);
+  jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async ({ _id }, { $set }) => Object.assign(stored.get(_id), $set));
+  jest.spyOn(IdempotencyKey, 'deleteOne').mockImplementation(async ({ _id }) => stored.delete(_id));
+});
+
+describe('idempotent', () => {
+  let handled;
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.merchant = merchant;
+    req.livemode = false;
+    next();
+  });
+  app.post('/payments', idempotent, (req, res) => {
+    handled += 1;
+    if (req.body.fail) return res.status(502).json({ error: 'Provider unavailable' });
+    res.status(201).json({ id: `payment-${handled}` });
+  });
+  app.use(globalErrorHandler);
+
+  beforeEach(() => {
+    handled = 0;
+  });
+
+  const send = (body, key = 'order-42') => request(app).post('/payments').set('Idempotency-Key', key).send(body);
+
+  it('replays the original response for a retry', async () => {
+    const first = await send({ amount: 1000 });
+    const retry = await send({ amount: 1000 });
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(handled).toBe(1);
+  });
+
+  it('rejects a key reused with a different body', async () => {
+    await send({ amount: 1000 });
+    const res = await send({ amount: 2000 });
+
+    expect(res.status).toBe(422);
+    expect(res.body.error.details.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(handled).toBe(1);
+  });
+
+  it('scopes keys to the merchant', async () => {
+    await send({ amount: 1000 });
+    await IdempotencyService.begin({ _id: objectId() }, 'order-42', { method: 'POST', path: '/payments', body: { amount: 2000 } });
+
+    expect(stored.size).toBe(2);
+  });
+
+  it('frees the key after a server error so the request can be retried', async () => {
+    await send({ fail: true });
+    expect(stored.size).toBe(0);
+
+    await send({ fail: true });
+    expect(handled).toBe(2);
+  });
+
+  it('does nothing without the header', async () => {
+    await request(app).post('/payments').send({ amount: 1000 }).expect(201);
+    await request(app).post('/payments').send({ amount: 1000 }).expect(201);
+
+    expect(handled).toBe(2);
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('IdempotencyService.begin', () => {
+  it('refuses a retry while the first request is still running', async () => {
+    await IdempotencyService.begin(merchant, 'order-42', { method: 'POST', path: '/payments', body: {} });
+
+    await expect(IdempotencyService.begin(merchant, 'order-42', { method: 'POST', path: '/payments', body: {} }))
+      .rejects.toMatchObject({ statusCode: 409, details: { code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS' } });
+  });
+
+  it('fingerprints bodies regardless of key order', () => {
+    expect(IdempotencyService.fingerprint({ method: 'POST', path: '/p', body: { a: 1, b: { c: 2, d: 3 } } }))
+      .toBe(IdempotencyService.fingerprint({ method: 'POST', path: '/p', body: { b: { d: 3, c: 2 }, a: 1 } }));
+  });
+});
+
+describe('POST /api/pay/create-payment', () => {
+  const app = appFor('/api/pay', paymentRoutes);
+
+  it('retries a failed charge with the same provider reference', async () => {
+    jest.spyOn(ApiKeyService, 'authenticate').mockResolvedValue({ apiKey: { mode: 'test' }, merchant });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const create = jest.spyOn(PaymentService, 'createPayment')
+      .mockRejectedValueOnce(new Error('timeout of 10000ms exceeded'))
+      .mockResolvedValueOnce({ link: 'https://checkout.test' });
+    const pay = () => request(app)
+      .post('/api/pay/create-payment')
+      .set('X-API-Key', 'sk_test_key')
+      .set('Idempotency-Key', 'order-42')
+      .send({ amount: 1000, method: 'card' });
+
+    await pay().expect(500);
+    await pay().expect(200);
+
+    const [first, retry] = create.mock.calls.map(([args]) => args.tx_ref);
+    expect(first).toBe(IdempotencyService.reference(merchant._id, 'order-42'));
+    expect(retry).toBe(first);
+  });
+});
@@ -0,0 +1,152 @@
+const express = require('express');
+const request = require('supertest');
+const KycDocument = require('../models/KycDocument');
+const Merchant = require('../models/Merchant');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const KycService = require('../services/KycService');
+const AuditService = require('../services/AuditService');
+const MerchantService = require('../services/MerchantService');
+const OnboardingService = require('../services/OnboardingService');
+const SettlementService = require('../services/SettlementService');
+const emailService = require('../services/sendEmail');
+const { registerStorageAdapter, LocalDiskStorage } = require('../lib/storage');
+const { uploadSingle } = require('../middlewares/upload');
+const { globalErrorHandler } = require('../middlewares/errorHandler');
+const { query, objectId } = require('./support/helpers');
+
+const PDF = Buffer.from('%PDF-1.4 test');
+
+const stored = new Map();
+registerStorageAdapter('memory', () => ({
+  put: async (key, buffer) => stored.set(key, buffer),
+  get: async (key) => stored.get(key),
+  remove: async (key) => stored.delete(key)
+}));
+
+function merchant(fields = {}) {
+  const doc = new Merchant({ businessName: 'Acme Stores', owner: objectId(), ...fields });
+  jest.spyOn(doc, 'save').mockResolvedValue(doc);
+  return doc;
+}
+
+beforeAll(() => {
+  process.env.STORAGE_DRIVER = 'memory';
+});
+
+afterAll(() => {
+  delete process.env.STORAGE_DRIVER;
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  stored.clear();
+  jest.spyOn(AuditService, 'record').mockResolvedValue();
+  jest.spyOn(emailService, 'sendKycStatusEmail').mockResolvedValue({ success: true });
+  jest.spyOn(OnboardingService, 'sync').mockResolvedValue();
+  jest.spyOn(User, 'findById').mockReturnValue(query({ email: 'owner@acme.test' }));
+});
+
+describe('uploadSingle', () => {
+  const app = express();
+  app.post('/upload', uploadSingle('file'), (req, res) => res.json({ size: req.file.size }));
+  app.use(globalErrorHandler);
+
+  it('accepts an allowed file', async () => {
+    await request(app).post('/upload').attach('file', PDF, { filename: 'cac.pdf', contentType: 'application/pdf' }).expect(200);
+  });
+
+  it('rejects types outside ALLOWED_FILE_TYPES', async () => {
+    await request(app).post('/upload').attach('file', Buffer.from('hi'), { filename: 'a.txt', contentType: 'text/plain' }).expect(400);
+  });
+
+  it('rejects files whose contents do not match their type', async () => {
+    const res = await request(app).post('/upload').attach('file', Buffer.from('not a pdf'), { filename: 'cac.pdf', contentType: 'application/pdf' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toBe('File contents do not match its type');
+  });
+});
+
+describe('KycService.uploadDocument', () => {
+  const file = { buffer: PDF, mimetype: 'application/pdf', originalname: 'cac.pdf', size: PDF.length };
+
+  it('stores the file and replaces the current document of that type', async () => {
+    const doc = merchant();
+    jest.spyOn(KycDocument, 'create').mockImplementation(async (fields) => new KycDocument(fields));
+    const replace = jest.spyOn(KycDocument, 'updateMany').mockResolvedValue({});
+
+    const document = await KycService.uploadDocument(doc, { type: 'cac_certificate', file });
+
+    expect(stored.get(document.storageKey)).toBe(PDF);
+    expect(document.storageKey).toMatch(new RegExp(`^kyc/${doc._id}/.+\\.pdf$`));
+    expect(replace).toHaveBeenCalledWith(
+      expect.objectContaining({ merchant: doc._id, type: 'cac_certificate', replacedAt: null }),
+      { $set: { replacedAt: expect.any(Date) } }
+    );
+  });
+
+  it('removes the stored file when the document cannot be saved', async () => {
+    jest.spyOn(KycDocument, 'create').mockRejectedValue(new Error('write failed'));
+
+    await expect(KycService.uploadDocument(merchant(), { type: 'cac_certificate', file })).rejects.toThrow('write failed');
+    expect(stored.size).toBe(0);
+  });
+
+  it('refuses changes while KYC is under review', async () => {
+    await expect(KycService.uploadDocument(merchant({ kycStatus: 'submitted' }), { type: 'cac_certificate', file }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('KycService.submit', () => {
+  it('requires every document type', async () => {
+    jest.spyOn(KycDocument, 'find').mockReturnValue(query([{ type: 'cac_certificate' }]));
+
+    await expect(KycService.submit(merchant())).rejects.toMatchObject({ statusCode: 422 });
+  });
+});
+
+describe('KycService.review', () => {
+  it('requires a reason to reject', async () => {
+    await expect(KycService.review(objectId(), { decision: 'reject' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('approves a submission, emails the owner and releases held settlements', async () => {
+    const doc = merchant({ kycStatus: 'approved' });
+    const update = jest.spyOn(Merchant, 'findOneAndUpdate').mockResolvedValue(doc);
+    const settle = jest.spyOn(MerchantService, 'settleOutstanding').mockResolvedValue({ settled: 0, held: 0, failed: 0 });
+
+    await KycService.review(doc._id, { decision: 'approve' }, { reviewedBy: objectId() });
+
+    expect(update).toHaveBeenCalledWith({ _id: doc._id, kycStatus: 'submitted' }, expect.anything(), { new: true });
+    expect(emailService.sendKycStatusEmail).toHaveBeenCalledWith('owner@acme.test', expect.objectContaining({ status: 'approved' }));
+    expect(settle).toHaveBeenCalledWith(doc._id);
+  });
+
+  it('refuses merchants that are not awaiting review', async () => {
+    jest.spyOn(Merchant, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Merchant, 'exists').mockResolvedValue({ _id: objectId() });
+
+    await expect(KycService.review(objectId(), { decision: 'approve' })).rejects.toMatchObject({ statusCode: 400 });
+    expect(emailService.sendKycStatusEmail).not.toHaveBeenCalled();
+  });
+});
+
+describe('SettlementService.process', () => {
+  it('holds payouts to merchants whose KYC is not approved', async () => {
+    const doc = merchant({ kycStatus: 'submitted' });
+    jest.spyOn(Transaction, 'findById').mockResolvedValue(new Transaction({ merchantId: doc._id, status: 'PAID' }));
+    jest.spyOn(Merchant, 'findById').mockResolvedValue(doc);
+    const update = jest.spyOn(Transaction, 'updateOne').mockResolvedValue({});
+
+    await expect(SettlementService.process(objectId())).resolves.toMatchObject({ status: 'ON_HOLD', reason: 'KYC_NOT_APPROVED' });
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('LocalDiskStorage', () => {
+  it('keeps keys inside the upload directory', async () => {
+    await expect(new LocalDiskStorage({ root: '/tmp/kyc-test' }).get('../etc/passwd')).rejects.toThrow('escapes the upload directory');
+  });
+});
@@ -0,0 +1,112 @@
+const { EventEmitter } = require('events');
+const Merchant = require('../models/Merchant');
+const Transaction = require('../models/Transaction');
+const MerchantDirectoryService = require('../services/MerchantDirectoryService');
+const { query, objectId } = require('./support/helpers');
+
+function merchant(fields = {}) {
+  return new Merchant({ businessName: 'Acme Stores', createdAt: new Date('2026-03-01T00:00:00Z'), ...fields });
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Transaction, 'aggregate').mockResolvedValue([]);
+});
+
+describe('MerchantDirectoryService.list', () => {
+  it('filters and searches case-insensitively', async () => {
+    const find = jest.spyOn(Merchant, 'find').mockReturnValue(query([]));
+
+    await MerchantDirectoryService.list({ search: 'acme.', kycStatus: 'approved', country: 'ng', payoutMethod: 'crypto', createdFrom: '2026-01-01' });
+
+    const [filter] = find.mock.calls[0];
+    expect(filter).toMatchObject({
+      kycStatus: 'approved',
+      'payoutPreferences.method': 'crypto',
+      createdAt: { $gte: new Date('2026-01-01') }
+    });
+    expect(filter.country.test('NG')).toBe(true);
+    expect(filter.$or[0].businessName.test('ACME. Stores')).toBe(true);
+    expect(filter.$or[0].businessName.test('acmex')).toBe(false);
+  });
+
+  it('includes the whole day of a date-only createdTo', async () => {
+    const find = jest.spyOn(Merchant, 'find').mockReturnValue(query([]));
+
+    await MerchantDirectoryService.list({ createdTo: '2024-01-31' });
+    await MerchantDirectoryService.list({ createdTo: '2024-01-31T12:00:00Z' });
+
+    expect(find.mock.calls[0][0].createdAt).toEqual({ $lt: new Date('2024-02-01T00:00:00Z') });
+    expect(find.mock.calls[1][0].createdAt).toEqual({ $lte: new Date('2024-01-31T12:00:00Z') });
+  });
+
+  it('returns a cursor that continues after the last merchant', async () => {
+    const page = [merchant(), merchant(), merchant()];
+    const find = jest.spyOn(Merchant, 'find').mockReturnValue(query(page));
+
+    const { merchants, pagination } = await MerchantDirectoryService.list({}, { limit: 2 });
+
+    expect(merchants).toHaveLength(2);
+    expect(pagination.hasNextPage).toBe(true);
+
+    await MerchantDirectoryService.list({}, { cursor: pagination.nextCursor, limit: 2 });
+
+    expect(find.mock.calls[1][0]).toEqual({
+      $and: [{}, { $or: [{ createdAt: { $lt: page[1].createdAt } }, { createdAt: page[1].createdAt, _id: { $lt: page[1]._id } }] }]
+    });
+  });
+
+  it('rejects cursors it did not issue', async () => {
+    await expect(MerchantDirectoryService.list({}, { cursor: 'not-a-cursor' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('MerchantDirectoryService.statsFor', () => {
+  it('sums volume per currency and keeps the latest transaction date', async () => {
+    const id = objectId();
+    Transaction.aggregate.mockResolvedValue([
+      { _id: { merchant: id, currency: 'USDT' }, amount: 40, count: 2, lastTransactionAt: new Date('2026-02-01') },
+      { _id: { merchant: id, currency: 'NGN' }, amount: 5000, count: 1, lastTransactionAt: new Date('2026-01-01') },
+      { _id: { merchant: id, currency: 'GHS' }, amount: 0, count: 0, lastTransactionAt: new Date('2026-03-01') }
+    ]);
+
+    const stats = await MerchantDirectoryService.statsFor([id]);
+
+    expect(stats.get(id.toString())).toEqual({
+      volume: [{ currency: 'NGN', amount: 5000, count: 1 }, { currency: 'USDT', amount: 40, count: 2 }],
+      transactionCount: 3,
+      lastTransactionAt: new Date('2026-03-01')
+    });
+  });
+});
+
+describe('MerchantDirectoryService.exportCsv', () => {
+  it('writes a header and one escaped row per merchant', async () => {
+    const rows = [merchant({ businessName: '=HYPERLINK("x")', country: 'NG' }).toObject()];
+    const cursor = Object.assign(rows.values(), { close: jest.fn() });
+    const chain = { sort: () => chain, lean: () => chain, cursor: () => cursor };
+    jest.spyOn(Merchant, 'find').mockReturnValue(chain);
+    let csv = '';
+    const out = { write: (chunk) => { csv += chunk; return true; } };
+
+    await expect(MerchantDirectoryService.exportCsv({}, out)).resolves.toBe(1);
+
+    const [header, row] = csv.split('\r\n');
+    expect(header.split(',')).toEqual(expect.arrayContaining(['businessName', 'lifetimeVolume', 'lastTransactionAt']));
+    expect(row).toContain('"\'=HYPERLINK(""x"")"');
+  });
+
+  it('stops and closes the cursor when the client disconnects mid-export', async () => {
+    const cursor = Object.assign([merchant().toObject(), merchant().toObject()].values(), { close: jest.fn() });
+    const chain = { sort: () => chain, lean: () => chain, cursor: () => cursor };
+    jest.spyOn(Merchant, 'find').mockReturnValue(chain);
+    const out = Object.assign(new EventEmitter(), { write: () => false });
+
+    const exported = MerchantDirectoryService.exportCsv({}, out);
+    await new Promise(setImmediate);
+    out.emit('close');
+
+    await expect(exported).rejects.toThrow('Export stream closed before the export finished');
+    expect(cursor.close).toHaveBeenCalled();
+  });
+});
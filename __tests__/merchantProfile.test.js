@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const Merchant = require('../models/Merchant');
+const Membership = require('../models/Membership');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const MerchantService = require('../services/MerchantService');
+const AuditService = require('../services/AuditService');
+const TokenService = require('../services/TokenService');
+const SettlementService = require('../services/SettlementService');
+const emailService = require('../services/sendEmail');
+const merchantRoutes = require('../routes/merchantRoutes');
+const { query, appFor, bearer, objectId } = require('./support/helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const bankAccount = { accountNumber: '0123456789', accountName: 'Acme Stores Ltd', bankCode: '058' };
+
+function merchant(fields = {}) {
+  const doc = new Merchant({
+    businessName: 'Acme Stores',
+    walletAddress: '0x'.padEnd(42, 'a'),
+    owner: objectId(),
+    payoutPreferences: { method: 'bank_transfer', currency: 'NGN', accountDetails: bankAccount },
+    ...fields
+  });
+  jest.spyOn(doc, 'save').mockResolvedValue(doc);
+  return doc;
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(AuditService, 'record').mockResolvedValue();
+  jest.spyOn(emailService, 'sendPayoutChangeConfirmationEmail').mockResolvedValue({ success: true });
+});
+
+describe('MerchantService payout-detail changes', () => {
+  const requester = { id: objectId(), email: 'owner@acme.test' };
+
+  async function requestChange(doc) {
+    await MerchantService.requestPayoutChange(doc, {
+      accountDetails: { accountNumber: '9876543210', accountName: 'Acme Stores Ltd', bankCode: '044' }
+    }, { requester });
+    const { confirmUrl } = emailService.sendPayoutChangeConfirmationEmail.mock.calls[0][1];
+    return new URL(confirmUrl).searchParams.get('token');
+  }
+
+  it('stages the change and leaves current payouts alone', async () => {
+    const doc = merchant();
+
+    const token = await requestChange(doc);
+
+    expect(doc.payoutPreferences.accountDetails.accountNumber).toBe('0123456789');
+    expect(doc.pendingPayoutChange.payoutPreferences.accountDetails.accountNumber).toBe('9876543210');
+    expect(doc.pendingPayoutChange.tokenHash).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+    expect(emailService.sendPayoutChangeConfirmationEmail).toHaveBeenCalledWith('owner@acme.test', expect.objectContaining({
+      accountSummary: 'Acme Stores Ltd · 044 · ****3210'
+    }));
+  });
+
+  it('starts the cooling-off period once confirmed', async () => {
+    const doc = merchant();
+    const token = await requestChange(doc);
+    jest.spyOn(Merchant, 'findById').mockReturnValue(query(doc));
+
+    const before = Date.now();
+    const pending = await MerchantService.confirmPayoutChange(doc, token);
+
+    expect(pending.effectiveAt.getTime()).toBeGreaterThanOrEqual(before + MerchantService.PAYOUT_CHANGE_COOLING_OFF_HOURS * HOUR_MS);
+    expect(pending.tokenHash).toBeUndefined();
+    await expect(doc.applyDuePayoutChange()).resolves.toBeNull();
+  });
+
+  it('rejects a wrong confirmation token', async () => {
+    const doc = merchant();
+    await requestChange(doc);
+    jest.spyOn(Merchant, 'findById').mockReturnValue(query(doc));
+
+    await expect(MerchantService.confirmPayoutChange(doc, 'not-the-token')).rejects.toMatchObject({ statusCode: 400 });
+    expect(doc.pendingPayoutChange.confirmedAt).toBeUndefined();
+  });
+
+  it('applies the change after the cooling-off period', async () => {
+    const doc = merchant({
+      pendingPayoutChange: {
+        payoutPreferences: { method: 'bank_transfer', currency: 'NGN', accountDetails: { ...bankAccount, accountNumber: '9876543210' } },
+        requestedBy: requester.id,
+        requestedAt: new Date(Date.now() - 50 * HOUR_MS),
+        confirmationExpiresAt: new Date(Date.now() - 26 * HOUR_MS),
+        confirmedAt: new Date(Date.now() - 49 * HOUR_MS),
+        effectiveAt: new Date(Date.now() - HOUR_MS)
+      }
+    });
+
+    const applied = await doc.applyDuePayoutChange();
+
+    expect(applied.after.accountDetails.accountNumber).toBe('9876543210');
+    expect(doc.payoutPreferences.accountDetails.accountNumber).toBe('9876543210');
+    expect(doc.pendingPayoutChange).toBeUndefined();
+  });
+});
+
+describe('MerchantService.deactivate', () => {
+  it('closes the account and settles every received payment still owed', async () => {
+    const doc = merchant();
+    const count = jest.spyOn(Transaction, 'countDocuments').mockResolvedValue(0);
+
+    await MerchantService.deactivate(doc, { reason: 'Closing shop' });
+
+    expect(doc.status).toBe('closed');
+    expect(count).toHaveBeenCalledWith({
+      $or: [{ merchantId: doc._id }, { 'splits.merchant': doc._id }],
+      status: { $in: Transaction.UNSETTLED_STATUSES }
+    });
+    expect(Transaction.UNSETTLED_STATUSES).toEqual(expect.arrayContaining(['PAID', 'SUCCESS', 'SUCCESSFUL', 'PARTIALLY_SETTLED']));
+  });
+
+  it('settles outstanding transactions one by one', async () => {
+    const ids = [objectId(), objectId()];
+    jest.spyOn(Transaction, 'find').mockReturnValue(query(ids.map((_id) => ({ _id }))));
+    jest.spyOn(SettlementService, 'process')
+      .mockResolvedValueOnce({ status: 'SETTLED' })
+      .mockResolvedValueOnce({ status: 'ON_HOLD' });
+
+    await expect(MerchantService.settleOutstanding(objectId())).resolves.toEqual({ settled: 1, held: 1, failed: 0 });
+  });
+});
+
+describe('PATCH /api/merchant/:merchantId/payout-preferences', () => {
+  const app = appFor('/api/merchant', merchantRoutes);
+
+  it('requires a two-factor step-up code', async () => {
+    const doc = merchant();
+    const userId = doc.owner.toString();
+    jest.spyOn(TokenService, 'isSessionActive').mockResolvedValue(true);
+    jest.spyOn(Merchant, 'findById').mockReturnValue(query(doc));
+    jest.spyOn(Membership, 'findOne').mockReturnValue(query({ role: 'owner' }));
+    jest.spyOn(User, 'findById').mockReturnValue(query(new User({ businessName: 'Acme Stores', email: 'owner@acme.test', password: 'x'.repeat(8), twoFactor: { enabled: true, secret: 'x' } })));
+    const requestChange = jest.spyOn(MerchantService, 'requestPayoutChange');
+
+    const res = await request(app)
+      .patch(`/api/merchant/${doc._id}/payout-preferences`)
+      .set('Authorization', bearer({ userId }))
+      .send({ accountDetails: bankAccount });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.details.code).toBe('STEP_UP_REQUIRED');
+    expect(requestChange).not.toHaveBeenCalled();
+  });
+});
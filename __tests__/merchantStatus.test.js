@@ -0,0 +1,116 @@
+const request = require('supertest');
+const Merchant = require('../models/Merchant');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const ApiKeyService = require('../services/ApiKeyService');
+const AuditService = require('../services/AuditService');
+const MerchantService = require('../services/MerchantService');
+const SettlementService = require('../services/SettlementService');
+const TokenService = require('../services/TokenService');
+const emailService = require('../services/sendEmail');
+const merchantRoutes = require('../routes/merchantRoutes');
+const paymentIntentRoutes = require('../routes/paymentIntentRoute');
+const paymentRoutes = require('../routes/paymentintegrationRoute');
+const { query, appFor, bearer, objectId } = require('./support/helpers');
+
+function merchant(fields = {}) {
+  const doc = new Merchant({ businessName: 'Acme Stores', owner: objectId(), kycStatus: 'approved', ...fields });
+  jest.spyOn(doc, 'save').mockResolvedValue(doc);
+  return doc;
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(AuditService, 'record').mockResolvedValue();
+  jest.spyOn(emailService, 'sendMerchantStatusEmail').mockResolvedValue({ success: true });
+  jest.spyOn(User, 'findById').mockReturnValue(query({ email: 'owner@acme.test' }));
+});
+
+describe('MerchantService.changeStatus', () => {
+  it('suspends with a reason, audits and emails the owner', async () => {
+    const doc = merchant();
+    const adminId = objectId();
+    const count = jest.spyOn(Transaction, 'countDocuments');
+
+    await MerchantService.changeStatus(doc, { status: 'suspended', reason: 'Chargeback spike' }, { changedBy: adminId });
+
+    expect(doc).toMatchObject({ status: 'suspended', statusReason: 'Chargeback spike', statusChangedBy: adminId });
+    expect(AuditService.record).toHaveBeenCalledWith(expect.objectContaining({
+      action: AuditService.AUDIT_ACTIONS.MERCHANT_STATUS_CHANGED,
+      changes: { before: { status: 'active' }, after: { status: 'suspended' } }
+    }), undefined);
+    expect(emailService.sendMerchantStatusEmail).toHaveBeenCalledWith('owner@acme.test', expect.objectContaining({ status: 'suspended', reason: 'Chargeback spike' }));
+    expect(count).not.toHaveBeenCalled();
+  });
+
+  it('requires a reason for anything but reactivation', async () => {
+    await expect(MerchantService.changeStatus(merchant(), { status: 'restricted' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('releases held settlements on reactivation', async () => {
+    jest.spyOn(Transaction, 'countDocuments').mockResolvedValue(2);
+    const settle = jest.spyOn(MerchantService, 'settleOutstanding').mockResolvedValue({ settled: 2, held: 0, failed: 0 });
+
+    const { pendingSettlements } = await MerchantService.changeStatus(merchant({ status: 'suspended' }), { status: 'active' });
+
+    expect(pendingSettlements).toBe(2);
+    expect(settle).toHaveBeenCalled();
+  });
+});
+
+describe('SettlementService.process', () => {
+  it.each(['restricted', 'suspended'])('holds payouts of %s merchants', async (status) => {
+    const doc = merchant({ status });
+    jest.spyOn(Transaction, 'findById').mockResolvedValue(new Transaction({ merchantId: doc._id, status: 'PAID' }));
+    jest.spyOn(Merchant, 'findById').mockResolvedValue(doc);
+    jest.spyOn(Transaction, 'updateOne').mockResolvedValue({});
+    const fiat = jest.spyOn(SettlementService, 'settleWithFiat');
+
+    await expect(SettlementService.process(objectId())).resolves.toMatchObject({ status: 'ON_HOLD', reason: `MERCHANT_${status.toUpperCase()}` });
+    expect(fiat).not.toHaveBeenCalled();
+  });
+});
+
+describe('payment creation for a suspended merchant', () => {
+  beforeEach(() => {
+    jest.spyOn(ApiKeyService, 'authenticate').mockResolvedValue({
+      apiKey: { mode: 'test' },
+      merchant: merchant({ status: 'suspended' })
+    });
+  });
+
+  it('is refused by POST /api/payment-intents', async () => {
+    const res = await request(appFor('/api/payment-intents', paymentIntentRoutes))
+      .post('/api/payment-intents')
+      .set('X-API-Key', 'sk_test_key')
+      .send({ amount: 1000 });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.details.code).toBe('MERCHANT_SUSPENDED');
+  });
+
+  it('is refused by POST /api/pay/create-payment', async () => {
+    const res = await request(appFor('/api/pay', paymentRoutes))
+      .post('/api/pay/create-payment')
+      .set('X-API-Key', 'sk_test_key')
+      .send({ amount: 1000, method: 'card' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.details.code).toBe('MERCHANT_SUSPENDED');
+  });
+});
+
+describe('PUT /api/merchant/:merchantId/status', () => {
+  it('is limited to platform admins', async () => {
+    jest.spyOn(TokenService, 'isSessionActive').mockResolvedValue(true);
+    const change = jest.spyOn(MerchantService, 'changeStatus');
+
+    const res = await request(appFor('/api/merchant', merchantRoutes))
+      .put(`/api/merchant/${objectId()}/status`)
+      .set('Authorization', bearer())
+      .send({ status: 'suspended', reason: 'Fraud review' });
+
+    expect(res.status).toBe(403);
+    expect(change).not.toHaveBeenCalled();
+  });
+});
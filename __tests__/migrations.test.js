@@ -0,0 +1,115 @@
+const Migration = require('../models/Migration');
+const { MigrationLock } = require('../models/Migration');
+const PaymentIntent = require('../models/PaymentInent');
+const Transaction = require('../models/Transaction');
+const MigrationService = require('../services/MigrationService');
+const linkUsersAndMerchants = require('../migrations/001-link-users-and-merchants');
+const { query } = require('./support/helpers');
+
+function script(version, checksum = `checksum-${version}`) {
+  return { version, name: `migration-${version}`, checksum, up: jest.fn(), down: jest.fn() };
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(MigrationLock, 'findOneAndUpdate').mockResolvedValue({});
+  jest.spyOn(MigrationLock, 'deleteOne').mockResolvedValue({});
+  jest.spyOn(Migration, 'create').mockResolvedValue({});
+  jest.spyOn(Migration, 'deleteOne').mockResolvedValue({});
+});
+
+describe('MigrationService.load', () => {
+  it('reads every script in version order', () => {
+    const versions = MigrationService.load().map(({ version }) => version);
+
+    expect(versions.length).toBeGreaterThan(0);
+    expect(versions).toEqual([...versions].sort());
+    expect(new Set(versions).size).toBe(versions.length);
+  });
+});
+
+describe('MigrationService.up', () => {
+  it('applies pending migrations in order, up to the requested version', async () => {
+    const scripts = [script('001'), script('002'), script('003')];
+    jest.spyOn(MigrationService, 'load').mockReturnValue(scripts);
+    jest.spyOn(Migration, 'find').mockReturnValue(query([{ version: '001' }]));
+
+    await expect(MigrationService.up({ to: '002' })).resolves.toEqual(['002']);
+
+    expect(scripts[0].up).not.toHaveBeenCalled();
+    expect(scripts[1].up).toHaveBeenCalled();
+    expect(scripts[2].up).not.toHaveBeenCalled();
+    expect(Migration.create).toHaveBeenCalledWith(expect.objectContaining({ version: '002', checksum: 'checksum-002' }));
+    expect(MigrationLock.deleteOne).toHaveBeenCalled();
+  });
+
+  it('does not record a migration whose script fails, and releases the lock', async () => {
+    const failing = script('001');
+    failing.up.mockRejectedValue(new Error('boom'));
+    jest.spyOn(MigrationService, 'load').mockReturnValue([failing]);
+    jest.spyOn(Migration, 'find').mockReturnValue(query([]));
+
+    await expect(MigrationService.up()).rejects.toThrow('boom');
+    expect(Migration.create).not.toHaveBeenCalled();
+    expect(MigrationLock.deleteOne).toHaveBeenCalled();
+  });
+
+  it('refuses to run while another runner holds the lock', async () => {
+    MigrationLock.findOneAndUpdate.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    jest.spyOn(MigrationLock, 'findById').mockReturnValue(query({ lockedBy: 'other-host:42', expiresAt: new Date() }));
+
+    await expect(MigrationService.up()).rejects.toThrow('Migrations are locked by other-host:42');
+  });
+});
+
+describe('MigrationService.down', () => {
+  it('rolls back the latest applied migration', async () => {
+    const scripts = [script('001'), script('002')];
+    jest.spyOn(MigrationService, 'load').mockReturnValue(scripts);
+    jest.spyOn(Migration, 'find').mockReturnValue(query([{ _id: 'record-2', version: '002' }]));
+
+    await expect(MigrationService.down()).resolves.toEqual(['002']);
+    expect(scripts[1].down).toHaveBeenCalled();
+    expect(Migration.deleteOne).toHaveBeenCalledWith({ _id: 'record-2' });
+  });
+});
+
+describe('MigrationService.status', () => {
+  it('flags applied scripts that were edited afterwards', async () => {
+    jest.spyOn(MigrationService, 'load').mockReturnValue([script('001'), script('002', 'edited')]);
+    jest.spyOn(Migration, 'find').mockReturnValue(query([
+      { version: '001', checksum: 'checksum-001' },
+      { version: '002', checksum: 'checksum-002' }
+    ]));
+
+    const status = await MigrationService.status();
+
+    expect(status.map(({ version, applied, modified }) => ({ version, applied, modified }))).toEqual([
+      { version: '001', applied: true, modified: false },
+      { version: '002', applied: true, modified: true }
+    ]);
+  });
+});
+
+describe('canonical merchant model', () => {
+  it('points payment intents and transactions at Merchant', () => {
+    expect(PaymentIntent.schema.path('merchantId').options.ref).toBe('Merchant');
+    expect(Transaction.schema.path('merchantId').options.ref).toBe('Merchant');
+  });
+});
+
+describe('migration 001', () => {
+  it('drops the TTL indexes that deleted unverified and resetting users', async () => {
+    const dropIndex = jest.fn().mockResolvedValue();
+    const collection = {
+      find: () => ({ toArray: async () => [] }),
+      distinct: async () => [],
+      indexes: async () => [{ name: '_id_' }, { name: 'otp.expiresAt_1' }, { name: 'passwordReset.expiresAt_1' }],
+      dropIndex
+    };
+
+    await linkUsersAndMerchants.up({ collection: () => collection });
+
+    expect(dropIndex.mock.calls).toEqual([['otp.expiresAt_1'], ['passwordReset.expiresAt_1']]);
+  });
+});
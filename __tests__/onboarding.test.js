@@ -0,0 +1,113 @@
+const request = require('supertest');
+const ApiKey = require('../models/ApiKey');
+const Membership = require('../models/Membership');
+const Merchant = require('../models/Merchant');
+const PayoutDestination = require('../models/PayoutDestination');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const ApiKeyService = require('../services/ApiKeyService');
+const OnboardingService = require('../services/OnboardingService');
+const TokenService = require('../services/TokenService');
+const merchantRoutes = require('../routes/merchantRoutes');
+const paymentIntentRoutes = require('../routes/paymentIntentRoute');
+const { query, appFor, bearer, objectId } = require('./support/helpers');
+
+function merchant(fields = {}) {
+  return new Merchant({ businessName: 'Acme Stores', country: 'NG', owner: objectId(), kycStatus: 'approved', ...fields });
+}
+
+// Unverified email and no verified payout destination
+function leaveRequiredStepsOpen() {
+  User.exists.mockResolvedValue(null);
+  PayoutDestination.exists.mockResolvedValue(null);
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(User, 'exists').mockResolvedValue({ _id: objectId() });
+  jest.spyOn(PayoutDestination, 'exists').mockResolvedValue({ _id: objectId() });
+  jest.spyOn(ApiKey, 'exists').mockResolvedValue(null);
+  jest.spyOn(Transaction, 'exists').mockResolvedValue(null);
+  jest.spyOn(WebhookEndpoint, 'exists').mockResolvedValue(null);
+});
+
+describe('OnboardingService.checklist', () => {
+  it('works out each step from the merchant state', async () => {
+    Transaction.exists.mockResolvedValue({ _id: objectId() });
+
+    const checklist = await OnboardingService.checklist(merchant({ kycStatus: 'submitted' }));
+
+    expect(Object.fromEntries(checklist.steps.map(({ key, complete }) => [key, complete]))).toEqual({
+      email_verified: true,
+      business_details: true,
+      kyc_approved: false,
+      payout_destination_verified: true,
+      api_key_created: false,
+      first_test_payment: true,
+      first_webhook_endpoint: false
+    });
+    expect(checklist).toMatchObject({ completedSteps: 4, totalSteps: 7, requiredComplete: false, complete: false });
+    expect(Transaction.exists).toHaveBeenCalledWith(expect.objectContaining({ 'metadata.livemode': false }));
+  });
+
+  it('ticks the test payment step only once a test payment was received', async () => {
+    await OnboardingService.checklist(merchant());
+
+    expect(Transaction.exists).toHaveBeenCalledWith({
+      merchantId: expect.anything(),
+      'metadata.livemode': false,
+      status: { $in: Transaction.RECEIVED_STATUSES }
+    });
+  });
+});
+
+describe('OnboardingService.syncUser', () => {
+  it('sets profileComplete once an owned business has every required step', async () => {
+    jest.spyOn(Merchant, 'find').mockReturnValue(query([merchant({ kycStatus: 'pending' }), merchant()]));
+    const update = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    const userId = objectId();
+
+    await expect(OnboardingService.syncUser(userId)).resolves.toBe(true);
+    expect(update).toHaveBeenCalledWith({ _id: userId, profileComplete: { $ne: true } }, { $set: { profileComplete: true } });
+  });
+
+  it('clears profileComplete when a required step is undone', async () => {
+    leaveRequiredStepsOpen();
+    jest.spyOn(Merchant, 'find').mockReturnValue(query([merchant()]));
+    const update = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+    await expect(OnboardingService.syncUser(objectId())).resolves.toBe(false);
+    expect(update).toHaveBeenCalledWith(expect.anything(), { $set: { profileComplete: false } });
+  });
+});
+
+describe('live-mode payment creation', () => {
+  const app = appFor('/api/payment-intents', paymentIntentRoutes);
+
+  it('is refused until the required steps are done', async () => {
+    leaveRequiredStepsOpen();
+    jest.spyOn(ApiKeyService, 'authenticate').mockResolvedValue({ apiKey: { mode: 'live' }, merchant: merchant() });
+
+    const res = await request(app).post('/api/payment-intents').set('X-API-Key', 'sk_live_key').send({ amount: 1000 });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.details).toEqual({ code: 'ONBOARDING_INCOMPLETE', missingSteps: ['email_verified', 'payout_destination_verified'] });
+  });
+});
+
+describe('GET /api/merchant/:merchantId/onboarding', () => {
+  it('returns the checklist to team members', async () => {
+    const doc = merchant();
+    jest.spyOn(TokenService, 'isSessionActive').mockResolvedValue(true);
+    jest.spyOn(Merchant, 'findById').mockReturnValue(query(doc));
+    jest.spyOn(Membership, 'findOne').mockReturnValue(query({ role: 'viewer' }));
+
+    const res = await request(appFor('/api/merchant', merchantRoutes))
+      .get(`/api/merchant/${doc._id}/onboarding`)
+      .set('Authorization', bearer());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ totalSteps: 7, requiredComplete: true });
+  });
+});
@@ -0,0 +1,88 @@
+const User = require('../models/User');
+const AuthService = require('../services/AuthService');
+const AuditService = require('../services/AuditService');
+const TokenService = require('../services/TokenService');
+const emailService = require('../services/sendEmail');
+const otpUtils = require('../utils/otpUtils');
+const { query } = require('./support/helpers');
+
+function user(passwordReset) {
+  const account = new User({ businessName: 'Acme Stores', email: 'owner@acme.test', password: 'old-password', verified: true });
+  account.passwordReset = passwordReset;
+  jest.spyOn(account, 'save').mockResolvedValue(account);
+  jest.spyOn(User, 'findByEmail').mockReturnValue(query(account));
+  return account;
+}
+
+const inFifteenMinutes = () => new Date(Date.now() + 15 * 60 * 1000);
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(AuditService, 'record').mockResolvedValue();
+  jest.spyOn(TokenService, 'revokeAllForUser').mockResolvedValue(3);
+  jest.spyOn(emailService, 'sendPasswordResetEmail').mockResolvedValue({ success: true });
+  jest.spyOn(emailService, 'sendPasswordChangedEmail').mockResolvedValue({ success: true });
+});
+
+describe('AuthService.forgotPassword', () => {
+  it('emails a code and stores only its hash', async () => {
+    const account = user(undefined);
+
+    await AuthService.forgotPassword({ email: 'owner@acme.test' });
+
+    const [, code] = emailService.sendPasswordResetEmail.mock.calls[0];
+    expect(code).toMatch(/^\d{6}$/);
+    expect(account.passwordReset.token).toBe(otpUtils.hashData(code));
+    expect(account.passwordReset.token).not.toContain(code);
+    expect(account.save).toHaveBeenCalled();
+  });
+
+  it('says nothing about unknown emails', async () => {
+    jest.spyOn(User, 'findByEmail').mockReturnValue(query(null));
+
+    await expect(AuthService.forgotPassword({ email: 'nobody@acme.test' })).resolves.toBeUndefined();
+    expect(emailService.sendPasswordResetEmail).not.toHaveBeenCalled();
+  });
+});
+
+describe('AuthService.resetPassword', () => {
+  it('sets the new password and signs out every session', async () => {
+    const account = user({ token: otpUtils.hashData('123456'), expiresAt: inFifteenMinutes(), attempts: 0 });
+
+    await AuthService.resetPassword({ email: 'owner@acme.test', otp: '123456', password: 'new-password' });
+
+    expect(account.password).toBe('new-password');
+    expect(account.passwordReset?.token).toBeUndefined();
+    expect(TokenService.revokeAllForUser).toHaveBeenCalledWith(account._id, 'password_reset');
+  });
+
+  it('counts a wrong code as an attempt', async () => {
+    const account = user({ token: otpUtils.hashData('123456'), expiresAt: inFifteenMinutes(), attempts: 0 });
+
+    await expect(AuthService.resetPassword({ email: 'owner@acme.test', otp: '654321', password: 'new-password' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    expect(account.passwordReset.attempts).toBe(1);
+    expect(account.password).toBe('old-password');
+    expect(TokenService.revokeAllForUser).not.toHaveBeenCalled();
+  });
+
+  it('refuses the right code once the attempts are used up', async () => {
+    const account = user({ token: otpUtils.hashData('123456'), expiresAt: inFifteenMinutes(), attempts: otpUtils.maxAttempts });
+
+    await expect(AuthService.resetPassword({ email: 'owner@acme.test', otp: '123456', password: 'new-password' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    expect(account.passwordReset?.token).toBeUndefined();
+    expect(account.password).toBe('old-password');
+  });
+
+  it('refuses an expired code', async () => {
+    const account = user({ token: otpUtils.hashData('123456'), expiresAt: new Date(Date.now() - 1000), attempts: 0 });
+
+    await expect(AuthService.resetPassword({ email: 'owner@acme.test', otp: '123456', password: 'new-password' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    expect(account.password).toBe('old-password');
+  });
+});
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Merchant = require('../models/Merchant');
+const PaymentIntent = require('../models/PaymentInent');
+const Transaction = require('../models/Transaction');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const events = require('../lib/events');
+const AuditService = require('../services/AuditService');
+const PaymentIntentService = require('../services/PaymentIntentService');
+const ReconciliationService = require('../services/ReconciliationService');
+const RefundReviewService = require('../services/RefundReviewService');
+const SettlementService = require('../services/SettlementService');
+const WebhookEndpointService = require('../services/WebhookEndpointService');
+const backfillExpiry = require('../migrations/006-backfill-payment-intent-expiry');
+const { query, objectId } = require('./support/helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+function intent(fields = {}) {
+  return new PaymentIntent({
+    merchantId: objectId(),
+    amount: 1000,
+    sourceCurrency: 'NGN',
+    targetCurrency: 'USDT',
+    status: 'REQUIRES_PAYMENT',
+    ...fields
+  });
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(AuditService, 'record').mockResolvedValue();
+});
+
+describe('PaymentIntentService.createIntent', () => {
+  beforeEach(() => {
+    jest.spyOn(PaymentIntent, 'create').mockImplementation(async (doc) => doc);
+  });
+
+  it('expires after PAYMENT_INTENT_EXPIRY_MINUTES by default', async () => {
+    const before = Date.now();
+    const created = await PaymentIntentService.createIntent({ merchantId: objectId(), amount: 1000 });
+
+    expect(created.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 1440 * MINUTE_MS);
+  });
+
+  it('uses the lifetime requested for the intent', async () => {
+    const before = Date.now();
+    const created = await PaymentIntentService.createIntent({ merchantId: objectId(), amount: 1000, expiresInMinutes: 30 });
+
+    expect(created.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 30 * MINUTE_MS);
+    expect(created.expiresAt.getTime()).toBeLessThan(before + 31 * MINUTE_MS);
+  });
+});
+
+describe('PaymentIntentService.expireStale', () => {
+  it('expires stale intents, revokes their widget tokens and publishes an event', async () => {
+    const stale = intent({ expiresAt: new Date(Date.now() - MINUTE_MS), widgetToken: 'widget-token' });
+    jest.spyOn(PaymentIntent, 'find').mockReturnValue(query([stale]));
+    const update = jest.spyOn(PaymentIntent, 'findOneAndUpdate').mockImplementation(async () => Object.assign(stale, { status: 'EXPIRED' }));
+    const published = jest.spyOn(events, 'publish');
+
+    await expect(PaymentIntentService.expireStale()).resolves.toBe(1);
+
+    expect(PaymentIntent.find).toHaveBeenCalledWith({ status: 'REQUIRES_PAYMENT', expiresAt: { $lte: expect.any(Date) } });
+    expect(update).toHaveBeenCalledWith(
+      { _id: stale._id, status: 'REQUIRES_PAYMENT' },
+      expect.objectContaining({ $unset: { widgetToken: '' } }),
+      expect.anything()
+    );
+    expect(published).toHaveBeenCalledWith(events.EVENTS.PAYMENT_INTENT_EXPIRED, expect.objectContaining({ paymentIntentId: stale._id.toString() }));
+  });
+
+  it('skips intents paid while the sweep ran', async () => {
+    jest.spyOn(PaymentIntent, 'find').mockReturnValue(query([intent({ expiresAt: new Date(Date.now() - MINUTE_MS) })]));
+    jest.spyOn(PaymentIntent, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(PaymentIntentService.expireStale()).resolves.toBe(0);
+  });
+});
+
+describe('late payments', () => {
+  it('flag the payment for refund review instead of marking the intent paid', async () => {
+    const expired = intent({ status: 'EXPIRED' });
+    const transaction = new Transaction({ merchantId: expired.merchantId, paymentIntentId: expired._id, reference: 'TX-LATE', status: 'PAID', amount: 1000, currency: 'NGN' });
+    jest.spyOn(PaymentIntent, 'findByIdAndUpdate').mockResolvedValue(expired);
+    const flag = jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const transition = jest.spyOn(PaymentIntentService, 'transition');
+    const published = jest.spyOn(events, 'publish');
+
+    await expect(ReconciliationService.reconcile(transaction, { source: 'webhook' })).resolves.toMatchObject({ flagged: true });
+
+    expect(flag).toHaveBeenCalledWith(
+      { _id: transaction._id, 'refundReview.status': { $exists: false } },
+      { $set: { refundReview: { status: 'PENDING', reason: 'PAYMENT_INTENT_EXPIRED', flaggedAt: expect.any(Date) } } }
+    );
+    expect(transition).not.toHaveBeenCalled();
+    expect(published).toHaveBeenCalledWith(events.EVENTS.PAYMENT_INTENT_LATE_PAYMENT, expect.objectContaining({ reference: 'TX-LATE' }));
+  });
+
+  it('are not settled while under review', async () => {
+    const merchant = new Merchant({ businessName: 'Acme', kycStatus: 'approved' });
+    jest.spyOn(Transaction, 'findById').mockResolvedValue(new Transaction({ merchantId: merchant._id, status: 'PAID', refundReview: { status: 'PENDING' } }));
+    jest.spyOn(Merchant, 'findById').mockResolvedValue(merchant);
+    jest.spyOn(Transaction, 'updateOne').mockResolvedValue({});
+
+    await expect(SettlementService.process(objectId())).resolves.toMatchObject({ status: 'ON_HOLD', reason: 'REFUND_REVIEW' });
+  });
+});
+
+describe('RefundReviewService.resolve', () => {
+  it('settles an accepted payment', async () => {
+    const transaction = new Transaction({ merchantId: objectId(), reference: 'TX-LATE', refundReview: { status: 'ACCEPTED' } });
+    const update = jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(transaction);
+    const settle = jest.spyOn(SettlementService, 'process').mockResolvedValue({ status: 'SUCCESS' });
+
+    await RefundReviewService.resolve(transaction._id.toString(), { decision: 'accept' });
+
+    expect(update).toHaveBeenCalledWith(
+      { _id: transaction._id.toString(), 'refundReview.status': 'PENDING' },
+      { $set: expect.objectContaining({ 'refundReview.status': 'ACCEPTED' }) },
+      { new: true }
+    );
+    expect(settle).toHaveBeenCalledWith(transaction._id);
+  });
+
+  it('closes a refunded payment without settling it', async () => {
+    const update = jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(new Transaction({ merchantId: objectId(), reference: 'TX-LATE' }));
+    const settle = jest.spyOn(SettlementService, 'process');
+
+    await RefundReviewService.resolve(objectId().toString(), { decision: 'refund', note: 'Refunded by bank transfer' });
+
+    expect(update.mock.calls[0][1].$set).toMatchObject({ 'refundReview.status': 'REFUNDED', status: 'REFUNDED', 'refundReview.note': 'Refunded by bank transfer' });
+    expect(settle).not.toHaveBeenCalled();
+  });
+
+  it('refuses payments that are not awaiting review', async () => {
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Transaction, 'exists').mockResolvedValue({ _id: objectId() });
+
+    await expect(RefundReviewService.resolve(objectId().toString(), { decision: 'accept' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('WebhookEndpointService', () => {
+  it('delivers domain events signed with each endpoint secret', async () => {
+    const merchantId = objectId();
+    const secret = 'whsec_test';
+    jest.spyOn(Merchant, 'findById').mockReturnValue(query({ _id: merchantId }));
+    jest.spyOn(WebhookEndpoint, 'find').mockReturnValue(query([{ _id: objectId(), merchant: merchantId, url: 'https://acme.test/hooks', secret }]));
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 200 });
+
+    WebhookEndpointService.subscribe();
+    events.publish(events.EVENTS.PAYMENT_INTENT_EXPIRED, { merchantId: merchantId.toString(), paymentIntentId: 'pi_1' });
+    await new Promise(setImmediate);
+
+    const [url, body, { headers }] = post.mock.calls[0];
+    const [, timestamp, signature] = headers['KlevaPay-Signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    expect(url).toBe('https://acme.test/hooks');
+    expect(JSON.parse(body)).toMatchObject({ type: 'payment_intent.expired', data: { paymentIntentId: 'pi_1' } });
+    expect(signature).toBe(crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex'));
+  });
+});
+
+describe('migration 006', () => {
+  it('backfills expiresAt on unpaid intents, per merchant first', async () => {
+    const updateMany = jest.fn().mockResolvedValue({});
+    const merchantId = objectId();
+    const db = {
+      collection: (name) => (name === 'merchants'
+        ? { find: () => ({ project: () => [{ _id: merchantId, paymentIntentExpiryMinutes: 60 }] }) }
+        : { updateMany })
+    };
+
+    await backfillExpiry.up(db);
+
+    expect(updateMany).toHaveBeenNthCalledWith(1,
+      { merchantId, status: { $in: ['REQUIRES_PAYMENT', 'PROCESSING'] }, expiresAt: { $exists: false } },
+      [{ $set: { expiresAt: { $add: ['$createdAt', 60 * MINUTE_MS] }, _migration006: true } }]
+    );
+    expect(updateMany).toHaveBeenNthCalledWith(2,
+      { status: { $in: ['REQUIRES_PAYMENT', 'PROCESSING'] }, expiresAt: { $exists: false } },
+      [{ $set: { expiresAt: { $add: ['$createdAt', 1440 * MINUTE_MS] }, _migration006: true } }]
+    );
+  });
+});
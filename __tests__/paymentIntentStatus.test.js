@@ -0,0 +1,106 @@
+const request = require('supertest');
+const PaymentIntent = require('../models/PaymentInent');
+const AuditService = require('../services/AuditService');
+const PaymentIntentService = require('../services/PaymentIntentService');
+const SecurityPolicyService = require('../services/SecurityPolicyService');
+const TokenService = require('../services/TokenService');
+const paymentIntentRoutes = require('../routes/paymentIntentRoute');
+const { query, appFor, bearer, objectId } = require('./support/helpers');
+
+function intent(status, fields = {}) {
+  return new PaymentIntent({
+    merchantId: objectId(),
+    amount: 1000,
+    sourceCurrency: 'NGN',
+    targetCurrency: 'USDT',
+    status,
+    ...fields
+  });
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(AuditService, 'record').mockResolvedValue();
+});
+
+describe('PaymentIntentService.transition', () => {
+  it('applies a legal transition and records it in the history', async () => {
+    const current = intent('PROCESSING');
+    const update = jest.spyOn(PaymentIntent, 'findOneAndUpdate').mockImplementation(async () => current);
+    const actor = { type: 'system', id: 'flutterwave' };
+
+    await PaymentIntentService.transition(current, 'PAID', { source: 'webhook', actor, reason: 'charge.completed' });
+
+    expect(update).toHaveBeenCalledWith(
+      { _id: current._id, status: 'PROCESSING' },
+      {
+        $set: { status: 'PAID' },
+        $push: { statusHistory: { from: 'PROCESSING', to: 'PAID', source: 'webhook', actor, reason: 'charge.completed', at: expect.any(Date) } }
+      },
+      { new: true, runValidators: true }
+    );
+  });
+
+  it('refuses illegal transitions with a typed conflict', async () => {
+    const update = jest.spyOn(PaymentIntent, 'findOneAndUpdate');
+
+    await expect(PaymentIntentService.transition(intent('SETTLED'), 'REQUIRES_PAYMENT', { source: 'api' })).rejects.toMatchObject({
+      statusCode: 409,
+      details: { code: 'ILLEGAL_STATUS_TRANSITION', from: 'SETTLED', to: 'REQUIRES_PAYMENT', allowed: ['REFUNDED'] }
+    });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('reports a concurrent change instead of overwriting it', async () => {
+    jest.spyOn(PaymentIntent, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(PaymentIntentService.transition(intent('REQUIRES_PAYMENT'), 'CANCELED', { source: 'api' }))
+      .rejects.toMatchObject({ statusCode: 409, details: { code: 'STATUS_CHANGED' } });
+  });
+
+  it('treats CANCELED, EXPIRED and REFUNDED as final', () => {
+    for (const status of ['CANCELED', 'EXPIRED', 'REFUNDED']) {
+      expect(PaymentIntentService.allowedTransitions(status)).toEqual([]);
+    }
+  });
+});
+
+describe('PATCH /api/payment-intents/:id/status', () => {
+  const app = appFor('/api/payment-intents', paymentIntentRoutes);
+
+  beforeEach(() => {
+    jest.spyOn(TokenService, 'isSessionActive').mockResolvedValue(true);
+    jest.spyOn(SecurityPolicyService, 'isTwoFactorRequired').mockResolvedValue(false);
+  });
+
+  it('returns 409 when an admin tries to reopen a settled intent', async () => {
+    const settled = intent('SETTLED');
+    jest.spyOn(PaymentIntent, 'findById').mockReturnValue(query(settled));
+
+    const res = await request(app)
+      .patch(`/api/payment-intents/${settled._id}/status`)
+      .set('Authorization', bearer({ role: 'admin' }))
+      .send({ status: 'REQUIRES_PAYMENT', reason: 'Customer asked to pay again' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.details.code).toBe('ILLEGAL_STATUS_TRANSITION');
+    expect(AuditService.record).not.toHaveBeenCalled();
+  });
+
+  it('audits a legal override', async () => {
+    const paid = intent('PAID');
+    jest.spyOn(PaymentIntent, 'findById').mockReturnValue(query(paid));
+    jest.spyOn(PaymentIntent, 'findOneAndUpdate').mockImplementation(async () => Object.assign(paid, { status: 'REFUNDED' }));
+
+    const res = await request(app)
+      .patch(`/api/payment-intents/${paid._id}/status`)
+      .set('Authorization', bearer({ role: 'admin' }))
+      .send({ status: 'REFUNDED', reason: 'Refunded off-platform' });
+
+    expect(res.status).toBe(200);
+    expect(AuditService.record).toHaveBeenCalledWith(expect.objectContaining({
+      action: AuditService.AUDIT_ACTIONS.PAYMENT_STATUS_OVERRIDE,
+      changes: { before: { status: 'PAID' }, after: { status: 'REFUNDED' } }
+    }), expect.anything());
+  });
+});
@@ -0,0 +1,166 @@
+const request = require('supertest');
+const Merchant = require('../models/Merchant');
+const Membership = require('../models/Membership');
+const PayoutDestination = require('../models/PayoutDestination');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const PayoutDestinationService = require('../services/PayoutDestinationService');
+const AuditService = require('../services/AuditService');
+const OnboardingService = require('../services/OnboardingService');
+const SettlementService = require('../services/SettlementService');
+const TokenService = require('../services/TokenService');
+const emailService = require('../services/sendEmail');
+const merchantRoutes = require('../routes/merchantRoutes');
+const { query, appFor, bearer, objectId } = require('./support/helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function merchant(fields = {}) {
+  const doc = new Merchant({ businessName: 'Acme Stores Ltd', owner: objectId(), kycStatus: 'approved', ...fields });
+  jest.spyOn(doc, 'save').mockResolvedValue(doc);
+  return doc;
+}
+
+function destination(fields = {}) {
+  return new PayoutDestination({
+    merchant: objectId(),
+    type: 'bank_account',
+    currency: 'NGN',
+    bankAccount: { bankCode: '058', accountNumber: '0123456789' },
+    verification: { status: 'verified' },
+    usableFrom: new Date(Date.now() - HOUR_MS),
+    ...fields
+  });
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(AuditService, 'record').mockResolvedValue();
+  jest.spyOn(OnboardingService, 'sync').mockResolvedValue();
+  jest.spyOn(emailService, 'sendPayoutDestinationAddedEmail').mockResolvedValue({ success: true });
+  jest.spyOn(User, 'findById').mockReturnValue(query({ email: 'owner@acme.test' }));
+  jest.spyOn(PayoutDestination, 'find').mockReturnValue(query([]));
+  jest.spyOn(PayoutDestination, 'updateMany').mockResolvedValue({});
+  jest.spyOn(PayoutDestination.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  delete process.env.FLUTTERWAVE_MOCK_ACCOUNT_NAME;
+});
+
+describe('PayoutDestinationService.create', () => {
+  const bankAccount = { bankCode: '058', accountNumber: '0123456789' };
+
+  it('verifies a bank account whose name matches the business', async () => {
+    process.env.FLUTTERWAVE_MOCK_ACCOUNT_NAME = 'ACME STORES LIMITED';
+
+    const created = await PayoutDestinationService.create(merchant(), { type: 'bank_account', currency: 'NGN', bankAccount });
+
+    expect(created.verification).toMatchObject({ status: 'verified', resolvedAccountName: 'ACME STORES LIMITED', nameMatchScore: 1 });
+    expect(created.isDefault).toBe(true);
+    expect(created.usable).toBe(false);
+    expect(created.usableFrom.getTime()).toBeGreaterThan(Date.now() + 47 * HOUR_MS);
+  });
+
+  it('flags an account held in another name', async () => {
+    process.env.FLUTTERWAVE_MOCK_ACCOUNT_NAME = 'JOHN DOE';
+
+    const created = await PayoutDestinationService.create(merchant(), { type: 'bank_account', currency: 'NGN', bankAccount });
+
+    expect(created.verification.status).toBe('name_mismatch');
+  });
+
+  it('refuses an account the bank cannot resolve', async () => {
+    await expect(PayoutDestinationService.create(merchant(), {
+      type: 'bank_account',
+      currency: 'NGN',
+      bankAccount: { bankCode: '058', accountNumber: '0123450000' }
+    })).rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  it('refuses currencies the destination type cannot receive', async () => {
+    await expect(PayoutDestinationService.create(merchant(), {
+      type: 'crypto_wallet',
+      currency: 'NGN',
+      cryptoWallet: { address: '0x'.padEnd(42, 'a') }
+    })).rejects.toMatchObject({ statusCode: 422 });
+  });
+});
+
+describe('PayoutDestinationService.nameMatchScore', () => {
+  it('ignores company suffixes and punctuation', () => {
+    expect(PayoutDestinationService.nameMatchScore('Acme Stores Ltd', 'ACME-STORES NIGERIA LIMITED')).toBe(1);
+    expect(PayoutDestinationService.nameMatchScore('Acme Stores', 'ACME HOLDINGS')).toBe(0.5);
+  });
+});
+
+describe('PayoutDestinationService.resolveForSettlement', () => {
+  it('prefers a usable destination in the settlement currency over the default', async () => {
+    const usd = destination({ type: 'crypto_wallet', currency: 'USDT', isDefault: true, cryptoWallet: { address: '0x'.padEnd(42, 'b') }, bankAccount: undefined });
+    const ngn = destination();
+    const cooling = destination({ currency: 'GHS', usableFrom: new Date(Date.now() + HOUR_MS) });
+    PayoutDestination.find.mockReturnValue(query([usd, ngn, cooling]));
+
+    await expect(PayoutDestinationService.resolveForSettlement(objectId(), 'NGN')).resolves.toBe(ngn);
+    await expect(PayoutDestinationService.resolveForSettlement(objectId(), 'GHS')).resolves.toBe(usd);
+  });
+});
+
+describe('SettlementService.process without destinations', () => {
+  it('pays the preferred account using its bankCode and currency', async () => {
+    const doc = merchant({
+      payoutPreferences: { method: 'bank_transfer', currency: 'GHS', accountDetails: { bankCode: 'GH123', accountNumber: '0123456789', accountName: 'Acme' } }
+    });
+    jest.spyOn(Transaction, 'findById').mockResolvedValue(new Transaction({ merchantId: doc._id, status: 'PAID', fiatCurrency: 'NGN' }));
+    jest.spyOn(Merchant, 'findById').mockResolvedValue(doc);
+    jest.spyOn(Transaction, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Transaction, 'findByIdAndUpdate').mockResolvedValue({});
+    const settle = jest.spyOn(SettlementService, 'settleWithFiat').mockResolvedValue({ provider: 'FLUTTERWAVE', reference: 'ref-1' });
+
+    await SettlementService.process(objectId());
+
+    expect(settle).toHaveBeenCalledWith(expect.anything(), doc, expect.objectContaining({
+      destinationId: null,
+      currency: 'GHS',
+      account: expect.objectContaining({ bankCode: 'GH123', accountNumber: '0123456789' })
+    }));
+  });
+});
+
+describe('POST /api/merchant/:merchantId/payout-destinations', () => {
+  const app = appFor('/api/merchant', merchantRoutes);
+
+  it('requires a two-factor step-up code', async () => {
+    const doc = merchant();
+    jest.spyOn(TokenService, 'isSessionActive').mockResolvedValue(true);
+    jest.spyOn(Merchant, 'findById').mockReturnValue(query(doc));
+    jest.spyOn(Membership, 'findOne').mockReturnValue(query({ role: 'owner' }));
+    User.findById.mockReturnValue(query(new User({ businessName: 'Acme Stores', email: 'owner@acme.test', password: 'x'.repeat(8), twoFactor: { enabled: true, secret: 'x' } })));
+    const create = jest.spyOn(PayoutDestinationService, 'create');
+
+    const res = await request(app)
+      .post(`/api/merchant/${doc._id}/payout-destinations`)
+      .set('Authorization', bearer({ userId: doc.owner.toString() }))
+      .send({ type: 'bank_account', currency: 'NGN', bankAccount: { bankCode: '058', accountNumber: '0123456789' } });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.details.code).toBe('STEP_UP_REQUIRED');
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Flutterwave mock', () => {
+  it('cannot be enabled in production', () => {
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      jest.isolateModules(() => {
+        expect(() => require('../config/flutterwave')).toThrow('FLUTTERWAVE_MOCK cannot be enabled when NODE_ENV is production');
+      });
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+  });
+});
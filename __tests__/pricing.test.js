@@ -0,0 +1,109 @@
+const FeePlan = require('../models/FeePlan');
+const Transaction = require('../models/Transaction');
+const PricingService = require('../services/PricingService');
+const SettlementService = require('../services/SettlementService');
+const { flwClient } = require('../config/flutterwave');
+const { query, objectId } = require('./support/helpers');
+
+function plan(rules, fields = {}) {
+  return { _id: objectId(), name: 'Plan', rules, ...fields };
+}
+
+const rule = (fields) => ({ method: '*', currency: '*', percentage: 0, flat: 0, cap: null, floor: 0, ...fields });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(FeePlan, 'findById').mockReturnValue(query(null));
+  jest.spyOn(FeePlan, 'findOne').mockReturnValue(query(null));
+});
+
+describe('PricingService.matchRule', () => {
+  it('picks the most specific rule', () => {
+    const rules = [
+      rule({ percentage: 1 }),
+      rule({ currency: 'NGN', percentage: 2 }),
+      rule({ method: 'CARD', percentage: 3 }),
+      rule({ method: 'CARD', currency: 'NGN', percentage: 4 })
+    ];
+
+    expect(PricingService.matchRule(rules, 'CARD', 'NGN').percentage).toBe(4);
+    expect(PricingService.matchRule(rules, 'CARD', 'USD').percentage).toBe(3);
+    expect(PricingService.matchRule(rules, 'BANK', 'NGN').percentage).toBe(2);
+    expect(PricingService.matchRule(rules, 'CRYPTO', 'USDT').percentage).toBe(1);
+  });
+});
+
+describe('PricingService.quote', () => {
+  it('applies the merchant plan with percentage, flat fee and cap', async () => {
+    const merchantPlan = plan([rule({ method: 'CARD', currency: 'NGN', percentage: 1.5, flat: 100, cap: 2000 })]);
+    FeePlan.findById.mockReturnValue(query(merchantPlan));
+
+    await expect(PricingService.quote({ feePlan: merchantPlan._id, method: 'card', currency: 'ngn', amount: 10000 }))
+      .resolves.toMatchObject({ planId: merchantPlan._id, percentageFee: 150, flatFee: 100, total: 250, currency: 'NGN' });
+    await expect(PricingService.quote({ feePlan: merchantPlan._id, method: 'card', currency: 'ngn', amount: 1000000 }))
+      .resolves.toMatchObject({ total: 2000, adjustment: 'cap' });
+  });
+
+  it('falls back to the default plan when the merchant plan has no matching rule', async () => {
+    FeePlan.findById.mockReturnValue(query(plan([rule({ method: 'CARD', currency: 'NGN', percentage: 1 })])));
+    const defaultPlan = plan([rule({ currency: 'USD', percentage: 2, floor: 1 })], { name: 'Default', isDefault: true });
+    FeePlan.findOne.mockReturnValue(query(defaultPlan));
+
+    await expect(PricingService.quote({ feePlan: objectId(), method: 'BANK', currency: 'USD', amount: 10 }))
+      .resolves.toMatchObject({ planName: 'Default', total: 1, adjustment: 'floor' });
+  });
+
+  it('never charges more than the payment', async () => {
+    FeePlan.findOne.mockReturnValue(query(plan([rule({ currency: 'NGN', flat: 500 })])));
+
+    await expect(PricingService.quote({ method: 'BANK', currency: 'NGN', amount: 200 }))
+      .resolves.toMatchObject({ total: 200, adjustment: 'amount' });
+  });
+
+  it('charges the built-in flat fee only in PLATFORM_FEE_CURRENCY', async () => {
+    process.env.PLATFORM_FEE_FLAT = '100';
+    try {
+      await jest.isolateModulesAsync(async () => {
+        const IsolatedPricing = require('../services/PricingService');
+        const IsolatedFeePlan = require('../models/FeePlan');
+        jest.spyOn(IsolatedFeePlan, 'findOne').mockReturnValue(query(null));
+
+        await expect(IsolatedPricing.quote({ method: 'CARD', currency: 'NGN', amount: 10000 })).resolves.toMatchObject({ flatFee: 100, total: 250 });
+        await expect(IsolatedPricing.quote({ method: 'CARD', currency: 'USD', amount: 100 })).resolves.toMatchObject({ flatFee: 0, total: 1.5 });
+      });
+    } finally {
+      delete process.env.PLATFORM_FEE_FLAT;
+    }
+  });
+});
+
+describe('FeePlan', () => {
+  it('rejects fixed amounts on rules for any currency', async () => {
+    const error = new FeePlan({ name: 'Flat', rules: [rule({ percentage: 1, flat: 100 })] }).validateSync();
+
+    expect(error.errors.rules.message).toMatch('a rule for any currency (*) may only charge a percentage');
+    expect(new FeePlan({ name: 'Percent', rules: [rule({ percentage: 1 })] }).validateSync()).toBeUndefined();
+  });
+});
+
+describe('SettlementService.settleWithFiat', () => {
+  it('nets the recorded platform fee out of the payout', async () => {
+    const transfer = jest.spyOn(flwClient, 'post').mockResolvedValue({ data: { status: 'success' } });
+    const transaction = new Transaction({
+      merchantId: objectId(),
+      reference: 'TX-1',
+      amount: 10000,
+      currency: 'NGN',
+      fee: { total: 250, currency: 'NGN' }
+    });
+
+    const result = await SettlementService.settleWithFiat(transaction, { businessName: 'Acme' }, {
+      method: 'bank_transfer',
+      currency: 'NGN',
+      account: { bankCode: '058', accountNumber: '0123456789' }
+    });
+
+    expect(transfer).toHaveBeenCalledWith('/transfers', expect.objectContaining({ amount: 9750, currency: 'NGN' }));
+    expect(result.details).toMatchObject({ grossAmount: '10000.00', fee: '250.00', netAmount: '9750.00' });
+  });
+});
@@ -0,0 +1,210 @@
+const request = require('supertest');
+const Membership = require('../models/Membership');
+const Merchant = require('../models/Merchant');
+const PaymentIntent = require('../models/PaymentInent');
+const Transaction = require('../models/Transaction');
+const PricingService = require('../services/PricingService');
+const ReconciliationService = require('../services/ReconciliationService');
+const SettlementService = require('../services/SettlementService');
+const TokenService = require('../services/TokenService');
+const TransactionService = require('../services/transactionService');
+const partialPayments = require('../migrations/007-payment-intent-partial-payments');
+const paymentIntentRoutes = require('../routes/paymentIntentRoute');
+const { query, appFor, bearer, objectId } = require('./support/helpers');
+
+jest.mock('../services/pricefeed', () => ({
+  // 1 USD = 1500 NGN; no feed for BTC
+  convert: jest.fn(async (from, to, amount) => {
+    if (from === 'BTC') throw new Error('No price for BTC');
+    if (from === 'USD' && to === 'NGN') return amount * 1500;
+    return amount;
+  })
+}));
+
+function intent(fields = {}) {
+  return new PaymentIntent({
+    merchantId: objectId(),
+    amount: 15000,
+    sourceCurrency: 'NGN',
+    targetCurrency: 'USDT',
+    status: 'REQUIRES_PAYMENT',
+    ...fields
+  });
+}
+
+function payment(current, fields = {}) {
+  return new Transaction({
+    merchantId: current.merchantId,
+    paymentIntentId: current._id,
+    reference: 'TX-1',
+    status: 'SUCCESSFUL',
+    amount: 15000,
+    currency: 'NGN',
+    ...fields
+  });
+}
+
+// The intent as stored, with the payments already recorded against it
+function stored(current, payments) {
+  jest.spyOn(PaymentIntent, 'findByIdAndUpdate').mockImplementation(async (id, update) => Object.assign(current, update.$set));
+  jest.spyOn(PaymentIntent, 'findOneAndUpdate').mockImplementation(async (filter, update) => Object.assign(current, update.$set));
+  jest.spyOn(Transaction, 'find').mockReturnValue(query(payments.map((doc) => doc.toObject())));
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ReconciliationService.reconcile', () => {
+  it('adds the payment to the intent and moves it to PARTIALLY_PAID', async () => {
+    const current = intent();
+    const first = payment(current, { amount: 5000 });
+    stored(current, [first]);
+
+    const result = await ReconciliationService.reconcile(first, { source: 'webhook' });
+
+    expect(PaymentIntent.findByIdAndUpdate).toHaveBeenCalledWith(current._id, { $addToSet: { transactions: first._id } }, { new: true });
+    expect(result).toMatchObject({ amountReceived: 5000, unconverted: [], flagged: false });
+    expect(current.status).toBe('PARTIALLY_PAID');
+  });
+
+  it('totals every payment, counting stablecoins one-for-one against USD', async () => {
+    const current = intent({ amount: 100, sourceCurrency: 'USD', status: 'PARTIALLY_PAID' });
+    const last = payment(current, { reference: 'TX-2', amount: 60, currency: 'USDT' });
+    stored(current, [payment(current, { amount: 40, currency: 'USD' }), last]);
+
+    await expect(ReconciliationService.reconcile(last, { source: 'contract_event' })).resolves.toMatchObject({ amountReceived: 100 });
+    expect(current.status).toBe('PAID');
+  });
+
+  it('treats amounts within a tenth of a percent as paid in full', async () => {
+    const current = intent();
+    const short = payment(current, { amount: 14990 });
+    stored(current, [short]);
+
+    await ReconciliationService.reconcile(short, { source: 'webhook' });
+
+    expect(current.status).toBe('PAID');
+  });
+
+  it('marks the intent OVERPAID when more than the amount arrives', async () => {
+    const current = intent();
+    const extra = payment(current, { amount: 16000 });
+    stored(current, [extra]);
+
+    await ReconciliationService.reconcile(extra, { source: 'webhook' });
+
+    expect(current.status).toBe('OVERPAID');
+  });
+
+  it('converts payments in other currencies and reports the ones it cannot', async () => {
+    const current = intent();
+    const unpriced = payment(current, { reference: 'TX-2', amount: 1, currency: 'BTC' });
+    stored(current, [payment(current, { amount: 10, currency: 'USD' }), unpriced]);
+
+    const result = await ReconciliationService.reconcile(unpriced, { source: 'webhook' });
+
+    expect(result).toMatchObject({ amountReceived: 15000, unconverted: [unpriced._id.toString()] });
+    expect(current.status).toBe('PAID');
+  });
+
+  it('leaves out payments under refund review', async () => {
+    const current = intent();
+    stored(current, []);
+
+    await ReconciliationService.amountReceived(current);
+
+    expect(Transaction.find).toHaveBeenCalledWith(expect.objectContaining({ 'refundReview.status': { $exists: false } }));
+  });
+
+  it('does not count payments that have not succeeded', async () => {
+    const current = intent();
+    stored(current, []);
+
+    await ReconciliationService.reconcile(payment(current, { status: 'PENDING' }), { source: 'webhook' });
+
+    expect(Transaction.find).not.toHaveBeenCalled();
+    expect(current.status).toBe('REQUIRES_PAYMENT');
+  });
+});
+
+describe('TransactionService.recordFlutterwaveTransaction', () => {
+  it('links a payment to the intent whose order id matches its reference', async () => {
+    const merchant = new Merchant({ businessName: 'Acme Stores' });
+    const linked = intent({ merchantId: merchant._id, orderId: 'ORDER-42' });
+    jest.spyOn(Merchant, 'findById').mockReturnValue(query(merchant.toObject()));
+    jest.spyOn(PricingService, 'quote').mockResolvedValue({ total: 0 });
+    jest.spyOn(PaymentIntent, 'findOne')
+      .mockReturnValueOnce(query(null))
+      .mockReturnValueOnce(query({ _id: linked._id, sourceCurrency: 'NGN' }));
+    const upsert = jest.spyOn(Transaction, 'findOneAndUpdate').mockReturnValue(query({ _id: objectId(), paymentIntentId: linked._id }));
+    const reconcile = jest.spyOn(ReconciliationService, 'reconcile').mockResolvedValue(null);
+    jest.spyOn(SettlementService, 'process').mockResolvedValue({});
+
+    await TransactionService.recordFlutterwaveTransaction(
+      { data: { tx_ref: 'ORDER-42', amount: 15000, currency: 'NGN', status: 'successful' } },
+      { merchantId: merchant._id.toString() }
+    );
+
+    expect(PaymentIntent.findOne).toHaveBeenLastCalledWith({ merchantId: merchant._id.toString(), orderId: 'ORDER-42' });
+    expect(upsert.mock.calls[0][1].$setOnInsert).toMatchObject({ paymentIntentId: linked._id });
+    expect(reconcile).toHaveBeenCalledWith(expect.objectContaining({ paymentIntentId: linked._id }), { source: 'webhook' });
+  });
+});
+
+describe('GET /api/payment-intents/:id', () => {
+  it('returns the payments recorded against the intent', async () => {
+    const merchant = new Merchant({ businessName: 'Acme Stores' });
+    const current = intent({ merchantId: merchant._id });
+    jest.spyOn(TokenService, 'isSessionActive').mockResolvedValue(true);
+    jest.spyOn(PaymentIntent, 'findById').mockResolvedValue(current);
+    jest.spyOn(Merchant, 'findById').mockReturnValue(query(merchant));
+    jest.spyOn(Membership, 'findOne').mockReturnValue(query({ role: 'viewer' }));
+    jest.spyOn(Transaction, 'find').mockReturnValue(query([{ reference: 'TX-1', amount: 15000, currency: 'NGN', status: 'SUCCESSFUL' }]));
+
+    const res = await request(appFor('/api/payment-intents', paymentIntentRoutes))
+      .get(`/api/payment-intents/${current._id}`)
+      .set('Authorization', bearer());
+
+    expect(res.status).toBe(200);
+    expect(Transaction.find).toHaveBeenCalledWith({ paymentIntentId: current._id });
+    expect(res.body.data.payments).toEqual([{ reference: 'TX-1', amount: 15000, currency: 'NGN', status: 'SUCCESSFUL' }]);
+  });
+});
+
+describe('migration 007', () => {
+  function fakeDb(partiallyPaid = 0) {
+    const intents = {
+      updateMany: jest.fn().mockResolvedValue({}),
+      countDocuments: jest.fn().mockResolvedValue(partiallyPaid)
+    };
+    return { intents, collection: () => intents };
+  }
+
+  it('sets amountReceived to the full amount only for paid intents', async () => {
+    const { intents, ...db } = fakeDb();
+
+    await partialPayments.up(db);
+
+    expect(intents.updateMany).toHaveBeenCalledWith(
+      { amountReceived: { $exists: false }, status: { $in: ['PAID', 'SETTLED', 'REFUNDED'] } },
+      [{ $set: { amountReceived: '$amount' } }]
+    );
+    expect(intents.updateMany).toHaveBeenLastCalledWith({ amountReceived: { $exists: false } }, { $set: { amountReceived: 0 } });
+  });
+
+  it('refuses to roll back while intents are partially paid or overpaid', async () => {
+    const { intents, ...db } = fakeDb(2);
+
+    await expect(partialPayments.down(db)).rejects.toThrow('2 payment intent(s) are partially paid or overpaid');
+    expect(intents.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('drops the fields once nothing depends on them', async () => {
+    const { intents, ...db } = fakeDb();
+
+    await partialPayments.down(db);
+
+    expect(intents.updateMany).toHaveBeenCalledWith({}, { $unset: { transactions: '', amountReceived: '' } });
+  });
+});
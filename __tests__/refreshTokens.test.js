@@ -0,0 +1,80 @@
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const TokenService = require('../services/TokenService');
+const jwtUtils = require('../utils/jwtUtils');
+const { query, objectId } = require('./support/helpers');
+
+const user = new User({ businessName: 'Acme Stores', email: 'owner@acme.test', password: 'x'.repeat(8), verified: true });
+
+function refreshTokenFor(tokenId, family = 'family-1') {
+  return jwtUtils.generateTokenPair(user, { sessionId: family, tokenId }).refreshToken;
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+  jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+  jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+  jest.spyOn(User, 'findById').mockReturnValue(query(user));
+});
+
+describe('TokenService.rotate', () => {
+  it('retires the presented token and issues the next one in the same family', async () => {
+    const stored = { tokenId: 'token-1', user: user._id, family: 'family-1', mfa: true };
+    jest.spyOn(RefreshToken, 'findOne').mockReturnValue(query(stored));
+    const claim = jest.spyOn(RefreshToken, 'findOneAndUpdate').mockReturnValue(query({ ...stored, revokedAt: new Date() }));
+
+    const tokens = await TokenService.rotate(refreshTokenFor('token-1'));
+
+    const [filter, update] = claim.mock.calls[0];
+    expect(filter).toEqual({ tokenId: 'token-1', revokedAt: null });
+    expect(update.$set).toMatchObject({ revokedReason: 'rotated', replacedBy: expect.any(String) });
+
+    const next = RefreshToken.create.mock.calls[0][0];
+    expect(next).toMatchObject({ family: 'family-1', mfa: true, tokenId: update.$set.replacedBy });
+    expect(tokens.sessionId).toBe('family-1');
+    expect(jwtUtils.verifyRefreshToken(tokens.refreshToken).jti).toBe(next.tokenId);
+  });
+
+  it('revokes the whole family when a rotated token is presented again', async () => {
+    const stored = { tokenId: 'token-1', user: user._id, family: 'family-1', revokedReason: 'rotated' };
+    jest.spyOn(RefreshToken, 'findOne').mockReturnValue(query(stored));
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockReturnValue(query(null));
+
+    await expect(TokenService.rotate(refreshTokenFor('token-1'))).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+      { family: 'family-1', revokedAt: null },
+      { $set: expect.objectContaining({ revokedReason: 'reuse_detected' }) }
+    );
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('does not revoke the family for a token that was logged out', async () => {
+    const stored = { tokenId: 'token-1', user: user._id, family: 'family-1', revokedReason: 'logout' };
+    jest.spyOn(RefreshToken, 'findOne').mockReturnValue(query(stored));
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockReturnValue(query(null));
+
+    await expect(TokenService.rotate(refreshTokenFor('token-1'))).rejects.toMatchObject({ statusCode: 401 });
+    expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('rejects a token that belongs to another user', async () => {
+    const stored = { tokenId: 'token-1', user: objectId(), family: 'family-1' };
+    jest.spyOn(RefreshToken, 'findOne').mockReturnValue(query(stored));
+    const claim = jest.spyOn(RefreshToken, 'findOneAndUpdate');
+
+    await expect(TokenService.rotate(refreshTokenFor('token-1'))).rejects.toMatchObject({ statusCode: 401 });
+    expect(claim).not.toHaveBeenCalled();
+  });
+});
+
+describe('TokenService.isSessionActive', () => {
+  it('is false without a live refresh token in the family', async () => {
+    jest.spyOn(RefreshToken, 'exists').mockResolvedValue(null);
+
+    await expect(TokenService.isSessionActive('family-1')).resolves.toBe(false);
+    await expect(TokenService.isSessionActive(undefined)).resolves.toBe(false);
+  });
+});
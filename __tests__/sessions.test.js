@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const Session = require('../models/Session');
+const TokenService = require('../services/TokenService');
+const SessionService = require('../services/SessionService');
+const emailService = require('../services/sendEmail');
+const jwtUtils = require('../utils/jwtUtils');
+const authRoutes = require('../routes/authRoutes');
+const { query, appFor, bearer, objectId } = require('./support/helpers');
+
+const app = appFor('/api/auth', authRoutes);
+
+const userId = objectId().toString();
+const currentSessionId = crypto.randomUUID();
+const otherSessionId = crypto.randomUUID();
+const auth = () => bearer({ userId, sessionId: currentSessionId });
+
+function session(sessionId, fields = {}) {
+  return new Session({
+    sessionId,
+    user: userId,
+    refreshTokenId: crypto.randomUUID(),
+    userAgent: 'Mozilla/5.0',
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...fields
+  });
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(TokenService, 'isSessionActive').mockResolvedValue(true);
+  jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+  jest.spyOn(TokenService, 'revokeFamily').mockResolvedValue(1);
+  jest.spyOn(emailService, 'sendNewDeviceLoginEmail').mockResolvedValue({ success: true });
+});
+
+describe('GET /api/auth/sessions', () => {
+  it('lists active sessions and marks the current one', async () => {
+    const find = jest.spyOn(Session, 'find').mockReturnValue(query([
+      session(currentSessionId).toObject(),
+      session(otherSessionId).toObject()
+    ]));
+
+    const res = await request(app).get('/api/auth/sessions').set('Authorization', auth());
+
+    expect(res.status).toBe(200);
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ user: userId, revokedAt: null }));
+    expect(res.body.data.map(({ sessionId, current }) => ({ sessionId, current }))).toEqual([
+      { sessionId: currentSessionId, current: true },
+      { sessionId: otherSessionId, current: false }
+    ]);
+  });
+
+  it('is not available to wallet tokens', async () => {
+    const token = jwtUtils.generateWalletToken({ walletAddress: '0xabc', chainId: 4202 });
+
+    const res = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('DELETE /api/auth/sessions/:sessionId', () => {
+  it('revokes the refresh token family of that session', async () => {
+    jest.spyOn(Session, 'findOne').mockReturnValue(query(session(otherSessionId)));
+
+    const res = await request(app).delete(`/api/auth/sessions/${otherSessionId}`).set('Authorization', auth());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.current).toBe(false);
+    expect(Session.findOne).toHaveBeenCalledWith({ sessionId: otherSessionId, user: userId });
+    expect(TokenService.revokeFamily).toHaveBeenCalledWith(otherSessionId, 'revoked');
+  });
+
+  it('returns 404 for a session that is already revoked', async () => {
+    jest.spyOn(Session, 'findOne').mockReturnValue(query(session(otherSessionId, { revokedAt: new Date() })));
+
+    const res = await request(app).delete(`/api/auth/sessions/${otherSessionId}`).set('Authorization', auth());
+
+    expect(res.status).toBe(404);
+    expect(TokenService.revokeFamily).not.toHaveBeenCalled();
+  });
+});
+
+describe('SessionService.notifyIfNewDevice', () => {
+  const user = { _id: userId, email: 'owner@acme.test', businessName: 'Acme Stores' };
+
+  it('emails the user about a device it has not seen before', async () => {
+    jest.spyOn(Session, 'exists').mockImplementation(async (filter) => (filter.deviceHash ? null : { _id: objectId() }));
+
+    await expect(SessionService.notifyIfNewDevice(user, currentSessionId, { userAgent: 'curl/8', ip: '10.0.0.1' })).resolves.toBe(true);
+    expect(emailService.sendNewDeviceLoginEmail).toHaveBeenCalledWith('owner@acme.test', expect.objectContaining({ userAgent: 'curl/8', ip: '10.0.0.1' }));
+  });
+
+  it('stays quiet on the first sign-in of an account', async () => {
+    jest.spyOn(Session, 'exists').mockResolvedValue(null);
+
+    await expect(SessionService.notifyIfNewDevice(user, currentSessionId, { userAgent: 'curl/8' })).resolves.toBe(false);
+    expect(emailService.sendNewDeviceLoginEmail).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,79 @@
+const { Wallet } = require('ethers');
+const SiweNonce = require('../models/SiweNonce');
+const Merchant = require('../models/Merchant');
+const SiweService = require('../services/SiweService');
+const siweUtils = require('../utils/siweUtils');
+const jwtUtils = require('../utils/jwtUtils');
+const { query, objectId } = require('./support/helpers');
+
+const wallet = Wallet.createRandom();
+const merchant = { _id: objectId(), businessName: 'Acme Stores' };
+
+function message(fields = {}) {
+  return siweUtils.formatMessage({
+    domain: 'localhost:3000',
+    address: wallet.address,
+    uri: 'http://localhost:3000',
+    chainId: 4202,
+    nonce: 'abcdefgh12345678',
+    issuedAt: new Date().toISOString(),
+    ...fields
+  });
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(SiweNonce, 'findOneAndUpdate').mockReturnValue(query({ nonce: 'abcdefgh12345678' }));
+  jest.spyOn(Merchant, 'findOne').mockReturnValue(query(merchant));
+});
+
+describe('SiweService.verify', () => {
+  it('issues a wallet-scoped token for a valid signature', async () => {
+    const signed = message();
+
+    const result = await SiweService.verify({ message: signed, signature: await wallet.signMessage(signed) });
+
+    const claims = jwtUtils.verifyAccessToken(result.tokens.accessToken);
+    expect(claims).toMatchObject({
+      scope: 'wallet',
+      walletAddress: wallet.address.toLowerCase(),
+      merchantId: merchant._id.toString()
+    });
+    expect(claims.userId).toBeUndefined();
+    expect(SiweNonce.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ nonce: 'abcdefgh12345678', usedAt: null }),
+      expect.any(Object),
+      expect.any(Object)
+    );
+  });
+
+  it('rejects a signature from another wallet without burning the nonce', async () => {
+    const signed = message();
+
+    await expect(SiweService.verify({ message: signed, signature: await Wallet.createRandom().signMessage(signed) }))
+      .rejects.toMatchObject({ statusCode: 401 });
+    expect(SiweNonce.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects messages for another domain', async () => {
+    const signed = message({ domain: 'evil.example' });
+
+    await expect(SiweService.verify({ message: signed, signature: await wallet.signMessage(signed) }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Message domain does not match this site' });
+  });
+
+  it('rejects expired messages', async () => {
+    const signed = message({ expirationTime: new Date(Date.now() - 1000).toISOString() });
+
+    await expect(SiweService.verify({ message: signed, signature: await wallet.signMessage(signed) }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Message has expired' });
+  });
+
+  it('rejects a nonce that was already used', async () => {
+    SiweNonce.findOneAndUpdate.mockReturnValue(query(null));
+    const signed = message();
+
+    await expect(SiweService.verify({ message: signed, signature: await wallet.signMessage(signed) }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Nonce is invalid, expired or already used' });
+  });
+});
@@ -0,0 +1,187 @@
+const Merchant = require('../models/Merchant');
+const PaymentIntent = require('../models/PaymentInent');
+const Payout = require('../models/Payout');
+const Transaction = require('../models/Transaction');
+const PaymentIntentService = require('../services/PaymentIntentService');
+const PayoutDestinationService = require('../services/PayoutDestinationService');
+const SettlementService = require('../services/SettlementService');
+const { query, objectId } = require('./support/helpers');
+
+function merchant(fields = {}) {
+  return new Merchant({
+    businessName: 'Acme Market',
+    kycStatus: 'approved',
+    payoutPreferences: { method: 'bank_transfer', currency: 'NGN', accountDetails: { bankCode: '058', accountNumber: '0123456789' } },
+    ...fields
+  });
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PaymentIntentService.createIntent splits', () => {
+  const subMerchantId = objectId();
+
+  beforeEach(() => {
+    jest.spyOn(Merchant, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(PaymentIntent, 'create').mockImplementation(async (doc) => doc);
+  });
+
+  it('stores splits naming sub-merchants of the merchant', async () => {
+    const merchantId = objectId();
+
+    const intent = await PaymentIntentService.createIntent({
+      merchantId,
+      amount: 10000,
+      sourceCurrency: 'NGN',
+      targetCurrency: 'NGN',
+      splits: [{ subMerchantId, type: 'percentage', value: '30' }]
+    });
+
+    expect(intent.splits).toEqual([{ merchant: subMerchantId, type: 'percentage', value: 30 }]);
+    expect(Merchant.countDocuments).toHaveBeenCalledWith(expect.objectContaining({ parentMerchant: merchantId }));
+  });
+
+  it('refuses splits that allocate more than the amount', async () => {
+    await expect(PaymentIntentService.createIntent({
+      merchantId: objectId(),
+      amount: 1000,
+      splits: [{ subMerchantId, type: 'fixed', value: 1500 }]
+    })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('refuses recipients that are not its sub-merchants', async () => {
+    Merchant.countDocuments.mockResolvedValue(0);
+
+    await expect(PaymentIntentService.createIntent({
+      merchantId: objectId(),
+      amount: 1000,
+      splits: [{ subMerchantId, type: 'fixed', value: 100 }]
+    })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('SettlementService.process with splits', () => {
+  const parent = merchant();
+  const seller = merchant({ businessName: 'Seller A', parentMerchant: parent._id });
+  const unverified = merchant({ businessName: 'Seller B', parentMerchant: parent._id, kycStatus: 'pending' });
+
+  let transaction;
+  let settled;
+
+  beforeEach(() => {
+    transaction = new Transaction({
+      merchantId: parent._id,
+      reference: 'TX-SPLIT',
+      status: 'PAID',
+      amount: 10000,
+      currency: 'NGN',
+      fee: { total: 200, currency: 'NGN' },
+      splits: [
+        { merchant: seller._id, type: 'percentage', value: 30 },
+        { merchant: unverified._id, type: 'fixed', value: 1000 }
+      ]
+    });
+
+    jest.spyOn(Transaction, 'findById').mockResolvedValue(transaction);
+    jest.spyOn(Merchant, 'findById').mockResolvedValue(parent);
+    jest.spyOn(Merchant, 'find').mockReturnValue(query([seller, unverified]));
+    jest.spyOn(Transaction, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Transaction, 'findByIdAndUpdate').mockResolvedValue({});
+    jest.spyOn(PayoutDestinationService, 'resolveForSettlement').mockResolvedValue(null);
+    jest.spyOn(Payout, 'findOneAndUpdate').mockImplementation(async (filter, update) => new Payout({
+      transaction: filter.transaction,
+      merchant: filter.merchant,
+      ...update.$set
+    }));
+    jest.spyOn(Payout, 'findByIdAndUpdate').mockImplementation((id, update) => query({ _id: id, ...update.$set }));
+    settled = jest.spyOn(SettlementService, 'settleWithFiat').mockResolvedValue({ provider: 'FLUTTERWAVE', reference: 'PAYOUT-1' });
+  });
+
+  it('pays each recipient its share of the amount and the fee', async () => {
+    await SettlementService.process(transaction._id);
+
+    const legs = settled.mock.calls.map(([, recipient, , leg]) => ({ recipient: recipient.businessName, grossAmount: leg.grossAmount, fee: leg.fee }));
+    expect(legs).toEqual([
+      { recipient: 'Acme Market', grossAmount: 6000, fee: 120 },
+      { recipient: 'Seller A', grossAmount: 3000, fee: 60 }
+    ]);
+  });
+
+  it('holds the leg of a sub-merchant without approved KYC and settles the rest', async () => {
+    const result = await SettlementService.process(transaction._id);
+
+    expect(result.legs).toEqual({ total: 3, settled: 2, failed: 0, held: 1, processing: 0 });
+    expect(Payout.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ merchant: unverified._id }),
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'ON_HOLD', error: 'Settlement held: KYC_NOT_APPROVED' }) }),
+      expect.anything()
+    );
+    expect(Transaction.findByIdAndUpdate).toHaveBeenLastCalledWith(transaction._id, {
+      $set: { status: 'PARTIALLY_SETTLED', 'metadata.settlement': result }
+    });
+  });
+
+  it('records a failed leg and reports the settlement as incomplete', async () => {
+    settled.mockImplementation(async (txn, recipient) => {
+      if (recipient === seller) throw new Error('Transfer rejected');
+      return { provider: 'FLUTTERWAVE', reference: 'PAYOUT-1' };
+    });
+
+    await expect(SettlementService.process(transaction._id)).rejects.toThrow('1 of 3 split payouts failed');
+    expect(Payout.findByIdAndUpdate).toHaveBeenCalledWith(expect.anything(), {
+      $set: expect.objectContaining({ status: 'FAILED', error: 'Transfer rejected' })
+    }, { new: true });
+  });
+});
+
+describe('SettlementService.process when every split leg fails', () => {
+  const parent = merchant();
+  const seller = merchant({ businessName: 'Seller A', parentMerchant: parent._id });
+
+  let transaction;
+
+  beforeEach(() => {
+    transaction = new Transaction({
+      merchantId: parent._id,
+      reference: 'TX-SPLIT',
+      status: 'PAID',
+      amount: 10000,
+      currency: 'NGN',
+      splits: [{ merchant: seller._id, type: 'percentage', value: 30 }]
+    });
+
+    jest.spyOn(Transaction, 'findById').mockResolvedValue(transaction);
+    jest.spyOn(Merchant, 'findById').mockResolvedValue(parent);
+    jest.spyOn(Merchant, 'find').mockReturnValue(query([seller]));
+    jest.spyOn(Transaction, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Transaction, 'findByIdAndUpdate').mockImplementation(async (id, update) => transaction.set(update.$set));
+    jest.spyOn(PayoutDestinationService, 'resolveForSettlement').mockResolvedValue(null);
+    jest.spyOn(Payout, 'findOneAndUpdate').mockImplementation(async (filter, update) => new Payout({
+      transaction: filter.transaction,
+      merchant: filter.merchant,
+      ...update.$set
+    }));
+    jest.spyOn(Payout, 'findByIdAndUpdate').mockImplementation((id, update) => query({ _id: id, ...update.$set }));
+  });
+
+  it('keeps the transaction outstanding and pays the legs on the next run', async () => {
+    const settle = jest.spyOn(SettlementService, 'settleWithFiat').mockRejectedValue(new Error('Transfer rejected'));
+
+    await expect(SettlementService.process(transaction._id)).rejects.toThrow('2 of 2 split payouts failed');
+    expect(transaction.status).toBe('PARTIALLY_SETTLED');
+    expect(transaction.metadata.settlement.status).toBe('FAILED');
+    expect(Transaction.UNSETTLED_STATUSES).toContain(transaction.status);
+
+    settle.mockResolvedValue({ provider: 'FLUTTERWAVE', reference: 'PAYOUT-1' });
+    await expect(SettlementService.process(transaction._id)).resolves.toMatchObject({ status: 'SUCCESS' });
+
+    expect(transaction.status).toBe('SETTLED');
+    expect(Payout.findOneAndUpdate).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: { $in: ['FAILED', 'ON_HOLD'] } }),
+      expect.anything(),
+      expect.anything()
+    );
+  });
+});
@@ -0,0 +1,53 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const jwtUtils = require('../../utils/jwtUtils');
+const { globalErrorHandler } = require('../../middlewares/errorHandler');
+
+/**
+ * Stand-in for a Mongoose query: chainable, and resolves to `value` when awaited
+ * @param {*} value - Query result
+ * @returns {Object}
+ */
+function query(value) {
+  const chain = {};
+  ['select', 'sort', 'skip', 'limit', 'lean', 'populate', 'session', 'collation'].forEach((method) => {
+    chain[method] = () => chain;
+  });
+  chain.exec = () => Promise.resolve(value);
+  chain.then = (resolve, reject) => Promise.resolve(value).then(resolve, reject);
+  return chain;
+}
+
+/**
+ * Express app serving a single router behind the global error handler
+ * @param {string} path - Mount path
+ * @param {Function} router - Express router
+ * @returns {Object}
+ */
+function appFor(path, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  app.use(globalErrorHandler);
+  return app;
+}
+
+/**
+ * Bearer header for a signed-in account; `protect` still checks the session
+ * @param {Object} claims - Token claims ({ userId, email, role, sessionId, mfa })
+ * @returns {string}
+ */
+function bearer(claims = {}) {
+  const token = jwtUtils.generateAccessToken({
+    userId: new mongoose.Types.ObjectId().toString(),
+    email: 'owner@example.com',
+    role: 'merchant',
+    sessionId: 'session-1',
+    ...claims
+  });
+  return `Bearer ${token}`;
+}
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = { query, appFor, bearer, objectId };
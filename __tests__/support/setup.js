@@ -0,0 +1,38 @@
+// ================================================================
+// TEST ENVIRONMENT
+// ================================================================
+
+// Tests run without MongoDB, SMTP or Flutterwave: model calls are stubbed per
+// test, and anything left unstubbed fails fast instead of buffering.
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+process.env.TOTP_ENCRYPTION_KEY = '0'.repeat(64);
+process.env.FLUTTERWAVE_MOCK = 'true';
+
+require('mongoose').set('bufferCommands', false);
+
+// Keep test runs out of logs/
+jest.mock('../../lib/logger', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    logAuth: jest.fn(),
+    logError: jest.fn(),
+    logRequest: jest.fn(),
+    logDatabase: jest.fn(),
+    defaultMeta: {},
+    addRequestId: (req, res, next) => next()
+  };
+  return logger;
+});
+
+jest.mock('nodemailer', () => ({
+  createTransport: () => ({
+    verify: jest.fn(),
+    sendMail: jest.fn().mockResolvedValue({ messageId: 'test-message' })
+  })
+}));
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const Membership = require('../models/Membership');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const MembershipService = require('../services/MembershipService');
+const emailService = require('../services/sendEmail');
+const { query, objectId } = require('./support/helpers');
+
+const merchant = { _id: objectId(), businessName: 'Acme Stores' };
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+function invitation(fields = {}) {
+  return new Invitation({
+    merchant: merchant._id,
+    email: 'dev@acme.test',
+    role: 'developer',
+    tokenHash: sha256('invite-token'),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields
+  });
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(emailService, 'sendTeamInvitationEmail').mockResolvedValue({ success: true });
+  jest.spyOn(Invitation, 'updateMany').mockResolvedValue({});
+  jest.spyOn(Invitation, 'create').mockImplementation(async (doc) => invitation(doc));
+  jest.spyOn(Membership, 'create').mockImplementation(async (doc) => new Membership(doc));
+});
+
+describe('MembershipService.invite', () => {
+  it('emails a link whose token is stored only as a hash', async () => {
+    jest.spyOn(User, 'findByEmail').mockReturnValue(query(null));
+
+    const { invitation: created, emailSent } = await MembershipService.invite(merchant, { email: 'dev@acme.test', role: 'developer' }, { actorRole: 'admin' });
+
+    const { acceptUrl } = emailService.sendTeamInvitationEmail.mock.calls[0][1];
+    const token = new URL(acceptUrl).searchParams.get('token');
+    expect(created.tokenHash).toBe(sha256(token));
+    expect(emailSent).toBe(true);
+    expect(Invitation.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ merchant: merchant._id, email: 'dev@acme.test', acceptedAt: null, revokedAt: null }),
+      { $set: { revokedAt: expect.any(Date) } }
+    );
+  });
+
+  it('lets only the owner invite admins', async () => {
+    await expect(MembershipService.invite(merchant, { email: 'dev@acme.test', role: 'admin' }, { actorRole: 'admin' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(MembershipService.invite(merchant, { email: 'dev@acme.test', role: 'owner' }, { actorRole: 'owner' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('MembershipService.acceptInvitation', () => {
+  const user = new User({ businessName: 'Dev', email: 'dev@acme.test', password: 'x'.repeat(8) });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue(query(user));
+    jest.spyOn(Membership, 'exists').mockResolvedValue(null);
+  });
+
+  it('adds the user with the invited role', async () => {
+    const pending = invitation();
+    jest.spyOn(Invitation, 'findOne').mockReturnValue(query(pending));
+    jest.spyOn(Invitation, 'findOneAndUpdate').mockReturnValue(query(pending));
+
+    const membership = await MembershipService.acceptInvitation('invite-token', user._id);
+
+    expect(membership).toMatchObject({ merchant: merchant._id, user: user._id, role: 'developer' });
+  });
+
+  it('refuses users signed in with another email', async () => {
+    jest.spyOn(Invitation, 'findOne').mockReturnValue(query(invitation({ email: 'someone-else@acme.test' })));
+
+    await expect(MembershipService.acceptInvitation('invite-token', user._id)).rejects.toMatchObject({ statusCode: 403 });
+    expect(Membership.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses expired invitations', async () => {
+    jest.spyOn(Invitation, 'findOne').mockReturnValue(query(invitation({ expiresAt: new Date(Date.now() - 1000) })));
+
+    await expect(MembershipService.acceptInvitation('invite-token', user._id)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('uses an invitation only once', async () => {
+    jest.spyOn(Invitation, 'findOne').mockReturnValue(query(invitation()));
+    jest.spyOn(Invitation, 'findOneAndUpdate').mockReturnValue(query(null));
+
+    await expect(MembershipService.acceptInvitation('invite-token', user._id)).rejects.toMatchObject({ statusCode: 400 });
+    expect(Membership.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('MembershipService.changeRole', () => {
+  it('keeps team admins from promoting members to admin', async () => {
+    jest.spyOn(Membership, 'findOne').mockReturnValue(query(new Membership({ merchant: merchant._id, user: objectId(), role: 'viewer' })));
+
+    await expect(MembershipService.changeRole(merchant, 'member-1', 'admin', { actorRole: 'admin', actorUserId: 'admin-1' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+});
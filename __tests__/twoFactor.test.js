@@ -0,0 +1,95 @@
+const User = require('../models/User');
+const TwoFactorService = require('../services/TwoFactorService');
+const TokenService = require('../services/TokenService');
+const totpUtils = require('../utils/totpUtils');
+const { query } = require('./support/helpers');
+
+const secret = totpUtils.generateSecret();
+
+function user(twoFactor = {}) {
+  const account = new User({ businessName: 'Acme Stores', email: 'owner@acme.test', password: 'x'.repeat(8), verified: true });
+  Object.assign(account.twoFactor, twoFactor);
+  jest.spyOn(account, 'save').mockResolvedValue(account);
+  jest.spyOn(User, 'findById').mockReturnValue(query(account));
+  return account;
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(TokenService, 'issue').mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh' });
+  jest.spyOn(TokenService, 'revokeFamily').mockResolvedValue(1);
+});
+
+describe('TwoFactorService.confirmEnrollment', () => {
+  it('enables 2FA, hands out hashed backup codes and upgrades the session', async () => {
+    const account = user({ pendingSecret: totpUtils.encryptSecret(secret) });
+
+    const { backupCodes, tokens } = await TwoFactorService.confirmEnrollment(account._id, totpUtils.generateCode(secret), { sessionId: 'family-1' });
+
+    expect(account.twoFactor.enabled).toBe(true);
+    expect(account.twoFactor.pendingSecret).toBeUndefined();
+    expect(totpUtils.decryptSecret(account.twoFactor.secret)).toBe(secret);
+    expect(account.twoFactor.backupCodes.map((code) => code.hash)).toEqual(backupCodes.map((code) => totpUtils.hashBackupCode(code)));
+    expect(TokenService.revokeFamily).toHaveBeenCalledWith('family-1', 'logout');
+    expect(TokenService.issue).toHaveBeenCalledWith(account, undefined, { mfa: true });
+    expect(tokens.accessToken).toBe('access');
+  });
+
+  it('rejects a wrong code', async () => {
+    const account = user({ pendingSecret: totpUtils.encryptSecret(secret) });
+
+    await expect(TwoFactorService.confirmEnrollment(account._id, '000000')).rejects.toMatchObject({ statusCode: 400 });
+    expect(account.twoFactor.enabled).toBe(false);
+  });
+});
+
+describe('TwoFactorService.verifySecondFactor', () => {
+  it('does not accept the same TOTP step twice', async () => {
+    const code = totpUtils.generateCode(secret);
+    const account = user({ enabled: true, secret: totpUtils.encryptSecret(secret), lastUsedStep: totpUtils.timeStep() });
+
+    await expect(TwoFactorService.verifySecondFactor(account, code)).resolves.toBeNull();
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('consumes a backup code', async () => {
+    const account = user({ enabled: true, secret: totpUtils.encryptSecret(secret) });
+
+    await expect(TwoFactorService.verifySecondFactor(account, 'abcde-12345')).resolves.toBe('backup');
+    expect(User.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ 'twoFactor.backupCodes': { $elemMatch: { hash: totpUtils.hashBackupCode('abcde-12345'), usedAt: null } } }),
+      { $set: { 'twoFactor.backupCodes.$.usedAt': expect.any(Date) } }
+    );
+  });
+
+  it('rejects a backup code that was already used', async () => {
+    const account = user({ enabled: true, secret: totpUtils.encryptSecret(secret) });
+    User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(TwoFactorService.verifySecondFactor(account, 'abcde-12345')).resolves.toBeNull();
+  });
+});
+
+describe('TwoFactorService.verifyStepUp', () => {
+  it('requires 2FA to be enabled', async () => {
+    const account = user();
+
+    await expect(TwoFactorService.verifyStepUp(account._id, '123456'))
+      .rejects.toMatchObject({ statusCode: 403, details: { code: 'TWO_FACTOR_SETUP_REQUIRED' } });
+  });
+
+  it('requires a code', async () => {
+    const account = user({ enabled: true, secret: totpUtils.encryptSecret(secret) });
+
+    await expect(TwoFactorService.verifyStepUp(account._id, undefined))
+      .rejects.toMatchObject({ statusCode: 401, details: { code: 'STEP_UP_REQUIRED' } });
+  });
+
+  it('accepts a current TOTP code but not a backup code', async () => {
+    const account = user({ enabled: true, secret: totpUtils.encryptSecret(secret) });
+
+    await expect(TwoFactorService.verifyStepUp(account._id, totpUtils.generateCode(secret))).resolves.toBeUndefined();
+    await expect(TwoFactorService.verifyStepUp(account._id, 'abcde-12345')).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
@@ -19,9 +19,17 @@ const { globalErrorHandler, notFoundHandler } = require('./middlewares/errorHand
 // Swagger setup
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const authRoutes = require('./routes/authRoutes');
 const merchantRoutes = require('./routes/merchantRoutes');
 const transactionRoutes = require('./routes/transactionRoutes');
 const cryptoRoutes = require('./routes/cryptoIntegration');
+const securityPolicyRoutes = require('./routes/securityPolicyRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const auditEventRoutes = require('./routes/auditEventRoutes');
+const kycSubmissionRoutes = require('./routes/kycSubmissionRoutes');
+const feePlanRoutes = require('./routes/feePlanRoutes');
+const checkoutRoutes = require('./routes/checkoutRoutes');
+const refundReviewRoutes = require('./routes/refundReviewRoutes');
 
 
 // ================================================================
@@ -32,6 +40,9 @@ const cryptoRoutes = require('./routes/cryptoIntegration');
 const app = express();
 app.use(express.json());
 
+// Assign the request id before any route runs so logs and audit events can be correlated
+app.use(logger.addRequestId);
+
 
 // Trust proxy for accurate IP addresses in production
 app.set('trust proxy', 1);
@@ -80,7 +91,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'X-2FA-Code', 'Idempotency-Key'],
+  exposedHeaders: ['X-Request-Id', 'Idempotent-Replayed']
 };
 
 app.use(cors(corsOptions));
@@ -106,20 +118,27 @@ const limiter = rateLimit({
 });
 
 app.use('/api/', limiter);
+app.use('/api/auth', authRoutes);
 app.use('/api/payment-intents', require('./routes/paymentIntentRoute'));
 app.use('/api/merchant', merchantRoutes);
+app.use('/api/invitations', invitationRoutes);
 
 app.use('/api/transactions', transactionRoutes);
 
 app.use('/api/pay', require('./routes/paymentintegrationRoute'));
 app.use('/api/crypto', cryptoRoutes);
+app.use('/api/security-policy', securityPolicyRoutes);
+app.use('/api/audit-events', auditEventRoutes);
+app.use('/api/kyc-submissions', kycSubmissionRoutes);
+app.use('/api/fee-plans', feePlanRoutes);
+app.use('/api/checkout', checkoutRoutes);
+app.use('/api/refund-reviews', refundReviewRoutes);
 
 // ================================================================
 // LOGGING MIDDLEWARE
 // ================================================================
 
 // Request logging middleware with winston
-app.use(logger.addRequestId);
 app.use(morgan('combined', {
   skip: (req, res) => {
     // Skip logging favicon requests to reduce log noise
@@ -187,6 +206,28 @@ const swaggerOptions = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
           description: 'JWT Authorization header using the Bearer scheme. Example: "Bearer {token}"'
+        },
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Merchant secret API key (sk_test_... or sk_live_...). May also be sent as "Authorization: Bearer sk_..."'
+        }
+      },
+      parameters: {
+        TwoFactorCode: {
+          in: 'header',
+          name: 'X-2FA-Code',
+          required: true,
+          description: 'Current 6-digit code from the authenticator app (step-up for sensitive operations)',
+          schema: { type: 'string', example: '123456' }
+        },
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          description: 'Unique key (up to 255 characters, e.g. a UUID) making retries safe. Retrying with the same key and body within 24 hours returns the original response with an Idempotent-Replayed: true header; reusing the key with a different body is rejected with 422.',
+          schema: { type: 'string', maxLength: 255, example: '5f0c9a4e-8d1b-4c7e-9a38-2b6f1d4e7c90' }
         }
       },
       schemas: {
@@ -270,15 +311,54 @@ const swaggerOptions = {
                 }
               }
             },
+            branding: {
+              type: 'object',
+              description: 'Display name, brand color, support email, return URL and logo; see GET /api/merchant/{merchantId}/branding'
+            },
+            parentMerchant: {
+              type: 'string',
+              nullable: true,
+              description: 'Set on sub-merchants'
+            },
+            feePlan: {
+              type: 'string',
+              nullable: true,
+              description: 'Fee plan id; null when priced on the default plan'
+            },
             kycStatus: {
               type: 'string',
-              enum: ['pending', 'approved', 'rejected'],
+              enum: ['pending', 'submitted', 'approved', 'rejected'],
               example: 'pending'
             },
+            kycRejectionReason: {
+              type: 'string',
+              description: 'Set when kycStatus is rejected'
+            },
             country: {
               type: 'string',
               example: 'Nigeria'
             },
+            paymentIntentExpiryMinutes: {
+              type: 'integer',
+              description: 'Lifetime of new payment intents; unset means the platform default'
+            },
+            status: {
+              type: 'string',
+              enum: ['active', 'restricted', 'suspended', 'closed'],
+              description: 'restricted: settlements held; suspended: payments refused and settlements held; closed: payments refused',
+              example: 'active'
+            },
+            statusReason: {
+              type: 'string',
+              description: 'Why the status was last changed'
+            },
+            statusChangedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            pendingPayoutChange: {
+              $ref: '#/components/schemas/PendingPayoutChange'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
@@ -318,8 +398,24 @@ const swaggerOptions = {
             },
             status: {
               type: 'string',
-              enum: ['PENDING', 'PAID', 'SETTLED', 'FAILED'],
-              example: 'PENDING'
+              enum: ['REQUIRES_PAYMENT', 'PROCESSING', 'PARTIALLY_PAID', 'PAID', 'OVERPAID', 'SETTLED', 'FAILED', 'CANCELED', 'EXPIRED', 'REFUNDED'],
+              example: 'REQUIRES_PAYMENT'
+            },
+            statusHistory: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/PaymentStatusChange' }
+            },
+            amountReceived: {
+              type: 'number',
+              description: 'Successful payments so far, in the source currency'
+            },
+            transactions: {
+              type: 'array',
+              items: { type: 'string' }
+            },
+            payments: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/PaymentIntentPayment' }
             },
             checkoutLink: {
               type: 'string',
@@ -330,6 +426,23 @@ const swaggerOptions = {
               type: 'string',
               example: 'wgt_token_abc123xyz'
             },
+            splits: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/PaymentSplit' }
+            },
+            branding: {
+              $ref: '#/components/schemas/CheckoutBranding'
+            },
+            livemode: {
+              type: 'boolean',
+              description: 'false when created with a test-mode API key',
+              example: true
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Unpaid intents are expired after this time'
+            },
             metadata: {
               type: 'object',
               example: { "customerId": "cust_123", "productId": "prod_456" }
@@ -402,10 +515,22 @@ const swaggerOptions = {
         name: 'Health',
         description: 'System health and monitoring endpoints'
       },
+      {
+        name: 'Authentication',
+        description: 'Registration, email verification, login and token refresh endpoints'
+      },
       {
         name: 'Merchant',
         description: 'Merchant profile and business management endpoints'
       },
+      {
+        name: 'Team',
+        description: 'Merchant team members, roles and invitations'
+      },
+      {
+        name: 'API Keys',
+        description: 'Merchant publishable and secret API key management'
+      },
       {
         name: 'Payment Intents',
         description: 'Payment intent creation and management endpoints'
@@ -421,10 +546,46 @@ const swaggerOptions = {
       {
         name: 'Crypto Integration',
         description: 'On-chain liquidity management and settlement endpoints'
+      },
+      {
+        name: 'Security Policy',
+        description: 'Platform-wide security settings (admin)'
+      },
+      {
+        name: 'Audit Log',
+        description: 'Append-only security audit trail (admin)'
+      },
+      {
+        name: 'Payouts',
+        description: 'Merchant payout destinations (bank, mobile money, crypto)'
+      },
+      {
+        name: 'KYC',
+        description: 'Merchant verification documents and admin review'
+      },
+      {
+        name: 'Sub-merchants',
+        description: 'Marketplace sellers paid through split payments'
+      },
+      {
+        name: 'Fees',
+        description: 'Fee plans and merchant pricing (admin)'
+      },
+      {
+        name: 'Webhooks',
+        description: 'Merchant webhook endpoints'
+      },
+      {
+        name: 'Checkout',
+        description: 'Public hosted checkout and widget sessions'
+      },
+      {
+        name: 'Refund Reviews',
+        description: 'Late payments awaiting an admin decision'
       }
     ]
   },
-  apis: ['./routes/transactionRoutes.js', './routes/merchantRoutes.js', './routes/paymentIntentRoute.js', './routes/paymentintegrationRoute.js', './routes/cryptoIntegration.js']
+  apis: ['./routes/authRoutes.js', './routes/transactionRoutes.js', './routes/merchantRoutes.js', './routes/apiKeyRoutes.js', './routes/memberRoutes.js', './routes/invitationRoutes.js', './routes/paymentIntentRoute.js', './routes/paymentintegrationRoute.js', './routes/cryptoIntegration.js', './routes/securityPolicyRoutes.js', './routes/auditEventRoutes.js', './routes/kycRoutes.js', './routes/payoutDestinationRoutes.js', './routes/subMerchantRoutes.js', './routes/payoutRoutes.js', './routes/brandingRoutes.js', './routes/kycSubmissionRoutes.js', './routes/feePlanRoutes.js', './routes/webhookEndpointRoutes.js', './routes/checkoutRoutes.js', './routes/refundReviewRoutes.js']
 };
 
 // Generate swagger specification
@@ -596,9 +757,7 @@ app.get('/api/health', (req, res) => {
 // APPLICATION ROUTES
 // ================================================================
 
-// Authentication routes
-// app.use('/api/auth', require('./routes/authRoutes')); // TODO: Create authRoutes.js
-// Merchant routes already defined above
+// Authentication and merchant routes are mounted above, right after the API rate limiter
 
 
 // ================================================================
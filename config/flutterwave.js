@@ -5,12 +5,59 @@ const FLW_BASE = "https://api.flutterwave.com/v3";
 const FLW_SECRET = process.env.FLUTTERWAVE_CLIENT_SECRET;
 
 
+/**
+ * Offline stand-in for the Flutterwave endpoints used by payouts, enabled
+ * with FLUTTERWAVE_MOCK=true outside production. Account numbers ending in 0000 do not resolve.
+ */
+const mockAdapter = async (config) => {
+  const body = typeof config.data === "string" ? JSON.parse(config.data || "{}") : config.data || {};
+  const reply = (status, data) => {
+    const response = { status, statusText: String(status), headers: {}, config, data };
+    if (status >= 400) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = response;
+      throw error;
+    }
+    return response;
+  };
+
+  if (config.method === "post" && config.url === "/accounts/resolve") {
+    if (String(body.account_number).endsWith("0000")) {
+      return reply(400, { status: "error", message: "Sorry, that account number is invalid, please check and try again", data: null });
+    }
+    return reply(200, {
+      status: "success",
+      message: "Account details fetched",
+      data: {
+        account_number: body.account_number,
+        account_name: process.env.FLUTTERWAVE_MOCK_ACCOUNT_NAME || "KLEVAPAY TEST ACCOUNT",
+      },
+    });
+  }
+
+  if (config.method === "post" && config.url === "/transfers") {
+    return reply(200, {
+      status: "success",
+      message: "Transfer Queued Successfully",
+      data: { id: Date.now(), reference: body.reference, status: "NEW", amount: body.amount, currency: body.currency },
+    });
+  }
+
+  return reply(501, { status: "error", message: `FLUTTERWAVE_MOCK does not implement ${config.method.toUpperCase()} ${config.url}` });
+};
+
+// The mock fakes successful transfers; it must never answer real settlements
+if (process.env.FLUTTERWAVE_MOCK === "true" && process.env.NODE_ENV === "production") {
+  throw new Error("FLUTTERWAVE_MOCK cannot be enabled when NODE_ENV is production");
+}
+
 const flwClient = axios.create({
   baseURL: FLW_BASE,
   headers: {
     Authorization: `Bearer ${FLW_SECRET}`,
     "Content-Type": "application/json",
   },
+  ...(process.env.FLUTTERWAVE_MOCK === "true" && { adapter: mockAdapter }),
 });
 
 module.exports = { flwClient, FLW_BASE, FLW_SECRET };
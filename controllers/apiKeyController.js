@@ -0,0 +1,82 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const ApiError = require('../lib/ApiError');
+const ApiKeyService = require('../services/ApiKeyService');
+
+/**
+ * @desc List a merchant's API keys
+ * @route GET /api/merchant/:merchantId/api-keys
+ */
+exports.listApiKeys = asyncHandler(async (req, res) => {
+  const keys = await ApiKeyService.listKeys(req.merchant._id, {
+    includeRevoked: req.query.includeRevoked === 'true'
+  });
+
+  res.json({
+    success: true,
+    count: keys.length,
+    data: keys
+  });
+});
+
+/**
+ * @desc Create an API key. The full key is only returned in this response.
+ * @route POST /api/merchant/:merchantId/api-keys
+ */
+exports.createApiKey = asyncHandler(async (req, res) => {
+  const { type, mode, name } = req.body;
+
+  if (req.merchant.parentMerchant) {
+    throw ApiError.badRequest('Sub-merchants are paid through their parent merchant and cannot have API keys');
+  }
+
+  const { apiKey, key } = await ApiKeyService.createKey({
+    merchantId: req.merchant._id,
+    type,
+    mode,
+    name,
+    createdBy: req.user.userId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Store it securely, it will not be shown again',
+    data: { ...apiKey.toJSON(), key }
+  });
+});
+
+/**
+ * @desc Roll an API key, keeping the old one valid for a grace period
+ * @route POST /api/merchant/:merchantId/api-keys/:keyId/roll
+ */
+exports.rollApiKey = asyncHandler(async (req, res) => {
+  const { apiKey, key, previous } = await ApiKeyService.rollKey(req.merchant._id, req.params.keyId, {
+    graceHours: req.body.graceHours,
+    rolledBy: req.user.userId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'API key rolled. Store the new key securely, it will not be shown again',
+    data: {
+      ...apiKey.toJSON(),
+      key,
+      previousKeyExpiresAt: previous.expiresAt
+    }
+  });
+});
+
+/**
+ * @desc Revoke an API key immediately
+ * @route DELETE /api/merchant/:merchantId/api-keys/:keyId
+ */
+exports.revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKeyService.revokeKey(req.merchant._id, req.params.keyId, {
+    revokedBy: req.user.userId
+  });
+
+  res.json({
+    success: true,
+    message: 'API key revoked',
+    data: apiKey
+  });
+});
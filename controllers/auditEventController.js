@@ -0,0 +1,25 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const AuditService = require('../services/AuditService');
+
+/**
+ * @desc Query the security audit log
+ * @route GET /api/audit-events
+ */
+exports.listAuditEvents = asyncHandler(async (req, res) => {
+  const { actorId, action, outcome, targetType, targetId, requestId, ip, from, to, page = 1, limit = 50 } = req.query;
+
+  const filters = { actorId, action, outcome, targetType, targetId, requestId, ip, from, to };
+  const result = await AuditService.query(filters, {
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.json({
+    success: true,
+    data: {
+      events: result.events,
+      pagination: result.pagination,
+      filters
+    }
+  });
+});
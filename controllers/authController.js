@@ -0,0 +1,315 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const AuthService = require('../services/AuthService');
+const SiweService = require('../services/SiweService');
+const TwoFactorService = require('../services/TwoFactorService');
+const SessionService = require('../services/SessionService');
+
+/**
+ * Device context recorded against issued refresh tokens and audit events
+ * @param {Request} req - Express request object
+ * @returns {Object}
+ */
+const clientContext = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ip: req.ip,
+  requestId: req.requestId
+});
+
+/**
+ * @desc Register a new merchant user
+ * @route POST /api/auth/register
+ */
+exports.register = asyncHandler(async (req, res) => {
+  const { businessName, email, password, country } = req.body;
+
+  const result = await AuthService.register({ businessName, email, password, country });
+
+  res.status(201).json({
+    success: true,
+    message: result.otpSent
+      ? 'Registration successful. A verification code has been sent to your email'
+      : 'Registration successful, but the verification email could not be sent. Please request a new code',
+    data: result
+  });
+});
+
+/**
+ * @desc Verify email address with the OTP sent at registration
+ * @route POST /api/auth/verify-email
+ */
+exports.verifyEmail = asyncHandler(async (req, res) => {
+  const { email, otp } = req.body;
+
+  const result = await AuthService.verifyEmail({ email, otp }, clientContext(req));
+
+  res.json({
+    success: true,
+    message: 'Email verified successfully',
+    data: result
+  });
+});
+
+/**
+ * @desc Re-send the email verification OTP
+ * @route POST /api/auth/resend-otp
+ */
+exports.resendOTP = asyncHandler(async (req, res) => {
+  const result = await AuthService.resendOTP({ email: req.body.email });
+
+  res.json({
+    success: true,
+    message: 'A new verification code has been sent to your email',
+    data: result
+  });
+});
+
+/**
+ * @desc Log in with email and password
+ * @route POST /api/auth/login
+ */
+exports.login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  const result = await AuthService.login({ email, password }, clientContext(req));
+
+  res.json({
+    success: true,
+    message: result.twoFactorRequired
+      ? 'Enter the code from your authenticator app to finish signing in'
+      : 'Login successful',
+    data: result
+  });
+});
+
+/**
+ * @desc Complete a login with a TOTP or backup code
+ * @route POST /api/auth/login/2fa
+ */
+exports.verifyLoginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  const result = await AuthService.verifyTwoFactorLogin({ challengeToken, code }, clientContext(req));
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: result
+  });
+});
+
+/**
+ * @desc Request a password reset code
+ * @route POST /api/auth/forgot-password
+ */
+exports.forgotPassword = asyncHandler(async (req, res) => {
+  await AuthService.forgotPassword({ email: req.body.email });
+
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset code has been sent'
+  });
+});
+
+/**
+ * @desc Reset the password with the emailed code
+ * @route POST /api/auth/reset-password
+ */
+exports.resetPassword = asyncHandler(async (req, res) => {
+  const { email, otp, password } = req.body;
+
+  await AuthService.resetPassword({ email, otp, password }, clientContext(req));
+
+  res.json({
+    success: true,
+    message: 'Password reset successfully. Please log in with your new password'
+  });
+});
+
+/**
+ * @desc Exchange a refresh token for a new token pair
+ * @route POST /api/auth/refresh
+ */
+exports.refresh = asyncHandler(async (req, res) => {
+  const result = await AuthService.refresh({ refreshToken: req.body.refreshToken }, clientContext(req));
+
+  res.json({
+    success: true,
+    message: 'Token refreshed successfully',
+    data: result
+  });
+});
+
+/**
+ * @desc Get the authenticated user's profile
+ * @route GET /api/auth/me
+ */
+exports.getMe = asyncHandler(async (req, res) => {
+  const user = await AuthService.getCurrentUser(req.user.userId);
+
+  res.json({
+    success: true,
+    data: user
+  });
+});
+
+/**
+ * @desc Log out the current session
+ * @route POST /api/auth/logout
+ */
+exports.logout = asyncHandler(async (req, res) => {
+  await AuthService.logout({
+    userId: req.user.userId,
+    email: req.user.email,
+    sessionId: req.user.sid
+  });
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+/**
+ * @desc Log out of every session
+ * @route POST /api/auth/logout-all
+ */
+exports.logoutAll = asyncHandler(async (req, res) => {
+  const result = await AuthService.logoutAll({ userId: req.user.userId, email: req.user.email });
+
+  res.json({
+    success: true,
+    message: 'Logged out of all sessions',
+    data: result
+  });
+});
+
+/**
+ * @desc List the user's active sessions
+ * @route GET /api/auth/sessions
+ */
+exports.listSessions = asyncHandler(async (req, res) => {
+  const sessions = await SessionService.listSessions(req.user.userId, req.user.sid);
+
+  res.json({
+    success: true,
+    count: sessions.length,
+    data: sessions
+  });
+});
+
+/**
+ * @desc Sign out one session
+ * @route DELETE /api/auth/sessions/:sessionId
+ */
+exports.revokeSession = asyncHandler(async (req, res) => {
+  const result = await SessionService.revokeSession(req.user.userId, req.params.sessionId, req.user.sid);
+
+  res.json({
+    success: true,
+    message: result.current ? 'Logged out successfully' : 'Session revoked',
+    data: result
+  });
+});
+
+/**
+ * @desc Sign out every session except the current one
+ * @route POST /api/auth/sessions/revoke-others
+ */
+exports.revokeOtherSessions = asyncHandler(async (req, res) => {
+  const result = await SessionService.revokeOtherSessions(req.user.userId, req.user.sid);
+
+  res.json({
+    success: true,
+    message: 'Signed out of all other sessions',
+    data: result
+  });
+});
+
+/**
+ * @desc Issue a single-use nonce for Sign-In With Ethereum
+ * @route GET /api/auth/siwe/nonce
+ */
+exports.siweNonce = asyncHandler(async (req, res) => {
+  const result = await SiweService.createNonce({ ip: req.ip });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc Verify a signed SIWE message and issue a wallet-scoped access token
+ * @route POST /api/auth/siwe/verify
+ */
+exports.siweVerify = asyncHandler(async (req, res) => {
+  const { message, signature } = req.body;
+
+  const result = await SiweService.verify({ message, signature }, clientContext(req));
+
+  res.json({
+    success: true,
+    message: 'Wallet verified successfully',
+    data: result
+  });
+});
+
+/**
+ * @desc Start TOTP enrolment; returns the secret and otpauth URI
+ * @route POST /api/auth/2fa/setup
+ */
+exports.setupTwoFactor = asyncHandler(async (req, res) => {
+  const result = await TwoFactorService.beginEnrollment(req.user.userId);
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: result
+  });
+});
+
+/**
+ * @desc Confirm TOTP enrolment and receive backup codes
+ * @route POST /api/auth/2fa/enable
+ */
+exports.enableTwoFactor = asyncHandler(async (req, res) => {
+  const result = await TwoFactorService.confirmEnrollment(req.user.userId, req.body.code, {
+    sessionId: req.user.sid,
+    device: clientContext(req)
+  });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your backup codes securely, they will not be shown again',
+    data: result
+  });
+});
+
+/**
+ * @desc Disable TOTP
+ * @route POST /api/auth/2fa/disable
+ */
+exports.disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  await TwoFactorService.disable(req.user.userId, { password, code });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+/**
+ * @desc Replace all backup codes
+ * @route POST /api/auth/2fa/backup-codes
+ */
+exports.regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const result = await TwoFactorService.regenerateBackupCodes(req.user.userId, req.body.code);
+
+  res.json({
+    success: true,
+    message: 'New backup codes generated. Previous codes no longer work',
+    data: result
+  });
+});
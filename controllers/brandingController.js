@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const ApiError = require('../lib/ApiError');
+const Merchant = require('../models/Merchant');
+const BrandingService = require('../services/BrandingService');
+const AuditService = require('../services/AuditService');
+
+/**
+ * Actor and request context recorded with audit events
+ * @param {Request} req - Express request object
+ * @returns {Object}
+ */
+const auditContext = (req) => ({
+  actor: AuditService.actorFrom(req),
+  context: AuditService.contextFrom(req)
+});
+
+/**
+ * @desc Get the merchant's checkout branding
+ * @route GET /api/merchant/:merchantId/branding
+ */
+exports.getBranding = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: BrandingService.checkoutBranding(req.merchant)
+  });
+});
+
+/**
+ * @desc Update display name, brand color, support email or return URL
+ * @route PUT /api/merchant/:merchantId/branding
+ */
+exports.updateBranding = asyncHandler(async (req, res) => {
+  const { displayName, brandColor, supportEmail, returnUrl } = req.body;
+
+  const branding = await BrandingService.update(req.merchant, { displayName, brandColor, supportEmail, returnUrl }, auditContext(req));
+
+  res.json({
+    success: true,
+    message: 'Branding updated',
+    data: branding
+  });
+});
+
+/**
+ * @desc Upload the checkout logo
+ * @route PUT /api/merchant/:merchantId/branding/logo
+ */
+exports.uploadLogo = asyncHandler(async (req, res) => {
+  const branding = await BrandingService.uploadLogo(req.merchant, req.file, auditContext(req));
+
+  res.json({
+    success: true,
+    message: 'Logo uploaded',
+    data: branding
+  });
+});
+
+/**
+ * @desc Remove the checkout logo
+ * @route DELETE /api/merchant/:merchantId/branding/logo
+ */
+exports.removeLogo = asyncHandler(async (req, res) => {
+  const branding = await BrandingService.removeLogo(req.merchant, auditContext(req));
+
+  res.json({
+    success: true,
+    message: 'Logo removed',
+    data: branding
+  });
+});
+
+/**
+ * @desc Serve the checkout logo (public, for checkout pages and payment providers)
+ * @route GET /api/merchant/:merchantId/branding/logo
+ */
+exports.getLogo = asyncHandler(async (req, res, next) => {
+  const { merchantId } = req.params;
+  if (!mongoose.isValidObjectId(merchantId)) throw ApiError.badRequest('Invalid merchant id');
+
+  const merchant = await Merchant.findById(merchantId).select('branding.logo');
+  if (!merchant) throw ApiError.notFound('Merchant not found');
+
+  const { logo, stream } = await BrandingService.getLogoFile(merchant);
+
+  res.set({
+    'Content-Type': logo.mimeType,
+    'Content-Length': logo.size,
+    'Cache-Control': 'public, max-age=86400',
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  stream.on('error', next);
+  stream.pipe(res);
+});
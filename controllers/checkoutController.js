@@ -0,0 +1,43 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const CheckoutService = require('../services/CheckoutService');
+
+/**
+ * The checkout reference or widget token named by the route
+ * @param {Request} req - Express request object
+ * @returns {Object} - { reference } or { widgetToken }
+ */
+const lookupFrom = (req) => (req.params.widgetToken
+  ? { widgetToken: req.params.widgetToken }
+  : { reference: req.params.reference });
+
+/**
+ * @desc Get a checkout session by checkout reference or widget token
+ * @route GET /api/checkout/:reference
+ * @route GET /api/checkout/widget/:widgetToken
+ */
+exports.getCheckoutSession = asyncHandler(async (req, res) => {
+  const { intent, merchant } = await CheckoutService.resolve(lookupFrom(req));
+
+  res.json({
+    success: true,
+    data: await CheckoutService.session(intent, merchant)
+  });
+});
+
+/**
+ * @desc Start a card, bank transfer, OPay or crypto payment for a checkout session
+ * @route POST /api/checkout/:reference/payments
+ * @route POST /api/checkout/widget/:widgetToken/payments
+ */
+exports.startCheckoutPayment = asyncHandler(async (req, res) => {
+  const { method, customer } = req.body;
+  const { intent, merchant } = await CheckoutService.resolve(lookupFrom(req));
+
+  const payment = await CheckoutService.startPayment(intent, merchant, { method, customer });
+
+  res.status(201).json({
+    success: true,
+    message: 'Payment started',
+    data: payment
+  });
+});
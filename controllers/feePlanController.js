@@ -0,0 +1,118 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const PricingService = require('../services/PricingService');
+const AuditService = require('../services/AuditService');
+
+/**
+ * Actor and request context recorded with audit events
+ * @param {Request} req - Express request object
+ * @returns {Object}
+ */
+const auditContext = (req) => ({
+  actor: AuditService.actorFrom(req),
+  context: AuditService.contextFrom(req)
+});
+
+/**
+ * @desc List fee plans
+ * @route GET /api/fee-plans
+ */
+exports.listFeePlans = asyncHandler(async (req, res) => {
+  const plans = await PricingService.listPlans();
+
+  res.json({
+    success: true,
+    count: plans.length,
+    data: plans
+  });
+});
+
+/**
+ * @desc Create a fee plan
+ * @route POST /api/fee-plans
+ */
+exports.createFeePlan = asyncHandler(async (req, res) => {
+  const { name, description, rules, isDefault } = req.body;
+
+  const plan = await PricingService.createPlan({ name, description, rules, isDefault }, {
+    createdBy: req.user.userId,
+    ...auditContext(req)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Fee plan created',
+    data: plan
+  });
+});
+
+/**
+ * @desc Get a fee plan
+ * @route GET /api/fee-plans/:planId
+ */
+exports.getFeePlan = asyncHandler(async (req, res) => {
+  const plan = await PricingService.getPlan(req.params.planId);
+
+  res.json({
+    success: true,
+    data: plan
+  });
+});
+
+/**
+ * @desc Update a fee plan
+ * @route PUT /api/fee-plans/:planId
+ */
+exports.updateFeePlan = asyncHandler(async (req, res) => {
+  const { name, description, rules, isDefault } = req.body;
+
+  const plan = await PricingService.updatePlan(req.params.planId, { name, description, rules, isDefault }, {
+    updatedBy: req.user.userId,
+    ...auditContext(req)
+  });
+
+  res.json({
+    success: true,
+    message: 'Fee plan updated',
+    data: plan
+  });
+});
+
+/**
+ * @desc Delete a fee plan no merchant is on
+ * @route DELETE /api/fee-plans/:planId
+ */
+exports.deleteFeePlan = asyncHandler(async (req, res) => {
+  await PricingService.deletePlan(req.params.planId, auditContext(req));
+
+  res.json({
+    success: true,
+    message: 'Fee plan deleted'
+  });
+});
+
+/**
+ * @desc Get the fee plan a merchant is priced on
+ * @route GET /api/merchant/:merchantId/fee-plan
+ */
+exports.getMerchantFeePlan = asyncHandler(async (req, res) => {
+  const pricing = await PricingService.getMerchantPricing(req.merchant);
+
+  res.json({
+    success: true,
+    data: pricing
+  });
+});
+
+/**
+ * @desc Assign a fee plan to a merchant, or `null` for the default
+ * @route PUT /api/merchant/:merchantId/fee-plan
+ */
+exports.assignMerchantFeePlan = asyncHandler(async (req, res) => {
+  const pricing = await PricingService.assignPlan(req.merchant, req.body.planId ?? null, auditContext(req));
+
+  res.json({
+    success: true,
+    message: pricing.plan ? `Merchant moved to the ${pricing.plan.name} fee plan` : 'Merchant moved to the default fee plan',
+    data: pricing
+  });
+});
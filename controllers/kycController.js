@@ -0,0 +1,112 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const KycService = require('../services/KycService');
+const AuditService = require('../services/AuditService');
+
+/**
+ * Actor and request context recorded with audit events
+ * @param {Request} req - Express request object
+ * @returns {Object}
+ */
+const auditContext = (req) => ({
+  actor: AuditService.actorFrom(req),
+  context: AuditService.contextFrom(req)
+});
+
+/**
+ * @desc Get a merchant's KYC status and current documents
+ * @route GET /api/merchant/:merchantId/kyc
+ */
+exports.getKycStatus = asyncHandler(async (req, res) => {
+  const status = await KycService.getStatus(req.merchant);
+
+  res.json({
+    success: true,
+    data: status
+  });
+});
+
+/**
+ * @desc Upload a KYC document (multipart field `file`)
+ * @route POST /api/merchant/:merchantId/kyc/documents
+ */
+exports.uploadKycDocument = asyncHandler(async (req, res) => {
+  const document = await KycService.uploadDocument(req.merchant, { type: req.body.type, file: req.file }, {
+    uploadedBy: req.user.userId,
+    ...auditContext(req)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Document uploaded',
+    data: document
+  });
+});
+
+/**
+ * @desc Download a KYC document
+ * @route GET /api/merchant/:merchantId/kyc/documents/:documentId/file
+ */
+exports.downloadKycDocument = asyncHandler(async (req, res, next) => {
+  const { document, stream } = await KycService.getDocumentFile(req.merchant, req.params.documentId);
+  const filename = (document.originalName || document.type).replace(/[^\w.\- ]/g, '_');
+
+  res.set({
+    'Content-Type': document.mimeType,
+    'Content-Length': document.size,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+  stream.on('error', next);
+  stream.pipe(res);
+});
+
+/**
+ * @desc Submit uploaded documents for KYC review
+ * @route POST /api/merchant/:merchantId/kyc/submit
+ */
+exports.submitKyc = asyncHandler(async (req, res) => {
+  const status = await KycService.submit(req.merchant, auditContext(req));
+
+  res.json({
+    success: true,
+    message: 'Documents submitted for review. You will be notified by email',
+    data: status
+  });
+});
+
+/**
+ * @desc List merchants awaiting (or past) KYC review
+ * @route GET /api/kyc-submissions
+ */
+exports.listKycSubmissions = asyncHandler(async (req, res) => {
+  const { status = 'submitted', page = 1, limit = 20 } = req.query;
+
+  const result = await KycService.listSubmissions({ status }, {
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc Approve or reject a merchant's KYC submission
+ * @route POST /api/kyc-submissions/:merchantId/decision
+ */
+exports.reviewKycSubmission = asyncHandler(async (req, res) => {
+  const { decision, reason } = req.body;
+
+  const merchant = await KycService.review(req.params.merchantId, { decision, reason }, {
+    reviewedBy: req.user.userId,
+    ...auditContext(req)
+  });
+
+  res.json({
+    success: true,
+    message: decision === 'approve' ? 'Merchant KYC approved' : 'Merchant KYC rejected',
+    data: merchant
+  });
+});
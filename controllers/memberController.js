@@ -0,0 +1,131 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const MembershipService = require('../services/MembershipService');
+
+/**
+ * Caller context used by membership rules
+ * @param {Request} req - Express request object
+ * @returns {Object}
+ */
+const actorContext = (req) => ({
+  actorRole: req.merchantRole,
+  actorUserId: req.user.userId
+});
+
+/**
+ * @desc List team members
+ * @route GET /api/merchant/:merchantId/members
+ */
+exports.listMembers = asyncHandler(async (req, res) => {
+  const members = await MembershipService.listMembers(req.merchant);
+
+  res.json({
+    success: true,
+    count: members.length,
+    data: members
+  });
+});
+
+/**
+ * @desc Change a member's role
+ * @route PATCH /api/merchant/:merchantId/members/:userId
+ */
+exports.changeMemberRole = asyncHandler(async (req, res) => {
+  const membership = await MembershipService.changeRole(req.merchant, req.params.userId, req.body.role, actorContext(req));
+
+  res.json({
+    success: true,
+    message: `Member role changed to ${membership.role}`,
+    data: membership
+  });
+});
+
+/**
+ * @desc Remove a member, or leave the business when removing yourself
+ * @route DELETE /api/merchant/:merchantId/members/:userId
+ */
+exports.removeMember = asyncHandler(async (req, res) => {
+  await MembershipService.removeMember(req.merchant, req.params.userId, actorContext(req));
+
+  res.json({
+    success: true,
+    message: 'Member removed'
+  });
+});
+
+/**
+ * @desc Transfer ownership to another member
+ * @route POST /api/merchant/:merchantId/transfer-ownership
+ */
+exports.transferOwnership = asyncHandler(async (req, res) => {
+  const result = await MembershipService.transferOwnership(req.merchant, req.body.userId, actorContext(req));
+
+  res.json({
+    success: true,
+    message: 'Ownership transferred',
+    data: result
+  });
+});
+
+/**
+ * @desc List invitations
+ * @route GET /api/merchant/:merchantId/invitations
+ */
+exports.listInvitations = asyncHandler(async (req, res) => {
+  const invitations = await MembershipService.listInvitations(req.merchant, { all: req.query.all === 'true' });
+
+  res.json({
+    success: true,
+    count: invitations.length,
+    data: invitations
+  });
+});
+
+/**
+ * @desc Invite someone to the team by email
+ * @route POST /api/merchant/:merchantId/invitations
+ */
+exports.createInvitation = asyncHandler(async (req, res) => {
+  const { email, role } = req.body;
+
+  const result = await MembershipService.invite(req.merchant, { email, role }, {
+    actorRole: req.merchantRole,
+    invitedBy: req.user.userId,
+    inviterName: req.user.email
+  });
+
+  res.status(201).json({
+    success: true,
+    message: result.emailSent
+      ? `Invitation sent to ${email}`
+      : 'Invitation created, but the email could not be sent. Please try again',
+    data: result
+  });
+});
+
+/**
+ * @desc Revoke a pending invitation
+ * @route DELETE /api/merchant/:merchantId/invitations/:invitationId
+ */
+exports.revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await MembershipService.revokeInvitation(req.merchant, req.params.invitationId, actorContext(req));
+
+  res.json({
+    success: true,
+    message: 'Invitation revoked',
+    data: invitation
+  });
+});
+
+/**
+ * @desc Accept an invitation as the signed-in user
+ * @route POST /api/invitations/accept
+ */
+exports.acceptInvitation = asyncHandler(async (req, res) => {
+  const membership = await MembershipService.acceptInvitation(req.body.token, req.user.userId);
+
+  res.json({
+    success: true,
+    message: 'Invitation accepted',
+    data: membership
+  });
+});
@@ -1,8 +1,24 @@
 
 const Merchant = require('../models/Merchant');
+const Membership = require('../models/Membership');
 const ApiError = require('../lib/ApiError');
 const { asyncHandler } = require('../middlewares/errorHandler');
 const logger = require('../lib/logger');
+const { assertMerchantAccess } = require('../middlewares/authorize');
+const MerchantService = require('../services/MerchantService');
+const MerchantDirectoryService = require('../services/MerchantDirectoryService');
+const OnboardingService = require('../services/OnboardingService');
+const AuditService = require('../services/AuditService');
+
+/**
+ * Actor and request context recorded with merchant audit events
+ * @param {Request} req - Express request object
+ * @returns {Object}
+ */
+const auditContext = (req) => ({
+  actor: AuditService.actorFrom(req),
+  context: AuditService.contextFrom(req)
+});
 
 
 exports.createBusiness = asyncHandler(async (req, res) => {
@@ -13,6 +29,11 @@ exports.createBusiness = asyncHandler(async (req, res) => {
   if (!walletAddress) throw ApiError.badRequest('Wallet address is required');
   if (!businessName) throw ApiError.badRequest('Business name is required');
 
+  // A wallet-scoped (SIWE) token may only register the wallet it proved
+  if (req.user.walletAddress && req.user.walletAddress !== walletAddress.toLowerCase()) {
+    throw ApiError.forbidden('Wallet address does not match the signed-in wallet');
+  }
+
   // Check for existing records
   const existingWallet = await Merchant.findOne({ walletAddress: walletAddress.toLowerCase() });
   if (existingWallet) throw ApiError.conflict('Wallet address already linked to a business');
@@ -24,10 +45,16 @@ exports.createBusiness = asyncHandler(async (req, res) => {
   const merchant = await Merchant.create({
     walletAddress: walletAddress.toLowerCase(),
     businessName,
+    owner: req.user.userId || undefined,
     payoutPreferences,
     country
   });
 
+  if (req.user.userId) {
+    await Membership.create({ merchant: merchant._id, user: req.user.userId, role: 'owner' });
+    await OnboardingService.sync(merchant);
+  }
+
   logger.info('Business created successfully', { id: merchant._id, walletAddress });
 
   res.status(201).json({
@@ -43,6 +70,8 @@ exports.getBusinessByWallet = asyncHandler(async (req, res) => {
   const merchant = await Merchant.findOne({ walletAddress: walletAddress.toLowerCase() });
   if (!merchant) throw ApiError.notFound('Business not found for this wallet');
 
+  await assertMerchantAccess(req.user, merchant);
+
   res.json({
     success: true,
     data: merchant
@@ -50,11 +79,180 @@ exports.getBusinessByWallet = asyncHandler(async (req, res) => {
 });
 
 
+/**
+ * Directory filters from the query string
+ * @param {Request} req - Express request object
+ * @returns {Object}
+ */
+const directoryFilters = (req) => {
+  const { search, kycStatus, country, payoutMethod, createdFrom, createdTo } = req.query;
+  return { search, kycStatus, country, payoutMethod, createdFrom, createdTo };
+};
+
+/**
+ * @desc Search the merchant directory (admin), newest first with cursor pagination
+ * @route GET /api/merchant
+ */
 exports.getAllBusinesses = asyncHandler(async (req, res) => {
-  const merchants = await Merchant.find().sort({ createdAt: -1 });
+  const { cursor, limit = 20 } = req.query;
+  const filters = directoryFilters(req);
+
+  const result = await MerchantDirectoryService.list(filters, { cursor, limit: parseInt(limit) });
+
+  res.json({
+    success: true,
+    data: { ...result, filters }
+  });
+});
+
+/**
+ * @desc Export the filtered merchant directory as CSV (admin)
+ * @route GET /api/merchant/export
+ */
+exports.exportBusinesses = asyncHandler(async (req, res) => {
+  const filters = directoryFilters(req);
+  const { actor, context } = auditContext(req);
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="merchants-${new Date().toISOString().slice(0, 10)}.csv"`,
+    'Cache-Control': 'no-store'
+  });
+
+  let rows;
+  try {
+    rows = await MerchantDirectoryService.exportCsv(filters, res);
+  } catch (error) {
+    // Headers are already sent; cut the download short rather than hand over a partial file as complete
+    logger.error('Merchant export failed', { error: error.message });
+    res.destroy(error);
+    return;
+  }
+  res.end();
+
+  await AuditService.record({
+    action: AuditService.AUDIT_ACTIONS.MERCHANT_DIRECTORY_EXPORTED,
+    actor,
+    target: { type: 'merchant' },
+    metadata: { filters, rows }
+  }, context);
+});
+
+/**
+ * @desc Onboarding checklist for the dashboard
+ * @route GET /api/merchant/:merchantId/onboarding
+ */
+exports.getOnboarding = asyncHandler(async (req, res) => {
+  const checklist = await OnboardingService.checklist(req.merchant);
+  await OnboardingService.sync(req.merchant);
+
+  res.json({
+    success: true,
+    data: checklist
+  });
+});
+
+/**
+ * @desc Update business profile (name, country, payment intent lifetime)
+ * @route PATCH /api/merchant/:merchantId
+ */
+exports.updateBusiness = asyncHandler(async (req, res) => {
+  const { businessName, country, paymentIntentExpiryMinutes } = req.body;
+
+  const merchant = await MerchantService.updateProfile(
+    req.merchant,
+    { businessName, country, paymentIntentExpiryMinutes },
+    auditContext(req)
+  );
+
+  res.json({
+    success: true,
+    message: 'Business profile updated',
+    data: merchant
+  });
+});
+
+/**
+ * @desc Request a payout preferences change; takes effect after email confirmation and cooling-off
+ * @route PATCH /api/merchant/:merchantId/payout-preferences
+ */
+exports.updatePayoutPreferences = asyncHandler(async (req, res) => {
+  const { currency, method, accountDetails } = req.body;
+
+  const result = await MerchantService.requestPayoutChange(req.merchant, { currency, method, accountDetails }, {
+    requester: { id: req.user.userId, email: req.user.email },
+    ...auditContext(req)
+  });
+
+  res.status(202).json({
+    success: true,
+    message: result.emailSent
+      ? 'Check your email to confirm the new payout details'
+      : 'Payout change saved, but the confirmation email could not be sent. Please submit the change again',
+    data: result
+  });
+});
+
+/**
+ * @desc Confirm a pending payout change with the emailed token
+ * @route POST /api/merchant/:merchantId/payout-preferences/confirm
+ */
+exports.confirmPayoutChange = asyncHandler(async (req, res) => {
+  const pendingPayoutChange = await MerchantService.confirmPayoutChange(req.merchant, req.body.token, auditContext(req));
+
+  res.json({
+    success: true,
+    message: `Payout change confirmed. Settlements will use the new details from ${pendingPayoutChange.effectiveAt.toISOString()}`,
+    data: { pendingPayoutChange }
+  });
+});
+
+/**
+ * @desc Cancel a pending payout change
+ * @route DELETE /api/merchant/:merchantId/payout-preferences/pending
+ */
+exports.cancelPayoutChange = asyncHandler(async (req, res) => {
+  await MerchantService.cancelPayoutChange(req.merchant, auditContext(req));
+
+  res.json({
+    success: true,
+    message: 'Pending payout change cancelled'
+  });
+});
+
+/**
+ * @desc Close the business account and settle outstanding funds
+ * @route POST /api/merchant/:merchantId/deactivate
+ */
+exports.deactivateBusiness = asyncHandler(async (req, res) => {
+  const result = await MerchantService.deactivate(req.merchant, {
+    reason: req.body.reason,
+    deactivatedBy: req.user.userId,
+    ...auditContext(req)
+  });
+
+  res.json({
+    success: true,
+    message: 'Business account closed. Outstanding transactions are being settled',
+    data: result
+  });
+});
+
+/**
+ * @desc Restrict, suspend, close or reinstate a merchant (admin)
+ * @route PUT /api/merchant/:merchantId/status
+ */
+exports.changeBusinessStatus = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  const result = await MerchantService.changeStatus(req.merchant, { status, reason }, {
+    changedBy: req.user.userId,
+    ...auditContext(req)
+  });
+
   res.json({
     success: true,
-    count: merchants.length,
-    data: merchants
+    message: `Merchant account is now ${status}`,
+    data: result
   });
 });
@@ -1,8 +1,23 @@
 const PaymentService = require("../services/paymentIntegrationServices");
+const BrandingService = require("../services/BrandingService");
+const IdempotencyService = require("../services/IdempotencyService");
 
 exports.createPayment = async (req, res) => {
   try {
-    const data = await PaymentService.createPayment(req.body);
+    const { merchant, livemode, idempotencyKey } = req;
+    const data = await PaymentService.createPayment({
+      ...req.body,
+      // A retried key reuses its reference, so a charge that timed out is not made twice
+      tx_ref: req.body.tx_ref || (idempotencyKey && IdempotencyService.reference(merchant._id, idempotencyKey)),
+      // Merchant context comes from the API key, never from the request body
+      merchant: {
+        merchantId: merchant._id.toString(),
+        walletAddress: merchant.walletAddress,
+        businessName: merchant.businessName
+      },
+      branding: BrandingService.checkoutBranding(merchant),
+      metadata: { ...req.body.metadata, livemode }
+    });
     res.json({ success: true, data });
   } catch (err) {
     console.error("Create Payment Error:", err);
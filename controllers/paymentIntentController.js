@@ -1,35 +1,33 @@
 const { asyncHandler } = require('../middlewares/errorHandler');
 const PaymentIntentService = require('../services/PaymentIntentService');
+const AuditService = require('../services/AuditService');
+const BrandingService = require('../services/BrandingService');
 const Merchant = require('../models/Merchant');
+const { assertMerchantAccess } = require('../middlewares/authorize');
+const { MERCHANT_PERMISSIONS } = require('../lib/permissions');
 const logger = require('../lib/logger');
 
 /**
- * @desc Create a new payment intent (linked by wallet)
+ * @desc Create a new payment intent for the merchant that owns the API key
  * @route POST /api/payment-intents
  */
 exports.createPaymentIntent = asyncHandler(async (req, res) => {
-  const { walletAddress, order_id, amount, source_currency, target_currency } = req.body;
+  const { order_id, amount, source_currency, target_currency, splits, expires_in_minutes } = req.body;
+  const { merchant, livemode } = req;
 
-  if (!walletAddress) {
-    return res.status(400).json({ success: false, message: 'Wallet address is required' });
-  }
-
-  // Find merchant by wallet address
-  const merchant = await Merchant.findOne({ walletAddress: walletAddress.toLowerCase() });
-  if (!merchant) {
-    return res.status(404).json({ success: false, message: 'Merchant not found for this wallet' });
-  }
-
-  // Create payment intent
   const paymentIntent = await PaymentIntentService.createIntent({
     merchantId: merchant._id,
     orderId: order_id,
     amount,
     sourceCurrency: source_currency,
     targetCurrency: target_currency,
+    splits: splits?.map(({ sub_merchant_id, type, value }) => ({ subMerchantId: sub_merchant_id, type, value })),
+    livemode,
+    expiresInMinutes: expires_in_minutes ?? merchant.paymentIntentExpiryMinutes,
+    actor: AuditService.actorFrom(req),
   });
 
-  logger.info('Payment intent created', { id: paymentIntent._id, walletAddress });
+  logger.info('Payment intent created', { id: paymentIntent._id, merchantId: merchant._id, apiKeyId: req.apiKey._id, livemode });
 
   res.status(201).json({
     success: true,
@@ -39,33 +37,51 @@ exports.createPaymentIntent = asyncHandler(async (req, res) => {
       checkoutLink: paymentIntent.checkoutLink,
       widgetToken: paymentIntent.widgetToken,
       status: paymentIntent.status,
+      splits: paymentIntent.splits,
+      branding: BrandingService.checkoutBranding(merchant),
+      livemode: paymentIntent.livemode,
+      expiresAt: paymentIntent.expiresAt,
       createdAt: paymentIntent.createdAt,
     },
   });
 });
 
 /**
- * @desc Get payment intent details
+ * @desc Get payment intent details with the payments recorded against it
  * @route GET /api/payment-intents/:id
  */
 exports.getPaymentIntent = asyncHandler(async (req, res) => {
   const intent = await PaymentIntentService.getIntentById(req.params.id);
+
+  const merchant = await Merchant.findById(intent.merchantId);
+  await assertMerchantAccess(req.user, merchant, MERCHANT_PERMISSIONS.PAYMENT_INTENTS_READ);
+
+  const payments = await PaymentIntentService.paymentsFor(intent);
+
   res.json({
     success: true,
     message: 'Payment intent fetched successfully',
-    data: intent,
+    data: {
+      ...intent.toJSON(),
+      branding: BrandingService.checkoutBranding(merchant),
+      payments,
+    },
   });
 });
 
 /**
- * @desc Update payment status
+ * @desc Update payment status along a legal transition
  * @route PATCH /api/payment-intents/:id/status
  */
 exports.updatePaymentStatus = asyncHandler(async (req, res) => {
-  const { status } = req.body;
-  const intent = await PaymentIntentService.updateStatus(req.params.id, status);
+  const { status, reason } = req.body;
+  const intent = await PaymentIntentService.updateStatus(req.params.id, status, {
+    reason,
+    actor: AuditService.actorFrom(req),
+    context: AuditService.contextFrom(req)
+  });
 
-  logger.info('Payment status updated', { id: intent._id, status });
+  logger.info('Payment status updated', { id: intent._id, status, updatedBy: req.user.userId });
 
   res.json({
     success: true,
@@ -0,0 +1,36 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const PayoutService = require('../services/PayoutService');
+
+/**
+ * @desc List split payouts the merchant received or paid out
+ * @route GET /api/merchant/:merchantId/payouts
+ */
+exports.listPayouts = asyncHandler(async (req, res) => {
+  const { status, transactionId, page, limit } = req.query;
+
+  const { payouts, pagination } = await PayoutService.list(req.merchant, { status, transactionId, page, limit });
+
+  res.json({
+    success: true,
+    data: {
+      payouts,
+      pagination
+    }
+  });
+});
+
+/**
+ * @desc Retry the failed legs of a split settlement
+ * @route POST /api/merchant/:merchantId/payouts/:payoutId/retry
+ */
+exports.retryPayout = asyncHandler(async (req, res) => {
+  const result = await PayoutService.retry(req.merchant, req.params.payoutId);
+
+  const failed = result.payouts.filter((payout) => payout.status === 'FAILED').length;
+
+  res.json({
+    success: true,
+    message: failed ? `${failed} payout(s) failed again` : 'All payouts settled',
+    data: result
+  });
+});
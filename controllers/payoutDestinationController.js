@@ -0,0 +1,97 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const PayoutDestinationService = require('../services/PayoutDestinationService');
+const AuditService = require('../services/AuditService');
+
+/**
+ * Actor and request context recorded with audit events
+ * @param {Request} req - Express request object
+ * @returns {Object}
+ */
+const auditContext = (req) => ({
+  actor: AuditService.actorFrom(req),
+  context: AuditService.contextFrom(req)
+});
+
+const VERIFICATION_MESSAGES = {
+  verified: 'Payout destination added and verified',
+  name_mismatch: 'Payout destination added, but the bank account name does not match the business name. It will not receive payouts',
+  pending: 'Payout destination added. Bank verification is pending, retry it shortly',
+  failed: 'Payout destination added, but the bank account could not be verified',
+  not_required: 'Payout destination added'
+};
+
+/**
+ * @desc List a merchant's payout destinations
+ * @route GET /api/merchant/:merchantId/payout-destinations
+ */
+exports.listPayoutDestinations = asyncHandler(async (req, res) => {
+  const destinations = await PayoutDestinationService.list(req.merchant._id);
+
+  res.json({
+    success: true,
+    count: destinations.length,
+    data: destinations
+  });
+});
+
+/**
+ * @desc Add a bank account, mobile-money wallet or crypto address
+ * @route POST /api/merchant/:merchantId/payout-destinations
+ */
+exports.createPayoutDestination = asyncHandler(async (req, res) => {
+  const { type, currency, label, bankAccount, mobileMoney, cryptoWallet, isDefault } = req.body;
+
+  const destination = await PayoutDestinationService.create(req.merchant, {
+    type, currency, label, bankAccount, mobileMoney, cryptoWallet, isDefault
+  }, {
+    createdBy: req.user.userId,
+    ...auditContext(req)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: VERIFICATION_MESSAGES[destination.verification.status],
+    data: destination
+  });
+});
+
+/**
+ * @desc Retry bank account verification
+ * @route POST /api/merchant/:merchantId/payout-destinations/:destinationId/verify
+ */
+exports.verifyPayoutDestination = asyncHandler(async (req, res) => {
+  const destination = await PayoutDestinationService.reverify(req.merchant, req.params.destinationId);
+
+  res.json({
+    success: true,
+    message: `Verification ${destination.verification.status.replace('_', ' ')}`,
+    data: destination
+  });
+});
+
+/**
+ * @desc Make a payout destination the default
+ * @route POST /api/merchant/:merchantId/payout-destinations/:destinationId/default
+ */
+exports.setDefaultPayoutDestination = asyncHandler(async (req, res) => {
+  const destination = await PayoutDestinationService.setDefault(req.merchant, req.params.destinationId, auditContext(req));
+
+  res.json({
+    success: true,
+    message: 'Default payout destination updated',
+    data: destination
+  });
+});
+
+/**
+ * @desc Remove a payout destination
+ * @route DELETE /api/merchant/:merchantId/payout-destinations/:destinationId
+ */
+exports.removePayoutDestination = asyncHandler(async (req, res) => {
+  await PayoutDestinationService.remove(req.merchant, req.params.destinationId, auditContext(req));
+
+  res.json({
+    success: true,
+    message: 'Payout destination removed'
+  });
+});
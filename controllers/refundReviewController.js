@@ -0,0 +1,41 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const RefundReviewService = require('../services/RefundReviewService');
+const AuditService = require('../services/AuditService');
+
+/**
+ * @desc List late payments by refund review status
+ * @route GET /api/refund-reviews
+ */
+exports.listRefundReviews = asyncHandler(async (req, res) => {
+  const { status = 'PENDING', page = 1, limit = 20 } = req.query;
+
+  const result = await RefundReviewService.list({ status }, {
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc Accept a late payment or record its refund
+ * @route POST /api/refund-reviews/:transactionId/decision
+ */
+exports.resolveRefundReview = asyncHandler(async (req, res) => {
+  const { decision, note } = req.body;
+
+  const transaction = await RefundReviewService.resolve(req.params.transactionId, { decision, note }, {
+    reviewedBy: req.user.userId,
+    actor: AuditService.actorFrom(req),
+    context: AuditService.contextFrom(req)
+  });
+
+  res.json({
+    success: true,
+    message: decision === 'accept' ? 'Late payment accepted; settlement released' : 'Late payment marked as refunded',
+    data: transaction
+  });
+});
@@ -0,0 +1,34 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const SecurityPolicyService = require('../services/SecurityPolicyService');
+const AuditService = require('../services/AuditService');
+
+/**
+ * @desc Get the platform security policy
+ * @route GET /api/security-policy
+ */
+exports.getSecurityPolicy = asyncHandler(async (req, res) => {
+  const policy = await SecurityPolicyService.getPolicy();
+
+  res.json({
+    success: true,
+    data: policy
+  });
+});
+
+/**
+ * @desc Update the platform security policy
+ * @route PUT /api/security-policy
+ */
+exports.updateSecurityPolicy = asyncHandler(async (req, res) => {
+  const policy = await SecurityPolicyService.updatePolicy(
+    { twoFactorRequiredRoles: req.body.twoFactorRequiredRoles },
+    req.user.userId,
+    { actor: AuditService.actorFrom(req), context: AuditService.contextFrom(req) }
+  );
+
+  res.json({
+    success: true,
+    message: 'Security policy updated',
+    data: policy
+  });
+});
@@ -0,0 +1,77 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const SubMerchantService = require('../services/SubMerchantService');
+const AuditService = require('../services/AuditService');
+
+/**
+ * Actor and request context recorded with audit events
+ * @param {Request} req - Express request object
+ * @returns {Object}
+ */
+const auditContext = (req) => ({
+  actor: AuditService.actorFrom(req),
+  context: AuditService.contextFrom(req)
+});
+
+/**
+ * @desc List a merchant's sub-merchants
+ * @route GET /api/merchant/:merchantId/sub-merchants
+ */
+exports.listSubMerchants = asyncHandler(async (req, res) => {
+  const subMerchants = await SubMerchantService.list(req.merchant);
+
+  res.json({
+    success: true,
+    count: subMerchants.length,
+    data: subMerchants
+  });
+});
+
+/**
+ * @desc Create a sub-merchant
+ * @route POST /api/merchant/:merchantId/sub-merchants
+ */
+exports.createSubMerchant = asyncHandler(async (req, res) => {
+  const { businessName, country, walletAddress } = req.body;
+
+  const subMerchant = await SubMerchantService.create(req.merchant, { businessName, country, walletAddress }, auditContext(req));
+
+  res.status(201).json({
+    success: true,
+    message: 'Sub-merchant created. Add a payout destination so it can be paid',
+    data: subMerchant
+  });
+});
+
+/**
+ * @desc Get a sub-merchant
+ * @route GET /api/merchant/:merchantId/sub-merchants/:subMerchantId
+ */
+exports.getSubMerchant = asyncHandler(async (req, res) => {
+  const subMerchant = await SubMerchantService.get(req.merchant, req.params.subMerchantId);
+
+  res.json({
+    success: true,
+    data: subMerchant
+  });
+});
+
+/**
+ * @desc Update a sub-merchant's name, country or status
+ * @route PATCH /api/merchant/:merchantId/sub-merchants/:subMerchantId
+ */
+exports.updateSubMerchant = asyncHandler(async (req, res) => {
+  const { businessName, country, status } = req.body;
+
+  const subMerchant = await SubMerchantService.update(
+    req.merchant,
+    req.params.subMerchantId,
+    { businessName, country, status },
+    { changedBy: req.user.userId, ...auditContext(req) }
+  );
+
+  res.json({
+    success: true,
+    message: 'Sub-merchant updated',
+    data: subMerchant
+  });
+});
@@ -2,12 +2,14 @@ const asyncHandler = require('express-async-handler');
 const Transaction = require('../models/Transaction');
 const Merchant = require('../models/Merchant');
 const ApiError = require('../lib/ApiError');
+const { assertMerchantAccess } = require('../middlewares/authorize');
+const { MERCHANT_PERMISSIONS } = require('../lib/permissions');
 const logger = require('../lib/logger');
 
 /**
  * @desc Get all transactions for a merchant by wallet address
  * @route GET /api/transactions/wallet/:walletAddress
- * @access Public (but should be protected in production)
+ * @access Private (merchant owner or admin)
  */
 exports.getTransactionsByWallet = asyncHandler(async (req, res) => {
   const { walletAddress } = req.params;
@@ -39,6 +41,8 @@ exports.getTransactionsByWallet = asyncHandler(async (req, res) => {
     throw ApiError.notFound('No merchant found with this wallet address');
   }
 
+  await assertMerchantAccess(req.user, merchant, MERCHANT_PERMISSIONS.TRANSACTIONS_READ);
+
   // Build query filter
   const filter = { merchantId: merchant._id };
 
@@ -177,7 +181,7 @@ exports.getTransactionsByWallet = asyncHandler(async (req, res) => {
 /**
  * @desc Get transaction statistics for a merchant by wallet address
  * @route GET /api/transactions/wallet/:walletAddress/stats
- * @access Public (but should be protected in production)
+ * @access Private (merchant owner or admin)
  */
 exports.getTransactionStatsByWallet = asyncHandler(async (req, res) => {
   const { walletAddress } = req.params;
@@ -192,6 +196,8 @@ exports.getTransactionStatsByWallet = asyncHandler(async (req, res) => {
     throw ApiError.notFound('No merchant found with this wallet address');
   }
 
+  await assertMerchantAccess(req.user, merchant, MERCHANT_PERMISSIONS.TRANSACTIONS_READ);
+
   // Calculate date range based on period
   const now = new Date();
   let startDate;
@@ -303,7 +309,7 @@ exports.getTransactionStatsByWallet = asyncHandler(async (req, res) => {
 /**
  * @desc Get recent transactions for a merchant by wallet address
  * @route GET /api/transactions/wallet/:walletAddress/recent
- * @access Public (but should be protected in production)
+ * @access Private (merchant owner or admin)
  */
 exports.getRecentTransactionsByWallet = asyncHandler(async (req, res) => {
   const { walletAddress } = req.params;
@@ -318,6 +324,8 @@ exports.getRecentTransactionsByWallet = asyncHandler(async (req, res) => {
     throw ApiError.notFound('No merchant found with this wallet address');
   }
 
+  await assertMerchantAccess(req.user, merchant, MERCHANT_PERMISSIONS.TRANSACTIONS_READ);
+
   try {
     const recentTransactions = await Transaction.find({ 
       merchantId: merchant._id 
@@ -0,0 +1,75 @@
+const { asyncHandler } = require('../middlewares/errorHandler');
+const WebhookEndpointService = require('../services/WebhookEndpointService');
+const AuditService = require('../services/AuditService');
+
+/**
+ * Actor and request context recorded with audit events
+ * @param {Request} req - Express request object
+ * @returns {Object}
+ */
+const auditContext = (req) => ({
+  actor: AuditService.actorFrom(req),
+  context: AuditService.contextFrom(req)
+});
+
+/**
+ * @desc List a merchant's webhook endpoints
+ * @route GET /api/merchant/:merchantId/webhook-endpoints
+ */
+exports.listWebhookEndpoints = asyncHandler(async (req, res) => {
+  const endpoints = await WebhookEndpointService.list(req.merchant._id);
+
+  res.json({
+    success: true,
+    count: endpoints.length,
+    data: endpoints
+  });
+});
+
+/**
+ * @desc Add a webhook endpoint. The signing secret is only returned in this response.
+ * @route POST /api/merchant/:merchantId/webhook-endpoints
+ */
+exports.createWebhookEndpoint = asyncHandler(async (req, res) => {
+  const { url, description } = req.body;
+
+  const { endpoint, secret } = await WebhookEndpointService.create(req.merchant, { url, description }, {
+    createdBy: req.user.userId,
+    ...auditContext(req)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Webhook endpoint added. Store the signing secret securely, it will not be shown again',
+    data: { ...endpoint.toJSON(), secret }
+  });
+});
+
+/**
+ * @desc Update a webhook endpoint's description or enable/disable it
+ * @route PATCH /api/merchant/:merchantId/webhook-endpoints/:endpointId
+ */
+exports.updateWebhookEndpoint = asyncHandler(async (req, res) => {
+  const { description, enabled } = req.body;
+
+  const endpoint = await WebhookEndpointService.update(req.merchant, req.params.endpointId, { description, enabled });
+
+  res.json({
+    success: true,
+    message: 'Webhook endpoint updated',
+    data: endpoint
+  });
+});
+
+/**
+ * @desc Remove a webhook endpoint
+ * @route DELETE /api/merchant/:merchantId/webhook-endpoints/:endpointId
+ */
+exports.deleteWebhookEndpoint = asyncHandler(async (req, res) => {
+  await WebhookEndpointService.remove(req.merchant, req.params.endpointId, auditContext(req));
+
+  res.json({
+    success: true,
+    message: 'Webhook endpoint removed'
+  });
+});
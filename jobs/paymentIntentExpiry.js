@@ -0,0 +1,49 @@
+const PaymentIntentService = require('../services/PaymentIntentService');
+const logger = require('../lib/logger');
+
+// How often the sweeper looks for stale intents
+const INTERVAL_MS = Number(process.env.PAYMENT_INTENT_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Expire every unpaid intent past its `expiresAt`. Overlapping runs are
+ * skipped so a slow sweep never stacks up behind the interval.
+ * @returns {Promise<number>} - Intents expired by this run
+ */
+async function runOnce() {
+  if (running) return 0;
+  running = true;
+
+  try {
+    const expired = await PaymentIntentService.expireStale();
+    if (expired) logger.info('Expired stale payment intents', { expired });
+    return expired;
+  } catch (error) {
+    logger.error('Payment intent expiry sweep failed', { error: error.message });
+    return 0;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start sweeping on an interval; calling it again is a no-op
+ */
+function start() {
+  if (timer) return;
+
+  timer = setInterval(runOnce, INTERVAL_MS);
+  // Never keep the process alive just for the sweeper
+  timer.unref();
+  logger.info('Payment intent expiry sweeper started', { intervalMs: INTERVAL_MS });
+}
+
+function stop() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { start, stop, runOnce };
@@ -0,0 +1,34 @@
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+/**
+ * Domain events published inside the process. Listeners run synchronously
+ * in the publisher's call; a failing listener is logged and never breaks
+ * the code that published the event.
+ */
+const EVENTS = Object.freeze({
+  PAYMENT_INTENT_EXPIRED: 'payment_intent.expired',
+  PAYMENT_INTENT_LATE_PAYMENT: 'payment_intent.late_payment'
+});
+
+class DomainEvents extends EventEmitter {
+  /**
+   * Publish an event to every listener
+   * @param {string} event - One of EVENTS
+   * @param {Object} payload - Event data
+   */
+  publish(event, payload) {
+    for (const listener of this.listeners(event)) {
+      try {
+        listener(payload);
+      } catch (error) {
+        logger.error('Event listener failed', { event, error: error.message });
+      }
+    }
+  }
+}
+
+const events = new DomainEvents();
+events.EVENTS = EVENTS;
+
+module.exports = events;
@@ -1,5 +1,6 @@
 const winston = require('winston');
 const path = require('path');
+const crypto = require('crypto');
 
 // Define custom log format
 const logFormat = winston.format.combine(
@@ -96,8 +97,9 @@ logger.rejections.handle(
 
 // Add request ID to logs if available
 logger.addRequestId = (req, res, next) => {
-  req.requestId = Math.random().toString(36).substr(2, 9);
+  req.requestId = crypto.randomUUID();
   logger.defaultMeta.requestId = req.requestId;
+  res.set('X-Request-Id', req.requestId);
   next();
 };
 
@@ -0,0 +1,101 @@
+/**
+ * Platform permissions granted by user role (`User.role`).
+ * Routes check permissions rather than role names so new roles can be
+ * introduced without touching every router.
+ */
+const PERMISSIONS = Object.freeze({
+  CRYPTO_READ: 'crypto:read',
+  CRYPTO_MANAGE_LIQUIDITY: 'crypto:manage_liquidity',
+  CRYPTO_CREDIT_MERCHANT: 'crypto:credit_merchant',
+  MERCHANTS_LIST: 'merchants:list',
+  MERCHANTS_ACCESS_ANY: 'merchants:access_any',
+  MERCHANTS_MANAGE_STATUS: 'merchants:manage_status',
+  PAYMENT_INTENTS_OVERRIDE_STATUS: 'payment_intents:override_status',
+  SECURITY_POLICY_MANAGE: 'security_policy:manage',
+  AUDIT_LOG_READ: 'audit_log:read',
+  KYC_REVIEW: 'kyc:review',
+  FEE_PLANS_MANAGE: 'fee_plans:manage',
+  REFUND_REVIEWS_MANAGE: 'refund_reviews:manage'
+});
+
+const ROLE_PERMISSIONS = Object.freeze({
+  admin: Object.values(PERMISSIONS),
+  merchant: []
+});
+
+/**
+ * Team roles within a single merchant business (`Membership.role`), and the
+ * merchant-scoped permissions each grants. Platform admins bypass these.
+ */
+const MERCHANT_ROLES = Object.freeze(['owner', 'admin', 'developer', 'finance', 'viewer']);
+
+const MERCHANT_PERMISSIONS = Object.freeze({
+  READ: 'merchant:read',
+  UPDATE: 'merchant:update',
+  TRANSACTIONS_READ: 'merchant:transactions_read',
+  PAYMENT_INTENTS_READ: 'merchant:payment_intents_read',
+  PAYOUTS_MANAGE: 'merchant:payouts_manage',
+  API_KEYS_MANAGE: 'merchant:api_keys_manage',
+  WEBHOOKS_MANAGE: 'merchant:webhooks_manage',
+  MEMBERS_MANAGE: 'merchant:members_manage',
+  OWNERSHIP_TRANSFER: 'merchant:ownership_transfer',
+  DEACTIVATE: 'merchant:deactivate',
+  KYC_MANAGE: 'merchant:kyc_manage',
+  SUB_MERCHANTS_MANAGE: 'merchant:sub_merchants_manage'
+});
+
+// Reserved for the business owner, even over team admins
+const OWNER_ONLY_PERMISSIONS = [MERCHANT_PERMISSIONS.OWNERSHIP_TRANSFER, MERCHANT_PERMISSIONS.DEACTIVATE];
+
+const MERCHANT_ROLE_PERMISSIONS = Object.freeze({
+  owner: Object.values(MERCHANT_PERMISSIONS),
+  admin: Object.values(MERCHANT_PERMISSIONS).filter((permission) => !OWNER_ONLY_PERMISSIONS.includes(permission)),
+  developer: [
+    MERCHANT_PERMISSIONS.READ,
+    MERCHANT_PERMISSIONS.TRANSACTIONS_READ,
+    MERCHANT_PERMISSIONS.PAYMENT_INTENTS_READ,
+    MERCHANT_PERMISSIONS.API_KEYS_MANAGE,
+    MERCHANT_PERMISSIONS.WEBHOOKS_MANAGE
+  ],
+  finance: [
+    MERCHANT_PERMISSIONS.READ,
+    MERCHANT_PERMISSIONS.TRANSACTIONS_READ,
+    MERCHANT_PERMISSIONS.PAYMENT_INTENTS_READ,
+    MERCHANT_PERMISSIONS.PAYOUTS_MANAGE
+  ],
+  viewer: [
+    MERCHANT_PERMISSIONS.READ,
+    MERCHANT_PERMISSIONS.TRANSACTIONS_READ,
+    MERCHANT_PERMISSIONS.PAYMENT_INTENTS_READ
+  ]
+});
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Check whether a merchant team role grants a merchant-scoped permission
+ * @param {string} role - Membership role
+ * @param {string} permission - Merchant permission name
+ * @returns {boolean}
+ */
+function hasMerchantPermission(role, permission) {
+  return (MERCHANT_ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  MERCHANT_ROLES,
+  MERCHANT_PERMISSIONS,
+  MERCHANT_ROLE_PERMISSIONS,
+  hasPermission,
+  hasMerchantPermission
+};
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const ApiError = require('./ApiError');
+
+/**
+ * Stores files on the local disk under `UPLOAD_PATH` (default ./uploads).
+ * Keys are relative paths such as `kyc/<merchantId>/<uuid>.pdf`.
+ */
+class LocalDiskStorage {
+  constructor({ root = process.env.UPLOAD_PATH || './uploads' } = {}) {
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Write a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<Object>} - { key, size }
+   */
+  async put(key, buffer) {
+    const filePath = this.#resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    return { key, size: buffer.length };
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<ReadableStream>}
+   * @throws {ApiError} - 404 when the file is missing
+   */
+  async get(key) {
+    const filePath = this.#resolve(key);
+    try {
+      await fs.promises.access(filePath, fs.constants.R_OK);
+    } catch {
+      throw ApiError.notFound('Stored file not found');
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Delete a stored file; missing files are ignored
+   * @param {string} key - Storage key
+   */
+  async remove(key) {
+    await fs.promises.rm(this.#resolve(key), { force: true });
+  }
+
+  #resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Storage key escapes the upload directory: ${key}`);
+    }
+    return filePath;
+  }
+}
+
+// Adapter factories by name; register others (S3, GCS, ...) with registerStorageAdapter
+const adapters = {
+  local: (options) => new LocalDiskStorage(options)
+};
+
+let instance = null;
+
+/**
+ * Make a storage backend selectable through `STORAGE_DRIVER`.
+ * Adapters implement `put(key, buffer, { contentType })`, `get(key)` returning
+ * a readable stream, and `remove(key)`.
+ * @param {string} name - Driver name
+ * @param {Function} factory - (options) => adapter
+ */
+function registerStorageAdapter(name, factory) {
+  adapters[name] = factory;
+  instance = null;
+}
+
+/**
+ * The configured storage adapter (`STORAGE_DRIVER`, default local)
+ * @returns {Object}
+ */
+function getStorage() {
+  if (!instance) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    const factory = adapters[driver];
+    if (!factory) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    }
+    instance = factory();
+  }
+  return instance;
+}
+
+module.exports = {
+  getStorage,
+  registerStorageAdapter,
+  LocalDiskStorage
+};
@@ -0,0 +1,69 @@
+const ApiError = require('../lib/ApiError');
+const { asyncHandler } = require('./errorHandler');
+const ApiKeyService = require('../services/ApiKeyService');
+const OnboardingService = require('../services/OnboardingService');
+
+/**
+ * Read the raw API key from `X-API-Key` or an `Authorization: Bearer pk_/sk_...` header
+ * @param {Request} req - Express request object
+ * @returns {string|undefined}
+ */
+const extractApiKey = (req) => {
+  const headerKey = req.get('X-API-Key');
+  if (headerKey) return headerKey.trim();
+
+  const authHeader = req.get('Authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const token = authHeader.slice(7).trim();
+    if (ApiKeyService.parseKeyPrefix(token)) return token;
+  }
+
+  return undefined;
+};
+
+/**
+ * Authenticate a server-to-server request with a merchant API key.
+ * Sets `req.merchant`, `req.apiKey` and `req.livemode`.
+ * @param {Object} options
+ * @param {string[]} options.types - Key types accepted by the route (default secret only)
+ * @returns {Function} - Express middleware
+ */
+exports.requireApiKey = ({ types = ['secret'] } = {}) => asyncHandler(async (req, res, next) => {
+  const rawKey = extractApiKey(req);
+  if (!rawKey) {
+    throw ApiError.unauthorized('API key required');
+  }
+
+  const parsed = ApiKeyService.parseKeyPrefix(rawKey);
+  if (parsed && !types.includes(parsed.type)) {
+    throw ApiError.forbidden(`This endpoint requires a ${types.join(' or ')} key`);
+  }
+
+  const { apiKey, merchant } = await ApiKeyService.authenticate(rawKey, { ip: req.ip });
+
+  // Closed accounts keep their keys for audit purposes but cannot take new payments
+  if (merchant.status === 'closed') {
+    throw ApiError.forbidden('Merchant account is closed', { code: 'MERCHANT_CLOSED' });
+  }
+
+  req.apiKey = apiKey;
+  req.merchant = merchant;
+  req.livemode = apiKey.mode === 'live';
+
+  next();
+});
+
+/**
+ * Refuse new payments for a suspended merchant, and live-mode payments until
+ * the required onboarding steps are done. Use after `requireApiKey` on routes
+ * that start a payment.
+ */
+exports.requirePaymentsEnabled = asyncHandler(async (req, res, next) => {
+  if (req.merchant.status === 'suspended') {
+    throw ApiError.forbidden('Merchant account is suspended', { code: 'MERCHANT_SUSPENDED' });
+  }
+  if (req.livemode) {
+    await OnboardingService.assertLiveReady(req.merchant);
+  }
+  next();
+});
@@ -0,0 +1,28 @@
+const AuditService = require('../services/AuditService');
+
+/**
+ * Record an audit event for the request once the response is sent. The
+ * outcome follows the response status, so denied and failed calls are
+ * recorded as well. Place after `protect` so the actor is known.
+ * @param {string} action - One of AuditService.AUDIT_ACTIONS
+ * @param {Object} options - { target: (req) => ({ type, id }) }
+ * @returns {Function} - Express middleware
+ */
+exports.auditRequest = (action, { target } = {}) => (req, res, next) => {
+  res.on('finish', () => {
+    AuditService.record({
+      action,
+      outcome: res.statusCode < 400 ? 'success' : 'failure',
+      actor: AuditService.actorFrom(req),
+      target: target ? target(req) : undefined,
+      metadata: {
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        body: req.body && Object.keys(req.body).length ? req.body : undefined
+      }
+    }, AuditService.contextFrom(req));
+  });
+
+  next();
+};
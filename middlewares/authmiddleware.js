@@ -1,18 +1,45 @@
 const jwtUtils = require('../utils/jwtUtils');
 const ApiError = require('../lib/ApiError');
+const { asyncHandler } = require('./errorHandler');
+const TokenService = require('../services/TokenService');
+const SessionService = require('../services/SessionService');
 
-exports.protect = (req, res, next) => {
+exports.protect = asyncHandler(async (req, res, next) => {
   const token = jwtUtils.extractTokenFromHeader(req.headers.authorization);
 
   if (!token) {
     throw ApiError.unauthorized('No token provided');
   }
 
+  let decoded;
   try {
-    const decoded = jwtUtils.verifyAccessToken(token);
-    req.user = decoded;
-    next();
+    decoded = jwtUtils.verifyAccessToken(token);
   } catch (error) {
     throw ApiError.unauthorized('Invalid or expired token');
   }
+
+  // Access tokens are bound to a refresh token family; once that session is
+  // revoked (logout, reuse detection) its access tokens stop working too.
+  // Wallet (SIWE) tokens have no family and rely on their short expiry instead.
+  if (decoded.scope !== 'wallet' && !(await TokenService.isSessionActive(decoded.sid))) {
+    throw ApiError.unauthorized('Session has been revoked, please log in again');
+  }
+
+  if (decoded.sid) {
+    SessionService.touch(decoded.sid, req.ip).catch(() => {});
+  }
+
+  req.user = decoded;
+  next();
+});
+
+/**
+ * Reject wallet-scoped (SIWE) tokens on routes that act on a user account.
+ * Must run after `protect`.
+ */
+exports.requireUserAccount = (req, res, next) => {
+  if (!req.user?.userId) {
+    throw ApiError.forbidden('This action requires signing in with an account, not a wallet');
+  }
+  next();
 };
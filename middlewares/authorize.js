@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const ApiError = require('../lib/ApiError');
+const Merchant = require('../models/Merchant');
+const { asyncHandler } = require('./errorHandler');
+const logger = require('../lib/logger');
+const Membership = require('../models/Membership');
+const { PERMISSIONS, MERCHANT_PERMISSIONS, hasPermission, hasMerchantPermission } = require('../lib/permissions');
+const SecurityPolicyService = require('../services/SecurityPolicyService');
+const TwoFactorService = require('../services/TwoFactorService');
+
+/**
+ * Reject sessions that skipped TOTP when the security policy requires it for the user's role
+ * @param {Object} user - Decoded access token (`req.user`)
+ * @throws {ApiError} - 403 with code TWO_FACTOR_REQUIRED
+ */
+const assertTwoFactorPolicy = async (user) => {
+  if (user.mfa) return;
+
+  if (await SecurityPolicyService.isTwoFactorRequired(user.role)) {
+    throw ApiError.forbidden(
+      'Two-factor authentication is required for your role. Enable it and sign in again',
+      { code: 'TWO_FACTOR_REQUIRED' }
+    );
+  }
+};
+
+/**
+ * Restrict a route to users holding one of the given roles.
+ * Must run after `protect`.
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} - Express middleware
+ */
+exports.requireRole = (...roles) => asyncHandler(async (req, res, next) => {
+  if (!req.user) {
+    throw ApiError.unauthorized('Authentication required');
+  }
+
+  if (!roles.includes(req.user.role)) {
+    logger.warn('Role check failed', { userId: req.user.userId, role: req.user.role, required: roles, url: req.originalUrl });
+    throw ApiError.forbidden('You do not have permission to perform this action');
+  }
+
+  await assertTwoFactorPolicy(req.user);
+  next();
+});
+
+/**
+ * Restrict a route to users whose role grants every listed permission.
+ * Must run after `protect`.
+ * @param {...string} permissions - Required permissions
+ * @returns {Function} - Express middleware
+ */
+exports.requirePermission = (...permissions) => asyncHandler(async (req, res, next) => {
+  if (!req.user) {
+    throw ApiError.unauthorized('Authentication required');
+  }
+
+  const missing = permissions.filter((permission) => !hasPermission(req.user.role, permission));
+  if (missing.length) {
+    logger.warn('Permission check failed', { userId: req.user.userId, role: req.user.role, missing, url: req.originalUrl });
+    throw ApiError.forbidden('You do not have permission to perform this action');
+  }
+
+  await assertTwoFactorPolicy(req.user);
+  next();
+});
+
+/**
+ * Require a fresh TOTP code (step-up) in the `X-2FA-Code` header for a
+ * sensitive operation, even within an already two-factor session.
+ * Must run after `protect`.
+ */
+exports.requireStepUp = asyncHandler(async (req, res, next) => {
+  if (!req.user?.userId) {
+    throw ApiError.forbidden('This action requires signing in with an account, not a wallet');
+  }
+
+  await TwoFactorService.verifyStepUp(req.user.userId, req.get('X-2FA-Code'));
+  next();
+});
+
+/**
+ * Resolve the caller's team role on a merchant
+ * @param {Object} user - Decoded access token (`req.user`)
+ * @param {Object} merchant - Merchant document
+ * @returns {Promise<string|null>} - Membership role, or null when not a member
+ */
+const resolveMerchantRole = async (user, merchant) => {
+  // A wallet (SIWE) token for the merchant's own wallet acts as the owner
+  if (user.walletAddress && merchant.walletAddress === user.walletAddress) {
+    return 'owner';
+  }
+
+  if (!user.userId) return null;
+
+  const membership = await Membership.findOne({ merchant: merchant._id, user: user.userId }).lean();
+  if (membership) return membership.role;
+
+  // Businesses created before team memberships only record their owner
+  if (merchant.owner && merchant.owner.toString() === user.userId) {
+    return 'owner';
+  }
+
+  // The parent's team manages its sub-merchants with the role it holds on the parent
+  if (merchant.parentMerchant) {
+    const parent = await Merchant.findById(merchant.parentMerchant).select('walletAddress owner').lean();
+    if (parent) return resolveMerchantRole(user, parent);
+  }
+
+  return null;
+};
+
+/**
+ * Ensure the authenticated user may act on a merchant's resources.
+ * Platform admins may access any merchant; everyone else needs a team
+ * membership whose role grants the permission, or a wallet token for the
+ * merchant's wallet (treated as the owner).
+ * @param {Object} user - Decoded access token (`req.user`)
+ * @param {Object} merchant - Merchant document
+ * @param {string} permission - Merchant permission required (default read)
+ * @returns {Promise<string>} - Caller's role on the merchant ('platform_admin' for admins)
+ * @throws {ApiError} - 403 when the user is not a member or their role is insufficient
+ */
+exports.assertMerchantAccess = async (user, merchant, permission = MERCHANT_PERMISSIONS.READ) => {
+  if (!user) {
+    throw ApiError.unauthorized('Authentication required');
+  }
+
+  if (hasPermission(user.role, PERMISSIONS.MERCHANTS_ACCESS_ANY)) {
+    return 'platform_admin';
+  }
+
+  const role = merchant ? await resolveMerchantRole(user, merchant) : null;
+  if (!role) {
+    throw ApiError.forbidden('You do not have access to this merchant');
+  }
+
+  if (!hasMerchantPermission(role, permission)) {
+    logger.warn('Merchant role check failed', { userId: user.userId, merchantId: merchant._id, role, permission });
+    throw ApiError.forbidden('Your team role does not allow this action', { role, required: permission });
+  }
+
+  return role;
+};
+
+/**
+ * Load the merchant named by a route parameter and ensure the authenticated
+ * user may act on it. Sets `req.merchant` and `req.merchantRole`.
+ * Must run after `protect`.
+ * @param {string} permission - Merchant permission required (default read)
+ * @param {string} paramName - Route parameter holding the merchant id
+ * @returns {Function} - Express middleware
+ */
+exports.loadMerchant = (permission = MERCHANT_PERMISSIONS.READ, paramName = 'merchantId') => asyncHandler(async (req, res, next) => {
+  const merchantId = req.params[paramName];
+  if (!mongoose.isValidObjectId(merchantId)) {
+    throw ApiError.badRequest('Invalid merchant id');
+  }
+
+  const merchant = await Merchant.findById(merchantId);
+  if (!merchant) {
+    throw ApiError.notFound('Merchant not found');
+  }
+
+  req.merchantRole = await exports.assertMerchantAccess(req.user, merchant, permission);
+  req.merchant = merchant;
+
+  next();
+});
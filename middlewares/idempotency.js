@@ -0,0 +1,49 @@
+const { asyncHandler } = require('./errorHandler');
+const IdempotencyService = require('../services/IdempotencyService');
+const logger = require('../lib/logger');
+
+/**
+ * Honour an optional `Idempotency-Key` header on a payment-creating route.
+ * Use after `requireApiKey`: keys are scoped to `req.merchant`. A retry with
+ * the same key and body gets the original response (marked with
+ * `Idempotent-Replayed: true`); the same key with a different body is a 422.
+ * Responses below 500 are stored; a server error frees the key for a retry.
+ * The claimed key is left on `req.idempotencyKey` so handlers that call a
+ * payment provider can derive a stable reference from it.
+ */
+exports.idempotent = asyncHandler(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  const { record, replay } = await IdempotencyService.begin(req.merchant, key.trim(), {
+    method: req.method,
+    path: req.baseUrl + req.path,
+    livemode: req.livemode,
+    body: req.body
+  });
+
+  if (replay) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(replay.status).json(replay.body);
+  }
+
+  req.idempotencyKey = record.key;
+
+  // Store the response before it is sent, so an immediate retry already sees it
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const stored = res.statusCode < 500
+      ? IdempotencyService.complete(record, { status: res.statusCode, body })
+      : IdempotencyService.release(record);
+
+    stored
+      .catch((error) => {
+        logger.error('Failed to store idempotent response', { key: record.key, merchantId: record.merchant, error: error.message });
+      })
+      .finally(() => json(body));
+
+    return res;
+  };
+
+  next();
+});
@@ -0,0 +1,56 @@
+const multer = require('multer');
+const ApiError = require('../lib/ApiError');
+
+const ALLOWED_FILE_TYPES = (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,application/pdf')
+  .split(',')
+  .map((type) => type.trim())
+  .filter(Boolean);
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 5 * 1024 * 1024;
+
+// Leading bytes of the allowed types, so a renamed file cannot pass as a PDF or image
+const FILE_SIGNATURES = {
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  'application/pdf': [Buffer.from('%PDF-')]
+};
+
+const matchesSignature = (file) => {
+  const signatures = FILE_SIGNATURES[file.mimetype];
+  if (!signatures) return true;
+  return signatures.some((signature) => file.buffer.subarray(0, signature.length).equals(signature));
+};
+
+/**
+ * Accept one file in memory from a multipart field, enforcing
+ * `ALLOWED_FILE_TYPES` and `MAX_FILE_SIZE` unless narrower limits are given.
+ * The file is on `req.file`.
+ * @param {string} field - Multipart field name
+ * @param {Object} options - { types: allowed MIME types, maxSize: bytes }
+ * @returns {Function} - Express middleware
+ */
+exports.uploadSingle = (field, { types = ALLOWED_FILE_TYPES, maxSize = MAX_FILE_SIZE } = {}) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!types.includes(file.mimetype)) {
+        return cb(ApiError.badRequest(`File type must be one of: ${types.join(', ')}`));
+      }
+      cb(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err) return next(err);
+      if (!req.file) return next(ApiError.badRequest(`A file is required in the "${field}" field`));
+      if (!matchesSignature(req.file)) {
+        return next(ApiError.badRequest('File contents do not match its type'));
+      }
+      next();
+    });
+  };
+};
+
+exports.ALLOWED_FILE_TYPES = ALLOWED_FILE_TYPES;
+exports.MAX_FILE_SIZE = MAX_FILE_SIZE;
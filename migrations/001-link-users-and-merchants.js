@@ -0,0 +1,183 @@
+/**
+ * Link users and merchants under the canonical model: User is the login,
+ * Merchant is the business, Membership connects them and Merchant.owner
+ * names the owner.
+ *
+ * - Merchants written by the old duplicate schema (`name`, `bankAccount`)
+ *   get `businessName` and payout account details
+ * - Merchants without an owner are linked to the user registered with the
+ *   same business name, when there is exactly one
+ * - Every owner gets an `owner` membership
+ * - `kycStatus` and `payoutPreferences` move from users onto the merchant
+ *   they own, then are removed from users
+ * - Payment intents whose merchantId points at a user are re-pointed at
+ *   that user's merchant
+ * - The TTL indexes on otp.expiresAt and passwordReset.expiresAt are
+ *   dropped; they deleted users
+ *
+ * Every touched document keeps a `_migration001` snapshot of the fields it
+ * changed so `down` can restore them. The index drops are not reversed.
+ */
+
+const BACKUP = '_migration001';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const hasAccountDetails = (prefs) =>
+  !!prefs?.accountDetails && Object.values(prefs.accountDetails).some(Boolean);
+
+/**
+ * Record the current value of `fields` (once) and apply `$set`/`$unset`
+ */
+async function change(collection, doc, fields, update) {
+  const snapshot = doc[BACKUP] || { fields: [], before: {} };
+  for (const field of fields) {
+    if (snapshot.fields.includes(field)) continue;
+    snapshot.fields.push(field);
+    if (doc[field] !== undefined) snapshot.before[field] = doc[field];
+  }
+
+  await collection.updateOne(
+    { _id: doc._id },
+    { ...update, $set: { ...update.$set, [BACKUP]: snapshot } }
+  );
+  doc[BACKUP] = snapshot;
+  Object.assign(doc, update.$set);
+}
+
+async function restore(collection) {
+  const docs = await collection.find({ [BACKUP]: { $exists: true } }).toArray();
+
+  for (const doc of docs) {
+    const { fields, before } = doc[BACKUP];
+    const $set = {};
+    const $unset = { [BACKUP]: '' };
+    for (const field of fields) {
+      if (field in before) $set[field] = before[field];
+      else $unset[field] = '';
+    }
+    await collection.updateOne({ _id: doc._id }, { ...(Object.keys($set).length && { $set }), $unset });
+  }
+}
+
+module.exports = {
+  name: 'link-users-and-merchants',
+
+  async up(db) {
+    const users = db.collection('users');
+    const merchants = db.collection('merchants');
+    const memberships = db.collection('memberships');
+    const intents = db.collection('paymentintents');
+
+    // Legacy merchant shape
+    const legacy = await merchants.find({
+      $or: [{ name: { $exists: true } }, { bankAccount: { $exists: true } }]
+    }).toArray();
+
+    for (const merchant of legacy) {
+      const $set = {};
+      if (!merchant.businessName && merchant.name) $set.businessName = merchant.name;
+      if (merchant.bankAccount && !hasAccountDetails(merchant.payoutPreferences)) {
+        $set.payoutPreferences = {
+          currency: merchant.payoutPreferences?.currency || 'NGN',
+          method: 'bank_transfer',
+          accountDetails: {
+            bankCode: merchant.bankAccount.bankCode,
+            accountNumber: merchant.bankAccount.accountNumber,
+            accountName: merchant.bankAccount.beneficiaryName
+          }
+        };
+      }
+      await change(merchants, merchant, [...Object.keys($set), 'name', 'bankAccount'], {
+        $set,
+        $unset: { name: '', bankAccount: '' }
+      });
+    }
+
+    // Owner-less merchants
+    const orphans = await merchants.find({ owner: null, businessName: { $type: 'string' } }).toArray();
+    for (const merchant of orphans) {
+      const candidates = await users.find({
+        businessName: { $regex: `^${escapeRegex(merchant.businessName.trim())}$`, $options: 'i' }
+      }, { projection: { _id: 1 } }).limit(2).toArray();
+
+      if (candidates.length === 1) {
+        await change(merchants, merchant, ['owner'], { $set: { owner: candidates[0]._id } });
+      }
+    }
+
+    // Owner memberships
+    const owned = await merchants.find({ owner: { $ne: null } }).toArray();
+    for (const merchant of owned) {
+      const now = new Date();
+      await memberships.updateOne(
+        { merchant: merchant._id, user: merchant.owner },
+        { $setOnInsert: { role: 'owner', createdAt: now, updatedAt: now, [BACKUP]: { created: true } } },
+        { upsert: true }
+      );
+    }
+
+    // Business fields on users
+    const ownedByUser = new Map();
+    for (const merchant of owned) {
+      const key = merchant.owner.toString();
+      ownedByUser.set(key, [...(ownedByUser.get(key) || []), merchant]);
+    }
+
+    const withBusinessFields = await users.find({
+      $or: [{ kycStatus: { $exists: true } }, { payoutPreferences: { $exists: true } }]
+    }).toArray();
+
+    for (const user of withBusinessFields) {
+      const merchantsOwned = ownedByUser.get(user._id.toString()) || [];
+
+      // Only copy when the destination is unambiguous
+      if (merchantsOwned.length === 1) {
+        const merchant = merchantsOwned[0];
+        const $set = {};
+        if (user.kycStatus && user.kycStatus !== 'pending' && (!merchant.kycStatus || merchant.kycStatus === 'pending')) {
+          $set.kycStatus = user.kycStatus;
+        }
+        if (hasAccountDetails(user.payoutPreferences) && !hasAccountDetails(merchant.payoutPreferences)) {
+          $set.payoutPreferences = user.payoutPreferences;
+        }
+        if (Object.keys($set).length) {
+          await change(merchants, merchant, Object.keys($set), { $set });
+        }
+      }
+
+      await change(users, user, ['kycStatus', 'payoutPreferences'], {
+        $set: {},
+        $unset: { kycStatus: '', payoutPreferences: '' }
+      });
+    }
+
+    // Payment intents referencing users
+    const userIds = await users.distinct('_id');
+    const misfiled = await intents.find({ merchantId: { $in: userIds } }).toArray();
+
+    for (const intent of misfiled) {
+      const merchantsOwned = ownedByUser.get(intent.merchantId.toString()) || [];
+      if (merchantsOwned.length !== 1) continue;
+
+      await change(intents, intent, ['merchantId', 'metadata'], {
+        $set: {
+          merchantId: merchantsOwned[0]._id,
+          metadata: { ...intent.metadata, legacyUserMerchantId: intent.merchantId.toString() }
+        }
+      });
+    }
+
+    const indexes = await users.indexes();
+    for (const name of ['otp.expiresAt_1', 'passwordReset.expiresAt_1']) {
+      if (indexes.some((index) => index.name === name)) await users.dropIndex(name);
+    }
+  },
+
+  async down(db) {
+    await db.collection('memberships').deleteMany({ [`${BACKUP}.created`]: true });
+    await restore(db.collection('paymentintents'));
+    await restore(db.collection('users'));
+    await restore(db.collection('merchants'));
+  }
+};
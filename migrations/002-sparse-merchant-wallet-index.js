@@ -0,0 +1,29 @@
+/**
+ * Sub-merchants may have no wallet address, so the unique index on
+ * `merchants.walletAddress` becomes sparse. Without this, Mongoose cannot
+ * build the new index over the old one and a second wallet-less merchant
+ * would collide on null.
+ */
+
+const INDEX = 'walletAddress_1';
+
+async function rebuild(merchants, options) {
+  const indexes = await merchants.indexes();
+  if (indexes.some((index) => index.name === INDEX)) {
+    await merchants.dropIndex(INDEX);
+  }
+  await merchants.createIndex({ walletAddress: 1 }, { name: INDEX, unique: true, ...options });
+}
+
+module.exports = {
+  name: 'sparse-merchant-wallet-index',
+
+  async up(db) {
+    await rebuild(db.collection('merchants'), { sparse: true });
+  },
+
+  // Fails while any merchant has no wallet address
+  async down(db) {
+    await rebuild(db.collection('merchants'), {});
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Settlement reads the bank code from `payoutPreferences.accountDetails.bankCode`
+ * and no longer falls back to `routingNumber`. Merchants whose account only
+ * has a routing number, current or pending, get it copied to `bankCode`.
+ */
+
+const FIELDS = ['payoutPreferences.accountDetails', 'pendingPayoutChange.payoutPreferences.accountDetails'];
+
+module.exports = {
+  name: 'payout-bank-code-from-routing-number',
+
+  async up(db) {
+    const merchants = db.collection('merchants');
+    for (const field of FIELDS) {
+      await merchants.updateMany(
+        { [`${field}.routingNumber`]: { $nin: [null, ''] }, [`${field}.bankCode`]: { $in: [null, ''] } },
+        [{ $set: { [`${field}.bankCode`]: `$${field}.routingNumber` } }]
+      );
+    }
+  },
+
+  // The copied bank codes are left in place: older code read bankCode before routingNumber
+  async down() {}
+};
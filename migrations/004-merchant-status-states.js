@@ -0,0 +1,40 @@
+/**
+ * Merchant status gains restricted and suspended (risk holds); `deactivated`
+ * becomes `closed`. The deactivation fields become generic status fields:
+ * deactivatedAt -> statusChangedAt, deactivatedBy -> statusChangedBy,
+ * deactivationReason -> statusReason.
+ */
+
+const RENAMES = {
+  deactivatedAt: 'statusChangedAt',
+  deactivatedBy: 'statusChangedBy',
+  deactivationReason: 'statusReason'
+};
+
+const REVERSE = Object.fromEntries(Object.entries(RENAMES).map(([from, to]) => [to, from]));
+
+module.exports = {
+  name: 'merchant-status-states',
+
+  async up(db) {
+    const merchants = db.collection('merchants');
+    await merchants.updateMany({ status: 'deactivated' }, { $set: { status: 'closed' } });
+    await merchants.updateMany({}, { $rename: RENAMES });
+  },
+
+  // Fails while any merchant is restricted or suspended: the old schema cannot represent them
+  async down(db) {
+    const merchants = db.collection('merchants');
+    const held = await merchants.countDocuments({ status: { $in: ['restricted', 'suspended'] } });
+    if (held) {
+      throw new Error(`${held} merchant(s) are restricted or suspended; change their status before rolling back`);
+    }
+
+    await merchants.updateMany({ status: 'closed' }, { $set: { status: 'deactivated' }, $rename: REVERSE });
+    // Active merchants that were once held would otherwise look deactivated
+    await merchants.updateMany(
+      { status: 'active' },
+      { $unset: Object.fromEntries(Object.keys(REVERSE).map((field) => [field, ''])) }
+    );
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Payment intents move through an explicit state machine. `PENDING` becomes
+ * `REQUIRES_PAYMENT`, and every intent gets a status history, seeded with an
+ * entry for its current status.
+ */
+
+module.exports = {
+  name: 'payment-intent-state-machine',
+
+  async up(db) {
+    const intents = db.collection('paymentintents');
+    await intents.updateMany({ status: 'PENDING' }, { $set: { status: 'REQUIRES_PAYMENT' } });
+    await intents.updateMany(
+      { statusHistory: { $exists: false } },
+      [{ $set: { statusHistory: [{ to: '$status', source: 'api', reason: 'Recorded by migration', at: '$updatedAt' }] } }]
+    );
+  },
+
+  // Fails while any intent is in a state the old schema cannot represent
+  async down(db) {
+    const intents = db.collection('paymentintents');
+    const unsupported = await intents.countDocuments({
+      status: { $in: ['PROCESSING', 'CANCELED', 'EXPIRED', 'REFUNDED'] }
+    });
+    if (unsupported) {
+      throw new Error(`${unsupported} payment intent(s) are processing, canceled, expired or refunded; change their status before rolling back`);
+    }
+
+    await intents.updateMany({ status: 'REQUIRES_PAYMENT' }, { $set: { status: 'PENDING' } });
+    await intents.updateMany({}, { $unset: { statusHistory: '' } });
+  }
+};
@@ -0,0 +1,46 @@
+/**
+ * Payment intents created before expiry existed have no `expiresAt`, so the
+ * sweeper never expires them and checkout keeps them payable forever.
+ * Unpaid ones get `createdAt` plus the merchant's
+ * `paymentIntentExpiryMinutes`, else PAYMENT_INTENT_EXPIRY_MINUTES; those
+ * already past it expire on the next sweep.
+ *
+ * Backfilled intents are marked with `_migration006` so `down` only removes
+ * the dates this migration set.
+ */
+
+const MARKER = '_migration006';
+const DEFAULT_EXPIRY_MINUTES = Number(process.env.PAYMENT_INTENT_EXPIRY_MINUTES) || 1440;
+const UNPAID_STATUSES = ['REQUIRES_PAYMENT', 'PROCESSING'];
+
+async function backfill(intents, filter, minutes) {
+  await intents.updateMany(
+    { ...filter, status: { $in: UNPAID_STATUSES }, expiresAt: { $exists: false } },
+    [{ $set: { expiresAt: { $add: ['$createdAt', minutes * 60 * 1000] }, [MARKER]: true } }]
+  );
+}
+
+module.exports = {
+  name: 'backfill-payment-intent-expiry',
+
+  async up(db) {
+    const intents = db.collection('paymentintents');
+
+    const merchants = db.collection('merchants')
+      .find({ paymentIntentExpiryMinutes: { $gt: 0 } })
+      .project({ paymentIntentExpiryMinutes: 1 });
+    for await (const merchant of merchants) {
+      await backfill(intents, { merchantId: merchant._id }, merchant.paymentIntentExpiryMinutes);
+    }
+
+    await backfill(intents, {}, DEFAULT_EXPIRY_MINUTES);
+  },
+
+  // Intents the sweeper already expired stay EXPIRED
+  async down(db) {
+    await db.collection('paymentintents').updateMany(
+      { [MARKER]: true },
+      { $unset: { expiresAt: '', [MARKER]: '' } }
+    );
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Payment intents track the payments recorded against them. Existing intents
+ * get an empty `transactions` list and an `amountReceived`: the full amount
+ * for intents already paid or settled, otherwise 0.
+ */
+
+const PAID_STATUSES = ['PAID', 'SETTLED', 'REFUNDED'];
+
+module.exports = {
+  name: 'payment-intent-partial-payments',
+
+  async up(db) {
+    const intents = db.collection('paymentintents');
+    await intents.updateMany(
+      { transactions: { $exists: false } },
+      { $set: { transactions: [] } }
+    );
+    await intents.updateMany(
+      { amountReceived: { $exists: false }, status: { $in: PAID_STATUSES } },
+      [{ $set: { amountReceived: '$amount' } }]
+    );
+    await intents.updateMany(
+      { amountReceived: { $exists: false } },
+      { $set: { amountReceived: 0 } }
+    );
+  },
+
+  // Fails while any intent is partially paid or overpaid
+  async down(db) {
+    const intents = db.collection('paymentintents');
+    const unsupported = await intents.countDocuments({
+      status: { $in: ['PARTIALLY_PAID', 'OVERPAID'] }
+    });
+    if (unsupported) {
+      throw new Error(`${unsupported} payment intent(s) are partially paid or overpaid; change their status before rolling back`);
+    }
+
+    await intents.updateMany({}, { $unset: { transactions: '', amountReceived: '' } });
+  }
+};
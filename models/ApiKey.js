@@ -0,0 +1,123 @@
+// ================================================================
+// DEPENDENCIES
+// ================================================================
+
+const mongoose = require('mongoose');
+
+
+// ================================================================
+// API KEY SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * Merchant API keys for server-to-server integration.
+ * Secret keys are only ever stored as a SHA-256 hash; publishable keys are
+ * safe to embed client-side so they are kept in full for display.
+ */
+const apiKeySchema = new mongoose.Schema({
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true,
+    index: true
+  },
+
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Key name must not exceed 100 characters'],
+    default: 'Default key'
+  },
+
+  type: {
+    type: String,
+    enum: ['publishable', 'secret'],
+    required: true
+  },
+
+  mode: {
+    type: String,
+    enum: ['test', 'live'],
+    required: true
+  },
+
+  prefix: {
+    type: String,
+    required: true
+  },
+
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  publishableKey: {
+    type: String
+  },
+
+  last4: {
+    type: String,
+    required: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  lastUsedAt: {
+    type: Date
+  },
+
+  lastUsedIp: {
+    type: String
+  },
+
+  // Set when the key is rotated: the old key keeps working until this time
+  expiresAt: {
+    type: Date
+  },
+
+  rotatedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      delete ret.__v;
+      delete ret.id;
+      return ret;
+    }
+  }
+});
+
+apiKeySchema.index({ merchant: 1, mode: 1, type: 1 });
+
+// Redacted form shown in the dashboard, e.g. sk_live_••••a1B2
+apiKeySchema.virtual('maskedKey').get(function() {
+  return `${this.prefix}••••${this.last4}`;
+});
+
+apiKeySchema.virtual('active').get(function() {
+  if (this.revokedAt) return false;
+  return !(this.expiresAt && this.expiresAt <= Date.now());
+});
+
+
+// ================================================================
+// MODEL CREATION & EXPORT
+// ================================================================
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,122 @@
+// ================================================================
+// DEPENDENCIES
+// ================================================================
+
+const mongoose = require('mongoose');
+
+
+// ================================================================
+// AUDIT EVENT SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * Append-only security audit trail. Events are written through
+ * AuditService and are never updated or deleted by the application.
+ */
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+
+  // Who performed the action; `id` is a user id, wallet address or API key id
+  actor: {
+    type: {
+      type: String,
+      enum: ['user', 'wallet', 'api_key', 'system', 'anonymous'],
+      default: 'anonymous'
+    },
+    id: String,
+    email: String,
+    role: String
+  },
+
+  // What the action was performed on
+  target: {
+    type: { type: String },
+    id: String
+  },
+
+  ip: {
+    type: String
+  },
+
+  userAgent: {
+    type: String
+  },
+
+  requestId: {
+    type: String
+  },
+
+  // Changed fields only, with sensitive values redacted
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditEventSchema.index({ requestId: 1 });
+
+
+// ================================================================
+// APPEND-ONLY GUARDS
+// ================================================================
+
+const MUTATING_QUERIES = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+];
+
+auditEventSchema.pre(MUTATING_QUERIES, function(next) {
+  next(new Error('Audit events are append-only'));
+});
+
+auditEventSchema.pre('deleteOne', { document: true, query: false }, function(next) {
+  next(new Error('Audit events are append-only'));
+});
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit events are append-only'));
+  }
+  next();
+});
+
+
+// ================================================================
+// MODEL CREATION & EXPORT
+// ================================================================
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = AuditEvent;
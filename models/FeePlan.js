@@ -0,0 +1,155 @@
+// ================================================================
+// DEPENDENCIES
+// ================================================================
+
+const mongoose = require('mongoose');
+
+// Payment methods a rule can target ('*' matches any)
+const FEE_METHODS = ['CARD', 'BANK', 'WALLET', 'CRYPTO', 'FIAT'];
+const ANY = '*';
+
+/**
+ * Whether a rule charges fixed amounts (flat, floor or cap). These are in the
+ * rule's currency, so a rule for any currency may only charge a percentage.
+ * @param {Object} rule - Fee rule
+ * @returns {boolean}
+ */
+const hasFixedAmounts = (rule) => !!(rule.flat || rule.floor || rule.cap);
+
+
+// ================================================================
+// FEE RULE SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * fee = amount × percentage / 100 + flat, raised to `floor` and limited to
+ * `cap`. Amounts are in the rule's currency, which is the transaction currency.
+ */
+const feeRuleSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: [...FEE_METHODS, ANY],
+    default: ANY,
+    uppercase: true
+  },
+
+  currency: {
+    type: String,
+    default: ANY,
+    uppercase: true,
+    trim: true
+  },
+
+  percentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+
+  flat: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  cap: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  floor: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
+
+
+// ================================================================
+// FEE PLAN SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * A named fee schedule. Merchants are priced by the plan assigned to them
+ * (`Merchant.feePlan`), falling back to the platform default plan for any
+ * method/currency their plan does not cover.
+ */
+const feePlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    unique: true,
+    trim: true,
+    maxlength: 60
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+
+  // The platform default plan; at most one
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+
+  rules: {
+    type: [feeRuleSchema],
+    validate: [
+      {
+        validator: (rules) => rules.length > 0,
+        message: 'A fee plan needs at least one rule'
+      },
+      {
+        validator: (rules) => new Set(rules.map((rule) => `${rule.method}:${rule.currency}`)).size === rules.length,
+        message: 'Each method and currency combination may only appear once'
+      },
+      {
+        validator: (rules) => rules.every((rule) => rule.cap == null || rule.cap >= rule.floor),
+        message: 'A rule cap must not be lower than its floor'
+      },
+      {
+        validator: (rules) => rules.every((rule) => rule.currency !== ANY || !hasFixedAmounts(rule)),
+        message: 'Flat, floor and cap amounts need a specific currency; a rule for any currency (*) may only charge a percentage'
+      }
+    ]
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+feePlanSchema.index(
+  { isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+
+// ================================================================
+// MODEL CREATION & EXPORT
+// ================================================================
+
+const FeePlan = mongoose.model('FeePlan', feePlanSchema);
+FeePlan.FEE_METHODS = FEE_METHODS;
+FeePlan.ANY = ANY;
+FeePlan.hasFixedAmounts = hasFixedAmounts;
+module.exports = FeePlan;
@@ -0,0 +1,93 @@
+// ================================================================
+// DEPENDENCIES
+// ================================================================
+
+const mongoose = require('mongoose');
+
+const IDEMPOTENCY_STATUSES = ['in_progress', 'completed'];
+
+
+// ================================================================
+// IDEMPOTENCY KEY SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * An `Idempotency-Key` a merchant sent with a payment-creating request.
+ * While the first request runs the key is locked (`in_progress`); once it
+ * responds, the response is stored and replayed for retries with the same
+ * key and body until `expiresAt`.
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true
+  },
+
+  key: {
+    type: String,
+    required: true
+  },
+
+  // Method and path the key was first used on
+  method: {
+    type: String,
+    required: true
+  },
+
+  path: {
+    type: String,
+    required: true
+  },
+
+  // SHA-256 of the method, path, mode and request body
+  fingerprint: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: IDEMPOTENCY_STATUSES,
+    default: 'in_progress'
+  },
+
+  // In-flight lock; a lock left behind by a crashed request lapses at this time
+  lockedUntil: {
+    type: Date
+  },
+
+  responseStatus: {
+    type: Number
+  },
+
+  responseBody: {
+    type: Object
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+idempotencyKeySchema.index({ merchant: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+
+// ================================================================
+// MODEL CREATION & EXPORT
+// ================================================================
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+IdempotencyKey.IDEMPOTENCY_STATUSES = IDEMPOTENCY_STATUSES;
+
+module.exports = IdempotencyKey;
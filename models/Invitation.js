@@ -0,0 +1,96 @@
+// ================================================================
+// DEPENDENCIES
+// ================================================================
+
+const mongoose = require('mongoose');
+const { MERCHANT_ROLES } = require('../lib/permissions');
+
+
+// ================================================================
+// INVITATION SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * Pending invitation for someone to join a merchant team. Only a SHA-256
+ * hash of the emailed token is stored.
+ */
+const invitationSchema = new mongoose.Schema({
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true,
+    index: true
+  },
+
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  role: {
+    type: String,
+    enum: MERCHANT_ROLES.filter((role) => role !== 'owner'),
+    required: true
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  acceptedAt: {
+    type: Date
+  },
+
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      delete ret.__v;
+      delete ret.id;
+      return ret;
+    }
+  }
+});
+
+invitationSchema.index({ merchant: 1, email: 1 });
+
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= Date.now()) return 'expired';
+  return 'pending';
+});
+
+
+// ================================================================
+// MODEL CREATION & EXPORT
+// ================================================================
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
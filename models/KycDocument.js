@@ -0,0 +1,88 @@
+// ================================================================
+// DEPENDENCIES
+// ================================================================
+
+const mongoose = require('mongoose');
+
+const KYC_DOCUMENT_TYPES = ['cac_certificate', 'government_id', 'proof_of_address'];
+
+
+// ================================================================
+// KYC DOCUMENT SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * A document a merchant uploaded for KYC review. Uploading the same type
+ * again replaces it; replaced documents are kept for the review history.
+ */
+const kycDocumentSchema = new mongoose.Schema({
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true,
+    index: true
+  },
+
+  type: {
+    type: String,
+    enum: KYC_DOCUMENT_TYPES,
+    required: true
+  },
+
+  originalName: {
+    type: String,
+    trim: true
+  },
+
+  mimeType: {
+    type: String,
+    required: true
+  },
+
+  size: {
+    type: Number,
+    required: true
+  },
+
+  // SHA-256 of the file contents
+  checksum: {
+    type: String,
+    required: true
+  },
+
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  replacedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v;
+      delete ret.storageKey;
+      return ret;
+    }
+  }
+});
+
+kycDocumentSchema.index({ merchant: 1, type: 1, replacedAt: 1 });
+
+
+// ================================================================
+// MODEL CREATION & EXPORT
+// ================================================================
+
+const KycDocument = mongoose.model('KycDocument', kycDocumentSchema);
+KycDocument.KYC_DOCUMENT_TYPES = KYC_DOCUMENT_TYPES;
+module.exports = KycDocument;
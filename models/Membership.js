@@ -0,0 +1,61 @@
+// ================================================================
+// DEPENDENCIES
+// ================================================================
+
+const mongoose = require('mongoose');
+const { MERCHANT_ROLES } = require('../lib/permissions');
+
+
+// ================================================================
+// MEMBERSHIP SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * Links a dashboard user to a merchant business with a team role.
+ * Each merchant has exactly one `owner` membership.
+ */
+const membershipSchema = new mongoose.Schema({
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true,
+    index: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  role: {
+    type: String,
+    enum: MERCHANT_ROLES,
+    required: true
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+membershipSchema.index({ merchant: 1, user: 1 }, { unique: true });
+
+
+// ================================================================
+// MODEL CREATION & EXPORT
+// ================================================================
+
+const Membership = mongoose.model('Membership', membershipSchema);
+
+module.exports = Membership;
@@ -1,12 +1,87 @@
 
 const mongoose = require('mongoose');
 
+const PAYOUT_CURRENCIES = ['NGN', 'USD', 'EUR', 'USDT', 'BTC', 'ETH'];
+const PAYOUT_METHODS = ['bank_transfer', 'mobile_money', 'crypto'];
+const KYC_STATUSES = ['pending', 'submitted', 'approved', 'rejected'];
+
+// restricted: payments accepted, settlements held. suspended: payments refused,
+// settlements held. closed: payments refused, outstanding settlements paid.
+const MERCHANT_STATUSES = ['active', 'restricted', 'suspended', 'closed'];
+const SETTLEMENT_HOLD_STATUSES = ['restricted', 'suspended'];
+
+const accountDetailsDefinition = {
+  bankName: String,
+  bankCode: String,
+  accountNumber: String,
+  accountName: String,
+  routingNumber: String
+};
+
+/**
+ * A payout-detail change awaiting email confirmation and then a cooling-off
+ * period. Settlement keeps using the current details until `effectiveAt`.
+ */
+const pendingPayoutChangeSchema = new mongoose.Schema({
+  payoutPreferences: {
+    currency: { type: String, enum: PAYOUT_CURRENCIES },
+    method: { type: String, enum: PAYOUT_METHODS },
+    accountDetails: accountDetailsDefinition
+  },
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestedAt: Date,
+  confirmationExpiresAt: Date,
+  confirmedAt: Date,
+  effectiveAt: Date
+}, { _id: false });
+
+/**
+ * How the merchant appears on hosted checkout and provider payment pages
+ */
+const brandingSchema = new mongoose.Schema({
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'Display name must not exceed 60 characters']
+  },
+  brandColor: {
+    type: String,
+    uppercase: true,
+    match: [/^#[0-9A-F]{6}$/i, 'Brand color must be a hex color such as #1A2B3C']
+  },
+  supportEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Where the customer is sent after paying
+  returnUrl: {
+    type: String,
+    trim: true
+  },
+  logo: {
+    storageKey: String,
+    mimeType: String,
+    size: Number,
+    checksum: String,
+    uploadedAt: Date
+  }
+}, { _id: false });
+
 const merchantSchema = new mongoose.Schema({
+  // Optional for sub-merchants, which can be paid out to bank accounts only
   walletAddress: {
     type: String,
-    required: [true, 'Wallet address is required'],
+    required: [function() { return !this.parentMerchant; }, 'Wallet address is required'],
     unique: true,
-    index: true,
+    sparse: true,
     lowercase: true,
     trim: true
   },
@@ -20,46 +95,149 @@ const merchantSchema = new mongoose.Schema({
     maxlength: [100, 'Business name must not exceed 100 characters']
   },
 
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+
+  // Set on sub-merchants (marketplace sellers), which the parent's team manages
+  // and which receive a share of the parent's payments through split rules
+  parentMerchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    default: null,
+    index: true
+  },
+
   payoutPreferences: {
     currency: {
       type: String,
       default: 'NGN',
-      enum: ['NGN', 'USD', 'EUR', 'USDT', 'BTC', 'ETH'],
+      enum: PAYOUT_CURRENCIES,
     },
     method: {
       type: String,
       default: 'bank_transfer',
-      enum: ['bank_transfer', 'mobile_money', 'crypto']
+      enum: PAYOUT_METHODS
     },
-    accountDetails: {
-      bankName: String,
-      accountNumber: String,
-      accountName: String,
-      routingNumber: String
-    }
+    accountDetails: accountDetailsDefinition
+  },
+
+  pendingPayoutChange: {
+    type: pendingPayoutChangeSchema,
+    default: undefined
   },
 
+  branding: {
+    type: brandingSchema,
+    default: undefined
+  },
+
+  // How long new payment intents stay payable; unset means the platform default
+  paymentIntentExpiryMinutes: {
+    type: Number,
+    min: 5,
+    max: 10080,
+    default: undefined
+  },
+
+  // Pricing; unset means the platform default fee plan
+  feePlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeePlan',
+    default: null
+  },
+
+  // pending -> submitted -> approved | rejected; rejected merchants may resubmit.
+  // Settlement is held until approved.
   kycStatus: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
-    default: 'pending'
+    enum: KYC_STATUSES,
+    default: 'pending',
+    index: true
+  },
+
+  kycSubmittedAt: Date,
+
+  kycReviewedAt: Date,
+
+  kycReviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  kycRejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
   },
 
   country: {
     type: String,
     default: 'Nigeria',
     trim: true
+  },
+
+  // Set by the owner (closing the account) or a platform admin (risk holds)
+  status: {
+    type: String,
+    enum: MERCHANT_STATUSES,
+    default: 'active',
+    index: true
+  },
+
+  statusReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  statusChangedAt: Date,
+
+  statusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true,
   toJSON: {
     transform: (doc, ret) => {
       delete ret.__v;
+      if (ret.pendingPayoutChange) delete ret.pendingPayoutChange.tokenHash;
+      if (ret.branding?.logo) delete ret.branding.logo.storageKey;
       return ret;
     }
   }
 });
 
+// Admin directory order (newest first, _id breaks ties for cursor pagination)
+merchantSchema.index({ createdAt: -1, _id: -1 });
+
+/**
+ * Promote a confirmed payout-detail change once its cooling-off period has
+ * passed. Saves the merchant when a change is applied.
+ * @returns {Promise<Object|null>} - { before, after } payout preferences, or null when nothing was due
+ */
+merchantSchema.methods.applyDuePayoutChange = async function() {
+  const pending = this.pendingPayoutChange;
+  if (!pending?.confirmedAt || !pending.effectiveAt || pending.effectiveAt > new Date()) {
+    return null;
+  }
+
+  const before = this.toObject().payoutPreferences;
+  this.payoutPreferences = pending.toObject().payoutPreferences;
+  this.pendingPayoutChange = undefined;
+  await this.save();
+
+  return { before, after: this.toObject().payoutPreferences };
+};
+
 
 const Merchant = mongoose.model('Merchant', merchantSchema);
+Merchant.PAYOUT_CURRENCIES = PAYOUT_CURRENCIES;
+Merchant.PAYOUT_METHODS = PAYOUT_METHODS;
+Merchant.KYC_STATUSES = KYC_STATUSES;
+Merchant.MERCHANT_STATUSES = MERCHANT_STATUSES;
+Merchant.SETTLEMENT_HOLD_STATUSES = SETTLEMENT_HOLD_STATUSES;
 module.exports = Merchant;
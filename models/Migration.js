@@ -1,17 +1,96 @@
-// models/Merchant.js
+// ================================================================
+// DEPENDENCIES
+// ================================================================
+
 const mongoose = require('mongoose');
 
-const merchantSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  email: { type: String },
-  businessName: { type: String },
-  bankAccount: {
-    bankCode: String,
-    accountNumber: String,
-    beneficiaryName: String,
+
+// ================================================================
+// MIGRATION SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * Applied data migrations. One document per migration script in
+ * `migrations/`; removing the document (via `down`) marks it unapplied.
+ */
+const migrationSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  name: {
+    type: String,
+    required: true
+  },
+
+  // SHA-256 of the script when it ran, to flag scripts edited after being applied
+  checksum: {
+    type: String
+  },
+
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  durationMs: {
+    type: Number
+  },
+
+  appliedBy: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+
+// ================================================================
+// MIGRATION LOCK SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * Single-document lock so only one runner applies migrations at a time.
+ * A lock whose `expiresAt` has passed is treated as abandoned.
+ */
+const migrationLockSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+
+  lockedBy: {
+    type: String,
+    required: true
   },
-  walletId: { type: String },
-  metadata: { type: Object, default: {} },
-}, { timestamps: true });
 
-module.exports = mongoose.model('Merchant', merchantSchema);
+  lockedAt: {
+    type: Date,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+
+// ================================================================
+// MODEL CREATION & EXPORT
+// ================================================================
+
+const Migration = mongoose.model('Migration', migrationSchema);
+const MigrationLock = mongoose.model('MigrationLock', migrationLockSchema);
+
+module.exports = Migration;
+module.exports.MigrationLock = MigrationLock;
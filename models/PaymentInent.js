@@ -1,10 +1,94 @@
 const mongoose = require('mongoose');
 
+const SPLIT_TYPES = ['percentage', 'fixed'];
+
+const STATUSES = [
+  'REQUIRES_PAYMENT', 'PROCESSING', 'PARTIALLY_PAID', 'PAID', 'OVERPAID',
+  'SETTLED', 'FAILED', 'CANCELED', 'EXPIRED', 'REFUNDED',
+];
+
+/**
+ * Legal status changes. CANCELED, EXPIRED and REFUNDED are final; a failed
+ * intent can be retried by the customer. PARTIALLY_PAID and OVERPAID come
+ * from reconciling received payments against the amount.
+ */
+const STATUS_TRANSITIONS = {
+  REQUIRES_PAYMENT: ['PROCESSING', 'PARTIALLY_PAID', 'PAID', 'OVERPAID', 'FAILED', 'CANCELED', 'EXPIRED'],
+  PROCESSING: ['PARTIALLY_PAID', 'PAID', 'OVERPAID', 'FAILED', 'REQUIRES_PAYMENT'],
+  PARTIALLY_PAID: ['PAID', 'OVERPAID', 'REFUNDED'],
+  PAID: ['OVERPAID', 'SETTLED', 'REFUNDED'],
+  OVERPAID: ['SETTLED', 'REFUNDED'],
+  SETTLED: ['REFUNDED'],
+  FAILED: ['REQUIRES_PAYMENT'],
+  CANCELED: [],
+  EXPIRED: [],
+  REFUNDED: [],
+};
+
+// What caused a status change
+const STATUS_SOURCES = ['api', 'webhook', 'contract_event', 'job'];
+
+/**
+ * Share of the payment paid to a sub-merchant: a percentage of the amount
+ * paid, or a fixed amount in the intent's source currency. The merchant
+ * keeps the rest.
+ */
+const splitSchema = new mongoose.Schema({
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: SPLIT_TYPES,
+    required: true,
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+}, { _id: false });
+
+/**
+ * One status change, appended on every transition
+ */
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: STATUSES,
+  },
+  to: {
+    type: String,
+    enum: STATUSES,
+    required: true,
+  },
+  source: {
+    type: String,
+    enum: STATUS_SOURCES,
+    required: true,
+  },
+  // { type, id, ... } as recorded on audit events
+  actor: {
+    type: Object,
+  },
+  reason: {
+    type: String,
+    maxlength: 500,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 const paymentIntentSchema = new mongoose.Schema({
   merchantId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
+    ref: 'Merchant',
     required: true,
+    index: true,
   },
   orderId: {
     type: String,
@@ -24,19 +108,57 @@ const paymentIntentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['PENDING', 'PAID', 'SETTLED', 'FAILED'],
-    default: 'PENDING',
+    enum: STATUSES,
+    default: 'REQUIRES_PAYMENT',
+  },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: [],
+  },
+  // Payments recorded against the intent, in any status
+  transactions: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }],
+    default: [],
+  },
+  // Sum of successful payments in the source currency, kept by reconciliation
+  amountReceived: {
+    type: Number,
+    default: 0,
+  },
+  splits: {
+    type: [splitSchema],
+    default: undefined,
   },
   checkoutLink: {
     type: String,
   },
+  // Cleared when the intent is canceled or expires, so the checkout widget stops working
   widgetToken: {
     type: String,
   },
+  // Unpaid intents past this time are expired by the sweeper job
+  expiresAt: {
+    type: Date,
+  },
+  // false when created with a test-mode API key
+  livemode: {
+    type: Boolean,
+    default: true,
+  },
   metadata: {
     type: Object,
     default: {},
   },
 }, { timestamps: true });
 
-module.exports = mongoose.model('PaymentIntent', paymentIntentSchema);
+paymentIntentSchema.index({ status: 1, expiresAt: 1 });
+// Matching incoming payments by checkout reference or order id
+paymentIntentSchema.index({ 'metadata.reference': 1 });
+paymentIntentSchema.index({ merchantId: 1, orderId: 1, createdAt: -1 });
+
+const PaymentIntent = mongoose.model('PaymentIntent', paymentIntentSchema);
+PaymentIntent.SPLIT_TYPES = SPLIT_TYPES;
+PaymentIntent.STATUSES = STATUSES;
+PaymentIntent.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+PaymentIntent.STATUS_SOURCES = STATUS_SOURCES;
+module.exports = PaymentIntent;
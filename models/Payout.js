@@ -0,0 +1,136 @@
+// ================================================================
+// DEPENDENCIES
+// ================================================================
+
+const mongoose = require('mongoose');
+
+const PAYOUT_STATUSES = ['PROCESSING', 'SUCCESS', 'FAILED', 'ON_HOLD'];
+
+// The merchant that took the payment, or a sub-merchant paid its split
+const RECIPIENT_ROLES = ['merchant', 'sub_merchant'];
+
+
+// ================================================================
+// PAYOUT SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * One leg of a split settlement: the share of a transaction paid to one
+ * recipient. Legs settle independently, so a retry only pays the legs that
+ * failed. Amounts are in the transaction's settlement currency.
+ */
+const payoutSchema = new mongoose.Schema({
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+
+  // Recipient
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true,
+    index: true
+  },
+
+  // Merchant that took the payment (the recipient itself for the merchant's leg)
+  parentMerchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true,
+    index: true
+  },
+
+  role: {
+    type: String,
+    enum: RECIPIENT_ROLES,
+    required: true
+  },
+
+  split: {
+    type: { type: String, enum: ['percentage', 'fixed'] },
+    value: Number
+  },
+
+  grossAmount: {
+    type: Number,
+    required: true
+  },
+
+  // This leg's share of the platform fee
+  fee: {
+    type: Number,
+    default: 0
+  },
+
+  netAmount: {
+    type: Number,
+    required: true
+  },
+
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+
+  method: {
+    type: String,
+    enum: ['FIAT', 'CRYPTO']
+  },
+
+  destinationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutDestination'
+  },
+
+  provider: String,
+
+  reference: String,
+
+  // PROCESSING legs are never retried automatically: the transfer may have gone out.
+  // ON_HOLD legs wait for a restricted or suspended recipient to be reinstated.
+  status: {
+    type: String,
+    enum: PAYOUT_STATUSES,
+    default: 'PROCESSING',
+    index: true
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  lastAttemptAt: Date,
+
+  settledAt: Date,
+
+  error: String,
+
+  details: {
+    type: Object
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One leg per recipient per transaction
+payoutSchema.index({ transaction: 1, merchant: 1 }, { unique: true });
+
+
+// ================================================================
+// MODEL CREATION & EXPORT
+// ================================================================
+
+const Payout = mongoose.model('Payout', payoutSchema);
+Payout.PAYOUT_STATUSES = PAYOUT_STATUSES;
+Payout.RECIPIENT_ROLES = RECIPIENT_ROLES;
+module.exports = Payout;
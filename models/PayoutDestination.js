@@ -0,0 +1,142 @@
+// ================================================================
+// DEPENDENCIES
+// ================================================================
+
+const mongoose = require('mongoose');
+
+const DESTINATION_TYPES = ['bank_account', 'mobile_money', 'crypto_wallet'];
+
+// Currencies each destination type can receive
+const DESTINATION_CURRENCIES = Object.freeze({
+  bank_account: ['NGN', 'USD', 'EUR'],
+  mobile_money: ['GHS', 'KES', 'UGX', 'RWF'],
+  crypto_wallet: ['USDT']
+});
+
+const VERIFICATION_STATUSES = ['pending', 'verified', 'name_mismatch', 'failed', 'not_required'];
+
+
+// ================================================================
+// PAYOUT DESTINATION SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * Where a merchant's settlements are paid. Settlement uses the merchant's
+ * destination for the transaction currency, falling back to the default.
+ * A destination is only used once verified (or verification is not
+ * required) and after its cooling-off period (`usableFrom`).
+ */
+const payoutDestinationSchema = new mongoose.Schema({
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true,
+    index: true
+  },
+
+  type: {
+    type: String,
+    enum: DESTINATION_TYPES,
+    required: true
+  },
+
+  currency: {
+    type: String,
+    enum: [...new Set(Object.values(DESTINATION_CURRENCIES).flat())],
+    required: true,
+    uppercase: true
+  },
+
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 60
+  },
+
+  bankAccount: {
+    bankCode: String,
+    bankName: String,
+    accountNumber: String,
+    accountName: String
+  },
+
+  mobileMoney: {
+    provider: String,
+    phoneNumber: String,
+    accountName: String
+  },
+
+  cryptoWallet: {
+    network: String,
+    address: {
+      type: String,
+      lowercase: true
+    }
+  },
+
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+
+  verification: {
+    status: {
+      type: String,
+      enum: VERIFICATION_STATUSES,
+      default: 'pending'
+    },
+    resolvedAccountName: String,
+    // Share of the business name's words found in the resolved account name (0-1)
+    nameMatchScore: Number,
+    checkedAt: Date,
+    error: String
+  },
+
+  usableFrom: {
+    type: Date,
+    required: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      delete ret.id;
+      return ret;
+    }
+  }
+});
+
+// At most one default destination per merchant
+payoutDestinationSchema.index(
+  { merchant: 1, isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+
+// ================================================================
+// VIRTUALS
+// ================================================================
+
+/**
+ * Whether settlement may pay into this destination now
+ */
+payoutDestinationSchema.virtual('usable').get(function() {
+  return ['verified', 'not_required'].includes(this.verification?.status) && this.usableFrom <= new Date();
+});
+
+
+// ================================================================
+// MODEL CREATION & EXPORT
+// ================================================================
+
+const PayoutDestination = mongoose.model('PayoutDestination', payoutDestinationSchema);
+PayoutDestination.DESTINATION_TYPES = DESTINATION_TYPES;
+PayoutDestination.DESTINATION_CURRENCIES = DESTINATION_CURRENCIES;
+module.exports = PayoutDestination;
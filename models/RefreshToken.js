@@ -0,0 +1,85 @@
+// ================================================================
+// DEPENDENCIES
+// ================================================================
+
+const mongoose = require('mongoose');
+
+
+// ================================================================
+// REFRESH TOKEN SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * Persisted refresh tokens. Every login starts a new token family; each
+ * refresh rotates the token inside that family so reuse of a rotated token
+ * can be detected and the whole family revoked.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  device: {
+    userAgent: String,
+    ip: String
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Whether the session completed a TOTP second factor; carried across rotations
+  mfa: {
+    type: Boolean,
+    default: false
+  },
+
+  revokedAt: {
+    type: Date
+  },
+
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'revoked', 'reuse_detected', 'password_reset']
+  },
+
+  replacedBy: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+
+// ================================================================
+// MODEL CREATION & EXPORT
+// ================================================================
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
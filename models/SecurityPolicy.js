@@ -0,0 +1,55 @@
+// ================================================================
+// DEPENDENCIES
+// ================================================================
+
+const mongoose = require('mongoose');
+
+
+// ================================================================
+// SECURITY POLICY SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * Platform-wide security settings managed by admins. A single document
+ * keyed 'global' holds the active policy.
+ */
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'global'
+  },
+
+  // Users with these roles must complete TOTP at login before role- or
+  // permission-gated endpoints accept their tokens
+  twoFactorRequiredRoles: {
+    type: [{
+      type: String,
+      enum: ['merchant', 'admin']
+    }],
+    default: []
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+
+// ================================================================
+// MODEL CREATION & EXPORT
+// ================================================================
+
+const SecurityPolicy = mongoose.model('SecurityPolicy', securityPolicySchema);
+
+module.exports = SecurityPolicy;
@@ -0,0 +1,118 @@
+// ================================================================
+// DEPENDENCIES
+// ================================================================
+
+const mongoose = require('mongoose');
+
+
+// ================================================================
+// CONSTANTS
+// ================================================================
+
+const REVOKE_REASONS = ['logout', 'logout_all', 'revoked', 'reuse_detected', 'password_reset'];
+
+// Ended sessions are kept this long so a returning device is still recognised
+const HISTORY_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+
+// ================================================================
+// SESSION SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * One signed-in session per login. `sessionId` is the refresh token family
+ * (the `sid` access token claim); `refreshTokenId` points at the family's
+ * current refresh token and moves on every rotation.
+ */
+const sessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  refreshTokenId: {
+    type: String
+  },
+
+  userAgent: {
+    type: String
+  },
+
+  ip: {
+    type: String
+  },
+
+  // SHA-256 of the user agent, used to recognise devices the user signed in from before
+  deviceHash: {
+    type: String
+  },
+
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastSeenIp: {
+    type: String
+  },
+
+  // Expiry of the current refresh token
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  mfa: {
+    type: Boolean,
+    default: false
+  },
+
+  revokedAt: {
+    type: Date
+  },
+
+  revokedReason: {
+    type: String,
+    enum: REVOKE_REASONS
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      delete ret.id;
+      delete ret.deviceHash;
+      return ret;
+    }
+  }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+sessionSchema.index({ user: 1, deviceHash: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: HISTORY_RETENTION_SECONDS });
+
+
+// ================================================================
+// VIRTUAL PROPERTIES
+// ================================================================
+
+sessionSchema.virtual('active').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+
+// ================================================================
+// MODEL CREATION & EXPORT
+// ================================================================
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,61 @@
+// ================================================================
+// DEPENDENCIES
+// ================================================================
+
+const mongoose = require('mongoose');
+
+
+// ================================================================
+// SIWE NONCE SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * Server-issued nonces for Sign-In With Ethereum. A nonce is consumed the
+ * first time a signature using it is verified, so a captured message and
+ * signature cannot be replayed.
+ */
+const siweNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  usedAt: {
+    type: Date
+  },
+
+  // Address that consumed the nonce, for audit purposes
+  walletAddress: {
+    type: String,
+    lowercase: true
+  },
+
+  ip: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+siweNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+
+// ================================================================
+// MODEL CREATION & EXPORT
+// ================================================================
+
+const SiweNonce = mongoose.model('SiweNonce', siweNonceSchema);
+
+module.exports = SiweNonce;
@@ -1,6 +1,13 @@
 // models/Transaction.js
 const mongoose = require('mongoose');
 
+// Statuses meaning the customer's money arrived. Flutterwave reports
+// `successful`, which is stored uppercased as SUCCESSFUL.
+const RECEIVED_STATUSES = ['PAID', 'SUCCESS', 'SUCCESSFUL', 'SETTLED', 'PARTIALLY_SETTLED'];
+
+// Received but not (fully) settled to the merchant yet
+const UNSETTLED_STATUSES = ['PAID', 'SUCCESS', 'SUCCESSFUL', 'PARTIALLY_SETTLED'];
+
 const transactionSchema = new mongoose.Schema({
   merchantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Merchant', required: true },
   merchantWalletAddress: { type: String, index: true },
@@ -27,7 +34,39 @@ const transactionSchema = new mongoose.Schema({
   amountInMinor: { type: String },
   fiatEquivalent: { type: Number },
   fiatCurrency: { type: String, default: 'NGN' },
-  chargeFee: { type: Number, default: 0 },
+  chargeFee: { type: Number, default: 0 }, // platform fee netted out of the payout (fee.total)
+  providerFee: { type: Number }, // fee reported by the provider or contract, for reconciliation
+  fee: {
+    planId: { type: mongoose.Schema.Types.ObjectId, ref: 'FeePlan' },
+    planName: { type: String },
+    rule: {
+      method: String,
+      currency: String,
+      percentage: Number,
+      flat: Number,
+      cap: Number,
+      floor: Number
+    },
+    baseAmount: { type: Number },
+    percentageFee: { type: Number },
+    flatFee: { type: Number },
+    adjustment: { type: String, enum: ['floor', 'cap', 'amount'] }, // set when floor, cap or the amount itself changed the fee
+    total: { type: Number },
+    currency: { type: String },
+    computedAt: { type: Date }
+  },
+  paymentIntentId: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentIntent', index: true },
+  // Copied from the payment intent when the payment is first recorded; settlement pays each sub-merchant its share
+  splits: {
+    type: [{
+      _id: false,
+      merchant: { type: mongoose.Schema.Types.ObjectId, ref: 'Merchant' },
+      type: { type: String, enum: ['percentage', 'fixed'] },
+      value: { type: Number },
+      currency: { type: String } // fixed splits only
+    }],
+    default: undefined
+  },
   symbol: { type: String },
   currency: { type: String, default: 'NGN' },
 
@@ -45,7 +84,7 @@ const transactionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['PENDING', 'PAID', 'SETTLED', 'FAILED', 'SUCCESS', 'PROCESSING'],
+    enum: ['PENDING', 'PAID', 'SETTLED', 'PARTIALLY_SETTLED', 'FAILED', 'SUCCESS', 'SUCCESSFUL', 'PROCESSING', 'REFUNDED'],
     default: 'PENDING',
     uppercase: true
   },
@@ -59,6 +98,17 @@ const transactionSchema = new mongoose.Schema({
     network: { type: String }
   },
 
+  // Set when a payment arrives for an intent that had already expired or been
+  // canceled; settlement is held until an admin accepts it or records its refund
+  refundReview: {
+    status: { type: String, enum: ['PENDING', 'REFUNDED', 'ACCEPTED'] },
+    reason: { type: String },
+    flaggedAt: { type: Date },
+    resolvedAt: { type: Date },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: { type: String }
+  },
+
   opayReference: { type: String },
   providerResponse: { type: Object },
   metadata: { type: Object, default: {} }
@@ -67,5 +117,10 @@ const transactionSchema = new mongoose.Schema({
 transactionSchema.index({ merchantId: 1, reference: 1 });
 transactionSchema.index({ merchantWalletAddress: 1, eventTimestamp: -1 });
 transactionSchema.index({ payer: 1, eventTimestamp: -1 });
+transactionSchema.index({ 'splits.merchant': 1, status: 1 });
+transactionSchema.index({ 'refundReview.status': 1, 'refundReview.flaggedAt': 1 }, { sparse: true });
 
-module.exports = mongoose.model('Transaction', transactionSchema);
+const Transaction = mongoose.model('Transaction', transactionSchema);
+Transaction.RECEIVED_STATUSES = RECEIVED_STATUSES;
+Transaction.UNSETTLED_STATUSES = UNSETTLED_STATUSES;
+module.exports = Transaction;
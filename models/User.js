@@ -15,6 +15,9 @@ const userSchema = new mongoose.Schema({
   // ============================================================
   // BUSINESS INFORMATION
   // ============================================================
+
+  // Name the account registered with. Business data (payouts, KYC, wallet)
+  // lives on Merchant, linked to users through Membership.
   businessName: {
     type: String,
     required: [true, 'Business name is required'],
@@ -68,36 +71,6 @@ const userSchema = new mongoose.Schema({
     enum: ['merchant', 'admin'],
     default: 'merchant'
   },
-  
-  kycStatus: {
-    type: String,
-    enum: ['pending', 'approved', 'rejected'],
-    default: 'pending'
-  },
-
-
-  // ============================================================
-  // BUSINESS & PAYOUT SETTINGS
-  // ============================================================
-  
-  payoutPreferences: {
-    currency: {
-      type: String,
-      default: 'NGN',
-      enum: ['NGN', 'USD', 'EUR', 'GBP']
-    },
-    method: {
-      type: String,
-      default: 'bank_transfer',
-      enum: ['bank_transfer', 'mobile_money', 'crypto']
-    },
-    accountDetails: {
-      bankName: String,
-      accountNumber: String,
-      accountName: String,
-      routingNumber: String
-    }
-  },
 
 
   // ============================================================
@@ -118,9 +91,13 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0,
       select: false
+    },
+    lastSentAt: {
+      type: Date,
+      select: false
     }
   },
-  // Password reset fields
+  // Password reset fields (token holds a SHA-256 hash of the emailed code)
   passwordReset: {
     token: {
       type: String,
@@ -129,6 +106,44 @@ const userSchema = new mongoose.Schema({
     expiresAt: {
       type: Date,
       select: false
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    lastSentAt: {
+      type: Date,
+      select: false
+    }
+  },
+  // TOTP two-factor authentication (secrets are AES-GCM encrypted, backup codes SHA-256 hashed)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    backupCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    enabledAt: {
+      type: Date
     }
   },
   // Account activity tracking
@@ -158,6 +173,12 @@ const userSchema = new mongoose.Schema({
       delete ret.password;
       delete ret.otp;
       delete ret.passwordReset;
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.lastUsedStep;
+        delete ret.twoFactor.backupCodes;
+      }
       delete ret.__v;
       return ret;
     }
@@ -168,8 +189,8 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1, verified: 1 });
 userSchema.index({ businessName: 1 });
 userSchema.index({ createdAt: -1 });
-userSchema.index({ 'otp.expiresAt': 1 }, { expireAfterSeconds: 0 });
-userSchema.index({ 'passwordReset.expiresAt': 1 }, { expireAfterSeconds: 0 });
+// No TTL on otp.expiresAt or passwordReset.expiresAt: a TTL index deletes the
+// whole user document, so expired codes are rejected and cleared in code instead.
 
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
@@ -258,13 +279,14 @@ userSchema.methods.clearExpiredOTP = function() {
 };
 
 // Method to increment login attempts
-userSchema.methods.incLoginAttempts = function() {
+userSchema.methods.incLoginAttempts = async function() {
   // If we have a previous lock that has expired, restart at 1
   if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
+    await this.updateOne({
       $unset: { lockUntil: 1 },
       $set: { accountLocked: false, loginAttempts: 1 }
     });
+    return { locked: false };
   }
   
   const updates = { $inc: { loginAttempts: 1 } };
@@ -277,7 +299,12 @@ userSchema.methods.incLoginAttempts = function() {
     };
   }
   
-  return this.updateOne(updates);
+  await this.updateOne(updates);
+
+  // Tell the caller whether this attempt triggered a lock so it can be audited
+  return updates.$set
+    ? { locked: true, lockUntil: new Date(updates.$set.lockUntil) }
+    : { locked: false };
 };
 
 // Method to reset login attempts
@@ -0,0 +1,72 @@
+// ================================================================
+// DEPENDENCIES
+// ================================================================
+
+const mongoose = require('mongoose');
+
+
+// ================================================================
+// WEBHOOK ENDPOINT SCHEMA DEFINITION
+// ================================================================
+
+/**
+ * A merchant URL that event notifications are sent to. The signing secret
+ * is generated by the platform and only returned when the endpoint is
+ * created.
+ */
+const webhookEndpointSchema = new mongoose.Schema({
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: true,
+    index: true
+  },
+
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v;
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+webhookEndpointSchema.index({ merchant: 1, url: 1 }, { unique: true });
+
+
+// ================================================================
+// MODEL CREATION & EXPORT
+// ================================================================
+
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+module.exports = WebhookEndpoint;
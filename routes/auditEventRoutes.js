@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect } = require('../middlewares/authmiddleware');
+const { requirePermission } = require('../middlewares/authorize');
+const { PERMISSIONS } = require('../lib/permissions');
+const { AUDIT_ACTIONS } = require('../services/AuditService');
+const auditEventController = require('../controllers/auditEventController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         action:
+ *           type: string
+ *           example: 'payment_intent.status_override'
+ *         outcome:
+ *           type: string
+ *           enum: [success, failure]
+ *         actor:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [user, wallet, api_key, system, anonymous]
+ *             id:
+ *               type: string
+ *             email:
+ *               type: string
+ *             role:
+ *               type: string
+ *         target:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               example: 'payment_intent'
+ *             id:
+ *               type: string
+ *         ip:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         requestId:
+ *           type: string
+ *         changes:
+ *           type: object
+ *           description: Changed fields only; secrets are redacted and account numbers masked
+ *           properties:
+ *             before:
+ *               type: object
+ *               example: { status: 'PENDING' }
+ *             after:
+ *               type: object
+ *               example: { status: 'PAID' }
+ *         metadata:
+ *           type: object
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/audit-events:
+ *   get:
+ *     tags: [Audit Log]
+ *     summary: Query the security audit log
+ *     description: Admin only. Append-only record of logins, lockouts, password resets, payout-detail changes, merchant closures and status changes, manual payment status overrides, security policy changes and /api/crypto admin calls. Newest first.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *         description: User id, wallet address or API key id
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: 'auth.login'
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failure]
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Matching audit events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AuditEvent'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         currentPage:
+ *                           type: integer
+ *                         totalPages:
+ *                           type: integer
+ *                         totalCount:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *                         hasNextPage:
+ *                           type: boolean
+ *                         hasPrevPage:
+ *                           type: boolean
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - admin role (and two-factor session, if required) needed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       422:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.get(
+  '/',
+  protect,
+  requirePermission(PERMISSIONS.AUDIT_LOG_READ),
+  [
+    query('action')
+      .optional()
+      .isIn(Object.values(AUDIT_ACTIONS))
+      .withMessage('Unknown audit action'),
+    query('outcome')
+      .optional()
+      .isIn(['success', 'failure'])
+      .withMessage('Outcome must be success or failure'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('from must be an ISO 8601 date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('to must be an ISO 8601 date'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  validationErrorHandler,
+  auditEventController.listAuditEvents
+);
+
+module.exports = router;
@@ -0,0 +1,1070 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { StatusCodes } = require('http-status-codes');
+const { body, param } = require('express-validator');
+const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect, requireUserAccount } = require('../middlewares/authmiddleware');
+const authController = require('../controllers/authController');
+
+// Stricter limiter for credential endpoints to slow down brute force attempts
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each IP to 20 credential attempts per windowMs
+  message: {
+    success: false,
+    error: {
+      message: 'Too many authentication attempts from this IP, please try again later.',
+      statusCode: StatusCodes.TOO_MANY_REQUESTS
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Per-email limiter for password reset requests, independent of the caller's IP
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each email to 5 reset requests per windowMs
+  keyGenerator: (req) => `password-reset:${String(req.body?.email || req.ip).trim().toLowerCase()}`,
+  message: {
+    success: false,
+    error: {
+      message: 'Too many password reset requests for this email, please try again later.',
+      statusCode: StatusCodes.TOO_MANY_REQUESTS
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RegisterRequest:
+ *       type: object
+ *       required:
+ *         - businessName
+ *         - email
+ *         - password
+ *       properties:
+ *         businessName:
+ *           type: string
+ *           minLength: 2
+ *           example: 'Tech Innovations Ltd'
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: 'owner@techinnovations.com'
+ *         password:
+ *           type: string
+ *           minLength: 8
+ *           example: 'Sup3rSecret!'
+ *         country:
+ *           type: string
+ *           example: 'Nigeria'
+ *     VerifyEmailRequest:
+ *       type: object
+ *       required:
+ *         - email
+ *         - otp
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: 'owner@techinnovations.com'
+ *         otp:
+ *           type: string
+ *           description: 6-digit code sent by email
+ *           example: '482913'
+ *     EmailRequest:
+ *       type: object
+ *       required:
+ *         - email
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: 'owner@techinnovations.com'
+ *     LoginRequest:
+ *       type: object
+ *       required:
+ *         - email
+ *         - password
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: 'owner@techinnovations.com'
+ *         password:
+ *           type: string
+ *           example: 'Sup3rSecret!'
+ *     ResetPasswordRequest:
+ *       type: object
+ *       required:
+ *         - email
+ *         - otp
+ *         - password
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: 'owner@techinnovations.com'
+ *         otp:
+ *           type: string
+ *           description: 6-digit reset code sent by email
+ *           example: '730519'
+ *         password:
+ *           type: string
+ *           minLength: 8
+ *           example: 'N3wSup3rSecret!'
+ *     RefreshTokenRequest:
+ *       type: object
+ *       required:
+ *         - refreshToken
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *           example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
+ *     AuthUser:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: '64f5e8b2a1b2c3d4e5f6g7h8'
+ *         email:
+ *           type: string
+ *           example: 'owner@techinnovations.com'
+ *         businessName:
+ *           type: string
+ *           example: 'Tech Innovations Ltd'
+ *         role:
+ *           type: string
+ *           enum: [merchant, admin]
+ *           example: 'merchant'
+ *         verified:
+ *           type: boolean
+ *           example: true
+ *         profileComplete:
+ *           type: boolean
+ *           description: A business this user owns has completed the required onboarding steps
+ *           example: false
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           example: false
+ *     TokenPair:
+ *       type: object
+ *       properties:
+ *         accessToken:
+ *           type: string
+ *         refreshToken:
+ *           type: string
+ *         expiresIn:
+ *           type: string
+ *           example: '7d'
+ *         sessionId:
+ *           type: string
+ *           description: Refresh token family this pair belongs to
+ *           example: '3b241101-e2bb-4255-8caf-4136c566a962'
+ *     AuthResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         message:
+ *           type: string
+ *           example: 'Login successful'
+ *         data:
+ *           type: object
+ *           properties:
+ *             user:
+ *               $ref: '#/components/schemas/AuthUser'
+ *             tokens:
+ *               $ref: '#/components/schemas/TokenPair'
+ *     TwoFactorChallengeResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         message:
+ *           type: string
+ *           example: 'Enter the code from your authenticator app to finish signing in'
+ *         data:
+ *           type: object
+ *           properties:
+ *             twoFactorRequired:
+ *               type: boolean
+ *               example: true
+ *             challengeToken:
+ *               type: string
+ *               description: Short-lived token to send to /api/auth/login/2fa
+ *     TwoFactorLoginRequest:
+ *       type: object
+ *       required:
+ *         - challengeToken
+ *         - code
+ *       properties:
+ *         challengeToken:
+ *           type: string
+ *         code:
+ *           type: string
+ *           description: 6-digit TOTP code or a one-time backup code
+ *           example: '123456'
+ *     TwoFactorCodeRequest:
+ *       type: object
+ *       required:
+ *         - code
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: '123456'
+ *     SiweVerifyRequest:
+ *       type: object
+ *       required:
+ *         - message
+ *         - signature
+ *       properties:
+ *         message:
+ *           type: string
+ *           description: EIP-4361 message exactly as signed by the wallet (personal_sign)
+ *           example: "localhost:3000 wants you to sign in with your Ethereum account:\n0x742E4C8e9b6Ea8B6f7A7C6A1e2D8F3b9C1a4B5E6\n\nSign in to KlevaPay\n\nURI: http://localhost:3000\nVersion: 1\nChain ID: 4202\nNonce: k3Jd9sPq2LmX0aZbT\nIssued At: 2024-10-19T12:00:00.000Z"
+ *         signature:
+ *           type: string
+ *           example: '0x5f1c...1b'
+ *     SiweNonceResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         data:
+ *           type: object
+ *           properties:
+ *             nonce:
+ *               type: string
+ *               example: 'k3Jd9sPq2LmX0aZbT'
+ *             expiresAt:
+ *               type: string
+ *               format: date-time
+ *             domain:
+ *               type: string
+ *               description: Domain the message must be issued for
+ *               example: 'localhost:3000'
+ *             chainIds:
+ *               type: array
+ *               items:
+ *                 type: integer
+ *               example: [4202]
+ *     SiweVerifyResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         message:
+ *           type: string
+ *           example: 'Wallet verified successfully'
+ *         data:
+ *           type: object
+ *           properties:
+ *             walletAddress:
+ *               type: string
+ *               example: '0x742e4c8e9b6ea8b6f7a7c6a1e2d8f3b9c1a4b5e6'
+ *             chainId:
+ *               type: integer
+ *               example: 4202
+ *             merchant:
+ *               type: object
+ *               nullable: true
+ *               description: Business linked to the wallet, if one exists
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 businessName:
+ *                   type: string
+ *             tokens:
+ *               type: object
+ *               properties:
+ *                 accessToken:
+ *                   type: string
+ *                   description: Wallet-scoped access token; no refresh token is issued
+ *                 expiresIn:
+ *                   type: string
+ *                   example: '1h'
+ */
+
+/**
+ * @swagger
+ * /api/auth/register:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Register a merchant user
+ *     description: Creates an unverified account and emails a 6-digit verification code.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegisterRequest'
+ *     responses:
+ *       201:
+ *         description: Account created, verification code sent
+ *       409:
+ *         description: Email or business name already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       422:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/register',
+  authLimiter,
+  [
+    body('businessName').isString().trim().isLength({ min: 2, max: 100 }).withMessage('Business name must be between 2 and 100 characters'),
+    body('email').trim().isEmail().withMessage('A valid email is required').toLowerCase(),
+    body('password').isString().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    body('country').optional().isString().trim().isLength({ max: 50 }).withMessage('Country name must not exceed 50 characters'),
+  ],
+  validationErrorHandler,
+  authController.register
+);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Verify email with OTP
+ *     description: Confirms the email address and returns a token pair so the user is signed in immediately.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyEmailRequest'
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Invalid, expired or exhausted code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/verify-email',
+  authLimiter,
+  [
+    body('email').trim().isEmail().withMessage('A valid email is required').toLowerCase(),
+    body('otp').isString().matches(/^\d{6}$/).withMessage('OTP must be a 6-digit code'),
+  ],
+  validationErrorHandler,
+  authController.verifyEmail
+);
+
+/**
+ * @swagger
+ * /api/auth/resend-otp:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Resend the email verification code
+ *     description: Issues a new code. Requests inside the 60 second cooldown are rejected.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EmailRequest'
+ *     responses:
+ *       200:
+ *         description: New code sent
+ *       429:
+ *         description: Cooldown still active
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/resend-otp',
+  authLimiter,
+  [body('email').trim().isEmail().withMessage('A valid email is required').toLowerCase()],
+  validationErrorHandler,
+  authController.resendOTP
+);
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Log in with email and password
+ *     description: Accounts are locked for 2 hours after 5 consecutive failed attempts. Users with two-factor enabled receive a challenge token instead of tokens and must finish at /api/auth/login/2fa. When the security policy requires two-factor for the user's role but it is not enabled, tokens are issued with twoFactorSetupRequired set.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginRequest'
+ *     responses:
+ *       200:
+ *         description: Login successful, or second factor required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallengeResponse'
+ *       401:
+ *         description: Invalid credentials
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Email not verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       423:
+ *         description: Account temporarily locked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/login',
+  authLimiter,
+  [
+    body('email').trim().isEmail().withMessage('A valid email is required').toLowerCase(),
+    body('password').isString().notEmpty().withMessage('Password is required'),
+  ],
+  validationErrorHandler,
+  authController.login
+);
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Finish login with a two-factor code
+ *     description: Exchanges the challenge token from /api/auth/login plus a TOTP or backup code for a token pair. Each TOTP code and backup code works once; failures count towards the account lockout.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorLoginRequest'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       423:
+ *         description: Account temporarily locked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/login/2fa',
+  authLimiter,
+  [
+    body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+    body('code').isString().trim().isLength({ min: 6, max: 16 }).withMessage('Authentication code is required'),
+  ],
+  validationErrorHandler,
+  authController.verifyLoginTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Request a password reset code
+ *     description: Emails a single-use 6-digit code valid for 15 minutes. The response is identical whether or not the email is registered. Limited to 5 requests per email per hour.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EmailRequest'
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       429:
+ *         description: Too many reset requests for this email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/forgot-password',
+  authLimiter,
+  [body('email').trim().isEmail().withMessage('A valid email is required').toLowerCase()],
+  validationErrorHandler,
+  passwordResetLimiter,
+  authController.forgotPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Reset the password with the emailed code
+ *     description: Sets the new password, clears any login lockout, signs out every session and emails a confirmation.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Invalid, expired or already used code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/reset-password',
+  authLimiter,
+  [
+    body('email').trim().isEmail().withMessage('A valid email is required').toLowerCase(),
+    body('otp').isString().matches(/^\d{6}$/).withMessage('Reset code must be a 6-digit code'),
+    body('password').isString().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  ],
+  validationErrorHandler,
+  authController.resetPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Rotate the refresh token
+ *     description: Returns a new token pair and invalidates the presented refresh token. Presenting an already-rotated token revokes the whole session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenRequest'
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/refresh',
+  [body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')],
+  validationErrorHandler,
+  authController.refresh
+);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Get the signed-in user
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user profile
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.get('/me', protect, requireUserAccount, authController.getMe);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Log out of the current session
+ *     description: Revokes the refresh token family bound to the access token.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post('/logout', protect, requireUserAccount, authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Log out of every session
+ *     description: Revokes all refresh tokens for the user; access tokens from every session stop working immediately.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post('/logout-all', protect, requireUserAccount, authController.logoutAll);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         sessionId:
+ *           type: string
+ *           example: '3f1c2b9e-5d7a-4c1e-9b8f-2a6d4e0c7b13'
+ *         userAgent:
+ *           type: string
+ *           example: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/605.1.15'
+ *         ip:
+ *           type: string
+ *           description: IP address at sign-in
+ *         lastSeenIp:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         mfa:
+ *           type: boolean
+ *           description: Whether the session completed two-factor sign-in
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: List active sessions
+ *     description: Every device currently signed in to the account, most recently used first.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.get('/sessions', protect, requireUserAccount, authController.listSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/revoke-others:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Sign out every other session
+ *     description: Revokes all sessions except the one making the request.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post('/sessions/revoke-others', protect, requireUserAccount, authController.revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     tags: [Authentication]
+ *     summary: Sign out a session
+ *     description: Revokes one session; its refresh and access tokens stop working immediately. Revoking the current session is the same as logging out.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       404:
+ *         description: Session not found or already ended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.delete(
+  '/sessions/:sessionId',
+  protect,
+  requireUserAccount,
+  [param('sessionId').isUUID().withMessage('Invalid session id')],
+  validationErrorHandler,
+  authController.revokeSession
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Start two-factor enrolment
+ *     description: Generates a TOTP secret (stored encrypted) and returns it with an otpauth URI to render as a QR code. Confirm with /api/auth/2fa/enable.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP'
+ *                     otpauthUrl:
+ *                       type: string
+ *                       example: 'otpauth://totp/KlevaPay%3Aowner%40techinnovations.com?secret=JBSWY3DPEHPK3PXP&issuer=KlevaPay&algorithm=SHA1&digits=6&period=30'
+ *       400:
+ *         description: Two-factor already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post('/2fa/setup', protect, requireUserAccount, authController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Confirm two-factor enrolment
+ *     description: Verifies a code for the pending secret, enables two-factor and returns 10 one-time backup codes (shown once). The current session is replaced by a new two-factor session whose tokens are returned.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+ *     responses:
+ *       200:
+ *         description: Two-factor enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     backupCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ['3f9a1-0c2de', '7b4e2-91af0']
+ *                     tokens:
+ *                       $ref: '#/components/schemas/TokenPair'
+ *       400:
+ *         description: Invalid code, setup not started, or already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/2fa/enable',
+  protect,
+  requireUserAccount,
+  [body('code').isString().trim().matches(/^\d{6}$/).withMessage('A 6-digit code is required')],
+  validationErrorHandler,
+  authController.enableTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Disable two-factor authentication
+ *     description: Requires the account password and a TOTP or backup code. Not allowed when the security policy requires two-factor for the user's role.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor disabled
+ *       400:
+ *         description: Two-factor is not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: Wrong password or code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Two-factor is required for the user's role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/2fa/disable',
+  protect,
+  requireUserAccount,
+  [
+    body('password').isString().notEmpty().withMessage('Password is required'),
+    body('code').isString().trim().notEmpty().withMessage('Authentication code is required'),
+  ],
+  validationErrorHandler,
+  authController.disableTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/backup-codes:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Regenerate backup codes
+ *     description: Requires a current TOTP code. Replaces all existing backup codes.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+ *     responses:
+ *       200:
+ *         description: New backup codes (shown once)
+ *       400:
+ *         description: Two-factor is not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: Invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/2fa/backup-codes',
+  protect,
+  requireUserAccount,
+  [body('code').isString().trim().matches(/^\d{6}$/).withMessage('A 6-digit code is required')],
+  validationErrorHandler,
+  authController.regenerateBackupCodes
+);
+
+/**
+ * @swagger
+ * /api/auth/siwe/nonce:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Get a Sign-In With Ethereum nonce
+ *     description: Returns a single-use nonce plus the domain and chain ids the EIP-4361 message must use.
+ *     responses:
+ *       200:
+ *         description: Nonce issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SiweNonceResponse'
+ *       429:
+ *         description: Too many requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.get('/siwe/nonce', authLimiter, authController.siweNonce);
+
+/**
+ * @swagger
+ * /api/auth/siwe/verify:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Verify a Sign-In With Ethereum signature
+ *     description: Checks the message domain, chain id, validity window and nonce (single use), recovers the signer and issues a short-lived access token scoped to that wallet. Wallet tokens can read the wallet's merchant and transactions but cannot use account endpoints such as /api/auth/me.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SiweVerifyRequest'
+ *     responses:
+ *       200:
+ *         description: Wallet verified, access token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SiweVerifyResponse'
+ *       400:
+ *         description: Malformed SIWE message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: Wrong domain or chain, expired message, bad signature, or nonce invalid/used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       422:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/siwe/verify',
+  authLimiter,
+  [
+    body('message').isString().isLength({ min: 1, max: 4096 }).withMessage('SIWE message is required'),
+    body('signature').matches(/^0x[0-9a-fA-F]{130}$/).withMessage('Signature must be a 65-byte hex string'),
+  ],
+  validationErrorHandler,
+  authController.siweVerify
+);
+
+module.exports = router;
@@ -0,0 +1,225 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body } = require('express-validator');
+const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect } = require('../middlewares/authmiddleware');
+const { loadMerchant } = require('../middlewares/authorize');
+const { uploadSingle } = require('../middlewares/upload');
+const { MERCHANT_PERMISSIONS } = require('../lib/permissions');
+const BrandingService = require('../services/BrandingService');
+const brandingController = require('../controllers/brandingController');
+
+// Plain http only outside production, for local checkout development
+const URL_PROTOCOLS = process.env.NODE_ENV === 'production' ? ['https'] : ['https', 'http'];
+
+const clearable = (field) => body(field).optional({ values: 'null' });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CheckoutBranding:
+ *       type: object
+ *       properties:
+ *         displayName:
+ *           type: string
+ *           description: Falls back to the business name
+ *           example: 'Tech Innovations'
+ *         logoUrl:
+ *           type: string
+ *           format: uri
+ *           nullable: true
+ *         brandColor:
+ *           type: string
+ *           nullable: true
+ *           example: '#1A2B3C'
+ *         supportEmail:
+ *           type: string
+ *           format: email
+ *           nullable: true
+ *         returnUrl:
+ *           type: string
+ *           format: uri
+ *           nullable: true
+ *           description: Where the customer is sent after paying
+ */
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/branding:
+ *   get:
+ *     tags: [Merchant]
+ *     summary: Get checkout branding
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checkout branding
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/CheckoutBranding'
+ *   put:
+ *     tags: [Merchant]
+ *     summary: Update checkout branding
+ *     description: Owners and team admins. Send null to clear a field. Used on hosted checkout and Flutterwave payment pages.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               displayName:
+ *                 type: string
+ *                 maxLength: 60
+ *               brandColor:
+ *                 type: string
+ *                 example: '#1A2B3C'
+ *               supportEmail:
+ *                 type: string
+ *                 format: email
+ *               returnUrl:
+ *                 type: string
+ *                 format: uri
+ *                 description: Must use https in production
+ *     responses:
+ *       200:
+ *         description: Branding updated
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router
+  .route('/')
+  .get(protect, loadMerchant(MERCHANT_PERMISSIONS.READ), brandingController.getBranding)
+  .put(
+    protect,
+    loadMerchant(MERCHANT_PERMISSIONS.UPDATE),
+    [
+      clearable('displayName').isString().trim().isLength({ min: 1, max: 60 }).withMessage('Display name must be 1-60 characters'),
+      clearable('brandColor').matches(/^#[0-9A-Fa-f]{6}$/).withMessage('Brand color must be a hex color such as #1A2B3C'),
+      clearable('supportEmail').isEmail().withMessage('Support email must be a valid email address').normalizeEmail(),
+      clearable('returnUrl')
+        .isURL({ protocols: URL_PROTOCOLS, require_protocol: true, require_tld: process.env.NODE_ENV === 'production' })
+        .withMessage(`Return URL must be an absolute ${URL_PROTOCOLS.join(' or ')} URL`)
+        .isLength({ max: 500 }).withMessage('Return URL must not exceed 500 characters')
+    ],
+    validationErrorHandler,
+    brandingController.updateBranding
+  );
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/branding/logo:
+ *   get:
+ *     tags: [Merchant]
+ *     summary: Get the checkout logo
+ *     description: Public, so checkout pages and payment providers can load it.
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Logo image
+ *         content:
+ *           image/png: {}
+ *           image/jpeg: {}
+ *       404:
+ *         description: No logo uploaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *   put:
+ *     tags: [Merchant]
+ *     summary: Upload the checkout logo
+ *     description: Owners and team admins. PNG or JPEG up to 1 MB; replaces the current logo.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Logo uploaded
+ *       400:
+ *         description: Missing file, wrong type, too large, or contents do not match the type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *   delete:
+ *     tags: [Merchant]
+ *     summary: Remove the checkout logo
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Logo removed
+ *       404:
+ *         description: No logo uploaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router
+  .route('/logo')
+  .get(brandingController.getLogo)
+  .put(
+    protect,
+    loadMerchant(MERCHANT_PERMISSIONS.UPDATE),
+    uploadSingle('file', { types: BrandingService.LOGO_TYPES, maxSize: BrandingService.LOGO_MAX_SIZE }),
+    brandingController.uploadLogo
+  )
+  .delete(protect, loadMerchant(MERCHANT_PERMISSIONS.UPDATE), brandingController.removeLogo);
+
+module.exports = router;
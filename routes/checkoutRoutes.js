@@ -0,0 +1,348 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { StatusCodes } = require('http-status-codes');
+const { body, param } = require('express-validator');
+const { validationErrorHandler } = require('../middlewares/errorHandler');
+const CheckoutService = require('../services/CheckoutService');
+const checkoutController = require('../controllers/checkoutController');
+
+// Sessions are found by unguessable tokens; the limiter keeps them that way
+const checkoutLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // limit each IP to 60 checkout requests per windowMs
+  message: {
+    success: false,
+    error: {
+      message: 'Too many checkout requests from this IP, please try again later.',
+      statusCode: StatusCodes.TOO_MANY_REQUESTS
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const referenceParam = param('reference').isHexadecimal().isLength({ min: 16, max: 16 }).withMessage('Invalid checkout reference');
+const widgetTokenParam = param('widgetToken').isHexadecimal().isLength({ min: 32, max: 32 }).withMessage('Invalid widget token');
+
+const paymentValidators = [
+  body('method').isIn(CheckoutService.CHECKOUT_METHODS).withMessage(`method must be one of: ${CheckoutService.CHECKOUT_METHODS.join(', ')}`),
+  body('customer.email').if(body('method').not().equals('crypto')).isEmail().withMessage('customer.email must be a valid email').normalizeEmail(),
+  body('customer.name').optional().isString().trim().isLength({ max: 100 }).withMessage('customer.name must not exceed 100 characters'),
+  body('customer.phone').optional().isString().trim().isLength({ max: 20 }).withMessage('customer.phone must not exceed 20 characters')
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CheckoutSession:
+ *       type: object
+ *       description: A payment intent as its customer sees it; merchant-internal fields are never included
+ *       properties:
+ *         reference:
+ *           type: string
+ *           example: '9f86d081884c7d65'
+ *         status:
+ *           type: string
+ *           example: 'REQUIRES_PAYMENT'
+ *         payable:
+ *           type: boolean
+ *           description: false once the intent is paid, expired or canceled, or the merchant cannot take payments
+ *         amount:
+ *           type: number
+ *           example: 5000
+ *         amountReceived:
+ *           type: number
+ *           example: 0
+ *         amountDue:
+ *           type: number
+ *           description: What is left to pay; payments are started for this amount
+ *           example: 5000
+ *         currency:
+ *           type: string
+ *           example: 'NGN'
+ *         targetCurrency:
+ *           type: string
+ *           example: 'USD'
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         livemode:
+ *           type: boolean
+ *         merchant:
+ *           $ref: '#/components/schemas/CheckoutBranding'
+ *         paymentMethods:
+ *           type: array
+ *           description: Empty when the session is not payable. card, bank_transfer and opay are offered for NGN only; crypto when the merchant has a wallet.
+ *           items:
+ *             type: string
+ *             enum: [card, bank_transfer, opay, crypto]
+ *         quote:
+ *           type: object
+ *           nullable: true
+ *           description: Live conversion to the target currency; null when the rate is unavailable
+ *           properties:
+ *             sourceCurrency:
+ *               type: string
+ *             targetCurrency:
+ *               type: string
+ *             sourceAmount:
+ *               type: number
+ *             targetAmount:
+ *               type: number
+ *             rate:
+ *               type: number
+ *             quotedAt:
+ *               type: string
+ *               format: date-time
+ *         crypto:
+ *           $ref: '#/components/schemas/CryptoCheckoutInstructions'
+ *     CryptoCheckoutInstructions:
+ *       type: object
+ *       description: Arguments for payWithToken(tokenIn, amountIn, merchant, tokenSymbol, txRef) on the payment contract
+ *       properties:
+ *         chainId:
+ *           type: integer
+ *           example: 4202
+ *         contractAddress:
+ *           type: string
+ *         method:
+ *           type: string
+ *           example: 'payWithToken'
+ *         token:
+ *           type: object
+ *           properties:
+ *             symbol:
+ *               type: string
+ *               example: 'USDT'
+ *             address:
+ *               type: string
+ *             decimals:
+ *               type: integer
+ *               example: 6
+ *         merchantWalletAddress:
+ *           type: string
+ *         amount:
+ *           type: string
+ *           nullable: true
+ *           example: '3.250000'
+ *         amountInMinor:
+ *           type: string
+ *           nullable: true
+ *           example: '3250000'
+ *         txRef:
+ *           type: string
+ *           description: Must be passed to the contract so the payment is matched to the intent
+ *     CheckoutPaymentRequest:
+ *       type: object
+ *       required:
+ *         - method
+ *       properties:
+ *         method:
+ *           type: string
+ *           enum: [card, bank_transfer, opay, crypto]
+ *         customer:
+ *           type: object
+ *           description: Required except for crypto
+ *           properties:
+ *             email:
+ *               type: string
+ *               format: email
+ *             name:
+ *               type: string
+ *             phone:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /api/checkout/widget/{widgetToken}:
+ *   get:
+ *     tags: [Checkout]
+ *     summary: Get a checkout session by widget token
+ *     description: Public. The widget token stops working once the intent expires or is canceled.
+ *     parameters:
+ *       - in: path
+ *         name: widgetToken
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checkout session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CheckoutSession'
+ *       404:
+ *         description: Checkout session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.get('/widget/:widgetToken', checkoutLimiter, [widgetTokenParam], validationErrorHandler, checkoutController.getCheckoutSession);
+
+/**
+ * @swagger
+ * /api/checkout/widget/{widgetToken}/payments:
+ *   post:
+ *     tags: [Checkout]
+ *     summary: Start a payment from the widget
+ *     description: Public. Same as starting a payment from the hosted checkout page.
+ *     parameters:
+ *       - in: path
+ *         name: widgetToken
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CheckoutPaymentRequest'
+ *     responses:
+ *       201:
+ *         description: Payment started
+ *       404:
+ *         description: Checkout session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       409:
+ *         description: The session can no longer be paid (CHECKOUT_NOT_PAYABLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/widget/:widgetToken/payments',
+  checkoutLimiter,
+  [widgetTokenParam, ...paymentValidators],
+  validationErrorHandler,
+  checkoutController.startCheckoutPayment
+);
+
+/**
+ * @swagger
+ * /api/checkout/{reference}:
+ *   get:
+ *     tags: [Checkout]
+ *     summary: Get a checkout session by checkout reference
+ *     description: Public. The reference is the last segment of the intent's checkoutLink.
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checkout session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CheckoutSession'
+ *       404:
+ *         description: Checkout session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.get('/:reference', checkoutLimiter, [referenceParam], validationErrorHandler, checkoutController.getCheckoutSession);
+
+/**
+ * @swagger
+ * /api/checkout/{reference}/payments:
+ *   post:
+ *     tags: [Checkout]
+ *     summary: Start a payment for a checkout session
+ *     description: |
+ *       Public. Card, bank transfer and OPay payments are created with Flutterwave: the response carries the generated
+ *       txRef and the provider's data (the hosted payment link for cards, transfer or authorization instructions otherwise).
+ *       Crypto returns the payWithToken arguments; pass txRef to the contract so the payment is matched to the intent.
+ *       Live sessions also need the merchant's required onboarding steps done (ONBOARDING_INCOMPLETE).
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CheckoutPaymentRequest'
+ *     responses:
+ *       201:
+ *         description: Payment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                     txRef:
+ *                       type: string
+ *                     provider:
+ *                       type: object
+ *                       description: Flutterwave response for card, bank_transfer and opay
+ *       400:
+ *         description: Payment method not available for this session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       404:
+ *         description: Checkout session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       409:
+ *         description: The session can no longer be paid (CHECKOUT_NOT_PAYABLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       502:
+ *         description: The payment provider could not start the payment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/:reference/payments',
+  checkoutLimiter,
+  [referenceParam, ...paymentValidators],
+  validationErrorHandler,
+  checkoutController.startCheckoutPayment
+);
+
+module.exports = router;
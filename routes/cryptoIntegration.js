@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middlewares/authmiddleware');
+const { requirePermission, requireStepUp } = require('../middlewares/authorize');
+const { auditRequest } = require('../middlewares/audit');
+const { PERMISSIONS } = require('../lib/permissions');
+const { AUDIT_ACTIONS } = require('../services/AuditService');
 
 const {
   creditMerchant,
@@ -56,7 +60,7 @@ const {
  *   get:
  *     tags: [Crypto Integration]
  *     summary: Get settlement contract owner
- *     description: Returns the wallet address that owns the on-chain settlement contract.
+ *     description: Returns the wallet address that owns the on-chain settlement contract. Admin only.
  *     security:
  *       - BearerAuth: []
  *     responses:
@@ -79,8 +83,14 @@ const {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  */
-router.get("/owner", protect, getOwner);
+router.get("/owner", protect, auditRequest(AUDIT_ACTIONS.CRYPTO_OWNER_READ), requirePermission(PERMISSIONS.CRYPTO_READ), getOwner);
 
 /**
  * @swagger
@@ -88,7 +98,7 @@ router.get("/owner", protect, getOwner);
  *   post:
  *     tags: [Crypto Integration]
  *     summary: Add protocol liquidity (USDT)
- *     description: Approves the settlement contract and deposits the supplied USDT amount.
+ *     description: Approves the settlement contract and deposits the supplied USDT amount. Admin only.
  *     security:
  *       - BearerAuth: []
  *     requestBody:
@@ -129,6 +139,12 @@ router.get("/owner", protect, getOwner);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  *       500:
  *         description: Contract interaction failed
  *         content:
@@ -136,7 +152,7 @@ router.get("/owner", protect, getOwner);
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
  */
-router.post("/add-liquidity", protect, addLiquidity);
+router.post("/add-liquidity", protect, auditRequest(AUDIT_ACTIONS.CRYPTO_ADD_LIQUIDITY), requirePermission(PERMISSIONS.CRYPTO_MANAGE_LIQUIDITY), addLiquidity);
 
 /**
  * @swagger
@@ -144,9 +160,11 @@ router.post("/add-liquidity", protect, addLiquidity);
  *   post:
  *     tags: [Crypto Integration]
  *     summary: Remove protocol liquidity
- *     description: Withdraws liquidity from the settlement contract.
+ *     description: Withdraws liquidity from the settlement contract. Admin only, and requires a fresh TOTP code in the X-2FA-Code header (step-up).
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TwoFactorCode'
  *     requestBody:
  *       required: true
  *       content:
@@ -180,7 +198,13 @@ router.post("/add-liquidity", protect, addLiquidity);
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
  *       401:
- *         description: Unauthorized - Bearer token missing or invalid
+ *         description: Unauthorized - Bearer token missing or invalid, or X-2FA-Code missing/invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - admin role required, or two-factor authentication not enabled
  *         content:
  *           application/json:
  *             schema:
@@ -192,7 +216,7 @@ router.post("/add-liquidity", protect, addLiquidity);
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
  */
-router.post("/remove-liquidity", protect, removeLiquidity);
+router.post("/remove-liquidity", protect, auditRequest(AUDIT_ACTIONS.CRYPTO_REMOVE_LIQUIDITY), requirePermission(PERMISSIONS.CRYPTO_MANAGE_LIQUIDITY), requireStepUp, removeLiquidity);
 
 /**
  * @swagger
@@ -200,7 +224,9 @@ router.post("/remove-liquidity", protect, removeLiquidity);
  *   post:
  *     tags: [Crypto Integration]
  *     summary: Credit merchant wallet in USDT
- *     description: Executes the on-chain `creditMerchant` function to settle a merchant in stablecoin.
+ *     description: Executes the on-chain `creditMerchant` function to settle a merchant in stablecoin. Admin only.
+ *     security:
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -236,6 +262,18 @@ router.post("/remove-liquidity", protect, removeLiquidity);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  *       500:
  *         description: Contract interaction failed
  *         content:
@@ -243,6 +281,14 @@ router.post("/remove-liquidity", protect, removeLiquidity);
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
  */
-router.post("/credit-merchant", creditMerchant);
+router.post(
+  "/credit-merchant",
+  protect,
+  auditRequest(AUDIT_ACTIONS.CRYPTO_CREDIT_MERCHANT, {
+    target: (req) => ({ type: 'merchant_wallet', id: req.body?.merchant })
+  }),
+  requirePermission(PERMISSIONS.CRYPTO_CREDIT_MERCHANT),
+  creditMerchant
+);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,286 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect } = require('../middlewares/authmiddleware');
+const { requirePermission } = require('../middlewares/authorize');
+const { PERMISSIONS } = require('../lib/permissions');
+const FeePlan = require('../models/FeePlan');
+const feePlanController = require('../controllers/feePlanController');
+
+const RULE_METHODS = [...FeePlan.FEE_METHODS, FeePlan.ANY];
+
+/**
+ * Validators for a plan body; `rules` is required when creating
+ * @param {boolean} creating - Whether the plan is being created
+ * @returns {Array}
+ */
+const planValidators = (creating) => [
+  (creating ? body('name') : body('name').optional())
+    .isString().trim().isLength({ min: 2, max: 60 }).withMessage('Name must be 2-60 characters'),
+  body('description').optional().isString().trim().isLength({ max: 300 }).withMessage('Description must not exceed 300 characters'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean').toBoolean(),
+  (creating ? body('rules') : body('rules').optional())
+    .isArray({ min: 1 }).withMessage('At least one fee rule is required'),
+  body('rules.*.method').optional().isString().toUpperCase().isIn(RULE_METHODS).withMessage(`Method must be one of: ${RULE_METHODS.join(', ')}`),
+  body('rules.*.currency').optional().isString().trim().toUpperCase().matches(/^(\*|[A-Z]{3,5})$/).withMessage('Currency must be a currency code or *'),
+  body('rules.*.percentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Percentage must be between 0 and 100').toFloat(),
+  body('rules.*.flat').optional().isFloat({ min: 0 }).withMessage('Flat fee must be zero or more').toFloat(),
+  body('rules.*.floor').optional().isFloat({ min: 0 }).withMessage('Floor must be zero or more').toFloat(),
+  body('rules.*.cap').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Cap must be zero or more').toFloat(),
+  body('rules.*').optional().custom((rule) => (rule.currency ?? FeePlan.ANY) !== FeePlan.ANY || !FeePlan.hasFixedAmounts(rule))
+    .withMessage('Flat, floor and cap amounts need a specific currency; a rule for any currency (*) may only charge a percentage')
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FeeRule:
+ *       type: object
+ *       properties:
+ *         method:
+ *           type: string
+ *           enum: [CARD, BANK, WALLET, CRYPTO, FIAT, '*']
+ *           default: '*'
+ *         currency:
+ *           type: string
+ *           description: Currency code, or * for any currency
+ *           default: '*'
+ *           example: 'NGN'
+ *         percentage:
+ *           type: number
+ *           example: 1.4
+ *         flat:
+ *           type: number
+ *           description: Fixed fee in the rule's currency; rules for any currency (*) must leave flat, floor and cap unset or zero
+ *           example: 100
+ *         cap:
+ *           type: number
+ *           nullable: true
+ *           description: Maximum fee; null for no cap
+ *           example: 2000
+ *         floor:
+ *           type: number
+ *           description: Minimum fee
+ *           example: 0
+ *     FeePlan:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: 'Standard'
+ *         description:
+ *           type: string
+ *         isDefault:
+ *           type: boolean
+ *           description: Prices every merchant without a plan of its own
+ *         rules:
+ *           type: array
+ *           description: The most specific rule for a payment's method and currency applies
+ *           items:
+ *             $ref: '#/components/schemas/FeeRule'
+ *         merchantCount:
+ *           type: integer
+ *           description: Returned by the list endpoint
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     FeePlanRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         isDefault:
+ *           type: boolean
+ *         rules:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FeeRule'
+ */
+
+/**
+ * @swagger
+ * /api/fee-plans:
+ *   get:
+ *     tags: [Fees]
+ *     summary: List fee plans
+ *     description: Admin only. Default plan first, with the number of merchants on each plan.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Fee plans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FeePlan'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *   post:
+ *     tags: [Fees]
+ *     summary: Create a fee plan
+ *     description: Admin only. Making the plan the default demotes the current default.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/FeePlanRequest'
+ *               - required: [name, rules]
+ *     responses:
+ *       201:
+ *         description: Fee plan created
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       409:
+ *         description: A fee plan with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router
+  .route('/')
+  .get(protect, requirePermission(PERMISSIONS.FEE_PLANS_MANAGE), feePlanController.listFeePlans)
+  .post(
+    protect,
+    requirePermission(PERMISSIONS.FEE_PLANS_MANAGE),
+    planValidators(true),
+    validationErrorHandler,
+    feePlanController.createFeePlan
+  );
+
+/**
+ * @swagger
+ * /api/fee-plans/{planId}:
+ *   get:
+ *     tags: [Fees]
+ *     summary: Get a fee plan
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fee plan
+ *       404:
+ *         description: Fee plan not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *   put:
+ *     tags: [Fees]
+ *     summary: Update a fee plan
+ *     description: Applies to transactions recorded from now on; recorded transactions keep the fee they were charged. The default flag can only be moved to another plan, not cleared.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FeePlanRequest'
+ *     responses:
+ *       200:
+ *         description: Fee plan updated
+ *       404:
+ *         description: Fee plan not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *   delete:
+ *     tags: [Fees]
+ *     summary: Delete a fee plan
+ *     description: The default plan and plans assigned to merchants cannot be deleted.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fee plan deleted
+ *       400:
+ *         description: The default plan cannot be deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       409:
+ *         description: Fee plan is assigned to merchants
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+const planIdValidator = [param('planId').isMongoId().withMessage('Invalid fee plan id')];
+
+router
+  .route('/:planId')
+  .get(
+    protect,
+    requirePermission(PERMISSIONS.FEE_PLANS_MANAGE),
+    planIdValidator,
+    validationErrorHandler,
+    feePlanController.getFeePlan
+  )
+  .put(
+    protect,
+    requirePermission(PERMISSIONS.FEE_PLANS_MANAGE),
+    [...planIdValidator, ...planValidators(false)],
+    validationErrorHandler,
+    feePlanController.updateFeePlan
+  )
+  .delete(
+    protect,
+    requirePermission(PERMISSIONS.FEE_PLANS_MANAGE),
+    planIdValidator,
+    validationErrorHandler,
+    feePlanController.deleteFeePlan
+  );
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect, requireUserAccount } = require('../middlewares/authmiddleware');
+const memberController = require('../controllers/memberController');
+
+/**
+ * @swagger
+ * /api/invitations/accept:
+ *   post:
+ *     tags: [Team]
+ *     summary: Accept a team invitation
+ *     description: Joins the business with the invited role. The signed-in account's email must match the invited email.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the invitation link
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 'Invitation accepted'
+ *                 data:
+ *                   $ref: '#/components/schemas/Membership'
+ *       400:
+ *         description: Invitation invalid, expired, revoked or already used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Invitation was sent to a different email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       409:
+ *         description: Already a member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/accept',
+  protect,
+  requireUserAccount,
+  [body('token').isString().notEmpty().withMessage('Invitation token is required')],
+  validationErrorHandler,
+  memberController.acceptInvitation
+);
+
+module.exports = router;
@@ -0,0 +1,271 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param } = require('express-validator');
+const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect } = require('../middlewares/authmiddleware');
+const { loadMerchant } = require('../middlewares/authorize');
+const { uploadSingle } = require('../middlewares/upload');
+const { MERCHANT_PERMISSIONS } = require('../lib/permissions');
+const KycService = require('../services/KycService');
+const kycController = require('../controllers/kycController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     KycDocument:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         merchant:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [cac_certificate, government_id, proof_of_address]
+ *         originalName:
+ *           type: string
+ *           example: 'cac-certificate.pdf'
+ *         mimeType:
+ *           type: string
+ *           example: 'application/pdf'
+ *         size:
+ *           type: integer
+ *           example: 184320
+ *         checksum:
+ *           type: string
+ *           description: SHA-256 of the file contents
+ *         uploadedBy:
+ *           type: string
+ *         replacedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     KycStatus:
+ *       type: object
+ *       properties:
+ *         kycStatus:
+ *           type: string
+ *           enum: [pending, submitted, approved, rejected]
+ *         submittedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         rejectionReason:
+ *           type: string
+ *           nullable: true
+ *         documents:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/KycDocument'
+ *         missingDocuments:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ['proof_of_address']
+ */
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/kyc:
+ *   get:
+ *     tags: [KYC]
+ *     summary: Get KYC status and documents
+ *     description: Business owners and team admins only. Settlements are held until KYC is approved.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: KYC status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/KycStatus'
+ *       403:
+ *         description: Forbidden - team role does not allow managing KYC
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.get('/', protect, loadMerchant(MERCHANT_PERMISSIONS.KYC_MANAGE), kycController.getKycStatus);
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/kyc/documents:
+ *   post:
+ *     tags: [KYC]
+ *     summary: Upload a KYC document
+ *     description: Accepts one file of the types in ALLOWED_FILE_TYPES, up to MAX_FILE_SIZE bytes. Uploading a type again replaces the current document. Only allowed while KYC is pending or rejected.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - file
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [cac_certificate, government_id, proof_of_address]
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Document uploaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 'Document uploaded'
+ *                 data:
+ *                   $ref: '#/components/schemas/KycDocument'
+ *       400:
+ *         description: Missing file, file too large, disallowed type, or KYC already submitted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       422:
+ *         description: Invalid document type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/documents',
+  protect,
+  loadMerchant(MERCHANT_PERMISSIONS.KYC_MANAGE),
+  uploadSingle('file'),
+  [body('type').isIn(KycService.KYC_DOCUMENT_TYPES).withMessage(`Type must be one of: ${KycService.KYC_DOCUMENT_TYPES.join(', ')}`)],
+  validationErrorHandler,
+  kycController.uploadKycDocument
+);
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/kyc/documents/{documentId}/file:
+ *   get:
+ *     tags: [KYC]
+ *     summary: Download a KYC document
+ *     description: Business owners, team admins and platform admins. Replaced documents remain downloadable.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File contents
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.get(
+  '/documents/:documentId/file',
+  protect,
+  loadMerchant(MERCHANT_PERMISSIONS.KYC_MANAGE),
+  [param('documentId').isMongoId().withMessage('Invalid document id')],
+  validationErrorHandler,
+  kycController.downloadKycDocument
+);
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/kyc/submit:
+ *   post:
+ *     tags: [KYC]
+ *     summary: Submit documents for review
+ *     description: Requires a current CAC certificate, government ID and proof of address. The owner is emailed when the submission is received and when it is reviewed.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Submitted for review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/KycStatus'
+ *       400:
+ *         description: KYC already submitted or approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       422:
+ *         description: Required documents missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post('/submit', protect, loadMerchant(MERCHANT_PERMISSIONS.KYC_MANAGE), kycController.submitKyc);
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect } = require('../middlewares/authmiddleware');
+const { requirePermission } = require('../middlewares/authorize');
+const { PERMISSIONS } = require('../lib/permissions');
+const Merchant = require('../models/Merchant');
+const kycController = require('../controllers/kycController');
+
+/**
+ * @swagger
+ * /api/kyc-submissions:
+ *   get:
+ *     tags: [KYC]
+ *     summary: KYC review queue
+ *     description: Admin only. Merchants with the given KYC status (default submitted), oldest submission first. Download documents through the merchant KYC endpoints.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, submitted, approved, rejected]
+ *           default: submitted
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Merchants and pagination
+ *       403:
+ *         description: Forbidden - admin only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.get(
+  '/',
+  protect,
+  requirePermission(PERMISSIONS.KYC_REVIEW),
+  [
+    query('status').optional().isIn(Merchant.KYC_STATUSES).withMessage(`Status must be one of: ${Merchant.KYC_STATUSES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validationErrorHandler,
+  kycController.listKycSubmissions
+);
+
+/**
+ * @swagger
+ * /api/kyc-submissions/{merchantId}/decision:
+ *   post:
+ *     tags: [KYC]
+ *     summary: Approve or reject a KYC submission
+ *     description: Admin only. The owner is emailed the outcome and the decision is written to the audit log. Approval releases settlements held during review; rejection requires a reason and lets the merchant resubmit.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: 'Proof of address is older than three months'
+ *     responses:
+ *       200:
+ *         description: Decision recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BusinessResponse'
+ *       400:
+ *         description: KYC is not awaiting review, or a rejection has no reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       404:
+ *         description: Merchant not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/:merchantId/decision',
+  protect,
+  requirePermission(PERMISSIONS.KYC_REVIEW),
+  [
+    param('merchantId').isMongoId().withMessage('Invalid merchant id'),
+    body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+    body('reason').optional().isString().trim().isLength({ min: 1, max: 500 }).withMessage('Reason must be 1-500 characters'),
+    body('reason').if(body('decision').equals('reject')).notEmpty().withMessage('A reason is required when rejecting')
+  ],
+  validationErrorHandler,
+  kycController.reviewKycSubmission
+);
+
+module.exports = router;
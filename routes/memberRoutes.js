@@ -0,0 +1,452 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param, query } = require('express-validator');
+const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect } = require('../middlewares/authmiddleware');
+const { loadMerchant } = require('../middlewares/authorize');
+const { MERCHANT_ROLES, MERCHANT_PERMISSIONS } = require('../lib/permissions');
+const memberController = require('../controllers/memberController');
+
+const ASSIGNABLE_ROLES = MERCHANT_ROLES.filter((role) => role !== 'owner');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Membership:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         merchant:
+ *           type: string
+ *         user:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             email:
+ *               type: string
+ *               example: 'finance@techinnovations.com'
+ *             businessName:
+ *               type: string
+ *         role:
+ *           type: string
+ *           enum: [owner, admin, developer, finance, viewer]
+ *         invitedBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     Invitation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         merchant:
+ *           type: string
+ *         email:
+ *           type: string
+ *           example: 'dev@techinnovations.com'
+ *         role:
+ *           type: string
+ *           enum: [admin, developer, finance, viewer]
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         invitedBy:
+ *           type: string
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/members:
+ *   get:
+ *     tags: [Team]
+ *     summary: List team members
+ *     description: Any team member may list the team.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Team members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 3
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Membership'
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - not a member of this business
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.get('/members', protect, loadMerchant(MERCHANT_PERMISSIONS.READ), memberController.listMembers);
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/members/{userId}:
+ *   patch:
+ *     tags: [Team]
+ *     summary: Change a member's role
+ *     description: Owners and admins may change roles; only the owner may grant or change the admin role. Ownership moves through transfer-ownership.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, developer, finance, viewer]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 'Member role changed to finance'
+ *                 data:
+ *                   $ref: '#/components/schemas/Membership'
+ *       400:
+ *         description: Cannot change the owner's or your own role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - team role does not allow managing this member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       404:
+ *         description: Member not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *   delete:
+ *     tags: [Team]
+ *     summary: Remove a member
+ *     description: Owners and admins may remove members (only the owner may remove admins). Any member may remove themselves to leave the business. The owner cannot be removed.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       400:
+ *         description: The owner cannot be removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - team role does not allow removing this member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       404:
+ *         description: Member not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router
+  .route('/members/:userId')
+  .patch(
+    protect,
+    loadMerchant(MERCHANT_PERMISSIONS.MEMBERS_MANAGE),
+    [
+      param('userId').isMongoId().withMessage('Invalid user id'),
+      body('role').isIn(ASSIGNABLE_ROLES).withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`),
+    ],
+    validationErrorHandler,
+    memberController.changeMemberRole
+  )
+  .delete(
+    protect,
+    loadMerchant(MERCHANT_PERMISSIONS.READ),
+    [param('userId').isMongoId().withMessage('Invalid user id')],
+    validationErrorHandler,
+    memberController.removeMember
+  );
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/transfer-ownership:
+ *   post:
+ *     tags: [Team]
+ *     summary: Transfer ownership
+ *     description: Owner only. The new owner must already be a member; the previous owner becomes an admin.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Member who becomes the owner
+ *     responses:
+ *       200:
+ *         description: Ownership transferred
+ *       400:
+ *         description: Target is not a member or is already the owner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - only the owner can transfer ownership
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/transfer-ownership',
+  protect,
+  loadMerchant(MERCHANT_PERMISSIONS.OWNERSHIP_TRANSFER),
+  [body('userId').isMongoId().withMessage('A valid user id is required')],
+  validationErrorHandler,
+  memberController.transferOwnership
+);
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/invitations:
+ *   get:
+ *     tags: [Team]
+ *     summary: List invitations
+ *     description: Pending invitations by default; pass all=true to include accepted, revoked and expired ones.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Invitations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invitation'
+ *       403:
+ *         description: Forbidden - team role does not allow managing members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *   post:
+ *     tags: [Team]
+ *     summary: Invite a team member
+ *     description: Emails an invitation link that expires after INVITATION_EXPIRY_DAYS (default 7). Re-inviting an email replaces its pending invitation. Only the owner may invite admins.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [admin, developer, finance, viewer]
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *       403:
+ *         description: Forbidden - team role does not allow this invitation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       409:
+ *         description: User is already a member
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       422:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router
+  .route('/invitations')
+  .get(
+    protect,
+    loadMerchant(MERCHANT_PERMISSIONS.MEMBERS_MANAGE),
+    [query('all').optional().isBoolean().withMessage('all must be a boolean')],
+    validationErrorHandler,
+    memberController.listInvitations
+  )
+  .post(
+    protect,
+    loadMerchant(MERCHANT_PERMISSIONS.MEMBERS_MANAGE),
+    [
+      body('email').trim().isEmail().withMessage('A valid email is required').toLowerCase(),
+      body('role').isIn(ASSIGNABLE_ROLES).withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`),
+    ],
+    validationErrorHandler,
+    memberController.createInvitation
+  );
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/invitations/{invitationId}:
+ *   delete:
+ *     tags: [Team]
+ *     summary: Revoke an invitation
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invitation is no longer pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       404:
+ *         description: Invitation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.delete(
+  '/invitations/:invitationId',
+  protect,
+  loadMerchant(MERCHANT_PERMISSIONS.MEMBERS_MANAGE),
+  [param('invitationId').isMongoId().withMessage('Invalid invitation id')],
+  validationErrorHandler,
+  memberController.revokeInvitation
+);
+
+module.exports = router;
@@ -1,8 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect, requireUserAccount } = require('../middlewares/authmiddleware');
+const { requirePermission, loadMerchant, requireStepUp } = require('../middlewares/authorize');
+const { PERMISSIONS, MERCHANT_PERMISSIONS } = require('../lib/permissions');
+const Merchant = require('../models/Merchant');
 const merchantController = require('../controllers/merchantController');
+const feePlanController = require('../controllers/feePlanController');
+const apiKeyRoutes = require('./apiKeyRoutes');
+const memberRoutes = require('./memberRoutes');
+const kycRoutes = require('./kycRoutes');
+const payoutDestinationRoutes = require('./payoutDestinationRoutes');
+const subMerchantRoutes = require('./subMerchantRoutes');
+const payoutRoutes = require('./payoutRoutes');
+const brandingRoutes = require('./brandingRoutes');
+const webhookEndpointRoutes = require('./webhookEndpointRoutes');
 
 /**
  * @swagger
@@ -63,19 +76,64 @@ const merchantController = require('../controllers/merchantController');
  *           example: 'Business created successfully'
  *         data:
  *           $ref: '#/components/schemas/Merchant'
+ *     MerchantStats:
+ *       type: object
+ *       properties:
+ *         volume:
+ *           type: array
+ *           description: Lifetime volume of paid and settled transactions, per currency
+ *           items:
+ *             type: object
+ *             properties:
+ *               currency:
+ *                 type: string
+ *                 example: 'NGN'
+ *               amount:
+ *                 type: number
+ *                 example: 1250000
+ *               count:
+ *                 type: integer
+ *                 example: 42
+ *         transactionCount:
+ *           type: integer
+ *           example: 42
+ *         lastTransactionAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Most recent transaction in any status
  *     BusinessListResponse:
  *       type: object
  *       properties:
  *         success:
  *           type: boolean
  *           example: true
- *         count:
- *           type: integer
- *           example: 25
  *         data:
- *           type: array
- *           items:
- *             $ref: '#/components/schemas/Merchant'
+ *           type: object
+ *           properties:
+ *             merchants:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Merchant'
+ *                   - type: object
+ *                     properties:
+ *                       stats:
+ *                         $ref: '#/components/schemas/MerchantStats'
+ *             pagination:
+ *               type: object
+ *               properties:
+ *                 limit:
+ *                   type: integer
+ *                   example: 20
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pass as `cursor` to fetch the next page
+ *                 hasNextPage:
+ *                   type: boolean
+ *             filters:
+ *               type: object
  */
 
 /**
@@ -84,7 +142,9 @@ const merchantController = require('../controllers/merchantController');
  *   post:
  *     tags: [Merchant]
  *     summary: Create a new business profile
- *     description: Create a new merchant business profile after wallet connection (onboarding step)
+ *     description: Create a new merchant business profile after wallet connection (onboarding step). With an account token the signed-in user becomes the business owner; with a wallet (SIWE) token the walletAddress must match the signed-in wallet.
+ *     security:
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -130,6 +190,18 @@ const merchantController = require('../controllers/merchantController');
  *                 message:
  *                   type: string
  *                   example: "Wallet address is required"
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - walletAddress differs from the signed-in wallet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  *       409:
  *         description: Wallet address already linked or business name already exists
  *         content:
@@ -153,6 +225,7 @@ const merchantController = require('../controllers/merchantController');
 
 router.post(
   '/',
+  protect,
   [
     body('walletAddress').isString().withMessage('Wallet address is required'),
     body('businessName').isString().isLength({ min: 2 }).withMessage('Business name must be valid'),
@@ -167,7 +240,9 @@ router.post(
  *   get:
  *     tags: [Merchant]
  *     summary: Get business profile by wallet address
- *     description: Retrieve merchant business profile using their wallet address
+ *     description: Retrieve merchant business profile using their wallet address. Requires a wallet (SIWE) token for that wallet, the owner's account token, or an admin.
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: walletAddress
@@ -195,6 +270,18 @@ router.post(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - token is not for this wallet or its owner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  *       404:
  *         description: Business not found for this wallet address
  *         content:
@@ -217,18 +304,91 @@ router.post(
  */
 router.get(
   '/wallet/:walletAddress',
+  protect,
   [param('walletAddress').isString().withMessage('Invalid wallet address')],
   validationErrorHandler,
   merchantController.getBusinessByWallet
 );
 
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     DirectorySearch:
+ *       in: query
+ *       name: search
+ *       description: Case-insensitive match on business name or wallet address
+ *       schema:
+ *         type: string
+ *     DirectoryKycStatus:
+ *       in: query
+ *       name: kycStatus
+ *       schema:
+ *         type: string
+ *         enum: [pending, submitted, approved, rejected]
+ *     DirectoryCountry:
+ *       in: query
+ *       name: country
+ *       description: Case-insensitive exact match
+ *       schema:
+ *         type: string
+ *     DirectoryPayoutMethod:
+ *       in: query
+ *       name: payoutMethod
+ *       schema:
+ *         type: string
+ *         enum: [bank_transfer, mobile_money, crypto]
+ *     DirectoryCreatedFrom:
+ *       in: query
+ *       name: createdFrom
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     DirectoryCreatedTo:
+ *       in: query
+ *       name: createdTo
+ *       description: Latest creation time. A date without a time (2024-01-31) includes that whole day (UTC).
+ *       schema:
+ *         type: string
+ *         format: date-time
+ */
+
+const directoryValidators = [
+  query('search').optional().isString().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+  query('kycStatus').optional().isIn(Merchant.KYC_STATUSES).withMessage(`kycStatus must be one of: ${Merchant.KYC_STATUSES.join(', ')}`),
+  query('country').optional().isString().isLength({ max: 60 }).withMessage('Country must be at most 60 characters'),
+  query('payoutMethod').optional().isIn(Merchant.PAYOUT_METHODS).withMessage(`payoutMethod must be one of: ${Merchant.PAYOUT_METHODS.join(', ')}`),
+  query('createdFrom').optional().isISO8601().withMessage('createdFrom must be an ISO 8601 date'),
+  query('createdTo').optional().isISO8601().withMessage('createdTo must be an ISO 8601 date')
+];
+
 /**
  * @swagger
  * /api/merchant:
  *   get:
  *     tags: [Merchant]
- *     summary: Get all businesses (Admin endpoint)
- *     description: Retrieve list of all merchant businesses - typically for admin dashboard. No input parameters required.
+ *     summary: Search the merchant directory (Admin endpoint)
+ *     description: Merchants newest first, with lifetime volume (per currency, paid and settled transactions) and last transaction date. Pass `nextCursor` from the previous page as `cursor` to continue.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DirectorySearch'
+ *       - $ref: '#/components/parameters/DirectoryKycStatus'
+ *       - $ref: '#/components/parameters/DirectoryCountry'
+ *       - $ref: '#/components/parameters/DirectoryPayoutMethod'
+ *       - $ref: '#/components/parameters/DirectoryCreatedFrom'
+ *       - $ref: '#/components/parameters/DirectoryCreatedTo'
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
  *     responses:
  *       200:
  *         description: Businesses retrieved successfully
@@ -236,6 +396,30 @@ router.get(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/BusinessListResponse'
+ *       400:
+ *         description: Invalid cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       422:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  *       500:
  *         description: Internal server error
  *         content:
@@ -243,6 +427,655 @@ router.get(
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
  */
-router.get('/', merchantController.getAllBusinesses);
+router.get(
+  '/',
+  protect,
+  requirePermission(PERMISSIONS.MERCHANTS_LIST),
+  [
+    ...directoryValidators,
+    query('cursor').optional().isString().isLength({ max: 200 }).withMessage('Invalid cursor'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validationErrorHandler,
+  merchantController.getAllBusinesses
+);
+
+/**
+ * @swagger
+ * /api/merchant/export:
+ *   get:
+ *     tags: [Merchant]
+ *     summary: Export the merchant directory as CSV (Admin endpoint)
+ *     description: Every merchant matching the filters, newest first. Lifetime volume is written as `CUR amount` pairs separated by semicolons. Exports are audited.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/DirectorySearch'
+ *       - $ref: '#/components/parameters/DirectoryKycStatus'
+ *       - $ref: '#/components/parameters/DirectoryCountry'
+ *       - $ref: '#/components/parameters/DirectoryPayoutMethod'
+ *       - $ref: '#/components/parameters/DirectoryCreatedFrom'
+ *       - $ref: '#/components/parameters/DirectoryCreatedTo'
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       422:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.get(
+  '/export',
+  protect,
+  requirePermission(PERMISSIONS.MERCHANTS_LIST),
+  directoryValidators,
+  validationErrorHandler,
+  merchantController.exportBusinesses
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PayoutPreferencesRequest:
+ *       type: object
+ *       description: Omitted fields keep their current value. Fiat methods need accountNumber, accountName and a bankCode or routingNumber; crypto pays out to the business wallet.
+ *       properties:
+ *         currency:
+ *           type: string
+ *           enum: [NGN, USD, EUR, USDT, BTC, ETH]
+ *         method:
+ *           type: string
+ *           enum: [bank_transfer, mobile_money, crypto]
+ *         accountDetails:
+ *           type: object
+ *           description: Replaces the stored account details as a whole
+ *           properties:
+ *             bankName:
+ *               type: string
+ *               example: 'Access Bank'
+ *             bankCode:
+ *               type: string
+ *               example: '044'
+ *             accountNumber:
+ *               type: string
+ *               example: '0123456789'
+ *             accountName:
+ *               type: string
+ *               example: 'Tech Innovations Ltd'
+ *             routingNumber:
+ *               type: string
+ *     PendingPayoutChange:
+ *       type: object
+ *       properties:
+ *         payoutPreferences:
+ *           type: object
+ *           properties:
+ *             currency:
+ *               type: string
+ *             method:
+ *               type: string
+ *             accountDetails:
+ *               type: object
+ *         requestedBy:
+ *           type: string
+ *         requestedAt:
+ *           type: string
+ *           format: date-time
+ *         confirmationExpiresAt:
+ *           type: string
+ *           format: date-time
+ *         confirmedAt:
+ *           type: string
+ *           format: date-time
+ *         effectiveAt:
+ *           type: string
+ *           format: date-time
+ *           description: When settlement starts using the new details
+ */
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}:
+ *   patch:
+ *     tags: [Merchant]
+ *     summary: Update business profile
+ *     description: Change the business name, country or default payment intent lifetime. Requires the owner or a team admin.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               businessName:
+ *                 type: string
+ *                 minLength: 2
+ *                 maxLength: 100
+ *               country:
+ *                 type: string
+ *                 example: 'Ghana'
+ *               paymentIntentExpiryMinutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 5
+ *                 maximum: 10080
+ *                 description: How long new payment intents stay payable unless the request sets expires_in_minutes; null restores the platform default
+ *                 example: 60
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BusinessResponse'
+ *       403:
+ *         description: Forbidden - team role does not allow this action
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       409:
+ *         description: Business name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       422:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.patch(
+  '/:merchantId',
+  protect,
+  loadMerchant(MERCHANT_PERMISSIONS.UPDATE),
+  [
+    body('businessName').optional().isString().trim().isLength({ min: 2, max: 100 }).withMessage('Business name must be 2-100 characters'),
+    body('country').optional().isString().trim().isLength({ min: 2, max: 60 }).withMessage('Country must be 2-60 characters'),
+    body('paymentIntentExpiryMinutes').optional({ values: 'null' }).isInt({ min: 5, max: 10080 })
+      .withMessage('paymentIntentExpiryMinutes must be between 5 and 10080').toInt(),
+    body().custom((value) => ['businessName', 'country', 'paymentIntentExpiryMinutes'].some((field) => value[field] !== undefined))
+      .withMessage('Provide businessName, country or paymentIntentExpiryMinutes')
+  ],
+  validationErrorHandler,
+  merchantController.updateBusiness
+);
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/payout-preferences:
+ *   patch:
+ *     tags: [Merchant]
+ *     summary: Request a payout details change
+ *     description: Stages the change and emails a confirmation link (valid 24 hours) to the requesting user. After confirmation, settlements keep using the current details for a cooling-off period (PAYOUT_CHANGE_COOLING_OFF_HOURS, default 48). A new request replaces any pending change. Requires the owner, a team admin or the finance role, signed in with an account, and a fresh TOTP code in the X-2FA-Code header (step-up).
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PayoutPreferencesRequest'
+ *     responses:
+ *       202:
+ *         description: Change staged; awaiting email confirmation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     pendingPayoutChange:
+ *                       $ref: '#/components/schemas/PendingPayoutChange'
+ *                     emailSent:
+ *                       type: boolean
+ *       401:
+ *         description: X-2FA-Code missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - team role does not allow this action, wallet token used, account deactivated, or two-factor authentication not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       422:
+ *         description: Invalid method, currency or account fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.patch(
+  '/:merchantId/payout-preferences',
+  protect,
+  requireUserAccount,
+  loadMerchant(MERCHANT_PERMISSIONS.PAYOUTS_MANAGE),
+  requireStepUp,
+  [
+    body('currency').optional().isIn(Merchant.PAYOUT_CURRENCIES).withMessage(`Currency must be one of: ${Merchant.PAYOUT_CURRENCIES.join(', ')}`),
+    body('method').optional().isIn(Merchant.PAYOUT_METHODS).withMessage(`Method must be one of: ${Merchant.PAYOUT_METHODS.join(', ')}`),
+    body('accountDetails').optional().isObject().withMessage('Account details must be an object'),
+    body('accountDetails.accountNumber').optional().isString().trim().matches(/^\d{6,20}$/).withMessage('Account number must be 6-20 digits'),
+    body('accountDetails.accountName').optional().isString().trim().isLength({ min: 2, max: 100 }).withMessage('Account name must be 2-100 characters'),
+    body('accountDetails.bankName').optional().isString().trim().isLength({ max: 100 }).withMessage('Bank name must not exceed 100 characters'),
+    body('accountDetails.bankCode').optional().isString().trim().matches(/^[A-Za-z0-9]{2,11}$/).withMessage('Bank code must be 2-11 letters or digits'),
+    body('accountDetails.routingNumber').optional().isString().trim().matches(/^[A-Za-z0-9]{2,11}$/).withMessage('Routing number must be 2-11 letters or digits'),
+    body().custom((value) => ['currency', 'method', 'accountDetails'].some((field) => value[field] !== undefined))
+      .withMessage('Provide currency, method or accountDetails')
+  ],
+  validationErrorHandler,
+  merchantController.updatePayoutPreferences
+);
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/payout-preferences/confirm:
+ *   post:
+ *     tags: [Merchant]
+ *     summary: Confirm a payout details change
+ *     description: Confirms the pending change with the token from the email and starts its cooling-off period. Requires a fresh TOTP code in the X-2FA-Code header (step-up).
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Change confirmed; effectiveAt shows when settlement starts using it
+ *       400:
+ *         description: No change awaiting confirmation, or token invalid or expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: X-2FA-Code missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/:merchantId/payout-preferences/confirm',
+  protect,
+  requireUserAccount,
+  loadMerchant(MERCHANT_PERMISSIONS.PAYOUTS_MANAGE),
+  requireStepUp,
+  [body('token').isString().notEmpty().withMessage('Confirmation token is required')],
+  validationErrorHandler,
+  merchantController.confirmPayoutChange
+);
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/payout-preferences/pending:
+ *   delete:
+ *     tags: [Merchant]
+ *     summary: Cancel a pending payout details change
+ *     description: Discards the staged change, whether or not it was confirmed, as long as it has not taken effect.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pending change cancelled
+ *       404:
+ *         description: No pending payout change
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.delete(
+  '/:merchantId/payout-preferences/pending',
+  protect,
+  loadMerchant(MERCHANT_PERMISSIONS.PAYOUTS_MANAGE),
+  merchantController.cancelPayoutChange
+);
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/deactivate:
+ *   post:
+ *     tags: [Merchant]
+ *     summary: Deactivate (close) the business account
+ *     description: Owner only. The account status becomes `closed`; API keys stop accepting new payment intents and payments immediately, and every paid but unsettled transaction is settled in the background. Restricted or suspended accounts cannot be closed by the owner.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Account closed; pendingSettlements counts transactions queued for final settlement
+ *       400:
+ *         description: Account is already closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - only the owner can close the account, and only while it is active
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/:merchantId/deactivate',
+  protect,
+  loadMerchant(MERCHANT_PERMISSIONS.DEACTIVATE),
+  [body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters')],
+  validationErrorHandler,
+  merchantController.deactivateBusiness
+);
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/status:
+ *   put:
+ *     tags: [Merchant]
+ *     summary: Change the merchant's account status (Admin endpoint)
+ *     description: |
+ *       Admin only. The owner is emailed the change and it is written to the audit log.
+ *       - `restricted`: payments are accepted, settlements are held
+ *       - `suspended`: new payment intents and payments are refused, settlements are held
+ *       - `closed`: new payment intents and payments are refused, outstanding transactions are settled
+ *       - `active`: lifts any of the above
+ *
+ *       Moving to `active` or `closed` releases held settlements in the background; pendingSettlements counts them.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, restricted, suspended, closed]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Required unless reinstating (active). Included in the email to the owner.
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *       400:
+ *         description: Already in that status, or reason missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       404:
+ *         description: Merchant not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.put(
+  '/:merchantId/status',
+  protect,
+  requirePermission(PERMISSIONS.MERCHANTS_MANAGE_STATUS),
+  loadMerchant(MERCHANT_PERMISSIONS.READ),
+  [
+    body('status').isIn(Merchant.MERCHANT_STATUSES).withMessage(`Status must be one of: ${Merchant.MERCHANT_STATUSES.join(', ')}`),
+    body('reason')
+      .if(body('status').not().equals('active'))
+      .isString().trim().notEmpty().withMessage('A reason is required')
+      .isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters')
+  ],
+  validationErrorHandler,
+  merchantController.changeBusinessStatus
+);
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/onboarding:
+ *   get:
+ *     tags: [Merchant]
+ *     summary: Onboarding checklist
+ *     description: |
+ *       Steps worked out from the merchant's current state. Required steps (email verified, business details, KYC approved, verified payout destination) must be complete before live-mode payment intents and payments are accepted; the owner's `profileComplete` flag follows them. Creating an API key, a test payment and a webhook endpoint are recommended.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checklist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     steps:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           key:
+ *                             type: string
+ *                             enum: [email_verified, business_details, kyc_approved, payout_destination_verified, api_key_created, first_test_payment, first_webhook_endpoint]
+ *                           label:
+ *                             type: string
+ *                           required:
+ *                             type: boolean
+ *                           complete:
+ *                             type: boolean
+ *                     completedSteps:
+ *                       type: integer
+ *                     totalSteps:
+ *                       type: integer
+ *                     requiredComplete:
+ *                       type: boolean
+ *                       description: Live-mode payments are accepted
+ *                     complete:
+ *                       type: boolean
+ */
+router.get('/:merchantId/onboarding', protect, loadMerchant(MERCHANT_PERMISSIONS.READ), merchantController.getOnboarding);
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/fee-plan:
+ *   get:
+ *     tags: [Fees]
+ *     summary: Get the merchant's fee plan
+ *     description: Returns the assigned plan (null when none) and the default plan it falls back to. Fees are charged by the most specific rule matching the payment's method and currency.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Merchant pricing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     plan:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/FeePlan'
+ *                     defaultPlan:
+ *                       $ref: '#/components/schemas/FeePlan'
+ *   put:
+ *     tags: [Fees]
+ *     summary: Assign a fee plan to the merchant
+ *     description: Admin only. Send a null planId to move the merchant back to the default plan. Applies to transactions recorded from now on.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - planId
+ *             properties:
+ *               planId:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Fee plan assigned
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       404:
+ *         description: Fee plan not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router
+  .route('/:merchantId/fee-plan')
+  .get(protect, loadMerchant(MERCHANT_PERMISSIONS.READ), feePlanController.getMerchantFeePlan)
+  .put(
+    protect,
+    requirePermission(PERMISSIONS.FEE_PLANS_MANAGE),
+    loadMerchant(MERCHANT_PERMISSIONS.READ),
+    [
+      body('planId').exists().withMessage('planId is required (null for the default plan)'),
+      body('planId').optional({ values: 'null' }).isMongoId().withMessage('Invalid fee plan id')
+    ],
+    validationErrorHandler,
+    feePlanController.assignMerchantFeePlan
+  );
+
+router.use('/:merchantId/api-keys', apiKeyRoutes);
+router.use('/:merchantId/kyc', kycRoutes);
+router.use('/:merchantId/payout-destinations', payoutDestinationRoutes);
+router.use('/:merchantId/sub-merchants', subMerchantRoutes);
+router.use('/:merchantId/payouts', payoutRoutes);
+router.use('/:merchantId/branding', brandingRoutes);
+router.use('/:merchantId/webhook-endpoints', webhookEndpointRoutes);
+router.use('/:merchantId', memberRoutes);
 
 module.exports = router;
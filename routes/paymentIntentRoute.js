@@ -1,5 +1,13 @@
 const express = require('express');
 const router = express.Router();
+const { body, param } = require('express-validator');
+const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect } = require('../middlewares/authmiddleware');
+const { requirePermission } = require('../middlewares/authorize');
+const { requireApiKey, requirePaymentsEnabled } = require('../middlewares/apiKeyAuth');
+const { idempotent } = require('../middlewares/idempotency');
+const { PERMISSIONS } = require('../lib/permissions');
+const PaymentIntent = require('../models/PaymentInent');
 const {
   createPaymentIntent,
   getPaymentIntent,
@@ -13,15 +21,10 @@ const {
  *     PaymentIntentRequest:
  *       type: object
  *       required:
- *         - walletAddress
  *         - amount
  *         - source_currency
  *         - target_currency
  *       properties:
- *         walletAddress:
- *           type: string
- *           description: Merchant's wallet address (used to find merchant)
- *           example: '0x742E4C8e9b6Ea8B6f7A7C6A1e2D8F3b9C1a4B5E6'
  *         order_id:
  *           type: string
  *           description: Optional order identifier
@@ -39,6 +42,34 @@ const {
  *           type: string
  *           description: Currency to receive
  *           example: 'NGN'
+ *         expires_in_minutes:
+ *           type: integer
+ *           minimum: 5
+ *           maximum: 10080
+ *           description: How long the intent can be paid. Defaults to the merchant's paymentIntentExpiryMinutes, then the platform default (24 hours). Unpaid intents then become EXPIRED and their widget token stops working.
+ *           example: 60
+ *         splits:
+ *           type: array
+ *           description: Marketplace split rules. Each sub-merchant is paid its share at settlement and the merchant keeps the rest; the platform fee is shared in proportion.
+ *           items:
+ *             $ref: '#/components/schemas/PaymentSplit'
+ *     PaymentSplit:
+ *       type: object
+ *       required:
+ *         - sub_merchant_id
+ *         - type
+ *         - value
+ *       properties:
+ *         sub_merchant_id:
+ *           type: string
+ *           description: Active sub-merchant of the merchant
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed]
+ *         value:
+ *           type: number
+ *           description: Percentage of the amount paid, or a fixed amount in source_currency
+ *           example: 85
  *     PaymentIntentResponse:
  *       type: object
  *       properties:
@@ -63,10 +94,92 @@ const {
  *               example: 'wgt_token_abc123xyz'
  *             status:
  *               type: string
- *               example: 'PENDING'
+ *               enum: [REQUIRES_PAYMENT, PROCESSING, PARTIALLY_PAID, PAID, OVERPAID, SETTLED, FAILED, CANCELED, EXPIRED, REFUNDED]
+ *               example: 'REQUIRES_PAYMENT'
+ *             statusHistory:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PaymentStatusChange'
+ *             amountReceived:
+ *               type: number
+ *               description: Successful payments so far, in the source currency
+ *             transactions:
+ *               type: array
+ *               description: Ids of the transactions recorded against the intent
+ *               items:
+ *                 type: string
+ *             payments:
+ *               type: array
+ *               description: Returned by GET /api/payment-intents/{id}
+ *               items:
+ *                 $ref: '#/components/schemas/PaymentIntentPayment'
+ *             splits:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   merchant:
+ *                     type: string
+ *                   type:
+ *                     type: string
+ *                   value:
+ *                     type: number
+ *             branding:
+ *               $ref: '#/components/schemas/CheckoutBranding'
+ *             livemode:
+ *               type: boolean
+ *               description: false when created with a test-mode key
+ *               example: true
+ *             expiresAt:
+ *               type: string
+ *               format: date-time
  *             createdAt:
  *               type: string
  *               format: date-time
+ *     PaymentIntentPayment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         reference:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         currency:
+ *           type: string
+ *         method:
+ *           type: string
+ *         provider:
+ *           type: string
+ *         status:
+ *           type: string
+ *         refundReview:
+ *           type: object
+ *           description: Present when the payment arrived after the intent expired or was canceled
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     PaymentStatusChange:
+ *       type: object
+ *       properties:
+ *         from:
+ *           type: string
+ *           description: Absent on the entry recorded at creation
+ *           example: 'REQUIRES_PAYMENT'
+ *         to:
+ *           type: string
+ *           example: 'PAID'
+ *         source:
+ *           type: string
+ *           enum: [api, webhook, contract_event, job]
+ *         actor:
+ *           type: object
+ *           example: { type: 'user', id: '64f5e8b2a1b2c3d4e5f6a7b8' }
+ *         reason:
+ *           type: string
+ *         at:
+ *           type: string
+ *           format: date-time
  *     PaymentStatusUpdate:
  *       type: object
  *       required:
@@ -74,8 +187,14 @@ const {
  *       properties:
  *         status:
  *           type: string
- *           description: New payment status
+ *           enum: [REQUIRES_PAYMENT, PROCESSING, PARTIALLY_PAID, PAID, OVERPAID, SETTLED, FAILED, CANCELED, EXPIRED, REFUNDED]
+ *           description: New payment status; must be a legal transition from the current one
  *           example: 'PAID'
+ *         reason:
+ *           type: string
+ *           maxLength: 500
+ *           description: Recorded in the status history and audit event
+ *           example: 'Confirmed with the provider by support'
  */
 
 /**
@@ -84,7 +203,11 @@ const {
  *   post:
  *     tags: [Payment Intents]
  *     summary: Create a new payment intent
- *     description: Create a payment intent using merchant's wallet address to identify the merchant
+ *     description: Create a payment intent for the merchant that owns the secret API key. Test-mode keys create test intents with livemode set to false.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -95,18 +218,30 @@ const {
  *             basic_payment:
  *               summary: Basic payment intent
  *               value:
- *                 walletAddress: "0x742E4C8e9b6Ea8B6f7A7C6A1e2D8F3b9C1a4B5E6"
  *                 amount: 1000.50
  *                 source_currency: "USD"
  *                 target_currency: "NGN"
  *             with_order_id:
  *               summary: Payment intent with order ID
  *               value:
- *                 walletAddress: "0x742E4C8e9b6Ea8B6f7A7C6A1e2D8F3b9C1a4B5E6"
  *                 order_id: "ORD-2023-001"
  *                 amount: 29.99
  *                 source_currency: "USD"
  *                 target_currency: "NGN"
+ *             marketplace_split:
+ *               summary: Marketplace payment split with two sellers
+ *               value:
+ *                 order_id: "ORD-2023-002"
+ *                 amount: 50000
+ *                 source_currency: "NGN"
+ *                 target_currency: "NGN"
+ *                 splits:
+ *                   - sub_merchant_id: "64f5e8b2a1b2c3d4e5f6a7b8"
+ *                     type: "percentage"
+ *                     value: 60
+ *                   - sub_merchant_id: "64f5e8b2a1b2c3d4e5f6a7b9"
+ *                     type: "fixed"
+ *                     value: 10000
  *     responses:
  *       201:
  *         description: Payment intent created successfully
@@ -115,31 +250,35 @@ const {
  *             schema:
  *               $ref: '#/components/schemas/PaymentIntentResponse'
  *       400:
- *         description: Invalid request data or missing required fields
+ *         description: Splits name an unknown sub-merchant or allocate more than the amount
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 message:
- *                   type: string
- *                   example: "Wallet address is required"
- *       404:
- *         description: Merchant not found for the provided wallet address
+ *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: Unauthorized - API key missing, invalid, revoked or expired
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 message:
- *                   type: string
- *                   example: "Merchant not found for this wallet"
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - a publishable key was used where a secret key is required, or the merchant account is suspended (MERCHANT_SUSPENDED) or closed (MERCHANT_CLOSED); live keys also need the required onboarding steps done (ONBOARDING_INCOMPLETE, with missingSteps)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed (IDEMPOTENCY_REQUEST_IN_PROGRESS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       422:
+ *         description: Validation failed, or the Idempotency-Key was already used with a different request (IDEMPOTENCY_KEY_REUSED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  *       500:
  *         description: Internal server error
  *         content:
@@ -147,7 +286,21 @@ const {
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
  */
-router.post('/', createPaymentIntent);
+router.post(
+  '/',
+  requireApiKey(),
+  requirePaymentsEnabled,
+  idempotent,
+  [
+    body('expires_in_minutes').optional().isInt({ min: 5, max: 10080 }).withMessage('expires_in_minutes must be between 5 and 10080').toInt(),
+    body('splits').optional().isArray({ min: 1, max: 20 }).withMessage('splits must be an array of 1-20 rules'),
+    body('splits.*.sub_merchant_id').isMongoId().withMessage('sub_merchant_id must be a merchant id'),
+    body('splits.*.type').isIn(PaymentIntent.SPLIT_TYPES).withMessage(`Split type must be one of: ${PaymentIntent.SPLIT_TYPES.join(', ')}`),
+    body('splits.*.value').isFloat({ gt: 0 }).withMessage('Split value must be greater than 0').toFloat()
+  ],
+  validationErrorHandler,
+  createPaymentIntent
+);
 
 /**
  * @swagger
@@ -155,7 +308,9 @@ router.post('/', createPaymentIntent);
  *   get:
  *     tags: [Payment Intents]
  *     summary: Get payment intent details
- *     description: Retrieve detailed information about a specific payment intent by its ID
+ *     description: Retrieve detailed information about a specific payment intent by its ID. Only the owning merchant or an admin may read it.
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -180,6 +335,18 @@ router.post('/', createPaymentIntent);
  *                   example: 'Payment intent retrieved successfully'
  *                 data:
  *                   $ref: '#/components/schemas/PaymentIntent'
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - intent belongs to another merchant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  *       404:
  *         description: Payment intent not found
  *         content:
@@ -193,7 +360,7 @@ router.post('/', createPaymentIntent);
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
  */
-router.get('/:id', getPaymentIntent);
+router.get('/:id', protect, getPaymentIntent);
 
 /**
  * @swagger
@@ -201,7 +368,15 @@ router.get('/:id', getPaymentIntent);
  *   patch:
  *     tags: [Payment Intents]
  *     summary: Update payment intent status
- *     description: Update the status of a payment intent (typically called by payment providers or webhooks)
+ *     description: |
+ *       Manually move a payment intent to another status. Admin only. Only legal transitions are accepted:
+ *       REQUIRES_PAYMENT → PROCESSING, PARTIALLY_PAID, PAID, OVERPAID, FAILED, CANCELED, EXPIRED;
+ *       PROCESSING → PARTIALLY_PAID, PAID, OVERPAID, FAILED, REQUIRES_PAYMENT; PARTIALLY_PAID → PAID, OVERPAID, REFUNDED;
+ *       PAID → OVERPAID, SETTLED, REFUNDED; OVERPAID → SETTLED, REFUNDED; SETTLED → REFUNDED; FAILED → REQUIRES_PAYMENT.
+ *       CANCELED, EXPIRED and REFUNDED are final.
+ *       Every change is appended to the intent's statusHistory.
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -225,6 +400,7 @@ router.get('/:id', getPaymentIntent);
  *               summary: Mark payment as failed
  *               value:
  *                 status: "FAILED"
+ *                 reason: "Card declined at the provider"
  *     responses:
  *       200:
  *         description: Payment status updated successfully
@@ -247,12 +423,30 @@ router.get('/:id', getPaymentIntent);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  *       404:
  *         description: Payment intent not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
+ *       409:
+ *         description: Illegal transition (details.code ILLEGAL_STATUS_TRANSITION, with from, to and allowed), or the status changed concurrently (STATUS_CHANGED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  *       500:
  *         description: Internal server error
  *         content:
@@ -260,6 +454,17 @@ router.get('/:id', getPaymentIntent);
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
  */
-router.patch('/:id/status', updatePaymentStatus);
+router.patch(
+  '/:id/status',
+  protect,
+  requirePermission(PERMISSIONS.PAYMENT_INTENTS_OVERRIDE_STATUS),
+  [
+    param('id').isMongoId().withMessage('Invalid payment intent id'),
+    body('status').isIn(PaymentIntent.STATUSES).withMessage(`Status must be one of: ${PaymentIntent.STATUSES.join(', ')}`),
+    body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters')
+  ],
+  validationErrorHandler,
+  updatePaymentStatus
+);
 
 module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middlewares/authmiddleware');
+const { requireApiKey, requirePaymentsEnabled } = require('../middlewares/apiKeyAuth');
+const { idempotent } = require('../middlewares/idempotency');
 
 const {
   createPayment,
@@ -48,26 +50,10 @@ const {
  *             name:
  *               type: string
  *               example: 'John Doe'
- *         merchant:
- *           type: object
- *           description: Optional merchant metadata forwarded to the gateway
- *           properties:
- *             merchantId:
- *               type: string
- *               example: '64f5e8b2a1b2c3d4e5f6g7h8'
- *             walletAddress:
- *               type: string
- *               example: '0x742E4C8e9b6Ea8B6f7A7C6A1e2D8F3b9C1a4B5E6'
- *             email:
- *               type: string
- *               example: 'merchant@example.com'
- *             businessName:
- *               type: string
- *               example: 'Tech Innovations Ltd'
  *         metadata:
  *           type: object
  *           additionalProperties: true
- *           description: Extra contextual data persisted with the transaction
+ *           description: Extra contextual data persisted with the transaction. Set `paymentIntentId` to apply that payment intent's split rules.
  *         tx_ref:
  *           type: string
  *           description: Optional transaction reference (auto-generated if not provided)
@@ -130,7 +116,11 @@ const {
  *   post:
  *     tags: [Payment Integration]
  *     summary: Create a payment with Flutterwave
- *     description: Initiate a payment through Flutterwave payment gateway using various methods
+ *     description: Initiate a payment through Flutterwave payment gateway using various methods. The merchant is resolved from the secret API key.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -174,6 +164,30 @@ const {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/PaymentResponse'
+ *       401:
+ *         description: Unauthorized - API key missing, invalid, revoked or expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - a publishable key was used where a secret key is required, or the merchant account is suspended (MERCHANT_SUSPENDED) or closed (MERCHANT_CLOSED); live keys also need the required onboarding steps done (ONBOARDING_INCOMPLETE, with missingSteps)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed (IDEMPOTENCY_REQUEST_IN_PROGRESS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       422:
+ *         description: The Idempotency-Key was already used with a different request (IDEMPOTENCY_KEY_REUSED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  *       500:
  *         description: Payment creation error
  *         content:
@@ -185,7 +199,7 @@ const {
  *                   type: object
  *                   description: Error details
  */
-router.post("/create-payment", createPayment);
+router.post("/create-payment", requireApiKey(), requirePaymentsEnabled, idempotent, createPayment);
 
 /**
  * @swagger
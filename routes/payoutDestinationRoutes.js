@@ -0,0 +1,409 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param } = require('express-validator');
+const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect, requireUserAccount } = require('../middlewares/authmiddleware');
+const { loadMerchant, requireStepUp } = require('../middlewares/authorize');
+const { MERCHANT_PERMISSIONS } = require('../lib/permissions');
+const PayoutDestination = require('../models/PayoutDestination');
+const payoutDestinationController = require('../controllers/payoutDestinationController');
+
+const { DESTINATION_TYPES, DESTINATION_CURRENCIES } = PayoutDestination;
+const ALL_CURRENCIES = [...new Set(Object.values(DESTINATION_CURRENCIES).flat())];
+
+const ofType = (type) => body('type').equals(type);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PayoutDestination:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         merchant:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [bank_account, mobile_money, crypto_wallet]
+ *         currency:
+ *           type: string
+ *           example: 'NGN'
+ *         label:
+ *           type: string
+ *           example: 'Main operating account'
+ *         bankAccount:
+ *           type: object
+ *           properties:
+ *             bankCode:
+ *               type: string
+ *               example: '044'
+ *             bankName:
+ *               type: string
+ *               example: 'Access Bank'
+ *             accountNumber:
+ *               type: string
+ *               example: '0690000031'
+ *             accountName:
+ *               type: string
+ *               description: Name returned by the bank
+ *               example: 'TECH INNOVATIONS LTD'
+ *         mobileMoney:
+ *           type: object
+ *           properties:
+ *             provider:
+ *               type: string
+ *               example: 'MPS'
+ *             phoneNumber:
+ *               type: string
+ *               example: '+254700000000'
+ *             accountName:
+ *               type: string
+ *         cryptoWallet:
+ *           type: object
+ *           properties:
+ *             network:
+ *               type: string
+ *               example: 'lisk'
+ *             address:
+ *               type: string
+ *         isDefault:
+ *           type: boolean
+ *         verification:
+ *           type: object
+ *           properties:
+ *             status:
+ *               type: string
+ *               enum: [pending, verified, name_mismatch, failed, not_required]
+ *             resolvedAccountName:
+ *               type: string
+ *             nameMatchScore:
+ *               type: number
+ *               example: 1
+ *             checkedAt:
+ *               type: string
+ *               format: date-time
+ *             error:
+ *               type: string
+ *         usableFrom:
+ *           type: string
+ *           format: date-time
+ *           description: Settlement will not pay into the destination before this time
+ *         usable:
+ *           type: boolean
+ *           description: Verified and past its cooling-off period
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     CreatePayoutDestinationRequest:
+ *       type: object
+ *       required:
+ *         - type
+ *         - currency
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [bank_account, mobile_money, crypto_wallet]
+ *         currency:
+ *           type: string
+ *           description: bank_account takes NGN, USD or EUR; mobile_money GHS, KES, UGX or RWF; crypto_wallet USDT
+ *           example: 'NGN'
+ *         label:
+ *           type: string
+ *         isDefault:
+ *           type: boolean
+ *           description: The first destination is always the default
+ *         bankAccount:
+ *           type: object
+ *           description: Required for bank_account
+ *           properties:
+ *             bankCode:
+ *               type: string
+ *               example: '044'
+ *             bankName:
+ *               type: string
+ *             accountNumber:
+ *               type: string
+ *               example: '0690000031'
+ *         mobileMoney:
+ *           type: object
+ *           description: Required for mobile_money
+ *           properties:
+ *             provider:
+ *               type: string
+ *               description: Flutterwave mobile money network code
+ *               example: 'MPS'
+ *             phoneNumber:
+ *               type: string
+ *               example: '+254700000000'
+ *             accountName:
+ *               type: string
+ *         cryptoWallet:
+ *           type: object
+ *           description: Required for crypto_wallet
+ *           properties:
+ *             network:
+ *               type: string
+ *               example: 'lisk'
+ *             address:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/payout-destinations:
+ *   get:
+ *     tags: [Payouts]
+ *     summary: List payout destinations
+ *     description: Owners, team admins and finance members. Default first.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payout destinations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PayoutDestination'
+ *       403:
+ *         description: Forbidden - team role does not allow managing payouts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *   post:
+ *     tags: [Payouts]
+ *     summary: Add a payout destination
+ *     description: Bank accounts are resolved with Flutterwave and the returned account name must match the business name; mismatched accounts are saved but never paid. Every new destination waits PAYOUT_CHANGE_COOLING_OFF_HOURS before settlement uses it, and the owner is emailed. Requires a fresh TOTP code in the X-2FA-Code header (step-up).
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreatePayoutDestinationRequest'
+ *     responses:
+ *       201:
+ *         description: Destination added; check verification.status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/PayoutDestination'
+ *       409:
+ *         description: Destination already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: X-2FA-Code missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       422:
+ *         description: Invalid fields, or the bank rejected the account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router
+  .route('/')
+  .get(
+    protect,
+    loadMerchant(MERCHANT_PERMISSIONS.PAYOUTS_MANAGE),
+    payoutDestinationController.listPayoutDestinations
+  )
+  .post(
+    protect,
+    requireUserAccount,
+    loadMerchant(MERCHANT_PERMISSIONS.PAYOUTS_MANAGE),
+    requireStepUp,
+    [
+      body('type').isIn(DESTINATION_TYPES).withMessage(`Type must be one of: ${DESTINATION_TYPES.join(', ')}`),
+      body('currency').isString().toUpperCase().isIn(ALL_CURRENCIES).withMessage(`Currency must be one of: ${ALL_CURRENCIES.join(', ')}`),
+      body('label').optional().isString().trim().isLength({ max: 60 }).withMessage('Label must not exceed 60 characters'),
+      body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean').toBoolean(),
+      body('bankAccount.accountNumber').if(ofType('bank_account')).isString().trim().matches(/^\d{6,20}$/).withMessage('Account number must be 6-20 digits'),
+      body('bankAccount.bankCode').if(ofType('bank_account')).isString().trim().matches(/^[A-Za-z0-9]{2,11}$/).withMessage('Bank code must be 2-11 letters or digits'),
+      body('bankAccount.bankName').optional().isString().trim().isLength({ max: 100 }).withMessage('Bank name must not exceed 100 characters'),
+      body('mobileMoney.provider').if(ofType('mobile_money')).isString().trim().toUpperCase().matches(/^[A-Z]{2,10}$/).withMessage('Provider must be a mobile money network code'),
+      body('mobileMoney.phoneNumber').if(ofType('mobile_money')).isString().trim().matches(/^\+?\d{8,15}$/).withMessage('Phone number must be 8-15 digits'),
+      body('mobileMoney.accountName').optional().isString().trim().isLength({ min: 2, max: 100 }).withMessage('Account name must be 2-100 characters'),
+      body('cryptoWallet.address').if(ofType('crypto_wallet')).isEthereumAddress().withMessage('Invalid wallet address'),
+      body('cryptoWallet.network').optional().isIn(['lisk']).withMessage('Network must be lisk')
+    ],
+    validationErrorHandler,
+    payoutDestinationController.createPayoutDestination
+  );
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/payout-destinations/{destinationId}/verify:
+ *   post:
+ *     tags: [Payouts]
+ *     summary: Retry bank account verification
+ *     description: For bank destinations whose verification is pending because the bank could not be reached.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: destinationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *       404:
+ *         description: Destination not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/:destinationId/verify',
+  protect,
+  loadMerchant(MERCHANT_PERMISSIONS.PAYOUTS_MANAGE),
+  [param('destinationId').isMongoId().withMessage('Invalid destination id')],
+  validationErrorHandler,
+  payoutDestinationController.verifyPayoutDestination
+);
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/payout-destinations/{destinationId}/default:
+ *   post:
+ *     tags: [Payouts]
+ *     summary: Make a destination the default
+ *     description: Settlement uses the destination matching the transaction currency, and the default otherwise. Only verified destinations can be the default. Requires a fresh TOTP code in the X-2FA-Code header (step-up).
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: destinationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Default updated
+ *       400:
+ *         description: Destination is not verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: X-2FA-Code missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/:destinationId/default',
+  protect,
+  requireUserAccount,
+  loadMerchant(MERCHANT_PERMISSIONS.PAYOUTS_MANAGE),
+  requireStepUp,
+  [param('destinationId').isMongoId().withMessage('Invalid destination id')],
+  validationErrorHandler,
+  payoutDestinationController.setDefaultPayoutDestination
+);
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/payout-destinations/{destinationId}:
+ *   delete:
+ *     tags: [Payouts]
+ *     summary: Remove a payout destination
+ *     description: The default can only be removed when it is the last destination. Requires a fresh TOTP code in the X-2FA-Code header (step-up).
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TwoFactorCode'
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: destinationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Destination removed
+ *       400:
+ *         description: Destination is the default
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: X-2FA-Code missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.delete(
+  '/:destinationId',
+  protect,
+  requireUserAccount,
+  loadMerchant(MERCHANT_PERMISSIONS.PAYOUTS_MANAGE),
+  requireStepUp,
+  [param('destinationId').isMongoId().withMessage('Invalid destination id')],
+  validationErrorHandler,
+  payoutDestinationController.removePayoutDestination
+);
+
+module.exports = router;
@@ -0,0 +1,201 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { param, query } = require('express-validator');
+const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect } = require('../middlewares/authmiddleware');
+const { loadMerchant } = require('../middlewares/authorize');
+const { MERCHANT_PERMISSIONS } = require('../lib/permissions');
+const Payout = require('../models/Payout');
+const payoutController = require('../controllers/payoutController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payout:
+ *       type: object
+ *       description: One recipient's leg of a split settlement. Amounts are in the transaction's settlement currency.
+ *       properties:
+ *         _id:
+ *           type: string
+ *         transaction:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             reference:
+ *               type: string
+ *             amount:
+ *               type: number
+ *             currency:
+ *               type: string
+ *             status:
+ *               type: string
+ *         merchant:
+ *           type: object
+ *           description: Recipient
+ *           properties:
+ *             _id:
+ *               type: string
+ *             businessName:
+ *               type: string
+ *         parentMerchant:
+ *           type: string
+ *           description: Merchant that took the payment
+ *         role:
+ *           type: string
+ *           enum: [merchant, sub_merchant]
+ *         split:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [percentage, fixed]
+ *             value:
+ *               type: number
+ *         grossAmount:
+ *           type: number
+ *         fee:
+ *           type: number
+ *           description: This leg's share of the platform fee
+ *         netAmount:
+ *           type: number
+ *         currency:
+ *           type: string
+ *         method:
+ *           type: string
+ *           enum: [FIAT, CRYPTO]
+ *         destinationId:
+ *           type: string
+ *         provider:
+ *           type: string
+ *         reference:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [PROCESSING, SUCCESS, FAILED]
+ *         attempts:
+ *           type: integer
+ *         error:
+ *           type: string
+ *         settledAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/payouts:
+ *   get:
+ *     tags: [Payouts]
+ *     summary: List split payouts
+ *     description: Legs of split settlements the merchant received or paid out of its own payments, newest first.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PROCESSING, SUCCESS, FAILED]
+ *       - in: query
+ *         name: transactionId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Payouts with pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     payouts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Payout'
+ *                     pagination:
+ *                       type: object
+ */
+router.get(
+  '/',
+  protect,
+  loadMerchant(MERCHANT_PERMISSIONS.TRANSACTIONS_READ),
+  [
+    query('status').optional().isIn(Payout.PAYOUT_STATUSES).withMessage(`Status must be one of: ${Payout.PAYOUT_STATUSES.join(', ')}`),
+    query('transactionId').optional().isMongoId().withMessage('Invalid transaction id'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validationErrorHandler,
+  payoutController.listPayouts
+);
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/payouts/{payoutId}/retry:
+ *   post:
+ *     tags: [Payouts]
+ *     summary: Retry a failed split settlement
+ *     description: Re-runs settlement for the payout's transaction. Only legs that failed are paid again; legs already paid are never paid twice. Fix the cause first, for example by adding a payout destination for the sub-merchant.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: payoutId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Settlement re-run; every leg of the transaction is returned with its status
+ *       400:
+ *         description: The payout has not failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       404:
+ *         description: Payout not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/:payoutId/retry',
+  protect,
+  loadMerchant(MERCHANT_PERMISSIONS.PAYOUTS_MANAGE),
+  [param('payoutId').isMongoId().withMessage('Invalid payout id')],
+  validationErrorHandler,
+  payoutController.retryPayout
+);
+
+module.exports = router;
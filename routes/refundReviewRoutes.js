@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect } = require('../middlewares/authmiddleware');
+const { requirePermission } = require('../middlewares/authorize');
+const { PERMISSIONS } = require('../lib/permissions');
+const RefundReviewService = require('../services/RefundReviewService');
+const refundReviewController = require('../controllers/refundReviewController');
+
+const { REVIEW_STATUSES } = RefundReviewService;
+const DECISIONS = Object.keys(RefundReviewService.DECISIONS);
+
+/**
+ * @swagger
+ * /api/refund-reviews:
+ *   get:
+ *     tags: [Refund Reviews]
+ *     summary: Late payment review queue
+ *     description: Admin only. Payments that arrived after their payment intent expired or was canceled, by review status (default PENDING), oldest first. Their settlement is held while PENDING.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, ACCEPTED, REFUNDED]
+ *           default: PENDING
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Transactions and pagination
+ *       403:
+ *         description: Forbidden - admin only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.get(
+  '/',
+  protect,
+  requirePermission(PERMISSIONS.REFUND_REVIEWS_MANAGE),
+  [
+    query('status').optional().isIn(REVIEW_STATUSES).withMessage(`Status must be one of: ${REVIEW_STATUSES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validationErrorHandler,
+  refundReviewController.listRefundReviews
+);
+
+/**
+ * @swagger
+ * /api/refund-reviews/{transactionId}/decision:
+ *   post:
+ *     tags: [Refund Reviews]
+ *     summary: Accept a late payment or record its refund
+ *     description: Admin only; written to the audit log. `accept` keeps the payment and releases its settlement. `refund` records that the money was returned to the customer; the transaction becomes REFUNDED and is never settled.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [accept, refund]
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: 'Refunded through the Flutterwave dashboard'
+ *     responses:
+ *       200:
+ *         description: Review resolved
+ *       400:
+ *         description: Payment is not awaiting refund review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       404:
+ *         description: Transaction not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router.post(
+  '/:transactionId/decision',
+  protect,
+  requirePermission(PERMISSIONS.REFUND_REVIEWS_MANAGE),
+  [
+    param('transactionId').isMongoId().withMessage('Invalid transaction id'),
+    body('decision').isIn(DECISIONS).withMessage(`Decision must be one of: ${DECISIONS.join(', ')}`),
+    body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note must not exceed 500 characters')
+  ],
+  validationErrorHandler,
+  refundReviewController.resolveRefundReview
+);
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect } = require('../middlewares/authmiddleware');
+const { requirePermission } = require('../middlewares/authorize');
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('../lib/permissions');
+const securityPolicyController = require('../controllers/securityPolicyController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SecurityPolicy:
+ *       type: object
+ *       properties:
+ *         twoFactorRequiredRoles:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [merchant, admin]
+ *           description: Roles whose sessions must complete TOTP before role- or permission-gated endpoints accept them
+ *           example: ['admin']
+ *         updatedBy:
+ *           type: string
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/security-policy:
+ *   get:
+ *     tags: [Security Policy]
+ *     summary: Get the platform security policy
+ *     description: Admin only.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/SecurityPolicy'
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - admin role (and two-factor session, if required) needed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *   put:
+ *     tags: [Security Policy]
+ *     summary: Update the platform security policy
+ *     description: Admin only. Requiring two-factor for a role blocks its users from gated endpoints until they enable TOTP and sign in again.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - twoFactorRequiredRoles
+ *             properties:
+ *               twoFactorRequiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [merchant, admin]
+ *                 example: ['admin']
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 'Security policy updated'
+ *                 data:
+ *                   $ref: '#/components/schemas/SecurityPolicy'
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - admin role (and two-factor session, if required) needed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       422:
+ *         description: Validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router
+  .route('/')
+  .get(protect, requirePermission(PERMISSIONS.SECURITY_POLICY_MANAGE), securityPolicyController.getSecurityPolicy)
+  .put(
+    protect,
+    requirePermission(PERMISSIONS.SECURITY_POLICY_MANAGE),
+    [
+      body('twoFactorRequiredRoles').isArray().withMessage('twoFactorRequiredRoles must be an array'),
+      body('twoFactorRequiredRoles.*')
+        .isIn(Object.keys(ROLE_PERMISSIONS))
+        .withMessage(`Roles must be one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}`),
+    ],
+    validationErrorHandler,
+    securityPolicyController.updateSecurityPolicy
+  );
+
+module.exports = router;
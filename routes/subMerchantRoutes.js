@@ -0,0 +1,220 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param } = require('express-validator');
+const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect } = require('../middlewares/authmiddleware');
+const { loadMerchant } = require('../middlewares/authorize');
+const { MERCHANT_PERMISSIONS } = require('../lib/permissions');
+const subMerchantController = require('../controllers/subMerchantController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SubMerchant:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         parentMerchant:
+ *           type: string
+ *         businessName:
+ *           type: string
+ *           example: 'Ade Crafts'
+ *         country:
+ *           type: string
+ *           example: 'Nigeria'
+ *         walletAddress:
+ *           type: string
+ *           description: Optional; needed only for USDT payouts
+ *         status:
+ *           type: string
+ *           enum: [active, restricted, suspended, closed]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/sub-merchants:
+ *   get:
+ *     tags: [Sub-merchants]
+ *     summary: List sub-merchants
+ *     description: Any team member of the merchant.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sub-merchants, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SubMerchant'
+ *   post:
+ *     tags: [Sub-merchants]
+ *     summary: Create a sub-merchant
+ *     description: Owners and team admins. The merchant's team manages the sub-merchant, including its payout destinations under /api/merchant/{subMerchantId}/payout-destinations. Sub-merchants cannot have API keys or sub-merchants of their own.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - businessName
+ *             properties:
+ *               businessName:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *                 description: Defaults to the merchant's country
+ *               walletAddress:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Sub-merchant created
+ *       400:
+ *         description: The merchant is itself a sub-merchant, or is not active
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       409:
+ *         description: Business name or wallet address already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router
+  .route('/')
+  .get(protect, loadMerchant(MERCHANT_PERMISSIONS.READ), subMerchantController.listSubMerchants)
+  .post(
+    protect,
+    loadMerchant(MERCHANT_PERMISSIONS.SUB_MERCHANTS_MANAGE),
+    [
+      body('businessName').isString().trim().isLength({ min: 2, max: 100 }).withMessage('Business name must be 2-100 characters'),
+      body('country').optional().isString().trim().isLength({ min: 2, max: 60 }).withMessage('Country must be 2-60 characters'),
+      body('walletAddress').optional().isEthereumAddress().withMessage('Invalid wallet address')
+    ],
+    validationErrorHandler,
+    subMerchantController.createSubMerchant
+  );
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/sub-merchants/{subMerchantId}:
+ *   get:
+ *     tags: [Sub-merchants]
+ *     summary: Get a sub-merchant
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subMerchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sub-merchant
+ *       404:
+ *         description: Sub-merchant not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *   patch:
+ *     tags: [Sub-merchants]
+ *     summary: Update a sub-merchant
+ *     description: Owners and team admins. A closed sub-merchant cannot be named in new splits; payments already split to it still settle. Sub-merchants restricted or suspended by the platform cannot have their status changed here.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subMerchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               businessName:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [active, closed]
+ *     responses:
+ *       200:
+ *         description: Sub-merchant updated
+ *       404:
+ *         description: Sub-merchant not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router
+  .route('/:subMerchantId')
+  .get(
+    protect,
+    loadMerchant(MERCHANT_PERMISSIONS.READ),
+    [param('subMerchantId').isMongoId().withMessage('Invalid sub-merchant id')],
+    validationErrorHandler,
+    subMerchantController.getSubMerchant
+  )
+  .patch(
+    protect,
+    loadMerchant(MERCHANT_PERMISSIONS.SUB_MERCHANTS_MANAGE),
+    [
+      param('subMerchantId').isMongoId().withMessage('Invalid sub-merchant id'),
+      body('businessName').optional().isString().trim().isLength({ min: 2, max: 100 }).withMessage('Business name must be 2-100 characters'),
+      body('country').optional().isString().trim().isLength({ min: 2, max: 60 }).withMessage('Country must be 2-60 characters'),
+      body('status').optional().isIn(['active', 'closed']).withMessage('Status must be active or closed')
+    ],
+    validationErrorHandler,
+    subMerchantController.updateSubMerchant
+  );
+
+module.exports = router;
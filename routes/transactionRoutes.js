@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { param, query } = require('express-validator');
 const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect } = require('../middlewares/authmiddleware');
 const {
   getTransactionsByWallet,
   getTransactionStatsByWallet,
@@ -121,6 +122,8 @@ const {
  *     tags: [Transactions]
  *     summary: Get all transactions for a specific wallet address
  *     description: Retrieve paginated transactions for a merchant's wallet address with optional filtering
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: walletAddress
@@ -210,6 +213,18 @@ const {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - token is not for this wallet, its owner or an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  *       404:
  *         description: Merchant not found for the provided wallet address
  *         content:
@@ -225,6 +240,7 @@ const {
  */
 router.get(
   '/wallet/:walletAddress',
+  protect,
   [
     param('walletAddress')
       .isString()
@@ -262,6 +278,8 @@ router.get(
  *     tags: [Transactions]
  *     summary: Get transaction statistics for a specific wallet address
  *     description: Retrieve comprehensive transaction analytics and statistics for a merchant's wallet
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: walletAddress
@@ -292,6 +310,18 @@ router.get(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - token is not for this wallet, its owner or an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  *       404:
  *         description: Merchant not found for the provided wallet address
  *         content:
@@ -307,6 +337,7 @@ router.get(
  */
 router.get(
   '/wallet/:walletAddress/stats',
+  protect,
   [
     param('walletAddress')
       .isString()
@@ -328,6 +359,8 @@ router.get(
  *     tags: [Transactions]
  *     summary: Get recent transactions for a specific wallet address
  *     description: Retrieve the most recent transactions for a merchant's wallet with optional limit
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: walletAddress
@@ -388,6 +421,18 @@ router.get(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
+ *       401:
+ *         description: Unauthorized - Bearer token missing or invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       403:
+ *         description: Forbidden - token is not for this wallet, its owner or an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  *       404:
  *         description: Merchant not found for the provided wallet address
  *         content:
@@ -403,6 +448,7 @@ router.get(
  */
 router.get(
   '/wallet/:walletAddress/recent',
+  protect,
   [
     param('walletAddress')
       .isString()
@@ -0,0 +1,215 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param } = require('express-validator');
+const { validationErrorHandler } = require('../middlewares/errorHandler');
+const { protect } = require('../middlewares/authmiddleware');
+const { loadMerchant } = require('../middlewares/authorize');
+const { MERCHANT_PERMISSIONS } = require('../lib/permissions');
+const webhookEndpointController = require('../controllers/webhookEndpointController');
+
+// Plain http only outside production, for local development
+const URL_PROTOCOLS = process.env.NODE_ENV === 'production' ? ['https'] : ['https', 'http'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookEndpoint:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         merchant:
+ *           type: string
+ *         url:
+ *           type: string
+ *           format: uri
+ *           example: 'https://shop.example.com/webhooks/klevapay'
+ *         description:
+ *           type: string
+ *         enabled:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/webhook-endpoints:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: List webhook endpoints
+ *     description: Owners, team admins and developers.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook endpoints
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookEndpoint'
+ *   post:
+ *     tags: [Webhooks]
+ *     summary: Add a webhook endpoint
+ *     description: Owners, team admins and developers. The response includes the endpoint's signing secret (`whsec_...`), which is not shown again. At most 10 endpoints per merchant.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 description: Must use https in production
+ *               description:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       201:
+ *         description: Endpoint added; data.secret is the signing secret
+ *       400:
+ *         description: Endpoint limit reached, or the merchant is a sub-merchant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       409:
+ *         description: URL already registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router
+  .route('/')
+  .get(protect, loadMerchant(MERCHANT_PERMISSIONS.WEBHOOKS_MANAGE), webhookEndpointController.listWebhookEndpoints)
+  .post(
+    protect,
+    loadMerchant(MERCHANT_PERMISSIONS.WEBHOOKS_MANAGE),
+    [
+      body('url')
+        .isURL({ protocols: URL_PROTOCOLS, require_protocol: true, require_tld: process.env.NODE_ENV === 'production' })
+        .withMessage(`URL must be an absolute ${URL_PROTOCOLS.join(' or ')} URL`)
+        .isLength({ max: 500 }).withMessage('URL must not exceed 500 characters'),
+      body('description').optional().isString().trim().isLength({ max: 200 }).withMessage('Description must not exceed 200 characters')
+    ],
+    validationErrorHandler,
+    webhookEndpointController.createWebhookEndpoint
+  );
+
+/**
+ * @swagger
+ * /api/merchant/{merchantId}/webhook-endpoints/{endpointId}:
+ *   patch:
+ *     tags: [Webhooks]
+ *     summary: Update a webhook endpoint
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: endpointId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Endpoint updated
+ *       404:
+ *         description: Webhook endpoint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *   delete:
+ *     tags: [Webhooks]
+ *     summary: Remove a webhook endpoint
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: endpointId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Endpoint removed
+ *       404:
+ *         description: Webhook endpoint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ */
+router
+  .route('/:endpointId')
+  .patch(
+    protect,
+    loadMerchant(MERCHANT_PERMISSIONS.WEBHOOKS_MANAGE),
+    [
+      param('endpointId').isMongoId().withMessage('Invalid webhook endpoint id'),
+      body('description').optional().isString().trim().isLength({ max: 200 }).withMessage('Description must not exceed 200 characters'),
+      body('enabled').optional().isBoolean().withMessage('enabled must be a boolean').toBoolean()
+    ],
+    validationErrorHandler,
+    webhookEndpointController.updateWebhookEndpoint
+  )
+  .delete(
+    protect,
+    loadMerchant(MERCHANT_PERMISSIONS.WEBHOOKS_MANAGE),
+    [param('endpointId').isMongoId().withMessage('Invalid webhook endpoint id')],
+    validationErrorHandler,
+    webhookEndpointController.deleteWebhookEndpoint
+  );
+
+module.exports = router;
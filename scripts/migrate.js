@@ -0,0 +1,53 @@
+/**
+ * Data migration CLI
+ *
+ *   node scripts/migrate.js status
+ *   node scripts/migrate.js up [--to 002]
+ *   node scripts/migrate.js down [--steps 1]
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+const mongoose = require('mongoose');
+const MigrationService = require('../services/MigrationService');
+
+const [command = 'status', ...args] = process.argv.slice(2);
+
+const option = (flag) => {
+  const index = args.indexOf(flag);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+(async () => {
+  if (!process.env.MONGO_URI) {
+    console.error('MONGO_URI is not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    if (command === 'status') {
+      const migrations = await MigrationService.status();
+      if (!migrations.length) console.log('No migrations found');
+      for (const migration of migrations) {
+        const state = migration.applied ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+        console.log(`${migration.version}  ${migration.name}  ${state}${migration.modified ? '  (modified since applied)' : ''}`);
+      }
+    } else if (command === 'up') {
+      const applied = await MigrationService.up({ to: option('--to') });
+      console.log(applied.length ? `Applied ${applied.join(', ')}` : 'Nothing to apply');
+    } else if (command === 'down') {
+      const steps = parseInt(option('--steps') || '1', 10);
+      const rolledBack = await MigrationService.down({ steps });
+      console.log(rolledBack.length ? `Rolled back ${rolledBack.join(', ')}` : 'Nothing to roll back');
+    } else {
+      console.error(`Unknown command "${command}". Use status, up or down`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -9,6 +9,8 @@ const app = require('./app');
 const ApiError = require('./lib/ApiError');
 const logger = require('./lib/logger');
 const connectDB = require('./config/connectDb');
+const paymentIntentExpiryJob = require('./jobs/paymentIntentExpiry');
+const WebhookEndpointService = require('./services/WebhookEndpointService');
 
 async function startBlockchainListener() {
   if (globalThis.__KLEVAPAY_PAYMENT_LISTENER__) {
@@ -120,6 +122,10 @@ function serverListening() {
     // Log successful startup
     logger.info(`🎯 KlevaPay Backend API v1.0.0 started successfully`);
 
+    // Forward payment intent events to merchant webhook endpoints, then start publishing them
+    WebhookEndpointService.subscribe();
+    paymentIntentExpiryJob.start();
+
     // Initialize blockchain listener (non-blocking)
     startBlockchainListener().catch((err) => {
       logger.warn('⚠️ Blockchain listener failed to initialize', {
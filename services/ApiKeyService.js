@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const Merchant = require('../models/Merchant');
+const ApiError = require('../lib/ApiError');
+const logger = require('../lib/logger');
+
+const TYPE_PREFIXES = {
+  publishable: 'pk',
+  secret: 'sk'
+};
+
+const DEFAULT_GRACE_HOURS = 24;
+const MAX_GRACE_HOURS = 7 * 24;
+
+// Avoid a write on every request; last-used is only refreshed this often
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * SHA-256 digest of a raw API key
+ * @param {string} rawKey - Full API key
+ * @returns {string} - Hex digest
+ */
+function hashKey(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+/**
+ * Generate a new raw key, e.g. sk_live_<32 random chars>
+ * @param {string} type - publishable | secret
+ * @param {string} mode - test | live
+ * @returns {{ rawKey: string, prefix: string }}
+ */
+function generateRawKey(type, mode) {
+  const prefix = `${TYPE_PREFIXES[type]}_${mode}_`;
+  return {
+    prefix,
+    rawKey: `${prefix}${crypto.randomBytes(24).toString('base64url')}`
+  };
+}
+
+/**
+ * Parse the type and mode encoded in a raw key's prefix
+ * @param {string} rawKey - Full API key
+ * @returns {{ type: string, mode: string }|null}
+ */
+function parseKeyPrefix(rawKey) {
+  const match = /^(pk|sk)_(test|live)_[A-Za-z0-9_-]{16,}$/.exec(rawKey || '');
+  if (!match) return null;
+
+  return {
+    type: match[1] === 'sk' ? 'secret' : 'publishable',
+    mode: match[2]
+  };
+}
+
+class ApiKeyService {
+  /**
+   * Create a key for a merchant. The raw secret is returned once and never stored.
+   * @returns {Promise<{ apiKey: Object, key: string }>}
+   */
+  static async createKey({ merchantId, type, mode, name, createdBy }) {
+    const { rawKey, prefix } = generateRawKey(type, mode);
+
+    const apiKey = await ApiKey.create({
+      merchant: merchantId,
+      name,
+      type,
+      mode,
+      prefix,
+      keyHash: hashKey(rawKey),
+      publishableKey: type === 'publishable' ? rawKey : undefined,
+      last4: rawKey.slice(-4),
+      createdBy
+    });
+
+    logger.info('API key created', { merchantId, keyId: apiKey._id, type, mode, createdBy });
+
+    return { apiKey, key: rawKey };
+  }
+
+  /**
+   * List a merchant's keys, newest first. Secrets are never included.
+   */
+  static async listKeys(merchantId, { includeRevoked = false } = {}) {
+    const filter = { merchant: merchantId };
+    if (!includeRevoked) filter.revokedAt = null;
+
+    return ApiKey.find(filter).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Replace a key with a new one of the same type and mode. The old key keeps
+   * working for `graceHours` so integrations can be redeployed without downtime.
+   * @returns {Promise<{ apiKey: Object, key: string, previous: Object }>}
+   */
+  static async rollKey(merchantId, keyId, { graceHours = DEFAULT_GRACE_HOURS, rolledBy } = {}) {
+    const current = await this.#findActiveKey(merchantId, keyId);
+
+    if (graceHours < 0 || graceHours > MAX_GRACE_HOURS) {
+      throw ApiError.badRequest(`Grace period must be between 0 and ${MAX_GRACE_HOURS} hours`);
+    }
+
+    const { apiKey, key } = await this.createKey({
+      merchantId,
+      type: current.type,
+      mode: current.mode,
+      name: current.name,
+      createdBy: rolledBy
+    });
+
+    current.rotatedTo = apiKey._id;
+    current.expiresAt = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+    if (graceHours === 0) current.revokedAt = new Date();
+    await current.save();
+
+    logger.info('API key rolled', { merchantId, keyId, replacedBy: apiKey._id, graceHours, rolledBy });
+
+    return { apiKey, key, previous: current };
+  }
+
+  /**
+   * Revoke a key immediately
+   */
+  static async revokeKey(merchantId, keyId, { revokedBy } = {}) {
+    const apiKey = await ApiKey.findOne({ _id: keyId, merchant: merchantId });
+    if (!apiKey) throw ApiError.notFound('API key not found');
+    if (apiKey.revokedAt) throw ApiError.badRequest('API key is already revoked');
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    logger.info('API key revoked', { merchantId, keyId, revokedBy });
+
+    return apiKey;
+  }
+
+  /**
+   * Resolve a raw key to its merchant, recording last use
+   * @param {string} rawKey - Key presented by the client
+   * @param {Object} context - Request context ({ ip })
+   * @returns {Promise<{ apiKey: Object, merchant: Object }>}
+   * @throws {ApiError} - 401 for unknown, revoked or expired keys
+   */
+  static async authenticate(rawKey, context = {}) {
+    if (!parseKeyPrefix(rawKey)) {
+      throw ApiError.unauthorized('Invalid API key');
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(rawKey) });
+    if (!apiKey || !apiKey.active) {
+      throw ApiError.unauthorized('Invalid API key');
+    }
+
+    const merchant = await Merchant.findById(apiKey.merchant);
+    if (!merchant) {
+      throw ApiError.unauthorized('Invalid API key');
+    }
+
+    const now = Date.now();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(now), lastUsedIp: context.ip } })
+        .catch((err) => logger.warn('Failed to record API key usage', { keyId: apiKey._id, error: err.message }));
+    }
+
+    return { apiKey, merchant };
+  }
+
+  static async #findActiveKey(merchantId, keyId) {
+    const apiKey = await ApiKey.findOne({ _id: keyId, merchant: merchantId });
+    if (!apiKey) throw ApiError.notFound('API key not found');
+    if (!apiKey.active) throw ApiError.badRequest('API key is revoked or expired');
+    if (apiKey.rotatedTo) throw ApiError.badRequest('API key has already been rolled');
+    return apiKey;
+  }
+}
+
+ApiKeyService.parseKeyPrefix = parseKeyPrefix;
+ApiKeyService.DEFAULT_GRACE_HOURS = DEFAULT_GRACE_HOURS;
+ApiKeyService.MAX_GRACE_HOURS = MAX_GRACE_HOURS;
+
+module.exports = ApiKeyService;
@@ -0,0 +1,206 @@
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('../lib/logger');
+
+/**
+ * Audited actions. Keep names stable: they are stored and used as filters.
+ */
+const AUDIT_ACTIONS = Object.freeze({
+  LOGIN: 'auth.login',
+  LOGIN_2FA: 'auth.login_2fa',
+  ACCOUNT_LOCKED: 'auth.account_locked',
+  PASSWORD_RESET: 'auth.password_reset',
+  MERCHANT_PROFILE_UPDATED: 'merchant.profile_updated',
+  MERCHANT_DEACTIVATED: 'merchant.deactivated',
+  MERCHANT_STATUS_CHANGED: 'merchant.status_changed',
+  MERCHANT_BRANDING_UPDATED: 'merchant.branding_updated',
+  MERCHANT_DIRECTORY_EXPORTED: 'merchant.directory_exported',
+  PAYOUT_DETAILS_CHANGE_REQUESTED: 'merchant.payout_details_change_requested',
+  PAYOUT_DETAILS_CHANGE_CONFIRMED: 'merchant.payout_details_change_confirmed',
+  PAYOUT_DETAILS_CHANGE_CANCELLED: 'merchant.payout_details_change_cancelled',
+  PAYOUT_DETAILS_UPDATED: 'merchant.payout_details_updated',
+  PAYOUT_DESTINATION_ADDED: 'merchant.payout_destination_added',
+  PAYOUT_DESTINATION_DEFAULT_CHANGED: 'merchant.payout_destination_default_changed',
+  PAYOUT_DESTINATION_REMOVED: 'merchant.payout_destination_removed',
+  WEBHOOK_ENDPOINT_ADDED: 'merchant.webhook_endpoint_added',
+  WEBHOOK_ENDPOINT_REMOVED: 'merchant.webhook_endpoint_removed',
+  KYC_DOCUMENT_UPLOADED: 'merchant.kyc_document_uploaded',
+  KYC_SUBMITTED: 'merchant.kyc_submitted',
+  KYC_DECISION: 'merchant.kyc_decision',
+  SUB_MERCHANT_CREATED: 'merchant.sub_merchant_created',
+  SUB_MERCHANT_UPDATED: 'merchant.sub_merchant_updated',
+  PAYMENT_STATUS_OVERRIDE: 'payment_intent.status_override',
+  REFUND_REVIEW_RESOLVED: 'transaction.refund_review_resolved',
+  SECURITY_POLICY_UPDATED: 'security_policy.updated',
+  FEE_PLAN_CREATED: 'fee_plan.created',
+  FEE_PLAN_UPDATED: 'fee_plan.updated',
+  FEE_PLAN_DELETED: 'fee_plan.deleted',
+  MERCHANT_FEE_PLAN_ASSIGNED: 'merchant.fee_plan_assigned',
+  CRYPTO_OWNER_READ: 'crypto.owner_read',
+  CRYPTO_ADD_LIQUIDITY: 'crypto.add_liquidity',
+  CRYPTO_REMOVE_LIQUIDITY: 'crypto.remove_liquidity',
+  CRYPTO_CREDIT_MERCHANT: 'crypto.credit_merchant'
+});
+
+const REDACTED = '[REDACTED]';
+const SECRET_KEY_PATTERN = /password|secret|token$|tokenhash|otp|cvv|^pin$|^code$|backupcodes/i;
+const ACCOUNT_KEY_PATTERN = /accountnumber|iban/i;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+/**
+ * Recursively redact secrets and mask account numbers before they are stored
+ * @param {*} value - Value to sanitise
+ * @returns {*}
+ */
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!isPlainObject(value)) return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => {
+    if (SECRET_KEY_PATTERN.test(key)) return [key, REDACTED];
+    if (ACCOUNT_KEY_PATTERN.test(key) && field != null) return [key, `****${String(field).slice(-4)}`];
+    return [key, redact(field)];
+  }));
+}
+
+/**
+ * Writes and queries the persisted security audit trail. Writing never
+ * throws: a failed audit write is logged and the audited action proceeds.
+ */
+class AuditService {
+  /**
+   * Append an audit event
+   * @param {Object} event - { action, outcome, actor, target, changes, metadata }
+   * @param {Object} context - Request context ({ ip, userAgent, requestId })
+   * @returns {Promise<Object|null>} - Stored event, or null when the write failed
+   */
+  static async record({ action, outcome = 'success', actor, target, changes, metadata }, context = {}) {
+    try {
+      return await AuditEvent.create({
+        action,
+        outcome,
+        actor: actor || { type: 'anonymous' },
+        target,
+        ip: context.ip,
+        userAgent: context.userAgent,
+        requestId: context.requestId,
+        changes: changes && { before: redact(changes.before), after: redact(changes.after) },
+        metadata: redact(metadata)
+      });
+    } catch (error) {
+      logger.error('Failed to write audit event', { action, error: error.message, requestId: context.requestId });
+      return null;
+    }
+  }
+
+  /**
+   * Request context recorded with every event
+   * @param {Request} req - Express request object
+   * @returns {Object}
+   */
+  static contextFrom(req) {
+    return {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.requestId
+    };
+  }
+
+  /**
+   * Actor for the authenticated caller (Bearer token or API key)
+   * @param {Request} req - Express request object
+   * @returns {Object}
+   */
+  static actorFrom(req) {
+    if (req.user?.userId) {
+      return { type: 'user', id: req.user.userId, email: req.user.email, role: req.user.role };
+    }
+    if (req.user?.walletAddress) {
+      return { type: 'wallet', id: req.user.walletAddress, role: req.user.role };
+    }
+    if (req.apiKey) {
+      return { type: 'api_key', id: req.apiKey._id.toString() };
+    }
+    return { type: 'anonymous' };
+  }
+
+  /**
+   * Actor for a user document, used where no authenticated request exists yet (login)
+   * @param {Object} user - User document
+   * @returns {Object}
+   */
+  static actorForUser(user) {
+    return { type: 'user', id: user._id.toString(), email: user.email, role: user.role };
+  }
+
+  /**
+   * Reduce two snapshots to the fields that changed
+   * @param {Object} before - State before the change
+   * @param {Object} after - State after the change
+   * @returns {Object} - { before, after } containing only changed keys
+   */
+  static diff(before = {}, after = {}) {
+    const changes = { before: {}, after: {} };
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    keys.forEach((key) => {
+      if (JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key])) {
+        changes.before[key] = before?.[key];
+        changes.after[key] = after?.[key];
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Filtered, paginated audit events, newest first
+   * @param {Object} filters - { actorId, action, outcome, targetType, targetId, requestId, ip, from, to }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} - { events, pagination }
+   */
+  static async query(filters = {}, { page = 1, limit = 50 } = {}) {
+    const criteria = {};
+
+    if (filters.actorId) criteria['actor.id'] = filters.actorId;
+    if (filters.action) criteria.action = filters.action;
+    if (filters.outcome) criteria.outcome = filters.outcome;
+    if (filters.targetType) criteria['target.type'] = filters.targetType;
+    if (filters.targetId) criteria['target.id'] = filters.targetId;
+    if (filters.requestId) criteria.requestId = filters.requestId;
+    if (filters.ip) criteria.ip = filters.ip;
+    if (filters.from || filters.to) {
+      criteria.createdAt = {};
+      if (filters.from) criteria.createdAt.$gte = new Date(filters.from);
+      if (filters.to) criteria.createdAt.$lte = new Date(filters.to);
+    }
+
+    const [events, totalCount] = await Promise.all([
+      AuditEvent.find(criteria)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditEvent.countDocuments(criteria)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      events,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+}
+
+AuditService.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditService;
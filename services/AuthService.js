@@ -0,0 +1,395 @@
+const crypto = require('crypto');
+const { StatusCodes } = require('http-status-codes');
+const User = require('../models/User');
+const ApiError = require('../lib/ApiError');
+const logger = require('../lib/logger');
+const otpUtils = require('../utils/otpUtils');
+const jwtUtils = require('../utils/jwtUtils');
+const emailService = require('./sendEmail');
+const TokenService = require('./TokenService');
+const SessionService = require('./SessionService');
+const TwoFactorService = require('./TwoFactorService');
+const SecurityPolicyService = require('./SecurityPolicyService');
+const AuditService = require('./AuditService');
+const OnboardingService = require('./OnboardingService');
+
+const { AUDIT_ACTIONS } = AuditService;
+
+const OTP_FIELDS = '+otp.code +otp.expiresAt +otp.attempts +otp.lastSentAt';
+const RESET_FIELDS = '+passwordReset.token +passwordReset.expiresAt +passwordReset.attempts +passwordReset.lastSentAt';
+const INVALID_RESET_CODE = 'Invalid or expired password reset code';
+
+/**
+ * Generate a fresh email verification OTP, persist it on the user and email it
+ * @param {Object} user - User document, saved by this helper
+ * @returns {Promise<Object>} - Email delivery result
+ */
+async function issueVerificationOTP(user) {
+  const { code, expiresAt, attempts } = otpUtils.generateOTPWithExpiry();
+
+  user.otp = {
+    code,
+    expiresAt,
+    attempts,
+    lastSentAt: new Date()
+  };
+  await user.save();
+
+  const delivery = await emailService.sendOTPVerification(user.email, code, user.businessName);
+  if (!delivery.success) {
+    logger.warn('Verification OTP could not be delivered', { userId: user._id, email: user.email });
+  }
+
+  return delivery;
+}
+
+/**
+ * Constant-time comparison of two hex digests
+ * @param {string} a - First digest
+ * @param {string} b - Second digest
+ * @returns {boolean}
+ */
+function digestsMatch(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+/**
+ * Shape the user fields returned alongside auth responses
+ * @param {Object} user - User document
+ * @returns {Object}
+ */
+function toAuthUser(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    businessName: user.businessName,
+    role: user.role,
+    verified: user.verified,
+    profileComplete: user.profileComplete,
+    twoFactorEnabled: !!user.twoFactor?.enabled
+  };
+}
+
+/**
+ * Record an authentication audit event for a known or unknown user
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object|null} user - User document, or null when the account is unknown
+ * @param {Object} context - Client context ({ userAgent, ip, requestId })
+ * @param {Object} details - { outcome, metadata, changes }
+ */
+function audit(action, user, context, { outcome = 'success', metadata, changes } = {}) {
+  return AuditService.record({
+    action,
+    outcome,
+    actor: user ? AuditService.actorForUser(user) : undefined,
+    target: user ? { type: 'user', id: user._id.toString() } : undefined,
+    metadata,
+    changes
+  }, context);
+}
+
+/**
+ * Count a failed credential check towards the lockout, auditing the lock when it triggers
+ * @param {Object} user - User document
+ * @param {Object} context - Client context ({ userAgent, ip, requestId })
+ */
+async function recordFailedAttempt(user, context) {
+  const { locked, lockUntil } = await user.incLoginAttempts();
+  if (!locked) return;
+
+  logger.logAuth('ACCOUNT_LOCKED', user._id, user.email, true, { lockUntil });
+  await audit(AUDIT_ACTIONS.ACCOUNT_LOCKED, user, context, {
+    metadata: { lockUntil },
+    changes: { before: { accountLocked: false }, after: { accountLocked: true } }
+  });
+}
+
+class AuthService {
+  /**
+   * Register a new dashboard user and send the email verification OTP
+   */
+  static async register({ businessName, email, password, country }) {
+    const { emailExists, businessExists } = await User.checkExistence(email, businessName);
+    if (emailExists) throw ApiError.conflict('An account with this email already exists');
+    if (businessExists) throw ApiError.conflict('Business name already exists');
+
+    const user = new User({ businessName, email, password, country });
+    const delivery = await issueVerificationOTP(user);
+
+    logger.logAuth('REGISTER', user._id, user.email);
+
+    return {
+      user: toAuthUser(user),
+      otpSent: delivery.success
+    };
+  }
+
+  /**
+   * Verify the email OTP and sign the user in
+   */
+  static async verifyEmail({ email, otp }, device = {}) {
+    const user = await User.findByEmail(email).select(OTP_FIELDS);
+    if (!user) throw ApiError.notFound('No account found for this email');
+    if (user.verified) throw ApiError.badRequest('Email is already verified');
+
+    const result = otpUtils.validateOTP(otp, user.otp);
+
+    if (!result.valid) {
+      if (result.shouldClearOTP) {
+        user.otp = undefined;
+      } else {
+        user.otp.attempts += 1;
+      }
+      await user.save();
+
+      logger.logAuth('VERIFY_EMAIL', user._id, user.email, false, { reason: result.reason });
+      throw ApiError.badRequest(result.reason);
+    }
+
+    user.verified = true;
+    user.otp = undefined;
+    await user.save();
+    user.profileComplete = await OnboardingService.syncUser(user._id).catch(() => user.profileComplete);
+
+    logger.logAuth('VERIFY_EMAIL', user._id, user.email);
+    emailService.sendWelcomeEmail(user.email, user.businessName).catch(() => {});
+
+    return {
+      user: toAuthUser(user),
+      tokens: await TokenService.issue(user, device)
+    };
+  }
+
+  /**
+   * Re-send the email verification OTP, honouring the resend cooldown
+   */
+  static async resendOTP({ email }) {
+    const user = await User.findByEmail(email).select(OTP_FIELDS);
+    if (!user) throw ApiError.notFound('No account found for this email');
+    if (user.verified) throw ApiError.badRequest('Email is already verified');
+
+    const cooldown = otpUtils.canResendOTP(user.otp?.lastSentAt);
+    if (!cooldown.canResend) {
+      throw new ApiError(cooldown.message, StatusCodes.TOO_MANY_REQUESTS, { waitTime: cooldown.waitTime });
+    }
+
+    const delivery = await issueVerificationOTP(user);
+    logger.logAuth('RESEND_OTP', user._id, user.email, delivery.success);
+
+    return {
+      otpSent: delivery.success,
+      expiresIn: otpUtils.formatTimeRemaining(user.otp.expiresAt)
+    };
+  }
+
+  /**
+   * Authenticate with email and password, applying the account lockout policy
+   */
+  static async login({ email, password }, device = {}) {
+    const user = await User.findByEmail(email);
+    if (!user) {
+      logger.logAuth('LOGIN', null, email, false, { reason: 'unknown email' });
+      await audit(AUDIT_ACTIONS.LOGIN, null, device, { outcome: 'failure', metadata: { email, reason: 'unknown email' } });
+      throw ApiError.unauthorized('Invalid email or password');
+    }
+
+    if (user.isLocked) {
+      logger.logAuth('LOGIN', user._id, user.email, false, { reason: 'account locked' });
+      await audit(AUDIT_ACTIONS.LOGIN, user, device, { outcome: 'failure', metadata: { reason: 'account locked' } });
+      throw new ApiError(
+        'Account is temporarily locked due to too many failed login attempts',
+        StatusCodes.LOCKED,
+        { lockUntil: user.lockUntil }
+      );
+    }
+
+    const passwordMatches = await user.comparePassword(password);
+    if (!passwordMatches) {
+      logger.logAuth('LOGIN', user._id, user.email, false, { reason: 'invalid password' });
+      await audit(AUDIT_ACTIONS.LOGIN, user, device, { outcome: 'failure', metadata: { reason: 'invalid password' } });
+      await recordFailedAttempt(user, device);
+      throw ApiError.unauthorized('Invalid email or password');
+    }
+
+    if (!user.verified) {
+      throw ApiError.forbidden('Please verify your email before logging in', { verified: false });
+    }
+
+    // Password is correct; users with TOTP enabled must complete a second step
+    if (user.twoFactor?.enabled) {
+      logger.logAuth('LOGIN', user._id, user.email, true, { stage: 'password', twoFactorPending: true });
+      await audit(AUDIT_ACTIONS.LOGIN, user, device, { metadata: { stage: 'password', twoFactorPending: true } });
+      return {
+        twoFactorRequired: true,
+        challengeToken: jwtUtils.generateTwoFactorChallengeToken(user._id.toString())
+      };
+    }
+
+    await user.resetLoginAttempts();
+    logger.logAuth('LOGIN', user._id, user.email);
+
+    const tokens = await TokenService.issue(user, device);
+    await audit(AUDIT_ACTIONS.LOGIN, user, device, { metadata: { sessionId: tokens.sessionId } });
+    await SessionService.notifyIfNewDevice(user, tokens.sessionId, device);
+
+    return {
+      user: toAuthUser(user),
+      tokens,
+      twoFactorSetupRequired: await SecurityPolicyService.isTwoFactorRequired(user.role)
+    };
+  }
+
+  /**
+   * Complete a login with the TOTP (or backup) code for the challenge issued by `login`.
+   * Failed codes count towards the account lockout.
+   */
+  static async verifyTwoFactorLogin({ challengeToken, code }, device = {}) {
+    const challenge = jwtUtils.verifyTwoFactorChallengeToken(challengeToken);
+
+    const user = await User.findById(challenge.userId).select(TwoFactorService.TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+      throw ApiError.unauthorized('Invalid two-factor challenge');
+    }
+
+    if (user.isLocked) {
+      logger.logAuth('LOGIN_2FA', user._id, user.email, false, { reason: 'account locked' });
+      await audit(AUDIT_ACTIONS.LOGIN_2FA, user, device, { outcome: 'failure', metadata: { reason: 'account locked' } });
+      throw new ApiError(
+        'Account is temporarily locked due to too many failed login attempts',
+        StatusCodes.LOCKED,
+        { lockUntil: user.lockUntil }
+      );
+    }
+
+    const factor = await TwoFactorService.verifySecondFactor(user, code);
+    if (!factor) {
+      logger.logAuth('LOGIN_2FA', user._id, user.email, false, { reason: 'invalid code' });
+      await audit(AUDIT_ACTIONS.LOGIN_2FA, user, device, { outcome: 'failure', metadata: { reason: 'invalid code' } });
+      await recordFailedAttempt(user, device);
+      throw ApiError.unauthorized('Invalid authentication code');
+    }
+
+    await user.resetLoginAttempts();
+    logger.logAuth('LOGIN_2FA', user._id, user.email, true, { factor });
+
+    const tokens = await TokenService.issue(user, device, { mfa: true });
+    await audit(AUDIT_ACTIONS.LOGIN_2FA, user, device, { metadata: { factor, sessionId: tokens.sessionId } });
+    await SessionService.notifyIfNewDevice(user, tokens.sessionId, device);
+
+    return {
+      user: toAuthUser(user),
+      tokens
+    };
+  }
+
+  /**
+   * Email a single-use password reset code. Unknown emails are ignored so
+   * the response never reveals whether an account exists.
+   */
+  static async forgotPassword({ email }) {
+    const user = await User.findByEmail(email).select(RESET_FIELDS);
+    if (!user) {
+      logger.logAuth('FORGOT_PASSWORD', null, email, false, { reason: 'unknown email' });
+      return;
+    }
+
+    // Stay silent inside the cooldown; an error here would confirm the account exists
+    const cooldown = otpUtils.canResendOTP(user.passwordReset?.lastSentAt);
+    if (!cooldown.canResend) {
+      logger.logAuth('FORGOT_PASSWORD', user._id, user.email, false, { reason: 'cooldown active' });
+      return;
+    }
+
+    const { code, expiresAt } = otpUtils.generateOTPWithExpiry();
+
+    user.passwordReset = {
+      token: otpUtils.hashData(code),
+      expiresAt,
+      attempts: 0,
+      lastSentAt: new Date()
+    };
+    await user.save();
+
+    const delivery = await emailService.sendPasswordResetEmail(user.email, code, user.businessName);
+    logger.logAuth('FORGOT_PASSWORD', user._id, user.email, delivery.success);
+  }
+
+  /**
+   * Set a new password using the emailed reset code, then revoke every session
+   */
+  static async resetPassword({ email, otp, password }, context = {}) {
+    const user = await User.findByEmail(email).select(RESET_FIELDS);
+    const reset = user?.passwordReset;
+
+    if (!reset?.token) throw ApiError.badRequest(INVALID_RESET_CODE);
+
+    if (otpUtils.isOTPExpired(reset.expiresAt) || reset.attempts >= otpUtils.maxAttempts) {
+      user.passwordReset = undefined;
+      await user.save();
+      throw ApiError.badRequest(INVALID_RESET_CODE);
+    }
+
+    if (!digestsMatch(otpUtils.hashData(otp), reset.token)) {
+      user.passwordReset.attempts += 1;
+      await user.save();
+      logger.logAuth('RESET_PASSWORD', user._id, user.email, false, { reason: 'invalid code' });
+      await audit(AUDIT_ACTIONS.PASSWORD_RESET, user, context, { outcome: 'failure', metadata: { reason: 'invalid code' } });
+      throw ApiError.badRequest(INVALID_RESET_CODE);
+    }
+
+    user.password = password;
+    user.passwordReset = undefined;
+    user.loginAttempts = 0;
+    user.accountLocked = false;
+    user.lockUntil = undefined;
+    await user.save();
+
+    const revoked = await TokenService.revokeAllForUser(user._id, 'password_reset');
+    logger.logAuth('RESET_PASSWORD', user._id, user.email, true, { revokedTokens: revoked });
+    await audit(AUDIT_ACTIONS.PASSWORD_RESET, user, context, {
+      metadata: { revokedTokens: revoked },
+      changes: { before: { password: true }, after: { password: true } }
+    });
+
+    emailService.sendPasswordChangedEmail(user.email, user.businessName).catch(() => {});
+  }
+
+  /**
+   * Rotate a refresh token into a new token pair
+   */
+  static async refresh({ refreshToken }, device = {}) {
+    return {
+      tokens: await TokenService.rotate(refreshToken, device)
+    };
+  }
+
+  /**
+   * Load the authenticated user's profile
+   */
+  static async getCurrentUser(userId) {
+    const user = await User.findById(userId);
+    if (!user) throw ApiError.notFound('User not found');
+    return toAuthUser(user);
+  }
+
+  /**
+   * Sign the current session out by revoking its refresh token family
+   */
+  static async logout({ userId, email, sessionId }) {
+    const revoked = await TokenService.revokeFamily(sessionId, 'logout');
+    logger.logAuth('LOGOUT', userId, email, true, { sessionId });
+    return { revoked };
+  }
+
+  /**
+   * Sign the user out of every session
+   */
+  static async logoutAll({ userId, email }) {
+    const revoked = await TokenService.revokeAllForUser(userId, 'logout_all');
+    logger.logAuth('LOGOUT_ALL', userId, email, true, { revoked });
+    return { revoked };
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const ApiError = require('../lib/ApiError');
+const logger = require('../lib/logger');
+const { getStorage } = require('../lib/storage');
+const AuditService = require('./AuditService');
+
+const { AUDIT_ACTIONS } = AuditService;
+
+const LOGO_TYPES = ['image/png', 'image/jpeg'];
+const LOGO_MAX_SIZE = 1024 * 1024;
+
+const LOGO_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg'
+};
+
+const BRANDING_FIELDS = ['displayName', 'brandColor', 'supportEmail', 'returnUrl'];
+
+/**
+ * Public URL of a merchant's logo. Versioned by checksum so providers and
+ * browsers can cache it.
+ * @param {Object} merchant - Merchant document
+ * @returns {string|null}
+ */
+function logoUrl(merchant) {
+  const logo = merchant.branding?.logo;
+  if (!logo?.checksum) return null;
+
+  const baseUrl = process.env.BASE_URL || 'http://localhost:4000';
+  return `${baseUrl}/api/merchant/${merchant._id}/branding/logo?v=${logo.checksum.slice(0, 12)}`;
+}
+
+const brandingSnapshot = (merchant) =>
+  Object.fromEntries(BRANDING_FIELDS.map((field) => [field, merchant.branding?.[field] ?? null]));
+
+/**
+ * Merchant branding on hosted checkout and provider payment pages
+ */
+class BrandingService {
+  /**
+   * Branding as shown to customers, with the business name standing in for
+   * a missing display name
+   * @param {Object} merchant - Merchant document
+   * @returns {Object} - { displayName, logoUrl, brandColor, supportEmail, returnUrl }
+   */
+  static checkoutBranding(merchant) {
+    const branding = merchant.branding || {};
+
+    return {
+      displayName: branding.displayName || merchant.businessName,
+      logoUrl: logoUrl(merchant),
+      brandColor: branding.brandColor || null,
+      supportEmail: branding.supportEmail || null,
+      returnUrl: branding.returnUrl || null
+    };
+  }
+
+  /**
+   * Update branding fields; `null` clears a field
+   * @param {Object} merchant - Merchant document
+   * @param {Object} changes - { displayName, brandColor, supportEmail, returnUrl }
+   * @param {Object} audit - { actor, context }
+   * @returns {Promise<Object>} - Checkout branding
+   */
+  static async update(merchant, changes, { actor, context } = {}) {
+    const before = brandingSnapshot(merchant);
+
+    if (!merchant.branding) merchant.branding = {};
+    for (const field of BRANDING_FIELDS) {
+      if (changes[field] !== undefined) {
+        merchant.branding[field] = changes[field] === null ? undefined : changes[field];
+      }
+    }
+    await merchant.save();
+
+    const diff = AuditService.diff(before, brandingSnapshot(merchant));
+    if (Object.keys(diff.after).length) {
+      await AuditService.record({
+        action: AUDIT_ACTIONS.MERCHANT_BRANDING_UPDATED,
+        actor,
+        target: { type: 'merchant', id: merchant._id.toString() },
+        changes: diff
+      }, context);
+    }
+
+    return this.checkoutBranding(merchant);
+  }
+
+  /**
+   * Store a new logo, replacing the current one
+   * @param {Object} merchant - Merchant document
+   * @param {Object} file - Multer memory file (PNG or JPEG)
+   * @param {Object} audit - { actor, context }
+   * @returns {Promise<Object>} - Checkout branding
+   */
+  static async uploadLogo(merchant, file, { actor, context } = {}) {
+    const storage = getStorage();
+    const storageKey = `branding/${merchant._id}/${crypto.randomUUID()}${LOGO_EXTENSIONS[file.mimetype] || ''}`;
+    await storage.put(storageKey, file.buffer, { contentType: file.mimetype });
+
+    const previousKey = merchant.branding?.logo?.storageKey;
+
+    if (!merchant.branding) merchant.branding = {};
+    merchant.branding.logo = {
+      storageKey,
+      mimeType: file.mimetype,
+      size: file.size,
+      checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      uploadedAt: new Date()
+    };
+
+    try {
+      await merchant.save();
+    } catch (error) {
+      await storage.remove(storageKey).catch(() => {});
+      throw error;
+    }
+
+    if (previousKey) await this.#removeFile(previousKey);
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.MERCHANT_BRANDING_UPDATED,
+      actor,
+      target: { type: 'merchant', id: merchant._id.toString() },
+      metadata: { logo: 'uploaded', mimeType: file.mimetype, size: file.size }
+    }, context);
+
+    return this.checkoutBranding(merchant);
+  }
+
+  /**
+   * Remove the logo
+   * @param {Object} merchant - Merchant document
+   * @param {Object} audit - { actor, context }
+   * @returns {Promise<Object>} - Checkout branding
+   */
+  static async removeLogo(merchant, { actor, context } = {}) {
+    const storageKey = merchant.branding?.logo?.storageKey;
+    if (!storageKey) throw ApiError.notFound('No logo uploaded');
+
+    merchant.branding.logo = undefined;
+    await merchant.save();
+    await this.#removeFile(storageKey);
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.MERCHANT_BRANDING_UPDATED,
+      actor,
+      target: { type: 'merchant', id: merchant._id.toString() },
+      metadata: { logo: 'removed' }
+    }, context);
+
+    return this.checkoutBranding(merchant);
+  }
+
+  /**
+   * Open a merchant's logo for serving
+   * @param {Object} merchant - Merchant document
+   * @returns {Promise<Object>} - { logo, stream }
+   */
+  static async getLogoFile(merchant) {
+    const logo = merchant.branding?.logo;
+    if (!logo?.storageKey) throw ApiError.notFound('No logo uploaded');
+
+    const stream = await getStorage().get(logo.storageKey);
+    return { logo, stream };
+  }
+
+  static async #removeFile(storageKey) {
+    try {
+      await getStorage().remove(storageKey);
+    } catch (error) {
+      logger.warn('Failed to remove replaced logo', { storageKey, error: error.message });
+    }
+  }
+}
+
+BrandingService.LOGO_TYPES = LOGO_TYPES;
+BrandingService.LOGO_MAX_SIZE = LOGO_MAX_SIZE;
+
+module.exports = BrandingService;
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { StatusCodes } = require('http-status-codes');
+const PaymentIntent = require('../models/PaymentInent');
+const Merchant = require('../models/Merchant');
+const ApiError = require('../lib/ApiError');
+const logger = require('../lib/logger');
+const { convert } = require('./pricefeed');
+const PaymentService = require('./paymentIntegrationServices');
+const BrandingService = require('./BrandingService');
+const OnboardingService = require('./OnboardingService');
+
+// Statuses in which the customer can still pay; a partially paid intent takes the balance
+const PAYABLE_STATUSES = ['REQUIRES_PAYMENT', 'PROCESSING', 'PARTIALLY_PAID'];
+
+// Methods PaymentService.createPayment can only charge in naira: its card
+// branch is NGN only, and these Flutterwave charge types settle in naira
+const NGN_ONLY_METHODS = ['card', 'bank_transfer', 'opay'];
+
+const CHECKOUT_METHODS = ['card', 'bank_transfer', 'opay', 'crypto'];
+
+const TOKEN_SYMBOL = 'USDT';
+const TOKEN_DECIMALS = 6;
+
+/**
+ * Convert an amount, or null when the pair is unsupported or the feed is down
+ * @param {string} from - Currency code
+ * @param {string} to - Currency code
+ * @param {number} amount - Amount in `from`
+ * @returns {Promise<number|null>}
+ */
+async function safeConvert(from, to, amount) {
+  if (from.toUpperCase() === to.toUpperCase()) return Number(amount);
+
+  try {
+    const converted = await convert(from, to, amount);
+    return Number.isFinite(converted) ? converted : null;
+  } catch (error) {
+    logger.warn('Checkout quote unavailable', { from, to, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Hosted checkout and widget sessions. A session is a payment intent seen by
+ * its customer through the intent's checkout reference or widget token; only
+ * what the customer needs to pay is exposed.
+ */
+class CheckoutService {
+  /**
+   * Find the intent and merchant behind a checkout reference or widget token
+   * @param {Object} lookup - { reference } or { widgetToken }
+   * @returns {Promise<Object>} - { intent, merchant }
+   * @throws {ApiError} - 404 when nothing matches
+   */
+  static async resolve({ reference, widgetToken }) {
+    if (!reference && !widgetToken) throw ApiError.notFound('Checkout session not found');
+
+    const filter = reference ? { 'metadata.reference': reference } : { widgetToken };
+    const intent = await PaymentIntent.findOne(filter);
+    if (!intent) throw ApiError.notFound('Checkout session not found');
+
+    const merchant = await Merchant.findById(intent.merchantId);
+    if (!merchant) throw ApiError.notFound('Checkout session not found');
+
+    return { intent, merchant };
+  }
+
+  /**
+   * Whether the customer can pay now
+   * @param {Object} intent - Payment intent document
+   * @param {Object} merchant - Merchant document
+   * @returns {boolean}
+   */
+  static isPayable(intent, merchant) {
+    if (!PAYABLE_STATUSES.includes(intent.status)) return false;
+    if (intent.expiresAt && intent.expiresAt <= new Date()) return false;
+    return merchant.status === 'active' || merchant.status === 'restricted';
+  }
+
+  /**
+   * What the customer still has to pay, in the intent's source currency
+   * @param {Object} intent - Payment intent document
+   * @returns {number}
+   */
+  static amountDue(intent) {
+    return Math.max(0, Number((intent.amount - (intent.amountReceived || 0)).toFixed(6)));
+  }
+
+  /**
+   * Payment methods offered for the intent
+   * @param {Object} intent - Payment intent document
+   * @param {Object} merchant - Merchant document
+   * @returns {Array<string>}
+   */
+  static availableMethods(intent, merchant) {
+    if (!this.isPayable(intent, merchant)) return [];
+
+    const currency = intent.sourceCurrency.toUpperCase();
+    return CHECKOUT_METHODS.filter((method) => {
+      if (NGN_ONLY_METHODS.includes(method)) return currency === 'NGN';
+      if (method === 'crypto') return !!(merchant.walletAddress && process.env.CONTRACT_ADDRESS && process.env.USDT_ADDRESS);
+      return true;
+    });
+  }
+
+  /**
+   * Current conversion of the amount due from the intent's source to its target currency
+   * @param {Object} intent - Payment intent document
+   * @returns {Promise<Object|null>} - { sourceCurrency, targetCurrency, sourceAmount, targetAmount, rate, quotedAt }
+   */
+  static async quote(intent) {
+    const sourceAmount = this.amountDue(intent);
+    const targetAmount = await safeConvert(intent.sourceCurrency, intent.targetCurrency, sourceAmount);
+    if (targetAmount === null) return null;
+
+    return {
+      sourceCurrency: intent.sourceCurrency.toUpperCase(),
+      targetCurrency: intent.targetCurrency.toUpperCase(),
+      sourceAmount,
+      targetAmount,
+      rate: sourceAmount ? targetAmount / sourceAmount : null,
+      quotedAt: new Date()
+    };
+  }
+
+  /**
+   * What a wallet needs to call `payWithToken` on the payment contract. The
+   * contract event carries `txRef`, which ties the payment back to the intent.
+   * @param {Object} intent - Payment intent document
+   * @param {Object} merchant - Merchant document
+   * @returns {Promise<Object>}
+   */
+  static async cryptoInstructions(intent, merchant) {
+    const tokenAmount = await safeConvert(intent.sourceCurrency, TOKEN_SYMBOL, this.amountDue(intent));
+
+    return {
+      chainId: Number(process.env.CHAIN_ID) || 4202,
+      contractAddress: process.env.CONTRACT_ADDRESS,
+      method: 'payWithToken',
+      token: { symbol: TOKEN_SYMBOL, address: process.env.USDT_ADDRESS, decimals: TOKEN_DECIMALS },
+      merchantWalletAddress: merchant.walletAddress,
+      amount: tokenAmount === null ? null : tokenAmount.toFixed(TOKEN_DECIMALS),
+      amountInMinor: tokenAmount === null ? null : ethers.parseUnits(tokenAmount.toFixed(TOKEN_DECIMALS), TOKEN_DECIMALS).toString(),
+      txRef: intent.metadata.reference
+    };
+  }
+
+  /**
+   * Public view of a checkout session
+   * @param {Object} intent - Payment intent document
+   * @param {Object} merchant - Merchant document
+   * @returns {Promise<Object>}
+   */
+  static async session(intent, merchant) {
+    const paymentMethods = this.availableMethods(intent, merchant);
+    const [quote, cryptoPayment] = await Promise.all([
+      this.quote(intent),
+      paymentMethods.includes('crypto') ? this.cryptoInstructions(intent, merchant) : null
+    ]);
+
+    return {
+      reference: intent.metadata.reference,
+      status: intent.status,
+      payable: paymentMethods.length > 0,
+      amount: intent.amount,
+      amountReceived: intent.amountReceived || 0,
+      amountDue: this.amountDue(intent),
+      currency: intent.sourceCurrency.toUpperCase(),
+      targetCurrency: intent.targetCurrency.toUpperCase(),
+      expiresAt: intent.expiresAt || null,
+      livemode: intent.livemode,
+      merchant: BrandingService.checkoutBranding(merchant),
+      paymentMethods,
+      quote,
+      ...(cryptoPayment && { crypto: cryptoPayment })
+    };
+  }
+
+  /**
+   * Start a payment for the session. Card, bank transfer and OPay payments
+   * are created with Flutterwave and return its checkout link or transfer
+   * instructions; crypto returns the contract call to make.
+   * @param {Object} intent - Payment intent document
+   * @param {Object} merchant - Merchant document
+   * @param {Object} input - { method, customer: { email, name, phone } }
+   * @returns {Promise<Object>} - { method, txRef, ... }
+   * @throws {ApiError} - 409 when the session cannot be paid, 400 for an unavailable method, 502 when the provider fails
+   */
+  static async startPayment(intent, merchant, { method, customer }) {
+    if (!this.isPayable(intent, merchant)) {
+      throw ApiError.conflict('This checkout session can no longer be paid', { code: 'CHECKOUT_NOT_PAYABLE', status: intent.status });
+    }
+    if (intent.livemode) {
+      await OnboardingService.assertLiveReady(merchant);
+    }
+    if (!this.availableMethods(intent, merchant).includes(method)) {
+      throw ApiError.badRequest(`Payment method ${method} is not available for this checkout`);
+    }
+
+    if (method === 'crypto') {
+      const instructions = await this.cryptoInstructions(intent, merchant);
+      if (instructions.amount === null) {
+        throw new ApiError('Crypto quote is unavailable, try again shortly', StatusCodes.SERVICE_UNAVAILABLE);
+      }
+      return { method, ...instructions };
+    }
+
+    // Flutterwave needs a fresh tx_ref per charge; the intent id in the metadata links the payment back
+    const txRef = `${intent.metadata.reference}-${crypto.randomBytes(4).toString('hex')}`;
+
+    let provider;
+    try {
+      provider = await PaymentService.createPayment({
+        amount: this.amountDue(intent),
+        currency: intent.sourceCurrency.toUpperCase(),
+        method,
+        customer,
+        tx_ref: txRef,
+        merchant: {
+          merchantId: merchant._id.toString(),
+          walletAddress: merchant.walletAddress,
+          businessName: merchant.businessName
+        },
+        branding: BrandingService.checkoutBranding(merchant),
+        metadata: { paymentIntentId: intent._id.toString(), livemode: intent.livemode }
+      });
+    } catch (error) {
+      logger.error('Checkout payment could not be started', {
+        paymentIntentId: intent._id,
+        method,
+        error: error.response?.data?.message || error.message
+      });
+      throw new ApiError('The payment provider could not start this payment', StatusCodes.BAD_GATEWAY);
+    }
+
+    return { method, txRef, provider };
+  }
+}
+
+CheckoutService.CHECKOUT_METHODS = CHECKOUT_METHODS;
+
+module.exports = CheckoutService;
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const ApiError = require('../lib/ApiError');
+
+// How long a stored response is replayed
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// How long a request may hold its key before a retry may take over
+const LOCK_SECONDS = Number(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * JSON with object keys sorted, so the same body always fingerprints the same
+ * @param {*} value - Any JSON value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Idempotency keys for payment-creating requests, scoped per merchant
+ */
+class IdempotencyService {
+  /**
+   * Fingerprint of a request; a key may only be reused with the same one
+   * @param {Object} request - { method, path, livemode, body }
+   * @returns {string}
+   */
+  static fingerprint({ method, path, livemode, body }) {
+    return crypto
+      .createHash('sha256')
+      .update(canonicalJson({ method, path, livemode, body: body || {} }))
+      .digest('hex');
+  }
+
+  /**
+   * Claim a key for a request, or find the response to replay
+   * @param {Object} merchant - Merchant document
+   * @param {string} key - Idempotency-Key header value
+   * @param {Object} request - { method, path, livemode, body }
+   * @returns {Promise<Object>} - { record } when the request should run, or { replay: { status, body } }
+   * @throws {ApiError} - 422 when the key was used with a different request, 409 while the first request is still running
+   */
+  static async begin(merchant, key, request) {
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      throw ApiError.badRequest(`Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`);
+    }
+
+    const fingerprint = this.fingerprint(request);
+    const now = new Date();
+    const claim = {
+      method: request.method,
+      path: request.path,
+      fingerprint,
+      status: 'in_progress',
+      lockedUntil: new Date(now.getTime() + LOCK_SECONDS * 1000),
+      expiresAt: new Date(now.getTime() + TTL_HOURS * 60 * 60 * 1000)
+    };
+
+    try {
+      const record = await IdempotencyKey.create({ merchant: merchant._id, key, ...claim });
+      return { record };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    const existing = await IdempotencyKey.findOne({ merchant: merchant._id, key });
+
+    // Expired but not yet removed by the TTL index: treat the key as new
+    if (existing && existing.expiresAt <= now) {
+      const record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, expiresAt: { $lte: now } },
+        { $set: claim, $unset: { responseStatus: '', responseBody: '' } },
+        { new: true }
+      );
+      if (record) return { record };
+      return this.begin(merchant, key, request);
+    }
+    if (!existing) return this.begin(merchant, key, request);
+
+    if (existing.fingerprint !== fingerprint) {
+      throw ApiError.validation('Idempotency-Key was already used with a different request', {
+        code: 'IDEMPOTENCY_KEY_REUSED'
+      });
+    }
+
+    if (existing.status === 'completed') {
+      return { replay: { status: existing.responseStatus, body: existing.responseBody } };
+    }
+
+    // The first request is still running, unless its lock lapsed (the process died mid-request)
+    const record = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, status: 'in_progress', lockedUntil: { $lte: now } },
+      { $set: { lockedUntil: claim.lockedUntil } },
+      { new: true }
+    );
+    if (!record) {
+      throw ApiError.conflict('A request with this Idempotency-Key is still being processed; retry later', {
+        code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+      });
+    }
+    return { record };
+  }
+
+  /**
+   * Payment reference derived from a merchant's key, so a retry after a
+   * provider timeout reuses the reference and the provider refuses a second charge
+   * @param {string} merchantId - Merchant id
+   * @param {string} key - Idempotency-Key header value
+   * @returns {string}
+   */
+  static reference(merchantId, key) {
+    const digest = crypto.createHash('sha256').update(`${merchantId}:${key}`).digest('hex');
+    return `tx-${digest.slice(0, 32)}`;
+  }
+
+  /**
+   * Store the response so retries replay it
+   * @param {Object} record - Key claimed by `begin`
+   * @param {Object} response - { status, body }
+   */
+  static async complete(record, { status, body }) {
+    await IdempotencyKey.updateOne(
+      { _id: record._id },
+      {
+        $set: { status: 'completed', responseStatus: status, responseBody: body },
+        $unset: { lockedUntil: '' }
+      }
+    );
+  }
+
+  /**
+   * Give the key up so the request can be retried with it, after a server error
+   * @param {Object} record - Key claimed by `begin`
+   */
+  static async release(record) {
+    await IdempotencyKey.deleteOne({ _id: record._id, status: 'in_progress' });
+  }
+}
+
+IdempotencyService.TTL_HOURS = TTL_HOURS;
+IdempotencyService.LOCK_SECONDS = LOCK_SECONDS;
+
+module.exports = IdempotencyService;
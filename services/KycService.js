@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const KycDocument = require('../models/KycDocument');
+const Merchant = require('../models/Merchant');
+const User = require('../models/User');
+const ApiError = require('../lib/ApiError');
+const logger = require('../lib/logger');
+const { getStorage } = require('../lib/storage');
+const emailService = require('./sendEmail');
+const AuditService = require('./AuditService');
+const MerchantService = require('./MerchantService');
+const OnboardingService = require('./OnboardingService');
+
+const { AUDIT_ACTIONS } = AuditService;
+const { KYC_DOCUMENT_TYPES } = KycDocument;
+
+// Documents can only change while nothing is under review or approved
+const EDITABLE_STATUSES = ['pending', 'rejected'];
+
+const FILE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'application/pdf': '.pdf'
+};
+
+/**
+ * Merchant KYC: document uploads, submission for review and admin decisions.
+ * Settlement is held (see SettlementService) until a merchant is approved.
+ */
+class KycService {
+  /**
+   * Current KYC state and documents of a merchant
+   * @param {Object} merchant - Merchant document
+   * @returns {Promise<Object>} - { kycStatus, submittedAt, reviewedAt, rejectionReason, documents, missingDocuments }
+   */
+  static async getStatus(merchant) {
+    const documents = await this.#currentDocuments(merchant._id);
+    const uploaded = documents.map((document) => document.type);
+
+    return {
+      kycStatus: merchant.kycStatus,
+      submittedAt: merchant.kycSubmittedAt || null,
+      reviewedAt: merchant.kycReviewedAt || null,
+      rejectionReason: merchant.kycStatus === 'rejected' ? merchant.kycRejectionReason : null,
+      documents,
+      missingDocuments: KYC_DOCUMENT_TYPES.filter((type) => !uploaded.includes(type))
+    };
+  }
+
+  /**
+   * Store an uploaded document, replacing any current document of the same type
+   * @param {Object} merchant - Merchant document
+   * @param {Object} upload - { type, file } where file is a multer memory file
+   * @param {Object} options - { uploadedBy, actor, context }
+   * @returns {Promise<Object>} - Created KycDocument
+   */
+  static async uploadDocument(merchant, { type, file }, { uploadedBy, actor, context } = {}) {
+    if (!EDITABLE_STATUSES.includes(merchant.kycStatus)) {
+      throw ApiError.badRequest(`Documents cannot be changed while KYC is ${merchant.kycStatus}`);
+    }
+
+    const storage = getStorage();
+    const storageKey = `kyc/${merchant._id}/${crypto.randomUUID()}${FILE_EXTENSIONS[file.mimetype] || ''}`;
+    await storage.put(storageKey, file.buffer, { contentType: file.mimetype });
+
+    let document;
+    try {
+      document = await KycDocument.create({
+        merchant: merchant._id,
+        type,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        storageKey,
+        uploadedBy
+      });
+    } catch (error) {
+      await storage.remove(storageKey).catch(() => {});
+      throw error;
+    }
+
+    await KycDocument.updateMany(
+      { merchant: merchant._id, type, replacedAt: null, _id: { $ne: document._id } },
+      { $set: { replacedAt: new Date() } }
+    );
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.KYC_DOCUMENT_UPLOADED,
+      actor,
+      target: { type: 'merchant', id: merchant._id.toString() },
+      metadata: { documentId: document._id.toString(), type, mimeType: file.mimetype, size: file.size }
+    }, context);
+
+    return document;
+  }
+
+  /**
+   * Open a merchant's document (current or replaced) for download
+   * @param {Object} merchant - Merchant document
+   * @param {string} documentId - KycDocument id
+   * @returns {Promise<Object>} - { document, stream }
+   */
+  static async getDocumentFile(merchant, documentId) {
+    const document = await KycDocument.findOne({ _id: documentId, merchant: merchant._id }).select('+storageKey');
+    if (!document) {
+      throw ApiError.notFound('Document not found');
+    }
+
+    const stream = await getStorage().get(document.storageKey);
+    return { document, stream };
+  }
+
+  /**
+   * Submit the current documents for review. Every document type is required.
+   * @param {Object} merchant - Merchant document
+   * @param {Object} audit - { actor, context }
+   * @returns {Promise<Object>} - KYC status
+   */
+  static async submit(merchant, { actor, context } = {}) {
+    if (!EDITABLE_STATUSES.includes(merchant.kycStatus)) {
+      throw ApiError.badRequest(`KYC is already ${merchant.kycStatus}`);
+    }
+
+    const { missingDocuments } = await this.getStatus(merchant);
+    if (missingDocuments.length) {
+      throw ApiError.validation('Upload every required document before submitting', missingDocuments.map((type) => ({
+        field: 'type',
+        message: `Missing ${type} document`,
+        value: type
+      })));
+    }
+
+    const before = merchant.kycStatus;
+    merchant.kycStatus = 'submitted';
+    merchant.kycSubmittedAt = new Date();
+    await merchant.save();
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.KYC_SUBMITTED,
+      actor,
+      target: { type: 'merchant', id: merchant._id.toString() },
+      changes: { before: { kycStatus: before }, after: { kycStatus: 'submitted' } }
+    }, context);
+
+    await this.#notify(merchant, { status: 'submitted' });
+
+    return this.getStatus(merchant);
+  }
+
+  /**
+   * Merchants by KYC status for the review queue, oldest submission first
+   * @param {Object} filters - { status }
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} - { merchants, pagination }
+   */
+  static async listSubmissions({ status = 'submitted' } = {}, { page = 1, limit = 20 } = {}) {
+    const criteria = { kycStatus: status };
+
+    const [merchants, totalCount] = await Promise.all([
+      Merchant.find(criteria)
+        .select('businessName country owner kycStatus kycSubmittedAt kycReviewedAt kycRejectionReason createdAt')
+        .sort({ kycSubmittedAt: 1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Merchant.countDocuments(criteria)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      merchants,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Approve or reject a submitted merchant. Approval releases settlements
+   * that were held while KYC was outstanding.
+   * @param {string} merchantId - Merchant id
+   * @param {Object} decision - { decision: 'approve'|'reject', reason }
+   * @param {Object} options - { reviewedBy, actor, context }
+   * @returns {Promise<Object>} - Updated merchant
+   */
+  static async review(merchantId, { decision, reason }, { reviewedBy, actor, context } = {}) {
+    const status = decision === 'approve' ? 'approved' : 'rejected';
+    if (status === 'rejected' && !reason) {
+      throw ApiError.badRequest('A reason is required when rejecting KYC');
+    }
+
+    // Conditional update so two reviewers cannot both decide the same submission
+    const merchant = await Merchant.findOneAndUpdate(
+      { _id: merchantId, kycStatus: 'submitted' },
+      {
+        $set: {
+          kycStatus: status,
+          kycReviewedAt: new Date(),
+          kycReviewedBy: reviewedBy,
+          kycRejectionReason: status === 'rejected' ? reason : undefined
+        }
+      },
+      { new: true }
+    );
+
+    if (!merchant) {
+      const exists = await Merchant.exists({ _id: merchantId });
+      if (!exists) throw ApiError.notFound('Merchant not found');
+      throw ApiError.badRequest('KYC is not awaiting review');
+    }
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.KYC_DECISION,
+      actor,
+      target: { type: 'merchant', id: merchant._id.toString() },
+      changes: { before: { kycStatus: 'submitted' }, after: { kycStatus: status } },
+      metadata: { decision, reason }
+    }, context);
+
+    await this.#notify(merchant, { status, reason });
+    await OnboardingService.sync(merchant);
+
+    if (status === 'approved') {
+      MerchantService.settleOutstanding(merchant._id).catch((error) => {
+        logger.error('Releasing held settlements failed', { merchantId: merchant._id, error: error.message });
+      });
+    }
+
+    logger.info('KYC reviewed', { merchantId: merchant._id, status, reviewedBy });
+
+    return merchant;
+  }
+
+  static async #currentDocuments(merchantId) {
+    return KycDocument.find({ merchant: merchantId, replacedAt: null }).sort({ type: 1 });
+  }
+
+  static async #notify(merchant, { status, reason }) {
+    const owner = merchant.owner && await User.findById(merchant.owner).select('email').lean();
+    if (!owner) return;
+
+    await emailService.sendKycStatusEmail(owner.email, {
+      businessName: merchant.businessName,
+      status,
+      reason
+    });
+  }
+}
+
+KycService.KYC_DOCUMENT_TYPES = KYC_DOCUMENT_TYPES;
+
+module.exports = KycService;
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const Membership = require('../models/Membership');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const ApiError = require('../lib/ApiError');
+const logger = require('../lib/logger');
+const emailService = require('./sendEmail');
+const { MERCHANT_PERMISSIONS, hasMerchantPermission } = require('../lib/permissions');
+
+const INVITATION_EXPIRY_DAYS = parseInt(process.env.INVITATION_EXPIRY_DAYS, 10) || 7;
+
+// Roles only the owner (or a platform admin) may grant or manage
+const PRIVILEGED_ROLES = ['owner', 'admin'];
+
+/**
+ * SHA-256 digest of an invitation token
+ * @param {string} token - Raw token from the invitation link
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Whether the acting role may manage a member holding (or being given) `role`
+ * @param {string} actorRole - Caller's merchant role ('platform_admin' for admins)
+ * @param {string} role - Target role
+ * @returns {boolean}
+ */
+function canManageRole(actorRole, role) {
+  if (actorRole === 'platform_admin' || actorRole === 'owner') return true;
+  return hasMerchantPermission(actorRole, MERCHANT_PERMISSIONS.MEMBERS_MANAGE) && !PRIVILEGED_ROLES.includes(role);
+}
+
+/**
+ * Team membership and invitations for merchant businesses
+ */
+class MembershipService {
+  /**
+   * Make sure a business created before memberships existed has an owner row
+   * @param {Object} merchant - Merchant document
+   */
+  static async ensureOwnerMembership(merchant) {
+    if (!merchant.owner) return;
+
+    await Membership.updateOne(
+      { merchant: merchant._id, user: merchant.owner },
+      { $setOnInsert: { role: 'owner' } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * List a merchant's members with basic user details
+   */
+  static async listMembers(merchant) {
+    await this.ensureOwnerMembership(merchant);
+
+    return Membership.find({ merchant: merchant._id })
+      .populate('user', 'email businessName')
+      .sort({ createdAt: 1 });
+  }
+
+  /**
+   * Invite someone by email. Re-inviting the same email replaces the pending invitation.
+   * @returns {Promise<{ invitation: Object, emailSent: boolean }>}
+   */
+  static async invite(merchant, { email, role }, { actorRole, invitedBy, inviterName } = {}) {
+    if (role === 'owner') {
+      throw ApiError.badRequest('Use ownership transfer to make someone the owner');
+    }
+    if (!canManageRole(actorRole, role)) {
+      throw ApiError.forbidden(`Only the owner can invite members with the ${role} role`);
+    }
+
+    const existingUser = await User.findByEmail(email);
+    if (existingUser && await Membership.exists({ merchant: merchant._id, user: existingUser._id })) {
+      throw ApiError.conflict('This user is already a member of the business');
+    }
+
+    await Invitation.updateMany(
+      { merchant: merchant._id, email, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const invitation = await Invitation.create({
+      merchant: merchant._id,
+      email,
+      role,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
+      invitedBy
+    });
+
+    const baseUrl = process.env.DASHBOARD_URL || process.env.FRONTEND_URL || 'http://localhost:3001';
+    const delivery = await emailService.sendTeamInvitationEmail(email, {
+      businessName: merchant.businessName,
+      role,
+      inviterName,
+      acceptUrl: `${baseUrl}/invitations/accept?token=${token}`,
+      expiresAt: invitation.expiresAt
+    });
+
+    logger.info('Team invitation created', { merchantId: merchant._id, email, role, invitedBy, emailSent: delivery.success });
+
+    return { invitation, emailSent: delivery.success };
+  }
+
+  /**
+   * List a merchant's invitations (pending only unless `all`)
+   */
+  static async listInvitations(merchant, { all = false } = {}) {
+    const filter = { merchant: merchant._id };
+    if (!all) {
+      Object.assign(filter, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } });
+    }
+
+    return Invitation.find(filter).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke a pending invitation
+   */
+  static async revokeInvitation(merchant, invitationId, { actorRole } = {}) {
+    const invitation = await Invitation.findOne({ _id: invitationId, merchant: merchant._id });
+    if (!invitation) throw ApiError.notFound('Invitation not found');
+    if (invitation.status !== 'pending') {
+      throw ApiError.badRequest(`Invitation is already ${invitation.status}`);
+    }
+    if (!canManageRole(actorRole, invitation.role)) {
+      throw ApiError.forbidden(`Only the owner can revoke ${invitation.role} invitations`);
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    return invitation;
+  }
+
+  /**
+   * Accept an invitation as the signed-in user. The account email must match the invited email.
+   * @returns {Promise<Object>} - New membership
+   */
+  static async acceptInvitation(token, userId) {
+    const invitation = await Invitation.findOne({ tokenHash: hashToken(token) });
+    if (!invitation || invitation.status !== 'pending') {
+      throw ApiError.badRequest('Invitation is invalid or has expired');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) throw ApiError.unauthorized('User no longer exists');
+    if (user.email !== invitation.email) {
+      throw ApiError.forbidden('This invitation was sent to a different email address');
+    }
+
+    if (await Membership.exists({ merchant: invitation.merchant, user: user._id })) {
+      throw ApiError.conflict('You are already a member of this business');
+    }
+
+    // Claim the invitation atomically so a token can only be used once
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, acceptedAt: null, revokedAt: null },
+      { $set: { acceptedAt: new Date(), acceptedBy: user._id } },
+      { new: true }
+    );
+    if (!claimed) throw ApiError.badRequest('Invitation is invalid or has expired');
+
+    const membership = await Membership.create({
+      merchant: invitation.merchant,
+      user: user._id,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy
+    });
+
+    logger.info('Team invitation accepted', { merchantId: invitation.merchant, userId: user._id, role: invitation.role });
+
+    return membership;
+  }
+
+  /**
+   * Change a member's role. Ownership can only move via `transferOwnership`.
+   */
+  static async changeRole(merchant, targetUserId, role, { actorRole, actorUserId } = {}) {
+    if (role === 'owner') {
+      throw ApiError.badRequest('Use ownership transfer to make someone the owner');
+    }
+    if (targetUserId === actorUserId) {
+      throw ApiError.badRequest('You cannot change your own role');
+    }
+
+    const membership = await Membership.findOne({ merchant: merchant._id, user: targetUserId });
+    if (!membership) throw ApiError.notFound('Member not found');
+    if (membership.role === 'owner') {
+      throw ApiError.badRequest('The owner\'s role can only change through ownership transfer');
+    }
+    if (!canManageRole(actorRole, membership.role) || !canManageRole(actorRole, role)) {
+      throw ApiError.forbidden('Only the owner can manage admins');
+    }
+
+    const previousRole = membership.role;
+    membership.role = role;
+    await membership.save();
+
+    logger.info('Team member role changed', { merchantId: merchant._id, userId: targetUserId, from: previousRole, to: role, changedBy: actorUserId });
+
+    return membership;
+  }
+
+  /**
+   * Remove a member. Any member may remove themselves (leave), except the owner.
+   */
+  static async removeMember(merchant, targetUserId, { actorRole, actorUserId } = {}) {
+    const membership = await Membership.findOne({ merchant: merchant._id, user: targetUserId });
+    if (!membership) throw ApiError.notFound('Member not found');
+    if (membership.role === 'owner') {
+      throw ApiError.badRequest('Transfer ownership before removing the owner');
+    }
+
+    const leaving = targetUserId === actorUserId;
+    if (!leaving && !canManageRole(actorRole, membership.role)) {
+      throw ApiError.forbidden('You cannot remove this member');
+    }
+
+    await membership.deleteOne();
+
+    logger.info('Team member removed', { merchantId: merchant._id, userId: targetUserId, removedBy: actorUserId, leaving });
+  }
+
+  /**
+   * Make another existing member the owner. The previous owner becomes an admin.
+   */
+  static async transferOwnership(merchant, targetUserId, { actorUserId } = {}) {
+    await this.ensureOwnerMembership(merchant);
+
+    const target = await Membership.findOne({ merchant: merchant._id, user: targetUserId });
+    if (!target) throw ApiError.badRequest('The new owner must already be a member of the business');
+    if (target.role === 'owner') throw ApiError.badRequest('This member is already the owner');
+
+    const previousOwner = await Membership.findOne({ merchant: merchant._id, role: 'owner' });
+
+    // Promote first so the business is never left without an owner
+    target.role = 'owner';
+    await target.save();
+
+    merchant.owner = target.user;
+    await merchant.save();
+
+    if (previousOwner) {
+      previousOwner.role = 'admin';
+      await previousOwner.save();
+    }
+
+    logger.info('Merchant ownership transferred', {
+      merchantId: merchant._id,
+      from: previousOwner?.user,
+      to: target.user,
+      transferredBy: actorUserId
+    });
+
+    return { owner: target, previousOwner };
+  }
+}
+
+module.exports = MembershipService;
@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const Merchant = require('../models/Merchant');
+const Transaction = require('../models/Transaction');
+const ApiError = require('../lib/ApiError');
+
+// Transactions that count towards a merchant's volume
+const VOLUME_STATUSES = Transaction.RECEIVED_STATUSES;
+
+const EXPORT_BATCH_SIZE = 500;
+
+const CSV_COLUMNS = [
+  ['id', (m) => m._id],
+  ['businessName', (m) => m.businessName],
+  ['walletAddress', (m) => m.walletAddress],
+  ['parentMerchantId', (m) => m.parentMerchant],
+  ['country', (m) => m.country],
+  ['status', (m) => m.status],
+  ['kycStatus', (m) => m.kycStatus],
+  ['payoutMethod', (m) => m.payoutPreferences?.method],
+  ['payoutCurrency', (m) => m.payoutPreferences?.currency],
+  ['createdAt', (m) => m.createdAt?.toISOString()],
+  ['transactionCount', (m) => m.stats.transactionCount],
+  ['lastTransactionAt', (m) => m.stats.lastTransactionAt?.toISOString()],
+  ['lifetimeVolume', (m) => m.stats.volume.map(({ currency, amount }) => `${currency} ${amount}`).join('; ')]
+];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const STREAM_CLOSED = 'Export stream closed before the export finished';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Quote a CSV field. Cells starting with a formula character are prefixed
+ * so spreadsheets do not evaluate merchant-supplied text.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvRow = (cells) => `${cells.map(csvCell).join(',')}\r\n`;
+
+/**
+ * Wait until the stream takes writes again. Rejects when it closes or errors
+ * first (the client went away), so an abandoned export stops instead of
+ * waiting for a `drain` that never comes.
+ * @param {Writable} out - Stream written to
+ * @returns {Promise<void>}
+ */
+function drained(out) {
+  return new Promise((resolve, reject) => {
+    if (out.destroyed) {
+      reject(new Error(STREAM_CLOSED));
+      return;
+    }
+
+    const settle = (fn) => (value) => {
+      out.off('drain', onDrain);
+      out.off('close', onClose);
+      out.off('error', onError);
+      fn(value);
+    };
+    const onDrain = settle(resolve);
+    const onClose = settle(() => reject(new Error(STREAM_CLOSED)));
+    const onError = settle(reject);
+
+    out.once('drain', onDrain);
+    out.once('close', onClose);
+    out.once('error', onError);
+  });
+}
+
+/**
+ * Opaque cursor for the last merchant on a page
+ * @param {Object} merchant - Merchant document
+ * @returns {string}
+ */
+function encodeCursor(merchant) {
+  return Buffer.from(JSON.stringify({ c: merchant.createdAt.toISOString(), i: merchant._id.toString() })).toString('base64url');
+}
+
+/**
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object} - { createdAt, id }
+ * @throws {ApiError} - 400 when the cursor was not issued by this service
+ */
+function decodeCursor(cursor) {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const createdAt = new Date(c);
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(i)) throw new Error('Malformed cursor');
+    return { createdAt, id: new mongoose.Types.ObjectId(i) };
+  } catch (error) {
+    throw ApiError.badRequest('Invalid cursor');
+  }
+}
+
+/**
+ * Merchant query for directory filters. A date-only `createdTo`
+ * (YYYY-MM-DD) includes that whole day: it matches anything before the
+ * start of the following day (UTC).
+ * @param {Object} filters - { search, kycStatus, country, payoutMethod, createdFrom, createdTo }
+ * @returns {Object}
+ */
+function buildFilter({ search, kycStatus, country, payoutMethod, createdFrom, createdTo } = {}) {
+  const filter = {};
+
+  if (kycStatus) filter.kycStatus = kycStatus;
+  if (country) filter.country = new RegExp(`^${escapeRegex(country.trim())}$`, 'i');
+  if (payoutMethod) filter['payoutPreferences.method'] = payoutMethod;
+  if (createdFrom || createdTo) {
+    filter.createdAt = {};
+    if (createdFrom) filter.createdAt.$gte = new Date(createdFrom);
+    if (createdTo && DATE_ONLY.test(createdTo)) {
+      const nextDay = new Date(createdTo);
+      nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+      filter.createdAt.$lt = nextDay;
+    } else if (createdTo) {
+      filter.createdAt.$lte = new Date(createdTo);
+    }
+  }
+  if (search && search.trim()) {
+    const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+    filter.$or = [{ businessName: pattern }, { walletAddress: pattern }];
+  }
+
+  return filter;
+}
+
+/**
+ * Admin view of all merchants: filtered, searchable and cursor-paginated,
+ * with transaction aggregates per merchant
+ */
+class MerchantDirectoryService {
+  /**
+   * One page of merchants, newest first
+   * @param {Object} filters - { search, kycStatus, country, payoutMethod, createdFrom, createdTo }
+   * @param {Object} options - { cursor, limit }
+   * @returns {Promise<Object>} - { merchants, pagination: { limit, nextCursor, hasNextPage } }
+   */
+  static async list(filters = {}, { cursor, limit = 20 } = {}) {
+    let filter = buildFilter(filters);
+
+    if (cursor) {
+      const { createdAt, id } = decodeCursor(cursor);
+      filter = {
+        $and: [filter, { $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: id } }] }]
+      };
+    }
+
+    const merchants = await Merchant.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasNextPage = merchants.length > limit;
+    const page = merchants.slice(0, limit);
+    const stats = await this.statsFor(page.map((merchant) => merchant._id));
+
+    return {
+      merchants: page.map((merchant) => ({ ...merchant.toJSON(), stats: stats.get(merchant._id.toString()) })),
+      pagination: {
+        limit,
+        nextCursor: hasNextPage ? encodeCursor(page[page.length - 1]) : null,
+        hasNextPage
+      }
+    };
+  }
+
+  /**
+   * Transaction aggregates for a set of merchants. Volume is per currency;
+   * the last transaction date covers transactions in any status.
+   * @param {Array<ObjectId>} merchantIds - Merchant ids
+   * @returns {Promise<Map>} - merchant id => { volume: [{ currency, amount, count }], transactionCount, lastTransactionAt }
+   */
+  static async statsFor(merchantIds) {
+    const rows = merchantIds.length
+      ? await Transaction.aggregate([
+        { $match: { merchantId: { $in: merchantIds } } },
+        {
+          $group: {
+            _id: { merchant: '$merchantId', currency: '$currency' },
+            amount: { $sum: { $cond: [{ $in: ['$status', VOLUME_STATUSES] }, '$amount', 0] } },
+            count: { $sum: { $cond: [{ $in: ['$status', VOLUME_STATUSES] }, 1, 0] } },
+            lastTransactionAt: { $max: '$createdAt' }
+          }
+        }
+      ])
+      : [];
+
+    const stats = new Map(merchantIds.map((id) => [
+      id.toString(),
+      { volume: [], transactionCount: 0, lastTransactionAt: null }
+    ]));
+
+    for (const row of rows) {
+      const entry = stats.get(row._id.merchant.toString());
+      if (row.count) {
+        entry.volume.push({ currency: row._id.currency, amount: row.amount, count: row.count });
+        entry.transactionCount += row.count;
+      }
+      if (!entry.lastTransactionAt || row.lastTransactionAt > entry.lastTransactionAt) {
+        entry.lastTransactionAt = row.lastTransactionAt;
+      }
+    }
+    for (const entry of stats.values()) {
+      entry.volume.sort((a, b) => a.currency.localeCompare(b.currency));
+    }
+
+    return stats;
+  }
+
+  /**
+   * Write every merchant matching the filters as CSV, in batches so large
+   * directories are never held in memory. The database cursor is closed
+   * however the export ends.
+   * @param {Object} filters - Same filters as list()
+   * @param {Writable} out - Stream to write to (the response)
+   * @returns {Promise<number>} - Rows written
+   * @throws {Error} - When `out` closes or errors before the export finishes
+   */
+  static async exportCsv(filters, out) {
+    const cursor = Merchant.find(buildFilter(filters))
+      .sort({ createdAt: -1, _id: -1 })
+      .lean()
+      .cursor({ batchSize: EXPORT_BATCH_SIZE });
+
+    let rows = 0;
+    let batch = [];
+
+    const flush = async () => {
+      const stats = await this.statsFor(batch.map((merchant) => merchant._id));
+      const chunk = batch
+        .map((merchant) => csvRow(CSV_COLUMNS.map(([, value]) => value({ ...merchant, stats: stats.get(merchant._id.toString()) }))))
+        .join('');
+      rows += batch.length;
+      batch = [];
+      if (!out.write(chunk)) await drained(out);
+    };
+
+    try {
+      out.write(csvRow(CSV_COLUMNS.map(([header]) => header)));
+      for await (const merchant of cursor) {
+        batch.push(merchant);
+        if (batch.length === EXPORT_BATCH_SIZE) await flush();
+      }
+      if (batch.length) await flush();
+    } finally {
+      await cursor.close();
+    }
+
+    return rows;
+  }
+}
+
+MerchantDirectoryService.VOLUME_STATUSES = VOLUME_STATUSES;
+
+module.exports = MerchantDirectoryService;
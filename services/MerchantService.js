@@ -0,0 +1,408 @@
+const crypto = require('crypto');
+const Merchant = require('../models/Merchant');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const ApiError = require('../lib/ApiError');
+const logger = require('../lib/logger');
+const emailService = require('./sendEmail');
+const SettlementService = require('./SettlementService');
+const AuditService = require('./AuditService');
+
+const { AUDIT_ACTIONS } = AuditService;
+
+const PAYOUT_CHANGE_COOLING_OFF_HOURS = parseInt(process.env.PAYOUT_CHANGE_COOLING_OFF_HOURS, 10) || 48;
+const PAYOUT_CHANGE_CONFIRMATION_HOURS = 24;
+
+const FIAT_PAYOUT_CURRENCIES = ['NGN', 'USD', 'EUR'];
+const CRYPTO_PAYOUT_CURRENCIES = ['USDT', 'BTC', 'ETH'];
+
+const PENDING_CHANGE_SECRET = '+pendingPayoutChange.tokenHash';
+
+/**
+ * Unsettled transactions a merchant is owed: its own payments, and payments
+ * split to it by a parent merchant
+ * @param {string} merchantId - Merchant id
+ * @returns {Object}
+ */
+const outstandingFilter = (merchantId) => ({
+  $or: [{ merchantId }, { 'splits.merchant': merchantId }],
+  status: { $in: Transaction.UNSETTLED_STATUSES }
+});
+
+/**
+ * SHA-256 digest of a payout change confirmation token
+ * @param {string} token - Raw token from the confirmation link
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Check that the payout method, currency and account fields fit together
+ * @param {Object} preferences - { method, currency, accountDetails }
+ * @throws {ApiError} - 422 listing every problem
+ */
+function validatePayoutPreferences({ method, currency, accountDetails = {} }) {
+  const errors = [];
+
+  if (method === 'crypto') {
+    if (!CRYPTO_PAYOUT_CURRENCIES.includes(currency)) {
+      errors.push({ field: 'currency', message: `Crypto payouts must use one of: ${CRYPTO_PAYOUT_CURRENCIES.join(', ')}` });
+    }
+  } else {
+    if (!FIAT_PAYOUT_CURRENCIES.includes(currency)) {
+      errors.push({ field: 'currency', message: `Fiat payouts must use one of: ${FIAT_PAYOUT_CURRENCIES.join(', ')}` });
+    }
+    if (!accountDetails.accountNumber) {
+      errors.push({ field: 'accountDetails.accountNumber', message: 'Account number is required for fiat payouts' });
+    }
+    if (!accountDetails.accountName) {
+      errors.push({ field: 'accountDetails.accountName', message: 'Account name is required for fiat payouts' });
+    }
+    if (!accountDetails.bankCode && !accountDetails.routingNumber) {
+      errors.push({ field: 'accountDetails.bankCode', message: 'Bank code (or routing number) is required for fiat payouts' });
+    }
+  }
+
+  if (errors.length) {
+    throw ApiError.validation('Invalid payout preferences', errors);
+  }
+}
+
+/**
+ * Human-readable, masked description of a payout destination for emails
+ * @param {Object} preferences - { method, accountDetails }
+ * @returns {string}
+ */
+function describeAccount({ method, accountDetails = {} }) {
+  if (method === 'crypto') return 'Business wallet address';
+
+  const last4 = String(accountDetails.accountNumber || '').slice(-4);
+  const bank = accountDetails.bankName || accountDetails.bankCode || accountDetails.routingNumber;
+  return `${accountDetails.accountName} · ${bank} · ****${last4}`;
+}
+
+/**
+ * Merchant profile, payout details and account lifecycle
+ */
+class MerchantService {
+  /**
+   * Update profile fields (business name, country, payment intent lifetime)
+   * @param {Object} merchant - Merchant document
+   * @param {Object} changes - { businessName, country, paymentIntentExpiryMinutes }; a null expiry restores the platform default
+   * @param {Object} audit - { actor, context }
+   * @returns {Promise<Object>} - Updated merchant
+   */
+  static async updateProfile(merchant, { businessName, country, paymentIntentExpiryMinutes }, { actor, context } = {}) {
+    const snapshot = () => ({
+      businessName: merchant.businessName,
+      country: merchant.country,
+      paymentIntentExpiryMinutes: merchant.paymentIntentExpiryMinutes
+    });
+    const before = snapshot();
+
+    if (businessName !== undefined && businessName !== merchant.businessName) {
+      const taken = await Merchant.exists({ businessName, _id: { $ne: merchant._id } });
+      if (taken) throw ApiError.conflict('Business name already exists');
+      merchant.businessName = businessName;
+    }
+    if (country !== undefined) merchant.country = country;
+    if (paymentIntentExpiryMinutes !== undefined) {
+      merchant.paymentIntentExpiryMinutes = paymentIntentExpiryMinutes ?? undefined;
+    }
+
+    await merchant.save();
+
+    const changes = AuditService.diff(before, snapshot());
+    if (Object.keys(changes.after).length) {
+      await AuditService.record({
+        action: AUDIT_ACTIONS.MERCHANT_PROFILE_UPDATED,
+        actor,
+        target: { type: 'merchant', id: merchant._id.toString() },
+        changes
+      }, context);
+    }
+
+    return merchant;
+  }
+
+  /**
+   * Stage a payout-detail change and email a confirmation link to the requester.
+   * Settlement keeps using the current details until the change is confirmed
+   * and its cooling-off period has passed. A new request replaces any pending one.
+   * @param {Object} merchant - Merchant document
+   * @param {Object} changes - { currency, method, accountDetails }
+   * @param {Object} options - { requester: { id, email }, actor, context }
+   * @returns {Promise<Object>} - { pendingPayoutChange, emailSent }
+   */
+  static async requestPayoutChange(merchant, { currency, method, accountDetails }, { requester, actor, context } = {}) {
+    if (merchant.status === 'closed') {
+      throw ApiError.forbidden('Merchant account is closed');
+    }
+
+    const current = merchant.toObject().payoutPreferences || {};
+    const nextMethod = method || current.method;
+    const proposed = {
+      method: nextMethod,
+      currency: currency || current.currency,
+      // Switching method without new account details must not reuse the old account
+      accountDetails: accountDetails || (nextMethod === current.method ? current.accountDetails : undefined)
+    };
+    if (proposed.method === 'crypto') proposed.accountDetails = undefined;
+    // Transfers need a bank code; a routing number on its own is used as one
+    if (proposed.accountDetails?.routingNumber && !proposed.accountDetails.bankCode) {
+      proposed.accountDetails = { ...proposed.accountDetails, bankCode: proposed.accountDetails.routingNumber };
+    }
+
+    validatePayoutPreferences(proposed);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const requestedAt = new Date();
+
+    merchant.pendingPayoutChange = {
+      payoutPreferences: proposed,
+      tokenHash: hashToken(token),
+      requestedBy: requester.id,
+      requestedAt,
+      confirmationExpiresAt: new Date(requestedAt.getTime() + PAYOUT_CHANGE_CONFIRMATION_HOURS * 60 * 60 * 1000)
+    };
+    await merchant.save();
+
+    const baseUrl = process.env.DASHBOARD_URL || process.env.FRONTEND_URL || 'http://localhost:3001';
+    const delivery = await emailService.sendPayoutChangeConfirmationEmail(requester.email, {
+      businessName: merchant.businessName,
+      method: proposed.method,
+      currency: proposed.currency,
+      accountSummary: describeAccount(proposed),
+      confirmUrl: `${baseUrl}/merchants/${merchant._id}/payout-change/confirm?token=${token}`,
+      expiresAt: merchant.pendingPayoutChange.confirmationExpiresAt,
+      coolingOffHours: PAYOUT_CHANGE_COOLING_OFF_HOURS
+    });
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.PAYOUT_DETAILS_CHANGE_REQUESTED,
+      actor,
+      target: { type: 'merchant', id: merchant._id.toString() },
+      changes: AuditService.diff(current, proposed),
+      metadata: { emailSent: delivery.success }
+    }, context);
+
+    logger.info('Payout change requested', { merchantId: merchant._id, requestedBy: requester.id, emailSent: delivery.success });
+
+    return { pendingPayoutChange: merchant.toJSON().pendingPayoutChange, emailSent: delivery.success };
+  }
+
+  /**
+   * Confirm a pending payout-detail change with the emailed token and start its cooling-off period
+   * @param {Object} merchant - Merchant document
+   * @param {string} token - Raw token from the confirmation email
+   * @param {Object} audit - { actor, context }
+   * @returns {Promise<Object>} - Pending change with `effectiveAt`
+   */
+  static async confirmPayoutChange(merchant, token, { actor, context } = {}) {
+    const withSecret = await Merchant.findById(merchant._id).select(PENDING_CHANGE_SECRET);
+    const pending = withSecret?.pendingPayoutChange;
+
+    if (!pending?.tokenHash || pending.confirmedAt) {
+      throw ApiError.badRequest('No payout change is awaiting confirmation');
+    }
+
+    const presented = Buffer.from(hashToken(token), 'hex');
+    const stored = Buffer.from(pending.tokenHash, 'hex');
+    if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+      throw ApiError.badRequest('Invalid or expired confirmation token');
+    }
+    if (pending.confirmationExpiresAt < new Date()) {
+      throw ApiError.badRequest('Invalid or expired confirmation token');
+    }
+
+    const confirmedAt = new Date();
+    pending.confirmedAt = confirmedAt;
+    pending.effectiveAt = new Date(confirmedAt.getTime() + PAYOUT_CHANGE_COOLING_OFF_HOURS * 60 * 60 * 1000);
+    pending.tokenHash = undefined;
+    await withSecret.save();
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.PAYOUT_DETAILS_CHANGE_CONFIRMED,
+      actor,
+      target: { type: 'merchant', id: merchant._id.toString() },
+      metadata: { effectiveAt: pending.effectiveAt }
+    }, context);
+
+    return withSecret.toJSON().pendingPayoutChange;
+  }
+
+  /**
+   * Discard a pending payout-detail change (confirmed or not) before it takes effect
+   * @param {Object} merchant - Merchant document
+   * @param {Object} audit - { actor, context }
+   */
+  static async cancelPayoutChange(merchant, { actor, context } = {}) {
+    if (!merchant.pendingPayoutChange) {
+      throw ApiError.notFound('No pending payout change');
+    }
+
+    const cancelled = merchant.toJSON().pendingPayoutChange;
+    merchant.pendingPayoutChange = undefined;
+    await merchant.save();
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.PAYOUT_DETAILS_CHANGE_CANCELLED,
+      actor,
+      target: { type: 'merchant', id: merchant._id.toString() },
+      metadata: { cancelled }
+    }, context);
+  }
+
+  /**
+   * Close a merchant account at the owner's request: new payment intents are
+   * refused and every paid-but-unsettled transaction is settled in the background.
+   * Accounts under a risk hold can only be closed by a platform admin.
+   * @param {Object} merchant - Merchant document
+   * @param {Object} options - { reason, deactivatedBy, actor, context }
+   * @returns {Promise<Object>} - { merchant, pendingSettlements }
+   */
+  static async deactivate(merchant, { reason, deactivatedBy, actor, context } = {}) {
+    if (merchant.status === 'closed') {
+      throw ApiError.badRequest('Merchant account is already closed');
+    }
+    if (merchant.status !== 'active') {
+      throw ApiError.forbidden(`Merchant account is ${merchant.status}; contact support to close it`);
+    }
+
+    this.#applyStatus(merchant, 'closed', { reason, changedBy: deactivatedBy });
+    await merchant.save();
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.MERCHANT_DEACTIVATED,
+      actor,
+      target: { type: 'merchant', id: merchant._id.toString() },
+      changes: { before: { status: 'active' }, after: { status: 'closed' } },
+      metadata: { reason }
+    }, context);
+
+    const pendingSettlements = await this.#settleOutstandingInBackground(merchant._id);
+
+    logger.info('Merchant deactivated', { merchantId: merchant._id, deactivatedBy, pendingSettlements });
+
+    return { merchant, pendingSettlements };
+  }
+
+  /**
+   * Change a merchant's status (platform admins). Restricted and suspended
+   * merchants have their settlements held; moving to active or closed
+   * releases them. The owner is emailed the change.
+   * @param {Object} merchant - Merchant document
+   * @param {Object} change - { status, reason }
+   * @param {Object} options - { changedBy, actor, context }
+   * @returns {Promise<Object>} - { merchant, pendingSettlements }
+   */
+  static async changeStatus(merchant, { status, reason }, { changedBy, actor, context } = {}) {
+    const previous = merchant.status;
+    if (status === previous) {
+      throw ApiError.badRequest(`Merchant account is already ${status}`);
+    }
+    if (status !== 'active' && !reason) {
+      throw ApiError.badRequest('A reason is required');
+    }
+
+    this.#applyStatus(merchant, status, { reason, changedBy });
+    await merchant.save();
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.MERCHANT_STATUS_CHANGED,
+      actor,
+      target: { type: 'merchant', id: merchant._id.toString() },
+      changes: { before: { status: previous }, after: { status } },
+      metadata: { reason }
+    }, context);
+
+    await this.#notifyStatusChange(merchant, { status, reason });
+
+    let pendingSettlements = 0;
+    if (!Merchant.SETTLEMENT_HOLD_STATUSES.includes(status)) {
+      pendingSettlements = await this.#settleOutstandingInBackground(merchant._id);
+    }
+
+    logger.info('Merchant status changed', { merchantId: merchant._id, from: previous, to: status, changedBy });
+
+    return { merchant, pendingSettlements };
+  }
+
+  /**
+   * Settle every paid-but-unsettled transaction of a merchant, one at a time.
+   * Used for the final settlement on closing and to release settlements held
+   * while KYC was outstanding or the merchant was restricted or suspended.
+   * Includes other merchants' payments split to this one.
+   * @param {string} merchantId - Merchant id
+   * @returns {Promise<Object>} - { settled, held, failed }
+   */
+  static async settleOutstanding(merchantId) {
+    const transactions = await Transaction.find(outstandingFilter(merchantId)).select('_id reference');
+
+    const summary = { settled: 0, held: 0, failed: 0 };
+
+    for (const transaction of transactions) {
+      try {
+        const result = await SettlementService.process(transaction._id);
+        if (result?.status === 'ON_HOLD') summary.held += 1;
+        else summary.settled += 1;
+      } catch (error) {
+        summary.failed += 1;
+        logger.error('Settlement failed for transaction', {
+          merchantId,
+          transactionId: transaction._id,
+          reference: transaction.reference,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Outstanding settlements processed', { merchantId, ...summary });
+    return summary;
+  }
+
+  static #applyStatus(merchant, status, { reason, changedBy }) {
+    merchant.status = status;
+    merchant.statusReason = reason || undefined;
+    merchant.statusChangedAt = new Date();
+    merchant.statusChangedBy = changedBy;
+  }
+
+  /**
+   * Start settling outstanding transactions without waiting for them
+   * @param {string} merchantId - Merchant id
+   * @returns {Promise<number>} - Transactions queued
+   */
+  static async #settleOutstandingInBackground(merchantId) {
+    const pendingSettlements = await Transaction.countDocuments(outstandingFilter(merchantId));
+
+    if (pendingSettlements) {
+      this.settleOutstanding(merchantId).catch((error) => {
+        logger.error('Outstanding settlement failed to run', { merchantId, error: error.message });
+      });
+    }
+
+    return pendingSettlements;
+  }
+
+  static async #notifyStatusChange(merchant, { status, reason }) {
+    let ownerId = merchant.owner;
+    if (!ownerId && merchant.parentMerchant) {
+      ownerId = (await Merchant.findById(merchant.parentMerchant).select('owner').lean())?.owner;
+    }
+    const owner = ownerId && await User.findById(ownerId).select('email').lean();
+    if (!owner) return;
+
+    await emailService.sendMerchantStatusEmail(owner.email, {
+      businessName: merchant.businessName,
+      status,
+      reason
+    });
+  }
+}
+
+MerchantService.PAYOUT_CHANGE_COOLING_OFF_HOURS = PAYOUT_CHANGE_COOLING_OFF_HOURS;
+
+module.exports = MerchantService;
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Migration = require('../models/Migration');
+const { MigrationLock } = require('../models/Migration');
+const logger = require('../lib/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const LOCK_ID = 'migrations';
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const FILE_PATTERN = /^(\d{3,})-[\w-]+\.js$/;
+
+/**
+ * Applies and rolls back the versioned data migrations in `migrations/`.
+ * Each script exports `{ name, up(db), down(db) }` where `db` is the native
+ * driver database, so scripts keep working after the Mongoose schemas they
+ * migrate away from are gone. Applied versions are recorded in the
+ * `migrations` collection and every run holds a single lock document.
+ */
+class MigrationService {
+  /**
+   * Read the migration scripts on disk, ordered by version
+   * @returns {Array<Object>} - { version, name, file, checksum, up, down }
+   */
+  static load() {
+    if (!fs.existsSync(MIGRATIONS_DIR)) return [];
+
+    return fs.readdirSync(MIGRATIONS_DIR)
+      .filter((file) => FILE_PATTERN.test(file))
+      .sort()
+      .map((file) => {
+        const fullPath = path.join(MIGRATIONS_DIR, file);
+        const script = require(fullPath);
+
+        if (typeof script.up !== 'function' || typeof script.down !== 'function') {
+          throw new Error(`Migration ${file} must export up() and down()`);
+        }
+
+        return {
+          version: file.match(FILE_PATTERN)[1],
+          name: script.name || file.replace(/\.js$/, ''),
+          file,
+          checksum: crypto.createHash('sha256').update(fs.readFileSync(fullPath)).digest('hex'),
+          up: script.up,
+          down: script.down
+        };
+      });
+  }
+
+  /**
+   * Applied and pending migrations
+   * @returns {Promise<Array<Object>>} - { version, name, applied, appliedAt, modified }
+   */
+  static async status() {
+    const applied = await this.#appliedByVersion();
+
+    return this.load().map((migration) => {
+      const record = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: !!record,
+        appliedAt: record?.appliedAt || null,
+        modified: !!record?.checksum && record.checksum !== migration.checksum
+      };
+    });
+  }
+
+  /**
+   * Apply pending migrations in order
+   * @param {Object} options - { to: last version to apply }
+   * @returns {Promise<Array<string>>} - Versions applied
+   */
+  static async up({ to } = {}) {
+    return this.#withLock(async () => {
+      const applied = await this.#appliedByVersion();
+      const pending = this.load().filter((migration) =>
+        !applied.has(migration.version) && (!to || migration.version <= to)
+      );
+
+      const done = [];
+      for (const migration of pending) {
+        const startedAt = Date.now();
+        logger.info(`Applying migration ${migration.version} ${migration.name}`);
+
+        await migration.up(mongoose.connection.db);
+        await Migration.create({
+          version: migration.version,
+          name: migration.name,
+          checksum: migration.checksum,
+          durationMs: Date.now() - startedAt,
+          appliedBy: this.#runnerId()
+        });
+        done.push(migration.version);
+      }
+      return done;
+    });
+  }
+
+  /**
+   * Roll back the most recently applied migrations
+   * @param {Object} options - { steps: how many to roll back }
+   * @returns {Promise<Array<string>>} - Versions rolled back
+   */
+  static async down({ steps = 1 } = {}) {
+    return this.#withLock(async () => {
+      const scripts = new Map(this.load().map((migration) => [migration.version, migration]));
+      const applied = await Migration.find().sort({ version: -1 }).limit(steps);
+
+      const done = [];
+      for (const record of applied) {
+        const migration = scripts.get(record.version);
+        if (!migration) {
+          throw new Error(`Migration ${record.version} is applied but its script is missing`);
+        }
+
+        logger.info(`Rolling back migration ${migration.version} ${migration.name}`);
+        await migration.down(mongoose.connection.db);
+        await Migration.deleteOne({ _id: record._id });
+        done.push(record.version);
+      }
+      return done;
+    });
+  }
+
+  static async #appliedByVersion() {
+    const records = await Migration.find().lean();
+    return new Map(records.map((record) => [record.version, record]));
+  }
+
+  static async #withLock(fn) {
+    const owner = this.#runnerId();
+    const now = new Date();
+
+    try {
+      // Take the lock when it is free or abandoned; the upsert collides with a live lock
+      await MigrationLock.findOneAndUpdate(
+        { _id: LOCK_ID, expiresAt: { $lte: now } },
+        { $set: { lockedBy: owner, lockedAt: now, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) } },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const held = await MigrationLock.findById(LOCK_ID).lean();
+      throw new Error(`Migrations are locked by ${held?.lockedBy} until ${held?.expiresAt?.toISOString()}`);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await MigrationLock.deleteOne({ _id: LOCK_ID, lockedBy: owner });
+    }
+  }
+
+  static #runnerId() {
+    return `${os.hostname()}:${process.pid}`;
+  }
+}
+
+module.exports = MigrationService;
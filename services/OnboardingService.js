@@ -0,0 +1,164 @@
+const Merchant = require('../models/Merchant');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const PayoutDestination = require('../models/PayoutDestination');
+const Transaction = require('../models/Transaction');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const ApiError = require('../lib/ApiError');
+const logger = require('../lib/logger');
+
+/**
+ * Onboarding steps in dashboard order. Required steps gate live-mode
+ * payments and `User.profileComplete`; the rest are recommended.
+ */
+const ONBOARDING_STEPS = [
+  {
+    key: 'email_verified',
+    label: 'Verify your email address',
+    required: true,
+    check: async (merchant) => {
+      if (!merchant.owner) return false;
+      return !!(await User.exists({ _id: merchant.owner, verified: true }));
+    }
+  },
+  {
+    key: 'business_details',
+    label: 'Add your business details',
+    required: true,
+    check: async (merchant) => !!(merchant.businessName && merchant.country)
+  },
+  {
+    key: 'kyc_approved',
+    label: 'Get your business verified (KYC)',
+    required: true,
+    check: async (merchant) => merchant.kycStatus === 'approved'
+  },
+  {
+    key: 'payout_destination_verified',
+    label: 'Add a verified payout destination',
+    required: true,
+    check: async (merchant) => !!(await PayoutDestination.exists({
+      merchant: merchant._id,
+      'verification.status': { $in: ['verified', 'not_required'] }
+    }))
+  },
+  {
+    key: 'api_key_created',
+    label: 'Create an API key',
+    required: false,
+    check: async (merchant) => !!(await ApiKey.exists({ merchant: merchant._id }))
+  },
+  {
+    key: 'first_test_payment',
+    label: 'Make a test payment',
+    required: false,
+    // Creating a test intent is not enough: a test payment must have been received
+    check: async (merchant) => !!(await Transaction.exists({
+      merchantId: merchant._id,
+      'metadata.livemode': false,
+      status: { $in: Transaction.RECEIVED_STATUSES }
+    }))
+  },
+  {
+    key: 'first_webhook_endpoint',
+    label: 'Add a webhook endpoint',
+    required: false,
+    check: async (merchant) => !!(await WebhookEndpoint.exists({ merchant: merchant._id }))
+  }
+];
+
+/**
+ * Merchant onboarding checklist, worked out from the merchant's actual state
+ * rather than stored flags
+ */
+class OnboardingService {
+  /**
+   * Every onboarding step and whether it is done
+   * @param {Object} merchant - Merchant document
+   * @returns {Promise<Object>} - { steps, completedSteps, totalSteps, requiredComplete, complete }
+   */
+  static async checklist(merchant) {
+    const steps = await Promise.all(ONBOARDING_STEPS.map(async ({ key, label, required, check }) => ({
+      key,
+      label,
+      required,
+      complete: await check(merchant)
+    })));
+
+    const completedSteps = steps.filter((step) => step.complete).length;
+    return {
+      steps,
+      completedSteps,
+      totalSteps: steps.length,
+      requiredComplete: steps.every((step) => step.complete || !step.required),
+      complete: completedSteps === steps.length
+    };
+  }
+
+  /**
+   * Required steps the merchant has not completed
+   * @param {Object} merchant - Merchant document
+   * @returns {Promise<Array<string>>} - Step keys
+   */
+  static async missingRequiredSteps(merchant) {
+    const required = ONBOARDING_STEPS.filter((step) => step.required);
+    const results = await Promise.all(required.map((step) => step.check(merchant)));
+    return required.filter((step, index) => !results[index]).map((step) => step.key);
+  }
+
+  /**
+   * Refuse live-mode payments until the required steps are done
+   * @param {Object} merchant - Merchant document
+   * @throws {ApiError} - 403 listing the missing steps
+   */
+  static async assertLiveReady(merchant) {
+    const missingSteps = await this.missingRequiredSteps(merchant);
+    if (missingSteps.length) {
+      throw ApiError.forbidden('Complete onboarding before accepting live payments', {
+        code: 'ONBOARDING_INCOMPLETE',
+        missingSteps
+      });
+    }
+  }
+
+  /**
+   * Recompute `profileComplete` for a user: true once any business they own
+   * has completed every required step
+   * @param {string} userId - User id
+   * @returns {Promise<boolean>}
+   */
+  static async syncUser(userId) {
+    const merchants = await Merchant.find({ owner: userId });
+
+    let profileComplete = false;
+    for (const merchant of merchants) {
+      if (!(await this.missingRequiredSteps(merchant)).length) {
+        profileComplete = true;
+        break;
+      }
+    }
+
+    await User.updateOne({ _id: userId, profileComplete: { $ne: profileComplete } }, { $set: { profileComplete } });
+    return profileComplete;
+  }
+
+  /**
+   * Recompute `profileComplete` for a merchant's owner after one of its steps
+   * may have changed. Never throws: onboarding state is derived and a failed
+   * sync is corrected by the next one.
+   * @param {Object} merchant - Merchant document (or anything with `owner`)
+   */
+  static async sync(merchant) {
+    if (!merchant?.owner) return;
+
+    try {
+      await this.syncUser(merchant.owner);
+    } catch (error) {
+      logger.error('Onboarding sync failed', { merchantId: merchant._id, error: error.message });
+    }
+  }
+}
+
+OnboardingService.ONBOARDING_STEPS = ONBOARDING_STEPS.map(({ key, label, required }) => ({ key, label, required }));
+
+module.exports = OnboardingService;
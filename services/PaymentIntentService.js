@@ -1,12 +1,31 @@
 const PaymentIntent = require('../models/PaymentInent');
+const Merchant = require('../models/Merchant');
+const Transaction = require('../models/Transaction');
 const ApiError = require('../lib/ApiError');
+const events = require('../lib/events');
+const AuditService = require('./AuditService');
 const crypto = require('crypto');
 
+const { STATUSES, STATUS_TRANSITIONS, STATUS_SOURCES } = PaymentIntent;
+
+// Platform default lifetime of an unpaid intent, overridable per merchant and per intent
+const DEFAULT_EXPIRY_MINUTES = Number(process.env.PAYMENT_INTENT_EXPIRY_MINUTES) || 1440;
+
+// The checkout widget token is revoked when an intent enters one of these
+const CHECKOUT_CLOSED_STATUSES = ['CANCELED', 'EXPIRED'];
+
+// Who the sweeper job records as the actor of an expiry
+const EXPIRY_JOB_ACTOR = { type: 'system', id: 'payment-intent-expiry' };
+
 class PaymentIntentService {
   /**
    * Create a new payment intent
+   * @param {number} expiresInMinutes - Lifetime of the unpaid intent; defaults to PAYMENT_INTENT_EXPIRY_MINUTES
+   * @param {Object} actor - Who created it, recorded as the first status history entry
    */
-  static async createIntent({ merchantId, orderId, amount, sourceCurrency, targetCurrency }) {
+  static async createIntent({ merchantId, orderId, amount, sourceCurrency, targetCurrency, splits, livemode = true, expiresInMinutes, actor }) {
+    const resolvedSplits = await this.#resolveSplits(merchantId, amount, splits);
+
     const checkoutId = crypto.randomBytes(8).toString('hex');
     const widgetToken = crypto.randomBytes(16).toString('hex');
 
@@ -18,9 +37,13 @@ class PaymentIntentService {
       amount,
       sourceCurrency,
       targetCurrency,
+      splits: resolvedSplits,
       checkoutLink,
       widgetToken,
-      status: 'PENDING',
+      livemode,
+      expiresAt: new Date(Date.now() + (expiresInMinutes || DEFAULT_EXPIRY_MINUTES) * 60 * 1000),
+      status: 'REQUIRES_PAYMENT',
+      statusHistory: [{ to: 'REQUIRES_PAYMENT', source: 'api', actor }],
       metadata: {
         createdVia: 'API',
         reference: checkoutId,
@@ -40,22 +63,183 @@ class PaymentIntentService {
   }
 
   /**
-   * Update payment status
+   * Statuses an intent may move to from `status`
+   * @param {string} status - Current status
+   * @returns {Array<string>}
    */
-  static async updateStatus(intentId, newStatus) {
-    const validStatuses = ['PENDING', 'PAID', 'SETTLED', 'FAILED'];
-    if (!validStatuses.includes(newStatus)) {
-      throw ApiError.badRequest('Invalid payment status');
+  static allowedTransitions(status) {
+    return STATUS_TRANSITIONS[status] || [];
+  }
+
+  /**
+   * Move an intent to a new status if the state machine allows it, appending
+   * to its status history. The update is conditional on the status read, so
+   * two concurrent transitions cannot both apply.
+   * @param {string|Object} intentOrId - Payment intent document or id
+   * @param {string} to - New status
+   * @param {Object} options - { source, actor, reason }
+   * @returns {Promise<Object>} - Updated intent
+   * @throws {ApiError} - 409 ILLEGAL_STATUS_TRANSITION, or STATUS_CHANGED when another update won the race
+   */
+  static async transition(intentOrId, to, { source, actor, reason } = {}) {
+    if (!STATUSES.includes(to)) {
+      throw ApiError.badRequest(`Status must be one of: ${STATUSES.join(', ')}`);
+    }
+    if (!STATUS_SOURCES.includes(source)) {
+      throw ApiError.internal(`Unknown status change source: ${source}`);
     }
 
-    const intent = await PaymentIntent.findById(intentId);
-    if (!intent) throw ApiError.notFound('Payment intent not found');
+    const intent = typeof intentOrId === 'object' ? intentOrId : await this.getIntentById(intentOrId);
+    const from = intent.status;
+    const allowed = this.allowedTransitions(from);
+
+    if (!allowed.includes(to)) {
+      throw ApiError.conflict(`Payment intent cannot move from ${from} to ${to}`, {
+        code: 'ILLEGAL_STATUS_TRANSITION',
+        from,
+        to,
+        allowed
+      });
+    }
 
-    intent.status = newStatus;
-    await intent.save();
+    const update = {
+      $set: { status: to },
+      $push: { statusHistory: { from, to, source, actor, reason, at: new Date() } }
+    };
+    if (CHECKOUT_CLOSED_STATUSES.includes(to)) update.$unset = { widgetToken: '' };
 
-    return intent;
+    const updated = await PaymentIntent.findOneAndUpdate(
+      { _id: intent._id, status: from },
+      update,
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw ApiError.conflict('Payment intent status changed while updating; reload and retry', {
+        code: 'STATUS_CHANGED',
+        from,
+        to
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Update payment status (manual override), recording an audit event. The
+   * override still has to be a legal transition.
+   * @param {Object} options - { reason, actor, context } describing who made the change and why
+   */
+  static async updateStatus(intentId, newStatus, { reason, actor, context } = {}) {
+    const intent = await this.getIntentById(intentId);
+    const previousStatus = intent.status;
+
+    const updated = await this.transition(intent, newStatus, { source: 'api', actor, reason });
+
+    await AuditService.record({
+      action: AuditService.AUDIT_ACTIONS.PAYMENT_STATUS_OVERRIDE,
+      actor,
+      target: { type: 'payment_intent', id: updated._id.toString() },
+      changes: AuditService.diff({ status: previousStatus }, { status: newStatus }),
+      metadata: { merchantId: updated.merchantId?.toString(), orderId: updated.orderId, reason }
+    }, context);
+
+    return updated;
+  }
+
+  /**
+   * Expire unpaid intents whose `expiresAt` has passed, revoking their widget
+   * tokens and publishing PAYMENT_INTENT_EXPIRED for each. Safe to run from
+   * several processes at once: an intent another sweep or a payment got to
+   * first is skipped.
+   * @param {Object} options - { now, batchSize }
+   * @returns {Promise<number>} - Intents expired
+   */
+  static async expireStale({ now = new Date(), batchSize = 100 } = {}) {
+    let expired = 0;
+
+    for (;;) {
+      const stale = await PaymentIntent.find({ status: 'REQUIRES_PAYMENT', expiresAt: { $lte: now } })
+        .sort({ expiresAt: 1 })
+        .limit(batchSize);
+
+      let progressed = 0;
+      for (const intent of stale) {
+        try {
+          const updated = await this.transition(intent, 'EXPIRED', {
+            source: 'job',
+            actor: EXPIRY_JOB_ACTOR,
+            reason: 'Not paid before expiresAt'
+          });
+          expired += 1;
+          progressed += 1;
+
+          events.publish(events.EVENTS.PAYMENT_INTENT_EXPIRED, {
+            paymentIntentId: updated._id.toString(),
+            merchantId: updated.merchantId.toString(),
+            orderId: updated.orderId,
+            expiresAt: updated.expiresAt,
+            livemode: updated.livemode
+          });
+        } catch (error) {
+          if (error.details?.code !== 'STATUS_CHANGED') throw error;
+          progressed += 1;
+        }
+      }
+
+      if (stale.length < batchSize || !progressed) break;
+    }
+
+    return expired;
+  }
+
+  /**
+   * Payments recorded against an intent, oldest first
+   * @param {Object} intent - Payment intent document
+   * @returns {Promise<Array>}
+   */
+  static async paymentsFor(intent) {
+    return Transaction.find({ paymentIntentId: intent._id })
+      .select('reference amount currency method provider status refundReview eventTimestamp createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Check split rules against the merchant's sub-merchants and the amount
+   * @param {string} merchantId - Merchant creating the intent
+   * @param {number} amount - Intent amount
+   * @param {Array} splits - [{ subMerchantId, type, value }]
+   * @returns {Promise<Array|undefined>} - Splits as stored on the intent
+   * @throws {ApiError} - 400 when a recipient is not an active sub-merchant or the splits exceed the amount
+   */
+  static async #resolveSplits(merchantId, amount, splits) {
+    if (!splits?.length) return undefined;
+
+    const ids = splits.map((split) => String(split.subMerchantId));
+    if (new Set(ids).size !== ids.length) {
+      throw ApiError.badRequest('Each sub-merchant can only appear in one split');
+    }
+
+    // Restricted sub-merchants may still be paid; their share is held at settlement
+    const recipients = await Merchant.countDocuments({
+      _id: { $in: ids },
+      parentMerchant: merchantId,
+      status: { $in: ['active', 'restricted'] }
+    });
+    if (recipients !== ids.length) {
+      throw ApiError.badRequest('Splits must name active sub-merchants of this merchant');
+    }
+
+    const percentage = splits.filter((split) => split.type === 'percentage').reduce((sum, split) => sum + Number(split.value), 0);
+    const fixed = splits.filter((split) => split.type === 'fixed').reduce((sum, split) => sum + Number(split.value), 0);
+    if (percentage > 100 || amount * percentage / 100 + fixed > amount) {
+      throw ApiError.badRequest('Splits allocate more than the payment amount');
+    }
+
+    return splits.map(({ subMerchantId, type, value }) => ({ merchant: subMerchantId, type, value: Number(value) }));
   }
 }
 
+PaymentIntentService.DEFAULT_EXPIRY_MINUTES = DEFAULT_EXPIRY_MINUTES;
+
 module.exports = PaymentIntentService;
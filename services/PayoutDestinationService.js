@@ -0,0 +1,348 @@
+const { ethers } = require('ethers');
+const PayoutDestination = require('../models/PayoutDestination');
+const Merchant = require('../models/Merchant');
+const User = require('../models/User');
+const ApiError = require('../lib/ApiError');
+const logger = require('../lib/logger');
+const { flwClient } = require('../config/flutterwave');
+const emailService = require('./sendEmail');
+const AuditService = require('./AuditService');
+const OnboardingService = require('./OnboardingService');
+
+const { AUDIT_ACTIONS } = AuditService;
+const { DESTINATION_CURRENCIES } = PayoutDestination;
+
+const MAX_DESTINATIONS = 10;
+
+// Same cooling-off as payout-detail changes (see MerchantService)
+const PAYOUT_CHANGE_COOLING_OFF_HOURS = parseInt(process.env.PAYOUT_CHANGE_COOLING_OFF_HOURS, 10) || 48;
+
+// Share of the business name's words that must appear in the bank's account name
+const NAME_MATCH_THRESHOLD = parseFloat(process.env.PAYOUT_NAME_MATCH_THRESHOLD) || 0.6;
+
+// Words that say nothing about who owns an account
+const NAME_NOISE_WORDS = new Set([
+  'LTD', 'LIMITED', 'PLC', 'INC', 'LLC', 'CO', 'COMPANY', 'NIG', 'NIGERIA',
+  'ENTERPRISE', 'ENTERPRISES', 'VENTURES', 'GLOBAL', 'SERVICES', 'THE', 'AND'
+]);
+
+/**
+ * Significant upper-case words of a business or account name
+ * @param {string} name - Name to tokenise
+ * @returns {Array<string>}
+ */
+function nameTokens(name) {
+  return String(name || '')
+    .toUpperCase()
+    .replace(/&/g, ' AND ')
+    .replace(/[^A-Z0-9 ]/g, ' ')
+    .split(/\s+/)
+    .filter((word) => word && !NAME_NOISE_WORDS.has(word));
+}
+
+/**
+ * Score how well a resolved account name matches the business name
+ * @param {string} businessName - Merchant business name
+ * @param {string} accountName - Name returned by the bank
+ * @returns {number} - 0 to 1
+ */
+function nameMatchScore(businessName, accountName) {
+  const expected = nameTokens(businessName);
+  const actual = new Set(nameTokens(accountName));
+  if (!expected.length || !actual.size) return 0;
+
+  const found = expected.filter((word) => actual.has(word)).length;
+  return Math.round((found / expected.length) * 100) / 100;
+}
+
+/**
+ * Public, masked summary of a destination for emails and audit metadata
+ * @param {Object} destination - PayoutDestination document
+ * @returns {string}
+ */
+function describeDestination(destination) {
+  if (destination.type === 'crypto_wallet') {
+    const address = destination.cryptoWallet.address;
+    return `${destination.currency} wallet ${address.slice(0, 6)}…${address.slice(-4)}`;
+  }
+  if (destination.type === 'mobile_money') {
+    return `${destination.mobileMoney.provider} mobile money ****${destination.mobileMoney.phoneNumber.slice(-4)}`;
+  }
+  const bank = destination.bankAccount.bankName || destination.bankAccount.bankCode;
+  return `${bank} ****${destination.bankAccount.accountNumber.slice(-4)}`;
+}
+
+/**
+ * Bank accounts, mobile-money wallets and crypto addresses a merchant is paid into
+ */
+class PayoutDestinationService {
+  /**
+   * List a merchant's destinations, default first
+   * @param {string} merchantId - Merchant id
+   * @returns {Promise<Array>}
+   */
+  static async list(merchantId) {
+    return PayoutDestination.find({ merchant: merchantId }).sort({ isDefault: -1, createdAt: 1 });
+  }
+
+  /**
+   * Add a destination. Bank accounts are resolved with Flutterwave and the
+   * account name checked against the business name. New destinations wait
+   * out the payout cooling-off period before settlement uses them, and the
+   * owner is emailed.
+   * @param {Object} merchant - Merchant document
+   * @param {Object} input - { type, currency, label, bankAccount, mobileMoney, cryptoWallet, isDefault }
+   * @param {Object} options - { createdBy, actor, context }
+   * @returns {Promise<Object>} - Created destination
+   */
+  static async create(merchant, input, { createdBy, actor, context } = {}) {
+    if (merchant.status === 'closed') {
+      throw ApiError.forbidden('Merchant account is closed');
+    }
+
+    const { type, currency, label } = input;
+    if (!DESTINATION_CURRENCIES[type].includes(currency)) {
+      throw ApiError.validation('Invalid payout destination', [{
+        field: 'currency',
+        message: `${type} destinations accept: ${DESTINATION_CURRENCIES[type].join(', ')}`,
+        value: currency
+      }]);
+    }
+
+    const existing = await PayoutDestination.find({ merchant: merchant._id }).lean();
+    if (existing.length >= MAX_DESTINATIONS) {
+      throw ApiError.badRequest(`A merchant can have at most ${MAX_DESTINATIONS} payout destinations`);
+    }
+
+    const destination = new PayoutDestination({
+      merchant: merchant._id,
+      type,
+      currency,
+      label,
+      createdBy,
+      isDefault: input.isDefault === true || existing.length === 0,
+      usableFrom: new Date(Date.now() + PAYOUT_CHANGE_COOLING_OFF_HOURS * 60 * 60 * 1000)
+    });
+
+    if (type === 'bank_account') {
+      const { bankCode, bankName, accountNumber } = input.bankAccount;
+      if (existing.some((other) => other.bankAccount?.accountNumber === accountNumber && other.bankAccount?.bankCode === bankCode)) {
+        throw ApiError.conflict('This bank account is already a payout destination');
+      }
+      destination.bankAccount = { bankCode, bankName, accountNumber };
+      await this.#verifyBankAccount(destination, merchant);
+    } else if (type === 'mobile_money') {
+      const { provider, phoneNumber, accountName } = input.mobileMoney;
+      if (existing.some((other) => other.mobileMoney?.phoneNumber === phoneNumber && other.mobileMoney?.provider === provider)) {
+        throw ApiError.conflict('This mobile money wallet is already a payout destination');
+      }
+      destination.mobileMoney = { provider, phoneNumber, accountName };
+      destination.verification = { status: 'not_required', checkedAt: new Date() };
+    } else {
+      const address = input.cryptoWallet.address;
+      if (!ethers.isAddress(address)) {
+        throw ApiError.validation('Invalid payout destination', [{ field: 'cryptoWallet.address', message: 'Invalid wallet address', value: address }]);
+      }
+      if (existing.some((other) => other.cryptoWallet?.address === address.toLowerCase())) {
+        throw ApiError.conflict('This wallet is already a payout destination');
+      }
+      destination.cryptoWallet = { network: input.cryptoWallet.network || 'lisk', address };
+      destination.verification = { status: 'not_required', checkedAt: new Date() };
+    }
+
+    if (destination.isDefault) {
+      await PayoutDestination.updateMany({ merchant: merchant._id, isDefault: true }, { $set: { isDefault: false } });
+    }
+    await destination.save();
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.PAYOUT_DESTINATION_ADDED,
+      actor,
+      target: { type: 'merchant', id: merchant._id.toString() },
+      metadata: {
+        destinationId: destination._id.toString(),
+        type,
+        currency,
+        destination: describeDestination(destination),
+        verification: destination.verification.status,
+        isDefault: destination.isDefault
+      }
+    }, context);
+
+    await this.#notifyOwner(merchant, destination);
+    await OnboardingService.sync(merchant);
+
+    return destination;
+  }
+
+  /**
+   * Retry Flutterwave account resolution for a bank destination
+   * @param {Object} merchant - Merchant document
+   * @param {string} destinationId - Destination id
+   * @returns {Promise<Object>} - Updated destination
+   */
+  static async reverify(merchant, destinationId) {
+    const destination = await this.#find(merchant._id, destinationId);
+    if (destination.type !== 'bank_account') {
+      throw ApiError.badRequest('Only bank accounts are verified');
+    }
+    if (destination.verification?.status === 'verified') {
+      return destination;
+    }
+
+    await this.#verifyBankAccount(destination, merchant);
+    await destination.save();
+    await OnboardingService.sync(merchant);
+    return destination;
+  }
+
+  /**
+   * Make a destination the merchant's default
+   * @param {Object} merchant - Merchant document
+   * @param {string} destinationId - Destination id
+   * @param {Object} audit - { actor, context }
+   * @returns {Promise<Object>} - Updated destination
+   */
+  static async setDefault(merchant, destinationId, { actor, context } = {}) {
+    const destination = await this.#find(merchant._id, destinationId);
+    if (destination.isDefault) return destination;
+
+    if (!['verified', 'not_required'].includes(destination.verification.status)) {
+      throw ApiError.badRequest('Only verified destinations can be the default');
+    }
+
+    await PayoutDestination.updateMany({ merchant: merchant._id, isDefault: true }, { $set: { isDefault: false } });
+    destination.isDefault = true;
+    await destination.save();
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.PAYOUT_DESTINATION_DEFAULT_CHANGED,
+      actor,
+      target: { type: 'merchant', id: merchant._id.toString() },
+      metadata: { destinationId: destination._id.toString(), destination: describeDestination(destination) }
+    }, context);
+
+    return destination;
+  }
+
+  /**
+   * Remove a destination. The default can only be removed when it is the last one.
+   * @param {Object} merchant - Merchant document
+   * @param {string} destinationId - Destination id
+   * @param {Object} audit - { actor, context }
+   */
+  static async remove(merchant, destinationId, { actor, context } = {}) {
+    const destination = await this.#find(merchant._id, destinationId);
+
+    if (destination.isDefault) {
+      const others = await PayoutDestination.countDocuments({ merchant: merchant._id, _id: { $ne: destination._id } });
+      if (others) {
+        throw ApiError.badRequest('Choose another default destination before removing this one');
+      }
+    }
+
+    await destination.deleteOne();
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.PAYOUT_DESTINATION_REMOVED,
+      actor,
+      target: { type: 'merchant', id: merchant._id.toString() },
+      metadata: { destinationId: destination._id.toString(), destination: describeDestination(destination) }
+    }, context);
+
+    await OnboardingService.sync(merchant);
+  }
+
+  /**
+   * Pick where to pay a settlement in a currency: a usable destination in
+   * that currency (the default first), otherwise the usable default.
+   * @param {string} merchantId - Merchant id
+   * @param {string} currency - Settlement currency
+   * @returns {Promise<Object|null>} - Destination, or null when the merchant has none usable
+   */
+  static async resolveForSettlement(merchantId, currency) {
+    const destinations = await PayoutDestination.find({ merchant: merchantId }).sort({ isDefault: -1, createdAt: 1 });
+    const usable = destinations.filter((destination) => destination.usable);
+
+    return usable.find((destination) => destination.currency === currency)
+      || usable.find((destination) => destination.isDefault)
+      || null;
+  }
+
+  static async #find(merchantId, destinationId) {
+    const destination = await PayoutDestination.findOne({ _id: destinationId, merchant: merchantId });
+    if (!destination) {
+      throw ApiError.notFound('Payout destination not found');
+    }
+    return destination;
+  }
+
+  /**
+   * Resolve the account with Flutterwave and compare the name. An account
+   * Flutterwave rejects is refused outright; an unreachable provider leaves
+   * the destination pending for a later retry.
+   */
+  static async #verifyBankAccount(destination, merchant) {
+    const { accountNumber, bankCode } = destination.bankAccount;
+    const checkedAt = new Date();
+
+    let accountName;
+    try {
+      const response = await flwClient.post('/accounts/resolve', {
+        account_number: accountNumber,
+        account_bank: bankCode
+      });
+      accountName = response.data?.data?.account_name;
+    } catch (error) {
+      if (error.response?.status >= 400 && error.response?.status < 500) {
+        throw ApiError.validation('Bank account could not be verified', [{
+          field: 'bankAccount.accountNumber',
+          message: error.response.data?.message || 'Account could not be resolved',
+          value: accountNumber
+        }]);
+      }
+
+      logger.warn('Bank account resolution unavailable', { merchantId: merchant._id, bankCode, error: error.message });
+      destination.verification = { status: 'pending', checkedAt, error: 'Bank verification is temporarily unavailable' };
+      return;
+    }
+
+    if (!accountName) {
+      destination.verification = { status: 'failed', checkedAt, error: 'Bank did not return an account name' };
+      return;
+    }
+
+    const score = nameMatchScore(merchant.businessName, accountName);
+    destination.bankAccount.accountName = accountName;
+    destination.verification = {
+      status: score >= NAME_MATCH_THRESHOLD ? 'verified' : 'name_mismatch',
+      resolvedAccountName: accountName,
+      nameMatchScore: score,
+      checkedAt
+    };
+  }
+
+  static async #notifyOwner(merchant, destination) {
+    // Sub-merchants have no users of their own; their parent's owner is told instead
+    let ownerId = merchant.owner;
+    if (!ownerId && merchant.parentMerchant) {
+      ownerId = (await Merchant.findById(merchant.parentMerchant).select('owner').lean())?.owner;
+    }
+
+    const owner = ownerId && await User.findById(ownerId).select('email').lean();
+    if (!owner) return;
+
+    await emailService.sendPayoutDestinationAddedEmail(owner.email, {
+      businessName: merchant.businessName,
+      destinationSummary: describeDestination(destination),
+      currency: destination.currency,
+      verificationStatus: destination.verification.status,
+      usableFrom: destination.usableFrom
+    });
+  }
+}
+
+PayoutDestinationService.nameMatchScore = nameMatchScore;
+PayoutDestinationService.NAME_MATCH_THRESHOLD = NAME_MATCH_THRESHOLD;
+
+module.exports = PayoutDestinationService;
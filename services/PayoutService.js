@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Payout = require('../models/Payout');
+const Transaction = require('../models/Transaction');
+const ApiError = require('../lib/ApiError');
+const SettlementService = require('./SettlementService');
+
+/**
+ * Split settlement legs (Payout records) as seen by the merchants involved
+ */
+class PayoutService {
+  /**
+   * List payouts a merchant received, or paid out from its own payments
+   * @param {Object} merchant - Merchant document
+   * @param {Object} filters - { status, transactionId, page, limit }
+   * @returns {Promise<Object>} - { payouts, pagination }
+   */
+  static async list(merchant, { status, transactionId, page = 1, limit = 20 } = {}) {
+    const filter = { $or: [{ merchant: merchant._id }, { parentMerchant: merchant._id }] };
+    if (status) filter.status = status;
+    if (transactionId) filter.transaction = transactionId;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [payouts, totalCount] = await Promise.all([
+      Payout.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('merchant', 'businessName')
+        .populate('transaction', 'reference amount currency status'),
+      Payout.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+    return {
+      payouts,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        limit: limitNum,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    };
+  }
+
+  /**
+   * Re-run settlement for a failed payout's transaction. Only legs that
+   * failed are paid again.
+   * @param {Object} merchant - Merchant that took the payment
+   * @param {string} payoutId - Payout id
+   * @returns {Promise<Object>} - { settlement, payouts }
+   */
+  static async retry(merchant, payoutId) {
+    if (!mongoose.isValidObjectId(payoutId)) throw ApiError.badRequest('Invalid payout id');
+
+    const payout = await Payout.findOne({ _id: payoutId, parentMerchant: merchant._id });
+    if (!payout) throw ApiError.notFound('Payout not found');
+    if (payout.status !== 'FAILED') {
+      throw ApiError.badRequest(`Only failed payouts can be retried (this one is ${payout.status})`);
+    }
+
+    let settlement;
+    try {
+      settlement = await SettlementService.process(payout.transaction);
+    } catch (error) {
+      // Legs that failed again are reported below; anything else is unexpected
+      settlement = (await Transaction.findById(payout.transaction).select('metadata.settlement').lean())?.metadata?.settlement;
+      if (!settlement?.legs) throw error;
+    }
+
+    const payouts = await Payout.find({ transaction: payout.transaction }).populate('merchant', 'businessName');
+    return { settlement, payouts };
+  }
+}
+
+module.exports = PayoutService;
@@ -0,0 +1,297 @@
+const FeePlan = require('../models/FeePlan');
+const Merchant = require('../models/Merchant');
+const ApiError = require('../lib/ApiError');
+const logger = require('../lib/logger');
+const AuditService = require('./AuditService');
+
+const { AUDIT_ACTIONS } = AuditService;
+const { ANY } = FeePlan;
+
+const PLATFORM_FEE_PERCENT = parseFloat(process.env.PLATFORM_FEE_PERCENT) || 1.5;
+const PLATFORM_FEE_FLAT = parseFloat(process.env.PLATFORM_FEE_FLAT) || 0;
+const PLATFORM_FEE_CURRENCY = (process.env.PLATFORM_FEE_CURRENCY || 'NGN').toUpperCase();
+
+// Used until an admin creates a default plan. The flat fee is only charged
+// in its own currency; every other currency pays the percentage alone.
+const BUILT_IN_RULES = Object.freeze([
+  { method: ANY, currency: ANY, percentage: PLATFORM_FEE_PERCENT, flat: 0, cap: null, floor: 0 },
+  ...(PLATFORM_FEE_FLAT
+    ? [{ method: ANY, currency: PLATFORM_FEE_CURRENCY, percentage: PLATFORM_FEE_PERCENT, flat: PLATFORM_FEE_FLAT, cap: null, floor: 0 }]
+    : [])
+].map(Object.freeze));
+
+const CRYPTO_CURRENCIES = ['USDT', 'USDC', 'ETH', 'BTC'];
+
+/**
+ * Round a fee to the precision of its currency
+ * @param {number} value - Amount
+ * @param {string} currency - Currency code
+ * @returns {number}
+ */
+function roundForCurrency(value, currency) {
+  const decimals = CRYPTO_CURRENCIES.includes(currency) ? 6 : 2;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Most specific rule for a method and currency: exact match, then method
+ * with any currency, then currency with any method, then the catch-all
+ * @param {Array} rules - Fee rules
+ * @param {string} method - Payment method
+ * @param {string} currency - Currency code
+ * @returns {Object|undefined}
+ */
+function matchRule(rules = [], method, currency) {
+  const candidates = [[method, currency], [method, ANY], [ANY, currency], [ANY, ANY]];
+  for (const [ruleMethod, ruleCurrency] of candidates) {
+    const rule = rules.find((r) => r.method === ruleMethod && r.currency === ruleCurrency);
+    if (rule) return rule;
+  }
+  return undefined;
+}
+
+const plainRule = ({ method, currency, percentage, flat, cap, floor }) =>
+  ({ method, currency, percentage, flat, cap: cap ?? null, floor });
+
+/**
+ * Fee plans and the fee charged on each transaction
+ */
+class PricingService {
+  /**
+   * Compute the platform fee for a payment
+   * @param {Object} params - { feePlan: the merchant's plan id (null for the default), method, currency, amount }
+   * @returns {Promise<Object>} - Fee breakdown stored on Transaction.fee
+   */
+  static async quote({ feePlan, method, currency, amount }) {
+    const normalizedMethod = String(method || 'FIAT').toUpperCase();
+    const normalizedCurrency = String(currency || 'NGN').toUpperCase();
+    const baseAmount = Number(amount) || 0;
+
+    const { plan, rule } = await this.#resolveRule(feePlan, normalizedMethod, normalizedCurrency);
+
+    const percentageFee = baseAmount * rule.percentage / 100;
+    const flatFee = rule.flat;
+    let total = percentageFee + flatFee;
+    let adjustment;
+
+    if (total < rule.floor) {
+      total = rule.floor;
+      adjustment = 'floor';
+    }
+    if (rule.cap != null && total > rule.cap) {
+      total = rule.cap;
+      adjustment = 'cap';
+    }
+    // A fee can never exceed the payment itself
+    if (total > baseAmount) {
+      total = baseAmount;
+      adjustment = 'amount';
+    }
+
+    return {
+      planId: plan?._id || null,
+      planName: plan?.name || 'Built-in default',
+      rule: plainRule(rule),
+      baseAmount,
+      percentageFee: roundForCurrency(percentageFee, normalizedCurrency),
+      flatFee: roundForCurrency(flatFee, normalizedCurrency),
+      adjustment,
+      total: roundForCurrency(total, normalizedCurrency),
+      currency: normalizedCurrency,
+      computedAt: new Date()
+    };
+  }
+
+  /**
+   * List fee plans with how many merchants use each
+   * @returns {Promise<Array>}
+   */
+  static async listPlans() {
+    const [plans, usage] = await Promise.all([
+      FeePlan.find().sort({ isDefault: -1, name: 1 }).lean(),
+      Merchant.aggregate([
+        { $match: { feePlan: { $ne: null } } },
+        { $group: { _id: '$feePlan', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = new Map(usage.map((entry) => [entry._id.toString(), entry.count]));
+    return plans.map(({ __v, ...plan }) => ({ ...plan, merchantCount: counts.get(plan._id.toString()) || 0 }));
+  }
+
+  /**
+   * Get a fee plan
+   * @param {string} planId - Plan id
+   * @returns {Promise<Object>}
+   */
+  static async getPlan(planId) {
+    const plan = await FeePlan.findById(planId);
+    if (!plan) throw ApiError.notFound('Fee plan not found');
+    return plan;
+  }
+
+  /**
+   * Create a fee plan. Making it the default demotes the current default.
+   * @param {Object} input - { name, description, rules, isDefault }
+   * @param {Object} options - { createdBy, actor, context }
+   * @returns {Promise<Object>}
+   */
+  static async createPlan({ name, description, rules, isDefault = false }, { createdBy, actor, context } = {}) {
+    if (await FeePlan.exists({ name })) {
+      throw ApiError.conflict('A fee plan with this name already exists');
+    }
+
+    if (isDefault) await FeePlan.updateMany({ isDefault: true }, { $set: { isDefault: false } });
+    const plan = await FeePlan.create({ name, description, rules, isDefault, createdBy, updatedBy: createdBy });
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.FEE_PLAN_CREATED,
+      actor,
+      target: { type: 'fee_plan', id: plan._id.toString() },
+      changes: { before: {}, after: { name, isDefault, rules: plan.toObject().rules } }
+    }, context);
+
+    logger.info('Fee plan created', { planId: plan._id, name, isDefault });
+    return plan;
+  }
+
+  /**
+   * Update a plan's name, description, rules or default flag. Transactions
+   * already recorded keep the fee they were charged.
+   * @param {string} planId - Plan id
+   * @param {Object} changes - { name, description, rules, isDefault }
+   * @param {Object} options - { updatedBy, actor, context }
+   * @returns {Promise<Object>}
+   */
+  static async updatePlan(planId, { name, description, rules, isDefault }, { updatedBy, actor, context } = {}) {
+    const plan = await this.getPlan(planId);
+    const before = plan.toObject();
+
+    if (name !== undefined && name !== plan.name) {
+      if (await FeePlan.exists({ name, _id: { $ne: plan._id } })) {
+        throw ApiError.conflict('A fee plan with this name already exists');
+      }
+      plan.name = name;
+    }
+    if (description !== undefined) plan.description = description;
+    if (rules !== undefined) plan.rules = rules;
+    if (isDefault === false && plan.isDefault) {
+      throw ApiError.badRequest('Make another plan the default instead of unsetting it');
+    }
+    if (isDefault === true && !plan.isDefault) {
+      await FeePlan.updateMany({ isDefault: true }, { $set: { isDefault: false } });
+      plan.isDefault = true;
+    }
+    plan.updatedBy = updatedBy;
+    await plan.save();
+
+    const after = plan.toObject();
+    await AuditService.record({
+      action: AUDIT_ACTIONS.FEE_PLAN_UPDATED,
+      actor,
+      target: { type: 'fee_plan', id: plan._id.toString() },
+      changes: AuditService.diff(
+        { name: before.name, description: before.description, isDefault: before.isDefault, rules: before.rules },
+        { name: after.name, description: after.description, isDefault: after.isDefault, rules: after.rules }
+      )
+    }, context);
+
+    return plan;
+  }
+
+  /**
+   * Delete a plan no merchant uses. The default plan cannot be deleted.
+   * @param {string} planId - Plan id
+   * @param {Object} audit - { actor, context }
+   */
+  static async deletePlan(planId, { actor, context } = {}) {
+    const plan = await this.getPlan(planId);
+    if (plan.isDefault) {
+      throw ApiError.badRequest('The default fee plan cannot be deleted');
+    }
+
+    const inUse = await Merchant.countDocuments({ feePlan: plan._id });
+    if (inUse) {
+      throw ApiError.conflict(`Fee plan is assigned to ${inUse} merchant(s)`);
+    }
+
+    await plan.deleteOne();
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.FEE_PLAN_DELETED,
+      actor,
+      target: { type: 'fee_plan', id: plan._id.toString() },
+      changes: { before: { name: plan.name }, after: {} }
+    }, context);
+  }
+
+  /**
+   * Put a merchant on a plan, or back on the default with `null`
+   * @param {Object} merchant - Merchant document
+   * @param {string|null} planId - Plan id
+   * @param {Object} audit - { actor, context }
+   * @returns {Promise<Object>} - Merchant pricing
+   */
+  static async assignPlan(merchant, planId, { actor, context } = {}) {
+    const plan = planId ? await this.getPlan(planId) : null;
+    const before = merchant.feePlan ? merchant.feePlan.toString() : null;
+
+    merchant.feePlan = plan?._id || null;
+    await merchant.save();
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.MERCHANT_FEE_PLAN_ASSIGNED,
+      actor,
+      target: { type: 'merchant', id: merchant._id.toString() },
+      changes: { before: { feePlan: before }, after: { feePlan: plan?._id.toString() || null } },
+      metadata: { planName: plan?.name || 'default' }
+    }, context);
+
+    return this.getMerchantPricing(merchant);
+  }
+
+  /**
+   * The plan a merchant is priced on and the default it falls back to
+   * @param {Object} merchant - Merchant document
+   * @returns {Promise<Object>} - { plan, defaultPlan }
+   */
+  static async getMerchantPricing(merchant) {
+    const [plan, defaultPlan] = await Promise.all([
+      merchant.feePlan ? FeePlan.findById(merchant.feePlan).lean() : null,
+      this.#defaultPlan()
+    ]);
+
+    return {
+      plan: plan ? { _id: plan._id, name: plan.name, description: plan.description, rules: plan.rules.map(plainRule) } : null,
+      defaultPlan
+    };
+  }
+
+  static async #defaultPlan() {
+    const plan = await FeePlan.findOne({ isDefault: true }).lean();
+    if (plan) {
+      return { _id: plan._id, name: plan.name, description: plan.description, rules: plan.rules.map(plainRule) };
+    }
+    return { _id: null, name: 'Built-in default', rules: BUILT_IN_RULES.map((rule) => ({ ...rule })) };
+  }
+
+  static async #resolveRule(feePlanId, method, currency) {
+    if (feePlanId) {
+      const plan = await FeePlan.findById(feePlanId).lean();
+      const rule = plan && matchRule(plan.rules, method, currency);
+      if (rule) return { plan, rule };
+    }
+
+    const defaultPlan = await FeePlan.findOne({ isDefault: true }).lean();
+    const rule = defaultPlan && matchRule(defaultPlan.rules, method, currency);
+    if (rule) return { plan: defaultPlan, rule };
+
+    return { plan: null, rule: matchRule(BUILT_IN_RULES, method, currency) };
+  }
+}
+
+PricingService.matchRule = matchRule;
+PricingService.roundForCurrency = roundForCurrency;
+
+module.exports = PricingService;
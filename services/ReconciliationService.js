@@ -0,0 +1,168 @@
+const PaymentIntent = require('../models/PaymentInent');
+const Transaction = require('../models/Transaction');
+const events = require('../lib/events');
+const logger = require('../lib/logger');
+const { convert } = require('./pricefeed');
+const PaymentIntentService = require('./PaymentIntentService');
+
+const { RECEIVED_STATUSES } = Transaction;
+
+// Intent statuses that no longer accept payments; money arriving for them is reviewed for refund
+const CLOSED_STATUSES = ['CANCELED', 'EXPIRED'];
+
+// Intent statuses reconciliation may move away from
+const OPEN_STATUSES = ['REQUIRES_PAYMENT', 'PROCESSING', 'PARTIALLY_PAID', 'PAID'];
+
+// Stablecoins counted one-for-one against USD intents
+const USD_STABLECOINS = ['USDT', 'USDC'];
+
+/**
+ * A payment's amount in the intent's currency, or null when it cannot be converted
+ * @param {Object} transaction - Transaction
+ * @param {string} currency - Intent source currency
+ * @returns {Promise<number|null>}
+ */
+async function amountIn(transaction, currency) {
+  const paid = String(transaction.currency || '').toUpperCase();
+  if (paid === currency) return transaction.amount;
+  if (currency === 'USD' && USD_STABLECOINS.includes(paid)) return transaction.amount;
+  if (String(transaction.fiatCurrency || '').toUpperCase() === currency && transaction.fiatEquivalent != null) {
+    return transaction.fiatEquivalent;
+  }
+
+  try {
+    const converted = await convert(paid, currency, transaction.amount);
+    return Number.isFinite(converted) ? converted : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Status an intent should have for the amount received. A tenth of a
+ * percent (at least one minor unit) absorbs rounding and exchange drift.
+ * @param {number} received - Amount received in the intent currency
+ * @param {number} amount - Intent amount
+ * @returns {string|null} - PARTIALLY_PAID, PAID or OVERPAID; null when nothing was received
+ */
+function statusFor(received, amount) {
+  const tolerance = Math.max(0.01, amount * 0.001);
+  if (received <= 0) return null;
+  if (received < amount - tolerance) return 'PARTIALLY_PAID';
+  if (received > amount + tolerance) return 'OVERPAID';
+  return 'PAID';
+}
+
+/**
+ * Ties recorded payments back to their payment intents
+ */
+class ReconciliationService {
+  /**
+   * Reconcile a recorded transaction with the intent it names
+   * (`paymentIntentId`, set when the payment was recorded). The transaction
+   * id is added to the intent, and successful payments are totalled in the
+   * intent's currency to move it to PARTIALLY_PAID, PAID or OVERPAID. A
+   * payment for an expired or canceled intent leaves the intent alone; the
+   * transaction is flagged for refund review instead (which holds its
+   * settlement) and PAYMENT_INTENT_LATE_PAYMENT is published.
+   * @param {Object} transaction - Recorded transaction
+   * @param {Object} options - { source } status history source
+   * @returns {Promise<Object|null>} - { intent, amountReceived, unconverted, flagged }, or null without an intent
+   */
+  static async reconcile(transaction, { source }) {
+    if (!transaction?.paymentIntentId) return null;
+
+    let intent = await PaymentIntent.findByIdAndUpdate(
+      transaction.paymentIntentId,
+      { $addToSet: { transactions: transaction._id } },
+      { new: true }
+    );
+    if (!intent) return null;
+
+    if (!RECEIVED_STATUSES.includes(transaction.status)) {
+      return { intent, amountReceived: intent.amountReceived, unconverted: [], flagged: false };
+    }
+
+    if (CLOSED_STATUSES.includes(intent.status)) {
+      await this.#flagLatePayment(transaction, intent);
+      return { intent, amountReceived: intent.amountReceived, unconverted: [], flagged: true };
+    }
+
+    const { amountReceived, unconverted } = await this.amountReceived(intent);
+    if (unconverted.length) {
+      logger.warn('Payments could not be converted to the payment intent currency', {
+        paymentIntentId: intent._id,
+        currency: intent.sourceCurrency,
+        transactionIds: unconverted
+      });
+    }
+
+    intent = await PaymentIntent.findByIdAndUpdate(intent._id, { $set: { amountReceived } }, { new: true });
+
+    const target = statusFor(amountReceived, intent.amount);
+    if (target && target !== intent.status && OPEN_STATUSES.includes(intent.status)
+      && PaymentIntentService.allowedTransitions(intent.status).includes(target)) {
+      try {
+        intent = await PaymentIntentService.transition(intent, target, {
+          source,
+          reason: `Payment ${transaction.reference}: received ${amountReceived} of ${intent.amount} ${intent.sourceCurrency.toUpperCase()}`
+        });
+      } catch (error) {
+        // Another payment for the same intent was reconciled meanwhile; recount
+        if (error.details?.code === 'STATUS_CHANGED') return this.reconcile(transaction, { source });
+        throw error;
+      }
+    }
+
+    return { intent, amountReceived, unconverted, flagged: false };
+  }
+
+  /**
+   * Total of the intent's successful payments in its source currency.
+   * Payments flagged for refund review do not count.
+   * @param {Object} intent - Payment intent document
+   * @returns {Promise<Object>} - { amountReceived, unconverted: transaction ids left out }
+   */
+  static async amountReceived(intent) {
+    const currency = intent.sourceCurrency.toUpperCase();
+    const payments = await Transaction.find({
+      paymentIntentId: intent._id,
+      status: { $in: RECEIVED_STATUSES },
+      'refundReview.status': { $exists: false }
+    }).select('amount currency fiatEquivalent fiatCurrency').lean();
+
+    let total = 0;
+    const unconverted = [];
+    for (const payment of payments) {
+      const amount = await amountIn(payment, currency);
+      if (amount === null) unconverted.push(payment._id.toString());
+      else total += amount;
+    }
+
+    return { amountReceived: Number(total.toFixed(6)), unconverted };
+  }
+
+  static async #flagLatePayment(transaction, intent) {
+    const reason = `PAYMENT_INTENT_${intent.status}`;
+    const result = await Transaction.updateOne(
+      { _id: transaction._id, 'refundReview.status': { $exists: false } },
+      { $set: { refundReview: { status: 'PENDING', reason, flaggedAt: new Date() } } }
+    );
+    if (!result.modifiedCount) return;
+
+    logger.warn('Payment received for a closed payment intent; flagged for refund review', {
+      transactionId: transaction._id,
+      paymentIntentId: intent._id,
+      intentStatus: intent.status
+    });
+    events.publish(events.EVENTS.PAYMENT_INTENT_LATE_PAYMENT, {
+      paymentIntentId: intent._id.toString(),
+      merchantId: intent.merchantId.toString(),
+      transactionId: transaction._id.toString(),
+      reference: transaction.reference,
+      reason
+    });
+  }
+}
+
+module.exports = ReconciliationService;
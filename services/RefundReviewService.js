@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const ApiError = require('../lib/ApiError');
+const logger = require('../lib/logger');
+const AuditService = require('./AuditService');
+const SettlementService = require('./SettlementService');
+
+const { AUDIT_ACTIONS } = AuditService;
+
+const REVIEW_STATUSES = ['PENDING', 'ACCEPTED', 'REFUNDED'];
+
+// Admin decision -> refundReview.status
+const DECISIONS = Object.freeze({ accept: 'ACCEPTED', refund: 'REFUNDED' });
+
+/**
+ * Late payments (money that arrived for an expired or canceled payment
+ * intent) wait here until an admin accepts them or records their refund
+ */
+class RefundReviewService {
+  /**
+   * Payments by refund review status, oldest flag first
+   * @param {Object} filters - { status }
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} - { transactions, pagination }
+   */
+  static async list({ status = 'PENDING' } = {}, { page = 1, limit = 20 } = {}) {
+    const criteria = { 'refundReview.status': status };
+
+    const [transactions, totalCount] = await Promise.all([
+      Transaction.find(criteria)
+        .select('merchantId paymentIntentId reference amount currency method provider status refundReview createdAt')
+        .sort({ 'refundReview.flaggedAt': 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Transaction.countDocuments(criteria)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      transactions,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Accept a late payment, which releases its settlement, or record that it
+   * was refunded to the customer, which closes it for good
+   * @param {string} transactionId - Transaction id
+   * @param {Object} input - { decision: 'accept'|'refund', note }
+   * @param {Object} options - { reviewedBy, actor, context }
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  static async resolve(transactionId, { decision, note }, { reviewedBy, actor, context } = {}) {
+    const status = DECISIONS[decision];
+    if (!status) throw ApiError.badRequest('Decision must be accept or refund');
+    if (!mongoose.isValidObjectId(transactionId)) throw ApiError.badRequest('Invalid transaction id');
+
+    // Conditional update so two admins cannot both resolve the same review
+    const transaction = await Transaction.findOneAndUpdate(
+      { _id: transactionId, 'refundReview.status': 'PENDING' },
+      {
+        $set: {
+          'refundReview.status': status,
+          'refundReview.resolvedAt': new Date(),
+          'refundReview.resolvedBy': reviewedBy,
+          'refundReview.note': note,
+          ...(status === 'REFUNDED' && { status: 'REFUNDED' })
+        }
+      },
+      { new: true }
+    );
+
+    if (!transaction) {
+      const exists = await Transaction.exists({ _id: transactionId });
+      if (!exists) throw ApiError.notFound('Transaction not found');
+      throw ApiError.badRequest('Payment is not awaiting refund review');
+    }
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.REFUND_REVIEW_RESOLVED,
+      actor,
+      target: { type: 'transaction', id: transaction._id.toString() },
+      changes: { before: { refundReview: 'PENDING' }, after: { refundReview: status } },
+      metadata: { decision, note, merchantId: transaction.merchantId.toString(), reference: transaction.reference }
+    }, context);
+
+    if (status === 'ACCEPTED') {
+      SettlementService.process(transaction._id).catch((error) => {
+        logger.error('Settlement of accepted late payment failed', { transactionId: transaction._id, error: error.message });
+      });
+    }
+
+    logger.info('Refund review resolved', { transactionId: transaction._id, status, reviewedBy });
+
+    return transaction;
+  }
+}
+
+RefundReviewService.REVIEW_STATUSES = REVIEW_STATUSES;
+RefundReviewService.DECISIONS = DECISIONS;
+
+module.exports = RefundReviewService;
@@ -0,0 +1,75 @@
+const SecurityPolicy = require('../models/SecurityPolicy');
+const logger = require('../lib/logger');
+const AuditService = require('./AuditService');
+
+const GLOBAL_KEY = 'global';
+
+// Policy is read on every gated request; cache it briefly per process
+const CACHE_TTL_MS = 30 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+class SecurityPolicyService {
+  /**
+   * Current platform policy (defaults apply until an admin saves one)
+   * @returns {Promise<Object>}
+   */
+  static async getPolicy() {
+    if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+      return cached;
+    }
+
+    const policy = await SecurityPolicy.findOne({ key: GLOBAL_KEY }).lean();
+    cached = {
+      twoFactorRequiredRoles: policy?.twoFactorRequiredRoles || [],
+      updatedAt: policy?.updatedAt,
+      updatedBy: policy?.updatedBy
+    };
+    cachedAt = Date.now();
+
+    return cached;
+  }
+
+  /**
+   * Update the platform policy
+   * @param {Object} changes - { twoFactorRequiredRoles }
+   * @param {string} updatedBy - Admin user id
+   * @param {Object} audit - { actor, context } describing who made the change
+   */
+  static async updatePolicy({ twoFactorRequiredRoles }, updatedBy, { actor, context } = {}) {
+    const previous = await SecurityPolicy.findOne({ key: GLOBAL_KEY }).lean();
+
+    const policy = await SecurityPolicy.findOneAndUpdate(
+      { key: GLOBAL_KEY },
+      { $set: { twoFactorRequiredRoles: [...new Set(twoFactorRequiredRoles)], updatedBy } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    cached = null;
+    logger.info('Security policy updated', { twoFactorRequiredRoles: policy.twoFactorRequiredRoles, updatedBy });
+
+    await AuditService.record({
+      action: AuditService.AUDIT_ACTIONS.SECURITY_POLICY_UPDATED,
+      actor,
+      target: { type: 'security_policy', id: GLOBAL_KEY },
+      changes: AuditService.diff(
+        { twoFactorRequiredRoles: previous?.twoFactorRequiredRoles || [] },
+        { twoFactorRequiredRoles: [...policy.twoFactorRequiredRoles] }
+      )
+    }, context);
+
+    return policy;
+  }
+
+  /**
+   * Whether users with the given role must use two-factor authentication
+   * @param {string} role - User role
+   * @returns {Promise<boolean>}
+   */
+  static async isTwoFactorRequired(role) {
+    const policy = await this.getPolicy();
+    return policy.twoFactorRequiredRoles.includes(role);
+  }
+}
+
+module.exports = SecurityPolicyService;
@@ -0,0 +1,138 @@
+const Session = require('../models/Session');
+const ApiError = require('../lib/ApiError');
+const logger = require('../lib/logger');
+const emailService = require('./sendEmail');
+const TokenService = require('./TokenService');
+
+// Last-seen is refreshed at most this often per session to keep writes off the hot path
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Shape a session for API responses
+ * @param {Object} session - Session document or lean object
+ * @param {string} currentSessionId - `sid` of the caller's session
+ * @returns {Object}
+ */
+function toSessionView(session, currentSessionId) {
+  return {
+    sessionId: session.sessionId,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    lastSeenIp: session.lastSeenIp,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    mfa: session.mfa,
+    current: session.sessionId === currentSessionId
+  };
+}
+
+/**
+ * Lists and revokes the signed-in sessions (refresh token families) of a user
+ */
+class SessionService {
+  /**
+   * Active sessions for a user, most recently used first
+   * @param {string} userId - User id
+   * @param {string} currentSessionId - `sid` of the caller's session
+   * @returns {Promise<Array>}
+   */
+  static async listSessions(userId, currentSessionId) {
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    return sessions.map((session) => toSessionView(session, currentSessionId));
+  }
+
+  /**
+   * Sign out one of the user's sessions
+   * @param {string} userId - User id
+   * @param {string} sessionId - Session to revoke
+   * @param {string} currentSessionId - `sid` of the caller's session
+   * @returns {Promise<Object>} - { current: whether the caller revoked its own session }
+   */
+  static async revokeSession(userId, sessionId, currentSessionId) {
+    const session = await Session.findOne({ sessionId, user: userId });
+    if (!session || !session.active) throw ApiError.notFound('Session not found');
+
+    await TokenService.revokeFamily(sessionId, 'revoked');
+    logger.info('Session revoked', { userId, sessionId });
+
+    return { current: sessionId === currentSessionId };
+  }
+
+  /**
+   * Sign out every session except the caller's
+   * @param {string} userId - User id
+   * @param {string} currentSessionId - Session to keep
+   * @returns {Promise<Object>} - { revoked: number of sessions signed out }
+   */
+  static async revokeOtherSessions(userId, currentSessionId) {
+    const others = await Session.countDocuments({
+      user: userId,
+      sessionId: { $ne: currentSessionId },
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    await TokenService.revokeAllForUser(userId, 'revoked', { exceptFamily: currentSessionId });
+    logger.info('Other sessions revoked', { userId, keptSessionId: currentSessionId, revoked: others });
+
+    return { revoked: others };
+  }
+
+  /**
+   * Record activity on a session; throttled to one write per TOUCH_INTERVAL_MS
+   * @param {string} sessionId - `sid` claim
+   * @param {string} ip - Client IP
+   */
+  static async touch(sessionId, ip) {
+    if (!sessionId) return;
+
+    await Session.updateOne(
+      { sessionId, lastSeenAt: { $lt: new Date(Date.now() - TOUCH_INTERVAL_MS) } },
+      { $set: { lastSeenAt: new Date(), lastSeenIp: ip } }
+    );
+  }
+
+  /**
+   * Email the user when a session starts on a device they have not used before.
+   * The very first session of an account is not reported.
+   * @param {Object} user - User document
+   * @param {string} sessionId - Newly issued session
+   * @param {Object} device - Client context ({ userAgent, ip })
+   * @returns {Promise<boolean>} - Whether the device was new
+   */
+  static async notifyIfNewDevice(user, sessionId, device = {}) {
+    const previous = { user: user._id, sessionId: { $ne: sessionId } };
+
+    const [hasHistory, knownDevice] = await Promise.all([
+      Session.exists(previous),
+      Session.exists({ ...previous, deviceHash: TokenService.deviceHash(device.userAgent) })
+    ]);
+
+    if (!hasHistory || knownDevice) return false;
+
+    logger.logAuth('NEW_DEVICE_LOGIN', user._id, user.email, true, {
+      sessionId,
+      ip: device.ip,
+      userAgent: device.userAgent
+    });
+
+    emailService.sendNewDeviceLoginEmail(user.email, {
+      businessName: user.businessName,
+      userAgent: device.userAgent,
+      ip: device.ip,
+      signedInAt: new Date()
+    }).catch(() => {});
+
+    return true;
+  }
+}
+
+module.exports = SessionService;
@@ -1,36 +1,176 @@
 const { ethers } = require('ethers');
 const Transaction = require('../models/Transaction');
 const Merchant = require('../models/Merchant');
+const Payout = require('../models/Payout');
 const { flwClient } = require('../config/flutterwave');
 const { convert } = require('./pricefeed');
-const CryptoIntegrationService = require('./cryptoIntegration');
 const logger = require('../lib/logger');
+const AuditService = require('./AuditService');
+const PayoutDestinationService = require('./PayoutDestinationService');
+const { roundForCurrency } = require('./PricingService');
+
+/**
+ * Payout target built from a PayoutDestination
+ * @param {Object} destination - PayoutDestination document
+ * @returns {Object} - { destinationId, method, currency, account, walletAddress }
+ */
+function payoutFromDestination(destination) {
+  const payout = {
+    destinationId: destination._id.toString(),
+    currency: destination.currency
+  };
+
+  if (destination.type === 'crypto_wallet') {
+    return { ...payout, method: 'crypto', walletAddress: destination.cryptoWallet.address };
+  }
+  if (destination.type === 'mobile_money') {
+    const { provider, phoneNumber, accountName } = destination.mobileMoney;
+    return { ...payout, method: 'mobile_money', account: { bankCode: provider, accountNumber: phoneNumber, accountName } };
+  }
+
+  const { bankCode, bankName, accountNumber, accountName } = destination.bankAccount;
+  return { ...payout, method: 'bank_transfer', account: { bankCode, bankName, accountNumber, accountName } };
+}
+
+/**
+ * Payout target for merchants without a usable destination, from the
+ * single account in `payoutPreferences`. Fiat is paid in the preferred
+ * currency, else in the transaction's.
+ * @param {Object} merchant - Merchant document
+ * @param {string} transactionCurrency - Currency the transaction is settled from
+ * @returns {Object} - { destinationId, method, currency, account, walletAddress }
+ */
+function payoutFromPreferences(merchant, transactionCurrency) {
+  const method = (merchant.payoutPreferences?.method || 'bank_transfer').toLowerCase();
+  if (method === 'crypto') {
+    return { destinationId: null, method, currency: 'USDT', walletAddress: merchant.walletAddress };
+  }
 
-function resolvePayoutMethod(merchant) {
-  const method = merchant?.payoutPreferences?.method;
-  if (!method) return 'bank_transfer';
-  return method.toLowerCase();
+  const details = merchant.payoutPreferences?.accountDetails || {};
+  return {
+    destinationId: null,
+    method,
+    currency: (merchant.payoutPreferences?.currency || transactionCurrency || 'NGN').toUpperCase(),
+    account: {
+      bankCode: details.bankCode,
+      bankName: details.bankName,
+      accountNumber: details.accountNumber,
+      accountName: details.accountName
+    }
+  };
 }
 
-function resolvePayoutCurrency(merchant, transaction) {
-  const preference = merchant?.payoutPreferences?.currency;
-  if (preference) return preference.toUpperCase();
-  if (transaction?.fiatCurrency) return transaction.fiatCurrency.toUpperCase();
-  if (transaction?.currency) return transaction.currency.toUpperCase();
-  return 'NGN';
+/**
+ * Platform fee charged on a transaction (see PricingService), expressed in
+ * `currency`. Transactions recorded before fee plans fall back to chargeFee.
+ * @param {Object} transaction - Transaction document
+ * @param {string} currency - Currency to express the fee in
+ * @returns {Promise<number>}
+ */
+async function feeIn(transaction, currency) {
+  const fee = Number(transaction.fee?.total ?? transaction.chargeFee ?? 0);
+  if (!fee) return 0;
+
+  const feeCurrency = (transaction.fee?.currency || transaction.currency || currency).toUpperCase();
+  return feeCurrency === currency ? fee : convert(feeCurrency, currency, fee);
 }
 
-function extractAccountDetails(merchant) {
-  const details = merchant?.payoutPreferences?.accountDetails || {};
+/**
+ * Currency and amount a transaction is settled from
+ * @param {Object} transaction - Transaction document
+ * @returns {Object} - { currency, amount }
+ */
+function settlementBase(transaction) {
   return {
-    bankName: details.bankName,
-    accountNumber: details.accountNumber,
-    accountName: details.accountName,
-    routingNumber: details.routingNumber,
-    bankCode: details.bankCode || details.routingNumber
+    currency: (transaction.fiatCurrency || transaction.currency || 'NGN').toUpperCase(),
+    amount: Number(transaction.fiatEquivalent || transaction.amount)
   };
 }
 
+/**
+ * Split a transaction into one leg per recipient: each sub-merchant gets its
+ * split, the merchant keeps the rest. The platform fee is shared in
+ * proportion to each leg, with the merchant's leg absorbing rounding.
+ * @param {Object} transaction - Transaction document with splits
+ * @param {Object} merchant - Merchant that took the payment
+ * @returns {Promise<Array>} - [{ merchant, role, split, grossAmount, fee, reference }]
+ */
+async function splitLegs(transaction, merchant) {
+  const { currency, amount } = settlementBase(transaction);
+  if (!amount || Number.isNaN(amount) || amount <= 0) {
+    throw new Error('Unable to resolve settlement amount for split payouts');
+  }
+
+  const recipients = await Merchant.find({
+    _id: { $in: transaction.splits.map((split) => split.merchant) },
+    parentMerchant: merchant._id
+  });
+  const recipientsById = new Map(recipients.map((recipient) => [recipient._id.toString(), recipient]));
+
+  const legs = [];
+  for (const split of transaction.splits) {
+    const recipient = recipientsById.get(split.merchant.toString());
+    if (!recipient) {
+      throw new Error(`Split recipient ${split.merchant} is not a sub-merchant of this merchant`);
+    }
+
+    let grossAmount = split.value;
+    if (split.type === 'percentage') {
+      grossAmount = amount * split.value / 100;
+    } else if (split.currency && split.currency !== currency) {
+      grossAmount = await convert(split.currency, currency, split.value);
+    }
+
+    legs.push({
+      merchant: recipient,
+      role: 'sub_merchant',
+      split: { type: split.type, value: split.value },
+      grossAmount: roundForCurrency(grossAmount, currency)
+    });
+  }
+
+  const allocated = legs.reduce((sum, leg) => sum + leg.grossAmount, 0);
+  if (allocated > amount) {
+    throw new Error('Split payouts exceed the amount paid');
+  }
+
+  const fee = await feeIn(transaction, currency);
+  let feeAllocated = 0;
+  for (const leg of legs) {
+    leg.fee = roundForCurrency(fee * leg.grossAmount / amount, currency);
+    feeAllocated += leg.fee;
+  }
+
+  legs.unshift({
+    merchant,
+    role: 'merchant',
+    grossAmount: roundForCurrency(amount - allocated, currency),
+    fee: Math.max(0, roundForCurrency(fee - feeAllocated, currency))
+  });
+
+  return legs
+    .filter((leg) => leg.grossAmount > 0)
+    .map((leg) => ({ ...leg, reference: `${transaction.reference}-${leg.merchant._id.toString().slice(-8)}` }));
+}
+
+/**
+ * Why a settlement is held: the payment is awaiting refund review or was
+ * refunded, the merchant is under a risk hold (restricted or suspended), or
+ * its KYC is not yet approved
+ * @param {Object} merchant - Merchant document
+ * @param {Object} transaction - Transaction being settled
+ * @returns {string|null} - Hold reason, or null when settlement may proceed
+ */
+function holdReason(merchant, transaction) {
+  if (transaction?.refundReview?.status === 'PENDING') return 'REFUND_REVIEW';
+  if (transaction?.refundReview?.status === 'REFUNDED') return 'REFUNDED';
+  if (Merchant.SETTLEMENT_HOLD_STATUSES.includes(merchant.status)) {
+    return `MERCHANT_${merchant.status.toUpperCase()}`;
+  }
+  if (merchant.kycStatus !== 'approved') return 'KYC_NOT_APPROVED';
+  return null;
+}
+
 function toFixedDecimals(value, decimals = 2) {
   if (value === undefined || value === null) return undefined;
   return Number(value).toFixed(decimals);
@@ -72,8 +212,38 @@ class SettlementService {
       throw new Error('Merchant not found for settlement');
     }
 
-    const method = resolvePayoutMethod(merchant);
-    const currency = resolvePayoutCurrency(merchant, transaction);
+    const reason = holdReason(merchant, transaction);
+    if (reason) {
+      const hold = {
+        ...(transaction.metadata?.settlement || {}),
+        lastRunAt: new Date(),
+        status: 'ON_HOLD',
+        reason
+      };
+
+      // Leave the transaction unsettled so it is picked up again once the hold is lifted
+      await Transaction.updateOne({ _id: transaction._id }, { $set: { 'metadata.settlement': hold } });
+
+      logger.warn('Settlement held', {
+        transactionId: transaction._id,
+        merchantId: merchant._id,
+        reason,
+        status: merchant.status,
+        kycStatus: merchant.kycStatus
+      });
+      return hold;
+    }
+
+    await this.#applyDuePayoutChange(merchant, transaction);
+
+    if (transaction.splits?.length) {
+      return this.#processSplit(transaction, merchant);
+    }
+
+    const transactionCurrency = (transaction.fiatCurrency || transaction.currency || 'NGN').toUpperCase();
+    const destination = await PayoutDestinationService.resolveForSettlement(merchant._id, transactionCurrency);
+    const payout = destination ? payoutFromDestination(destination) : payoutFromPreferences(merchant, transactionCurrency);
+    const method = payout.method;
 
     await Transaction.updateOne(
       { _id: transaction._id, status: { $ne: 'SETTLED' } },
@@ -85,15 +255,16 @@ class SettlementService {
     try {
       let result;
       if (method === 'crypto') {
-        result = await this.settleWithCrypto(transaction, merchant);
+        result = await this.settleWithCrypto(transaction, merchant, payout);
       } else {
-        result = await this.settleWithFiat(transaction, merchant, currency);
+        result = await this.settleWithFiat(transaction, merchant, payout);
       }
 
       const metadataUpdate = {
         ...settlementMetadata,
         lastRunAt: new Date(),
         method: method === 'crypto' ? 'CRYPTO' : 'FIAT',
+        destinationId: payout.destinationId,
         provider: result.provider,
         reference: result.reference,
         status: 'SUCCESS',
@@ -120,6 +291,7 @@ class SettlementService {
         ...settlementMetadata,
         lastRunAt: new Date(),
         method: method === 'crypto' ? 'CRYPTO' : 'FIAT',
+        destinationId: payout.destinationId,
         status: 'FAILED',
         error: error.message
       };
@@ -141,57 +313,48 @@ class SettlementService {
     }
   }
 
-  async settleWithFiat(transaction, merchant, targetCurrency) {
-    const account = extractAccountDetails(merchant);
+  /**
+   * Pay a merchant by bank or mobile-money transfer
+   * @param {Object} transaction - Transaction document
+   * @param {Object} merchant - Recipient merchant
+   * @param {Object} payout - Payout target
+   * @param {Object} leg - Split leg ({ grossAmount, fee, reference }); the whole transaction when omitted
+   * @returns {Promise<Object>} - { provider, reference, details }
+   */
+  async settleWithFiat(transaction, merchant, payout, leg = null) {
+    const account = payout.account || {};
     if (!account.accountNumber) {
-      throw new Error('Merchant is missing payout account number');
+      throw new Error(payout.method === 'mobile_money'
+        ? 'Payout destination is missing a phone number'
+        : 'Merchant is missing payout account number');
     }
 
     if (!account.bankCode) {
-      throw new Error('Merchant is missing bank code/routing number required for payout');
+      throw new Error(payout.method === 'mobile_money'
+        ? 'Payout destination is missing a mobile money provider'
+        : 'Merchant is missing the bank code required for payout');
     }
 
-    const preferredCurrency = (targetCurrency || 'NGN').toUpperCase();
-    const txnCurrency = (transaction.fiatCurrency || transaction.currency || 'NGN').toUpperCase();
-    const baseAmount = Number(transaction.fiatEquivalent || transaction.amount);
+    const { currency: txnCurrency, amount: transactionAmount } = settlementBase(transaction);
+    const baseAmount = leg ? leg.grossAmount : transactionAmount;
 
     if (!baseAmount || Number.isNaN(baseAmount) || baseAmount <= 0) {
       throw new Error('Unable to resolve fiat amount for settlement');
     }
 
-    let payoutAmount = baseAmount;
-    let payoutCurrency = txnCurrency;
-
-    if (preferredCurrency !== txnCurrency) {
-      try {
-        payoutAmount = await convert(txnCurrency, preferredCurrency, baseAmount);
-        payoutCurrency = preferredCurrency;
-      } catch (err) {
-        logger.warn('Currency conversion failed, falling back to transaction currency', {
-          from: txnCurrency,
-          to: preferredCurrency,
-          amount: baseAmount,
-          error: err.message
-        });
-        payoutCurrency = txnCurrency;
-      }
+    const fee = leg ? leg.fee : await feeIn(transaction, txnCurrency);
+    const netAmount = baseAmount - fee;
+    if (netAmount <= 0) {
+      throw new Error('Platform fee leaves nothing to pay out');
     }
 
-    // Flutterwave transfers currently operate in NGN; convert if required
-    if (payoutCurrency !== 'NGN') {
-      try {
-        payoutAmount = await convert(payoutCurrency, 'NGN', payoutAmount);
-        payoutCurrency = 'NGN';
-      } catch (err) {
-        logger.warn('NGN conversion failed for Flutterwave transfer', {
-          from: payoutCurrency,
-          amount: payoutAmount,
-          error: err.message
-        });
-      }
-    }
+    // The destination's currency is what its account can receive, so a failed conversion fails the payout
+    const payoutCurrency = payout.currency;
+    const payoutAmount = payoutCurrency === txnCurrency
+      ? netAmount
+      : await convert(txnCurrency, payoutCurrency, netAmount);
 
-    const reference = `PAYOUT-${transaction.reference}-${Date.now()}`;
+    const reference = `PAYOUT-${leg?.reference || transaction.reference}-${Date.now()}`;
 
     const transferPayload = {
       account_bank: account.bankCode,
@@ -222,19 +385,32 @@ class SettlementService {
       provider: 'FLUTTERWAVE',
       reference,
       details: {
+        grossAmount: toFixedDecimals(baseAmount),
+        fee: toFixedDecimals(fee),
+        netAmount: toFixedDecimals(netAmount),
+        currency: txnCurrency,
         request: transferPayload,
         response: responseData
       }
     };
   }
 
-  async settleWithCrypto(transaction, merchant) {
-    if (!merchant.walletAddress) {
+  /**
+   * Credit a merchant's wallet in USDT through the settlement contract
+   * @param {Object} transaction - Transaction document
+   * @param {Object} merchant - Recipient merchant
+   * @param {Object} payout - Payout target
+   * @param {Object} leg - Split leg ({ grossAmount, fee, reference }); the whole transaction when omitted
+   * @returns {Promise<Object>} - { provider, reference, details }
+   */
+  async settleWithCrypto(transaction, merchant, payout, leg = null) {
+    const walletAddress = payout.walletAddress;
+    if (!walletAddress) {
       throw new Error('Merchant wallet address is required for crypto settlement');
     }
 
-    const baseCurrency = (transaction.fiatCurrency || transaction.currency || 'NGN').toUpperCase();
-    const baseAmount = Number(transaction.fiatEquivalent || transaction.amount);
+    const { currency: baseCurrency, amount: transactionAmount } = settlementBase(transaction);
+    const baseAmount = leg ? leg.grossAmount : transactionAmount;
 
     if (!baseAmount || Number.isNaN(baseAmount) || baseAmount <= 0) {
       throw new Error('Unable to resolve settlement amount for crypto payout');
@@ -252,35 +428,250 @@ class SettlementService {
       throw new Error('Invalid USDT conversion result for settlement');
     }
 
+    // The contract credits the merchant the amount less this fee
+    let chargeFee;
+    if (!leg) {
+      chargeFee = await feeIn(transaction, 'USDT');
+    } else {
+      chargeFee = leg.fee && baseCurrency !== 'USDT' ? await convert(baseCurrency, 'USDT', leg.fee) : leg.fee;
+    }
+    if (chargeFee >= usdtAmount) {
+      throw new Error('Platform fee leaves nothing to pay out');
+    }
+
     const amountFormatted = Number(usdtAmount).toFixed(6);
-    const chargeFee = Number(transaction.chargeFee || 0);
     const chargeFeeUnits = ethers.parseUnits(chargeFee.toFixed(6), 6);
 
     const cryptoService = this.#getCryptoService();
     const receipt = await cryptoService.creditMerchant(
-      merchant.walletAddress,
+      walletAddress,
       amountFormatted,
       chargeFeeUnits,
-      transaction.reference
+      leg?.reference || transaction.reference
     );
 
     const transactionHash = receipt?.transactionHash || receipt?.hash;
 
     return {
       provider: 'CONTRACT',
-      reference: transaction.reference,
+      reference: leg?.reference || transaction.reference,
       details: {
-        merchant: merchant.walletAddress,
+        merchant: walletAddress,
         amount: amountFormatted,
         chargeFee: toFixedDecimals(chargeFee, 6),
+        netAmount: toFixedDecimals(usdtAmount - chargeFee, 6),
         transactionHash,
         receipt
       }
     };
   }
 
+  /**
+   * Settle a transaction with split rules: one Payout per recipient, each
+   * settled on its own. Legs already paid are skipped, so running this again
+   * only retries the legs that failed.
+   * @param {Object} transaction - Transaction document
+   * @param {Object} merchant - Merchant that took the payment
+   * @returns {Promise<Object>} - Settlement metadata persisted on the transaction
+   */
+  async #processSplit(transaction, merchant) {
+    const settlementMetadata = transaction.metadata?.settlement || {};
+
+    let legs;
+    try {
+      legs = await splitLegs(transaction, merchant);
+    } catch (error) {
+      const metadataUpdate = {
+        ...settlementMetadata,
+        lastRunAt: new Date(),
+        method: 'SPLIT',
+        status: 'FAILED',
+        error: error.message
+      };
+      await Transaction.findByIdAndUpdate(transaction._id, {
+        $set: { status: 'FAILED', 'metadata.settlement': metadataUpdate }
+      });
+
+      logger.error('Split settlement failed', {
+        transactionId: transaction._id,
+        reference: transaction.reference,
+        error: error.message
+      });
+      throw error;
+    }
+
+    await Transaction.updateOne(
+      { _id: transaction._id, status: { $ne: 'SETTLED' } },
+      { $set: { status: 'PROCESSING' } }
+    );
+
+    const payouts = [];
+    for (const leg of legs) {
+      payouts.push(await this.#settleLeg(transaction, merchant, leg));
+    }
+
+    const settled = payouts.filter((payout) => payout.status === 'SUCCESS').length;
+    const failed = payouts.filter((payout) => payout.status === 'FAILED').length;
+    const held = payouts.filter((payout) => payout.status === 'ON_HOLD').length;
+
+    // Anything short of fully settled stays PARTIALLY_SETTLED, even when every
+    // leg failed, so settleOutstanding picks the transaction up and retries
+    const status = settled === payouts.length ? 'SETTLED' : 'PARTIALLY_SETTLED';
+
+    let settlementStatus = 'PARTIAL';
+    if (status === 'SETTLED') settlementStatus = 'SUCCESS';
+    else if (failed === payouts.length) settlementStatus = 'FAILED';
+
+    const metadataUpdate = {
+      ...settlementMetadata,
+      lastRunAt: new Date(),
+      method: 'SPLIT',
+      status: settlementStatus,
+      legs: { total: payouts.length, settled, failed, held, processing: payouts.length - settled - failed - held },
+      payoutIds: payouts.map((payout) => payout._id)
+    };
+    delete metadataUpdate.error;
+
+    await Transaction.findByIdAndUpdate(transaction._id, {
+      $set: { status, 'metadata.settlement': metadataUpdate }
+    });
+
+    if (failed) {
+      logger.error('Split settlement incomplete', {
+        transactionId: transaction._id,
+        reference: transaction.reference,
+        ...metadataUpdate.legs
+      });
+      throw new Error(`${failed} of ${payouts.length} split payouts failed`);
+    }
+
+    logger.info('Split settlement completed', {
+      transactionId: transaction._id,
+      reference: transaction.reference,
+      ...metadataUpdate.legs
+    });
+
+    return metadataUpdate;
+  }
+
+  /**
+   * Claim and pay one split leg
+   * @param {Object} transaction - Transaction document
+   * @param {Object} parent - Merchant that took the payment
+   * @param {Object} leg - Leg from splitLegs
+   * @returns {Promise<Object>} - Payout document (lean)
+   */
+  async #settleLeg(transaction, parent, leg) {
+    const recipient = leg.merchant;
+    const { currency } = settlementBase(transaction);
+
+    // A sub-merchant under a risk hold or without approved KYC waits; the other legs are still paid.
+    // The parent's own leg already passed these checks in process().
+    const held = leg.role === 'sub_merchant' ? holdReason(recipient, transaction) : null;
+
+    let claimed;
+    try {
+      // Only a new, failed or held leg can be claimed; a paid or in-flight leg hits the unique index instead
+      claimed = await Payout.findOneAndUpdate(
+        { transaction: transaction._id, merchant: recipient._id, status: { $in: ['FAILED', 'ON_HOLD'] } },
+        {
+          $set: {
+            parentMerchant: parent._id,
+            role: leg.role,
+            split: leg.split,
+            grossAmount: leg.grossAmount,
+            fee: leg.fee,
+            netAmount: roundForCurrency(leg.grossAmount - leg.fee, currency),
+            currency,
+            status: held ? 'ON_HOLD' : 'PROCESSING',
+            ...(held ? { error: `Settlement held: ${held}` } : { lastAttemptAt: new Date() })
+          },
+          $inc: { attempts: held ? 0 : 1 }
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return Payout.findOne({ transaction: transaction._id, merchant: recipient._id }).lean();
+    }
+
+    if (held) {
+      logger.warn('Split payout held', {
+        transactionId: transaction._id,
+        merchantId: recipient._id,
+        reason: held,
+        status: recipient.status,
+        kycStatus: recipient.kycStatus
+      });
+      return claimed.toObject();
+    }
+
+    if (leg.role === 'sub_merchant') {
+      await this.#applyDuePayoutChange(recipient, transaction);
+    }
+
+    const destination = await PayoutDestinationService.resolveForSettlement(recipient._id, currency);
+    const payout = destination ? payoutFromDestination(destination) : payoutFromPreferences(recipient, currency);
+    const method = payout.method === 'crypto' ? 'CRYPTO' : 'FIAT';
+
+    try {
+      const result = method === 'CRYPTO'
+        ? await this.settleWithCrypto(transaction, recipient, payout, leg)
+        : await this.settleWithFiat(transaction, recipient, payout, leg);
+
+      return Payout.findByIdAndUpdate(claimed._id, {
+        $set: {
+          status: 'SUCCESS',
+          method,
+          destinationId: payout.destinationId,
+          provider: result.provider,
+          reference: result.reference,
+          details: result.details || null,
+          settledAt: new Date()
+        },
+        $unset: { error: 1 }
+      }, { new: true }).lean();
+    } catch (error) {
+      logger.error('Split payout failed', {
+        transactionId: transaction._id,
+        merchantId: recipient._id,
+        role: leg.role,
+        error: error.message
+      });
+
+      return Payout.findByIdAndUpdate(claimed._id, {
+        $set: {
+          status: 'FAILED',
+          method,
+          destinationId: payout.destinationId,
+          error: error.message
+        }
+      }, { new: true }).lean();
+    }
+  }
+
+  /**
+   * Payout-detail changes only take effect here, once confirmed and past their cooling-off period
+   * @param {Object} merchant - Merchant document
+   * @param {Object} transaction - Transaction being settled
+   */
+  async #applyDuePayoutChange(merchant, transaction) {
+    const appliedChange = await merchant.applyDuePayoutChange();
+    if (!appliedChange) return;
+
+    await AuditService.record({
+      action: AuditService.AUDIT_ACTIONS.PAYOUT_DETAILS_UPDATED,
+      actor: { type: 'system' },
+      target: { type: 'merchant', id: merchant._id.toString() },
+      changes: AuditService.diff(appliedChange.before, appliedChange.after),
+      metadata: { transactionId: transaction._id.toString() }
+    });
+  }
+
   #getCryptoService() {
     if (!this.cryptoService) {
+      // Required lazily: cryptoIntegration -> transactionService -> SettlementService is circular
+      const CryptoIntegrationService = require('./cryptoIntegration');
       this.cryptoService = new CryptoIntegrationService();
     }
     return this.cryptoService;
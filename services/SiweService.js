@@ -0,0 +1,137 @@
+const SiweNonce = require('../models/SiweNonce');
+const Merchant = require('../models/Merchant');
+const ApiError = require('../lib/ApiError');
+const logger = require('../lib/logger');
+const siweUtils = require('../utils/siweUtils');
+const jwtUtils = require('../utils/jwtUtils');
+
+const CLOCK_SKEW_MS = 60 * 1000;
+
+/**
+ * Domain wallets must be asked to sign in to, defaulting to the frontend host
+ * @returns {string}
+ */
+function expectedDomain() {
+  if (process.env.SIWE_DOMAIN) return process.env.SIWE_DOMAIN;
+  return new URL(process.env.FRONTEND_URL || 'http://localhost:3000').host;
+}
+
+/**
+ * Chain ids accepted for sign-in (defaults to Lisk Sepolia, where SwapToken is deployed)
+ * @returns {number[]}
+ */
+function allowedChainIds() {
+  return (process.env.SIWE_CHAIN_IDS || '4202')
+    .split(',')
+    .map((id) => Number(id.trim()))
+    .filter(Number.isInteger);
+}
+
+function nonceTtlMs() {
+  return (parseInt(process.env.SIWE_NONCE_TTL_MINUTES, 10) || 10) * 60 * 1000;
+}
+
+/**
+ * Sign-In With Ethereum (EIP-4361): proves the caller controls a wallet and
+ * issues an access token scoped to that wallet.
+ */
+class SiweService {
+  /**
+   * Issue a single-use nonce for the client to embed in its SIWE message
+   */
+  static async createNonce({ ip } = {}) {
+    const nonce = siweUtils.generateNonce();
+    const expiresAt = new Date(Date.now() + nonceTtlMs());
+
+    await SiweNonce.create({ nonce, expiresAt, ip });
+
+    return {
+      nonce,
+      expiresAt,
+      domain: expectedDomain(),
+      chainIds: allowedChainIds()
+    };
+  }
+
+  /**
+   * Verify a signed SIWE message and issue a wallet-scoped access token
+   * @param {Object} params - { message, signature }
+   * @param {Object} device - Client context ({ userAgent, ip })
+   */
+  static async verify({ message, signature }, device = {}) {
+    let fields;
+    try {
+      fields = siweUtils.parseMessage(message);
+    } catch (error) {
+      throw ApiError.badRequest(error.message);
+    }
+
+    const walletAddress = fields.address.toLowerCase();
+    const now = Date.now();
+
+    const reject = (reason) => {
+      logger.logAuth('SIWE_VERIFY', null, null, false, { walletAddress, reason, ip: device.ip });
+      return ApiError.unauthorized(reason);
+    };
+
+    if (fields.domain !== expectedDomain()) {
+      throw reject('Message domain does not match this site');
+    }
+
+    if (!allowedChainIds().includes(fields.chainId)) {
+      throw reject('Unsupported chain id');
+    }
+
+    if (Date.parse(fields.issuedAt) > now + CLOCK_SKEW_MS) {
+      throw reject('Message issued in the future');
+    }
+    if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+      throw reject('Message has expired');
+    }
+    if (fields.notBefore && Date.parse(fields.notBefore) > now + CLOCK_SKEW_MS) {
+      throw reject('Message is not valid yet');
+    }
+
+    let signer;
+    try {
+      signer = siweUtils.recoverAddress(message, signature);
+    } catch (error) {
+      throw reject('Invalid signature');
+    }
+    if (signer.toLowerCase() !== walletAddress) {
+      throw reject('Signature does not match the message address');
+    }
+
+    // Consume the nonce only after the signature checks out so junk requests cannot burn it
+    const consumed = await SiweNonce.findOneAndUpdate(
+      { nonce: fields.nonce, usedAt: null, expiresAt: { $gt: new Date(now) } },
+      { $set: { usedAt: new Date(now), walletAddress, ip: device.ip } },
+      { new: true }
+    );
+    if (!consumed) {
+      throw reject('Nonce is invalid, expired or already used');
+    }
+
+    const merchant = await Merchant.findOne({ walletAddress });
+
+    const accessToken = jwtUtils.generateWalletToken({
+      walletAddress,
+      chainId: fields.chainId,
+      merchantId: merchant?._id.toString()
+    });
+
+    logger.logAuth('SIWE_VERIFY', null, null, true, { walletAddress, chainId: fields.chainId, merchantId: merchant?._id });
+
+    return {
+      walletAddress,
+      chainId: fields.chainId,
+      merchant: merchant ? { id: merchant._id, businessName: merchant.businessName } : null,
+      tokens: {
+        accessToken,
+        expiresIn: jwtUtils.walletTokenExpiry
+      }
+    };
+  }
+}
+
+module.exports = SiweService;
@@ -0,0 +1,128 @@
+const Merchant = require('../models/Merchant');
+const ApiError = require('../lib/ApiError');
+const logger = require('../lib/logger');
+const AuditService = require('./AuditService');
+
+const { AUDIT_ACTIONS } = AuditService;
+
+/**
+ * Sub-merchants: sellers on a marketplace merchant. They are Merchant
+ * documents with `parentMerchant` set, managed by the parent's team, with
+ * their own payout destinations. Payment intents pay them through split rules.
+ */
+class SubMerchantService {
+  /**
+   * List a merchant's sub-merchants
+   * @param {Object} parent - Parent merchant document
+   * @returns {Promise<Array>}
+   */
+  static async list(parent) {
+    return Merchant.find({ parentMerchant: parent._id }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Get one of a merchant's sub-merchants
+   * @param {Object} parent - Parent merchant document
+   * @param {string} subMerchantId - Sub-merchant id
+   * @returns {Promise<Object>}
+   */
+  static async get(parent, subMerchantId) {
+    const subMerchant = await Merchant.findOne({ _id: subMerchantId, parentMerchant: parent._id });
+    if (!subMerchant) throw ApiError.notFound('Sub-merchant not found');
+    return subMerchant;
+  }
+
+  /**
+   * Create a sub-merchant. Sub-merchants cannot have sub-merchants of their own.
+   * @param {Object} parent - Parent merchant document
+   * @param {Object} input - { businessName, country, walletAddress }
+   * @param {Object} audit - { actor, context }
+   * @returns {Promise<Object>}
+   */
+  static async create(parent, { businessName, country, walletAddress }, { actor, context } = {}) {
+    if (parent.parentMerchant) {
+      throw ApiError.badRequest('Sub-merchants cannot have sub-merchants');
+    }
+    if (parent.status !== 'active') {
+      throw ApiError.badRequest('Merchant account is not active');
+    }
+
+    if (await Merchant.exists({ businessName })) {
+      throw ApiError.conflict('Business name already exists');
+    }
+    if (walletAddress && await Merchant.exists({ walletAddress: walletAddress.toLowerCase() })) {
+      throw ApiError.conflict('Wallet address already linked to a business');
+    }
+
+    const subMerchant = await Merchant.create({
+      parentMerchant: parent._id,
+      businessName,
+      country: country || parent.country,
+      walletAddress: walletAddress ? walletAddress.toLowerCase() : undefined
+    });
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.SUB_MERCHANT_CREATED,
+      actor,
+      target: { type: 'merchant', id: subMerchant._id.toString() },
+      changes: { before: {}, after: { businessName, walletAddress: subMerchant.walletAddress } },
+      metadata: { parentMerchantId: parent._id.toString() }
+    }, context);
+
+    logger.info('Sub-merchant created', { parentMerchantId: parent._id, subMerchantId: subMerchant._id });
+    return subMerchant;
+  }
+
+  /**
+   * Update a sub-merchant's profile or status (active or closed). Closed
+   * sub-merchants can no longer be named in new splits; payments already split
+   * to them still settle. Risk holds are lifted by platform admins only.
+   * @param {Object} parent - Parent merchant document
+   * @param {string} subMerchantId - Sub-merchant id
+   * @param {Object} changes - { businessName, country, status }
+   * @param {Object} options - { changedBy, actor, context }
+   * @returns {Promise<Object>}
+   */
+  static async update(parent, subMerchantId, { businessName, country, status }, { changedBy, actor, context } = {}) {
+    const subMerchant = await this.get(parent, subMerchantId);
+    const before = { businessName: subMerchant.businessName, country: subMerchant.country, status: subMerchant.status };
+
+    if (businessName !== undefined && businessName !== subMerchant.businessName) {
+      if (await Merchant.exists({ businessName, _id: { $ne: subMerchant._id } })) {
+        throw ApiError.conflict('Business name already exists');
+      }
+      subMerchant.businessName = businessName;
+    }
+    if (country !== undefined) subMerchant.country = country;
+    if (status !== undefined && status !== subMerchant.status) {
+      if (Merchant.SETTLEMENT_HOLD_STATUSES.includes(subMerchant.status)) {
+        throw ApiError.forbidden(`Sub-merchant is ${subMerchant.status} by the platform; contact support`);
+      }
+      subMerchant.status = status;
+      subMerchant.statusReason = undefined;
+      subMerchant.statusChangedAt = new Date();
+      subMerchant.statusChangedBy = changedBy;
+    }
+
+    await subMerchant.save();
+
+    const changes = AuditService.diff(before, {
+      businessName: subMerchant.businessName,
+      country: subMerchant.country,
+      status: subMerchant.status
+    });
+    if (Object.keys(changes.after).length) {
+      await AuditService.record({
+        action: AUDIT_ACTIONS.SUB_MERCHANT_UPDATED,
+        actor,
+        target: { type: 'merchant', id: subMerchant._id.toString() },
+        changes,
+        metadata: { parentMerchantId: parent._id.toString() }
+      }, context);
+    }
+
+    return subMerchant;
+  }
+}
+
+module.exports = SubMerchantService;
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const ApiError = require('../lib/ApiError');
+const logger = require('../lib/logger');
+const jwtUtils = require('../utils/jwtUtils');
+
+/**
+ * Issues and rotates refresh tokens backed by the RefreshToken collection.
+ * A token family (exposed to clients as the `sid` claim) represents one
+ * signed-in session; access tokens are only honoured while their family
+ * still has a live refresh token. Each family is mirrored by a Session
+ * document that the user can see and revoke.
+ */
+class TokenService {
+  /**
+   * Start a new session for the user and return its token pair
+   * @param {Object} user - User document
+   * @param {Object} device - Client context ({ userAgent, ip })
+   * @param {Object} options - { mfa: true when a second factor was verified }
+   * @returns {Promise<Object>} - Token pair with the session id
+   */
+  static async issue(user, device = {}, { mfa = false } = {}) {
+    const family = crypto.randomUUID();
+    const tokens = await this.#issueInFamily(user, family, device, { mfa });
+
+    await Session.create({
+      sessionId: family,
+      user: user._id,
+      refreshTokenId: tokens.refreshTokenId,
+      userAgent: device.userAgent,
+      ip: device.ip,
+      deviceHash: this.deviceHash(device.userAgent),
+      lastSeenIp: device.ip,
+      expiresAt: tokens.refreshExpiresAt,
+      mfa
+    });
+
+    return this.#publicTokens(tokens);
+  }
+
+  /**
+   * Rotate a refresh token. Presenting a token that was already rotated is
+   * treated as theft and revokes every token in its family.
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {Object} device - Client context ({ userAgent, ip })
+   * @returns {Promise<Object>} - New token pair
+   */
+  static async rotate(refreshToken, device = {}) {
+    const decoded = jwtUtils.verifyRefreshToken(refreshToken);
+
+    if (!decoded.jti || !decoded.sid) {
+      throw ApiError.unauthorized('Refresh token is no longer valid, please log in again');
+    }
+
+    const stored = await RefreshToken.findOne({ tokenId: decoded.jti });
+    if (!stored || stored.user.toString() !== decoded.userId) {
+      throw ApiError.unauthorized('Refresh token is no longer valid, please log in again');
+    }
+
+    const nextTokenId = crypto.randomUUID();
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { tokenId: decoded.jti, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'rotated', replacedBy: nextTokenId } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      if (stored.revokedReason === 'rotated' || !stored.revokedReason) {
+        await this.revokeFamily(stored.family, 'reuse_detected');
+        logger.warn('Refresh token reuse detected, session family revoked', {
+          userId: decoded.userId,
+          family: stored.family,
+          ip: device.ip
+        });
+      }
+      throw ApiError.unauthorized('Refresh token has been revoked, please log in again');
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      await this.revokeFamily(stored.family, 'logout');
+      throw ApiError.unauthorized('User no longer exists');
+    }
+    if (user.isLocked) throw ApiError.forbidden('Account is temporarily locked');
+
+    const tokens = await this.#issueInFamily(user, stored.family, device, { mfa: stored.mfa, tokenId: nextTokenId });
+
+    await Session.updateOne(
+      { sessionId: stored.family },
+      {
+        $set: {
+          refreshTokenId: nextTokenId,
+          expiresAt: tokens.refreshExpiresAt,
+          lastSeenAt: new Date(),
+          lastSeenIp: device.ip
+        }
+      }
+    );
+
+    return this.#publicTokens(tokens);
+  }
+
+  /**
+   * Revoke every live token in a family (one session)
+   * @param {string} family - Session/family id
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} - Number of tokens revoked
+   */
+  static async revokeFamily(family, reason = 'logout') {
+    const revocation = { $set: { revokedAt: new Date(), revokedReason: reason } };
+
+    const result = await RefreshToken.updateMany({ family, revokedAt: null }, revocation);
+    await Session.updateOne({ sessionId: family, revokedAt: null }, revocation);
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revoke every live token belonging to a user (logout everywhere)
+   * @param {string} userId - User id
+   * @param {string} reason - Revocation reason
+   * @param {Object} options - { exceptFamily: session to keep signed in }
+   * @returns {Promise<number>} - Number of tokens revoked
+   */
+  static async revokeAllForUser(userId, reason = 'logout_all', { exceptFamily } = {}) {
+    const revocation = { $set: { revokedAt: new Date(), revokedReason: reason } };
+    const keep = exceptFamily ? { $ne: exceptFamily } : undefined;
+
+    const result = await RefreshToken.updateMany(
+      { user: userId, revokedAt: null, ...(keep && { family: keep }) },
+      revocation
+    );
+    await Session.updateMany(
+      { user: userId, revokedAt: null, ...(keep && { sessionId: keep }) },
+      revocation
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Check whether a session still has a live refresh token
+   * @param {string} family - Session/family id (`sid` claim)
+   * @returns {Promise<boolean>}
+   */
+  static async isSessionActive(family) {
+    if (!family) return false;
+
+    const live = await RefreshToken.exists({
+      family,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    return !!live;
+  }
+
+  /**
+   * Fingerprint used to recognise a returning device
+   * @param {string} userAgent - Client user agent
+   * @returns {string} - SHA-256 hex digest
+   */
+  static deviceHash(userAgent) {
+    return crypto.createHash('sha256').update(userAgent || '').digest('hex');
+  }
+
+  static async #issueInFamily(user, family, device, { mfa = false, tokenId = crypto.randomUUID() } = {}) {
+    const tokens = jwtUtils.generateTokenPair(user, { sessionId: family, tokenId, mfa });
+
+    const expiresAt = jwtUtils.getTokenExpiration(tokens.refreshToken);
+
+    await RefreshToken.create({
+      tokenId,
+      user: user._id,
+      family,
+      device: {
+        userAgent: device.userAgent,
+        ip: device.ip
+      },
+      expiresAt,
+      mfa
+    });
+
+    return {
+      ...tokens,
+      sessionId: family,
+      refreshTokenId: tokenId,
+      refreshExpiresAt: expiresAt
+    };
+  }
+
+  static #publicTokens({ refreshTokenId, refreshExpiresAt, ...tokens }) {
+    return tokens;
+  }
+}
+
+module.exports = TokenService;
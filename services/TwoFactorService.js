@@ -0,0 +1,205 @@
+const User = require('../models/User');
+const ApiError = require('../lib/ApiError');
+const logger = require('../lib/logger');
+const totpUtils = require('../utils/totpUtils');
+const SecurityPolicyService = require('./SecurityPolicyService');
+const TokenService = require('./TokenService');
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.backupCodes';
+
+/**
+ * Generate a fresh set of backup codes
+ * @returns {{ codes: string[], stored: Object[] }} - Plain codes for the user, hashes for storage
+ */
+function issueBackupCodes() {
+  const codes = totpUtils.generateBackupCodes();
+  return {
+    codes,
+    stored: codes.map((code) => ({ hash: totpUtils.hashBackupCode(code) }))
+  };
+}
+
+/**
+ * TOTP enrolment, verification and backup codes for dashboard users
+ */
+class TwoFactorService {
+  /**
+   * Start enrolment: store a pending secret and return it with its otpauth URI
+   */
+  static async beginEnrollment(userId) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) throw ApiError.notFound('User not found');
+    if (user.twoFactor?.enabled) {
+      throw ApiError.badRequest('Two-factor authentication is already enabled');
+    }
+
+    const secret = totpUtils.generateSecret();
+    user.twoFactor.pendingSecret = totpUtils.encryptSecret(secret);
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl: totpUtils.buildOtpauthURI(secret, user.email)
+    };
+  }
+
+  /**
+   * Confirm enrolment with a code from the authenticator app. Replaces the
+   * current session with one that has completed the second factor.
+   * @returns {Promise<{ backupCodes: string[], tokens: Object }>}
+   */
+  static async confirmEnrollment(userId, code, { sessionId, device } = {}) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) throw ApiError.notFound('User not found');
+    if (user.twoFactor?.enabled) {
+      throw ApiError.badRequest('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      throw ApiError.badRequest('Start two-factor setup first');
+    }
+
+    const step = totpUtils.verifyCode(totpUtils.decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      throw ApiError.badRequest('Invalid authentication code');
+    }
+
+    const { codes, stored } = issueBackupCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.backupCodes = stored;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    if (sessionId) await TokenService.revokeFamily(sessionId, 'logout');
+    const tokens = await TokenService.issue(user, device, { mfa: true });
+
+    logger.logAuth('2FA_ENABLED', user._id, user.email);
+
+    return { backupCodes: codes, tokens };
+  }
+
+  /**
+   * Turn off two-factor authentication. Requires the password and a current code.
+   */
+  static async disable(userId, { password, code }) {
+    const user = await User.findById(userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+    if (!user) throw ApiError.notFound('User not found');
+    if (!user.twoFactor?.enabled) {
+      throw ApiError.badRequest('Two-factor authentication is not enabled');
+    }
+
+    if (await SecurityPolicyService.isTwoFactorRequired(user.role)) {
+      throw ApiError.forbidden(`Two-factor authentication is required for the ${user.role} role`);
+    }
+
+    if (!(await user.comparePassword(password))) {
+      throw ApiError.unauthorized('Incorrect password');
+    }
+    if (!(await this.verifySecondFactor(user, code))) {
+      throw ApiError.unauthorized('Invalid authentication code');
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    logger.logAuth('2FA_DISABLED', user._id, user.email);
+  }
+
+  /**
+   * Replace all backup codes. Requires a current TOTP code.
+   * @returns {Promise<{ backupCodes: string[] }>}
+   */
+  static async regenerateBackupCodes(userId, code) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) throw ApiError.notFound('User not found');
+    if (!user.twoFactor?.enabled) {
+      throw ApiError.badRequest('Two-factor authentication is not enabled');
+    }
+    if ((await this.verifySecondFactor(user, code, { allowBackupCode: false })) !== 'totp') {
+      throw ApiError.unauthorized('Invalid authentication code');
+    }
+
+    const { codes, stored } = issueBackupCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.backupCodes': stored } });
+
+    logger.logAuth('2FA_BACKUP_CODES_REGENERATED', user._id, user.email);
+
+    return { backupCodes: codes };
+  }
+
+  /**
+   * Check a TOTP or backup code. Accepted TOTP steps and backup codes are
+   * consumed atomically so neither can be replayed.
+   * @param {Object} user - User document loaded with the two-factor fields
+   * @param {string} code - TOTP code or backup code
+   * @param {Object} options - { allowBackupCode }
+   * @returns {Promise<'totp'|'backup'|null>} - Factor used, or null when invalid
+   */
+  static async verifySecondFactor(user, code, { allowBackupCode = true } = {}) {
+    const candidate = String(code || '').trim();
+    if (!candidate || !user.twoFactor?.secret) return null;
+
+    if (/^\d{6}$/.test(candidate)) {
+      const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+      const step = totpUtils.verifyCode(totpUtils.decryptSecret(user.twoFactor.secret), candidate, lastUsedStep);
+      if (step === null) return null;
+
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      if (result.modifiedCount !== 1) return null;
+
+      user.twoFactor.lastUsedStep = step;
+      return 'totp';
+    }
+
+    if (!allowBackupCode) return null;
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'twoFactor.backupCodes': { $elemMatch: { hash: totpUtils.hashBackupCode(candidate), usedAt: null } }
+      },
+      { $set: { 'twoFactor.backupCodes.$.usedAt': new Date() } }
+    );
+    if (result.modifiedCount !== 1) return null;
+
+    logger.logAuth('2FA_BACKUP_CODE_USED', user._id, user.email);
+    return 'backup';
+  }
+
+  /**
+   * Verify a fresh TOTP code for a sensitive operation (step-up)
+   * @param {string} userId - User id
+   * @param {string} code - Code from the X-2FA-Code header
+   * @throws {ApiError} - 403 when 2FA is not enabled, 401 when the code is invalid
+   */
+  static async verifyStepUp(userId, code) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) throw ApiError.unauthorized('User no longer exists');
+
+    if (!user.twoFactor?.enabled) {
+      throw ApiError.forbidden('Enable two-factor authentication to perform this action', { code: 'TWO_FACTOR_SETUP_REQUIRED' });
+    }
+    if (!code) {
+      throw ApiError.unauthorized('A current two-factor code is required in the X-2FA-Code header', { code: 'STEP_UP_REQUIRED' });
+    }
+    if (!(await this.verifySecondFactor(user, code, { allowBackupCode: false }))) {
+      logger.logAuth('2FA_STEP_UP', user._id, user.email, false);
+      throw ApiError.unauthorized('Invalid two-factor code', { code: 'STEP_UP_REQUIRED' });
+    }
+
+    logger.logAuth('2FA_STEP_UP', user._id, user.email);
+  }
+}
+
+TwoFactorService.TWO_FACTOR_FIELDS = TWO_FACTOR_FIELDS;
+
+module.exports = TwoFactorService;
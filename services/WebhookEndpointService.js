@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const Merchant = require('../models/Merchant');
+const ApiError = require('../lib/ApiError');
+const events = require('../lib/events');
+const logger = require('../lib/logger');
+const AuditService = require('./AuditService');
+
+const { AUDIT_ACTIONS } = AuditService;
+
+const MAX_ENDPOINTS = 10;
+
+// Domain events forwarded to merchant webhook endpoints
+const WEBHOOK_EVENTS = [events.EVENTS.PAYMENT_INTENT_EXPIRED, events.EVENTS.PAYMENT_INTENT_LATE_PAYMENT];
+
+const DELIVERY_TIMEOUT_MS = Number(process.env.WEBHOOK_DELIVERY_TIMEOUT_MS) || 10 * 1000;
+
+let subscribed = false;
+
+/**
+ * Merchant webhook endpoints
+ */
+class WebhookEndpointService {
+  /**
+   * List a merchant's endpoints, oldest first
+   * @param {string} merchantId - Merchant id
+   * @returns {Promise<Array>}
+   */
+  static async list(merchantId) {
+    return WebhookEndpoint.find({ merchant: merchantId }).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Register an endpoint with a new signing secret
+   * @param {Object} merchant - Merchant document
+   * @param {Object} input - { url, description }
+   * @param {Object} options - { createdBy, actor, context }
+   * @returns {Promise<Object>} - { endpoint, secret }; the secret is not retrievable later
+   */
+  static async create(merchant, { url, description }, { createdBy, actor, context } = {}) {
+    if (merchant.parentMerchant) {
+      throw ApiError.badRequest('Sub-merchants are notified through their parent merchant and cannot have webhook endpoints');
+    }
+
+    const count = await WebhookEndpoint.countDocuments({ merchant: merchant._id });
+    if (count >= MAX_ENDPOINTS) {
+      throw ApiError.badRequest(`A merchant can have at most ${MAX_ENDPOINTS} webhook endpoints`);
+    }
+    if (await WebhookEndpoint.exists({ merchant: merchant._id, url })) {
+      throw ApiError.conflict('This URL is already a webhook endpoint');
+    }
+
+    const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    const endpoint = await WebhookEndpoint.create({ merchant: merchant._id, url, description, secret, createdBy });
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.WEBHOOK_ENDPOINT_ADDED,
+      actor,
+      target: { type: 'merchant', id: merchant._id.toString() },
+      metadata: { endpointId: endpoint._id.toString(), url }
+    }, context);
+
+    return { endpoint, secret };
+  }
+
+  /**
+   * Change an endpoint's description or enable/disable it
+   * @param {Object} merchant - Merchant document
+   * @param {string} endpointId - Endpoint id
+   * @param {Object} changes - { description, enabled }
+   * @returns {Promise<Object>}
+   */
+  static async update(merchant, endpointId, { description, enabled }) {
+    const endpoint = await this.#find(merchant._id, endpointId);
+
+    if (description !== undefined) endpoint.description = description;
+    if (enabled !== undefined) endpoint.enabled = enabled;
+    await endpoint.save();
+
+    return endpoint;
+  }
+
+  /**
+   * Remove an endpoint
+   * @param {Object} merchant - Merchant document
+   * @param {string} endpointId - Endpoint id
+   * @param {Object} audit - { actor, context }
+   */
+  static async remove(merchant, endpointId, { actor, context } = {}) {
+    const endpoint = await this.#find(merchant._id, endpointId);
+    await endpoint.deleteOne();
+
+    await AuditService.record({
+      action: AUDIT_ACTIONS.WEBHOOK_ENDPOINT_REMOVED,
+      actor,
+      target: { type: 'merchant', id: merchant._id.toString() },
+      metadata: { endpointId: endpoint._id.toString(), url: endpoint.url }
+    }, context);
+  }
+
+  /**
+   * Signature sent in `KlevaPay-Signature` as `t=<timestamp>,v1=<signature>`:
+   * HMAC-SHA256 of `<timestamp>.<body>` with the endpoint's secret
+   * @param {string} secret - Endpoint signing secret
+   * @param {number} timestamp - Unix seconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} - Hex digest
+   */
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * POST an event to the merchant's enabled endpoints, signed with each
+   * endpoint's secret. Sub-merchants are notified through their parent.
+   * One attempt per endpoint; failures are logged.
+   * @param {string} merchantId - Merchant the event is about
+   * @param {string} type - Event name
+   * @param {Object} data - Event payload
+   * @returns {Promise<Object>} - { delivered, failed }
+   */
+  static async deliver(merchantId, type, data) {
+    const merchant = await Merchant.findById(merchantId).select('parentMerchant').lean();
+    if (!merchant) return { delivered: 0, failed: 0 };
+
+    const endpoints = await WebhookEndpoint.find({ merchant: merchant.parentMerchant || merchant._id, enabled: true })
+      .select('+secret');
+    if (!endpoints.length) return { delivered: 0, failed: 0 };
+
+    const body = JSON.stringify({
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data
+    });
+
+    const results = await Promise.allSettled(endpoints.map((endpoint) => {
+      const timestamp = Math.floor(Date.now() / 1000);
+      return axios.post(endpoint.url, body, {
+        timeout: DELIVERY_TIMEOUT_MS,
+        headers: {
+          'Content-Type': 'application/json',
+          'KlevaPay-Signature': `t=${timestamp},v1=${this.sign(endpoint.secret, timestamp, body)}`
+        }
+      });
+    }));
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        logger.warn('Webhook delivery failed', {
+          endpointId: endpoints[index]._id,
+          merchantId: endpoints[index].merchant,
+          type,
+          error: result.reason.response ? `HTTP ${result.reason.response.status}` : result.reason.message
+        });
+      }
+    });
+
+    const failed = results.filter((result) => result.status === 'rejected').length;
+    return { delivered: results.length - failed, failed };
+  }
+
+  /**
+   * Forward WEBHOOK_EVENTS published on the event bus to merchant endpoints.
+   * Call once at startup; later calls do nothing.
+   */
+  static subscribe() {
+    if (subscribed) return;
+    subscribed = true;
+
+    for (const type of WEBHOOK_EVENTS) {
+      events.on(type, (payload) => {
+        this.deliver(payload.merchantId, type, payload).catch((error) => {
+          logger.error('Webhook delivery failed', { type, merchantId: payload.merchantId, error: error.message });
+        });
+      });
+    }
+  }
+
+  static async #find(merchantId, endpointId) {
+    if (!mongoose.isValidObjectId(endpointId)) throw ApiError.badRequest('Invalid webhook endpoint id');
+
+    const endpoint = await WebhookEndpoint.findOne({ _id: endpointId, merchant: merchantId });
+    if (!endpoint) throw ApiError.notFound('Webhook endpoint not found');
+    return endpoint;
+  }
+}
+
+WebhookEndpointService.MAX_ENDPOINTS = MAX_ENDPOINTS;
+WebhookEndpointService.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookEndpointService;
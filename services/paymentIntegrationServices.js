@@ -12,7 +12,7 @@ function sanitizeMetadata(meta = {}) {
 }
 
 class PaymentService {
-  static async createPayment({ amount, currency = "NGN", method, customer, tx_ref, merchant = {}, metadata = {} }) {
+  static async createPayment({ amount, currency = "NGN", method, customer, tx_ref, merchant = {}, branding = {}, metadata = {} }) {
     if (!amount || !method) throw new Error("amount and method required");
 
     const reference = tx_ref || `tx-${Date.now()}`;
@@ -32,6 +32,9 @@ class PaymentService {
       ...merchantMeta
     });
 
+    const displayName = branding.displayName || merchant?.businessName || "KlevaPay";
+    const redirectUrl = branding.returnUrl || `${process.env.FRONTEND_URL || "http://localhost:5173"}/checkout`;
+
     if (method === "card" && currency.toUpperCase() === 'NGN') {
       gatewayAmount = await convert('NGN', 'USD', amount);
       gatewayCurrency = 'USD';
@@ -39,14 +42,14 @@ class PaymentService {
         tx_ref: reference,
         amount,
         currency,
-        redirect_url: `${process.env.FRONTEND_URL || "http://localhost:5173"}/checkout`,
+        redirect_url: redirectUrl,
         customer,
         payment_options: "card",
-        customizations: {
-          title: "KlevaPay Checkout",
-          description: "Card payments",
-          logo: "https://logo-url.png",
-        },
+        customizations: sanitizeMetadata({
+          title: displayName,
+          description: `Payment to ${displayName}`,
+          logo: branding.logoUrl,
+        }),
       };
 
       if (Object.keys(combinedMeta).length) {
@@ -65,6 +68,7 @@ class PaymentService {
       email: customer?.email,
       phone_number: customer?.phone,
       fullname: customer?.name,
+      redirect_url: redirectUrl,
     };
 
     if (Object.keys(combinedMeta).length) {
@@ -6,6 +6,23 @@ const nodemailer = require('nodemailer');
 const logger = require('../lib/logger');
 
 
+// ================================================================
+// HELPERS
+// ================================================================
+
+/**
+ * Escape client-supplied text (user agents, account details) before embedding it in HTML
+ * @param {string} value - Untrusted text
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+
 // ================================================================
 // EMAIL SERVICE CLASS
 // ================================================================
@@ -155,6 +172,261 @@ class EmailService {
     }
   }
 
+  /**
+   * Send confirmation that the account password was changed
+   * @param {string} email - Recipient email address
+   * @param {string} businessName - Business name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendPasswordChangedEmail(email, businessName) {
+    try {
+      const mailOptions = {
+        from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
+        to: email,
+        subject: '✅ KlevaPay - Your Password Was Changed',
+        html: this.getPasswordChangedTemplate(businessName)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info('Password changed email sent successfully', {
+        to: email,
+        messageId: result.messageId,
+        businessName
+      });
+
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      logger.error('Failed to send password changed email', {
+        to: email,
+        error: error.message,
+        businessName
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send team invitation email
+   * @param {string} email - Invitee email address
+   * @param {Object} invitation - { businessName, role, inviterName, acceptUrl, expiresAt }
+   * @returns {Promise<Object>} - Email sending result
+   */
+  async sendTeamInvitationEmail(email, invitation) {
+    try {
+      const mailOptions = {
+        from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
+        to: email,
+        subject: `🤝 KlevaPay - You've been invited to join ${invitation.businessName}`,
+        html: this.getTeamInvitationTemplate(invitation)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info('Team invitation email sent successfully', {
+        to: email,
+        messageId: result.messageId,
+        businessName: invitation.businessName
+      });
+
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      logger.error('Failed to send team invitation email', {
+        to: email,
+        error: error.message,
+        businessName: invitation.businessName
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send new device sign-in alert
+   * @param {string} email - Recipient email address
+   * @param {Object} login - { businessName, userAgent, ip, signedInAt }
+   * @returns {Promise<Object>} - Email sending result
+   */
+  async sendNewDeviceLoginEmail(email, login) {
+    try {
+      const mailOptions = {
+        from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
+        to: email,
+        subject: '🔔 KlevaPay - New Sign-In to Your Account',
+        html: this.getNewDeviceLoginTemplate(login)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info('New device login email sent successfully', {
+        to: email,
+        messageId: result.messageId,
+        businessName: login.businessName
+      });
+
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      logger.error('Failed to send new device login email', {
+        to: email,
+        error: error.message,
+        businessName: login.businessName
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send payout details change confirmation email
+   * @param {string} email - Recipient email address
+   * @param {Object} change - { businessName, method, currency, accountSummary, confirmUrl, expiresAt, coolingOffHours }
+   * @returns {Promise<Object>} - Email sending result
+   */
+  async sendPayoutChangeConfirmationEmail(email, change) {
+    try {
+      const mailOptions = {
+        from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
+        to: email,
+        subject: '🏦 KlevaPay - Confirm Your Payout Details Change',
+        html: this.getPayoutChangeConfirmationTemplate(change)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info('Payout change confirmation email sent successfully', {
+        to: email,
+        messageId: result.messageId,
+        businessName: change.businessName
+      });
+
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      logger.error('Failed to send payout change confirmation email', {
+        to: email,
+        error: error.message,
+        businessName: change.businessName
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send new payout destination notification email
+   * @param {string} email - Recipient email address
+   * @param {Object} destination - { businessName, destinationSummary, currency, verificationStatus, usableFrom }
+   * @returns {Promise<Object>} - Email sending result
+   */
+  async sendPayoutDestinationAddedEmail(email, destination) {
+    try {
+      const mailOptions = {
+        from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
+        to: email,
+        subject: '🏦 KlevaPay - New Payout Destination Added',
+        html: this.getPayoutDestinationAddedTemplate(destination)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info('Payout destination email sent successfully', {
+        to: email,
+        messageId: result.messageId,
+        businessName: destination.businessName
+      });
+
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      logger.error('Failed to send payout destination email', {
+        to: email,
+        error: error.message,
+        businessName: destination.businessName
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send KYC review status email
+   * @param {string} email - Recipient email address
+   * @param {Object} update - { businessName, status, reason }
+   * @returns {Promise<Object>} - Email sending result
+   */
+  async sendKycStatusEmail(email, update) {
+    const subjects = {
+      submitted: '📄 KlevaPay - KYC Documents Received',
+      approved: '✅ KlevaPay - Business Verified',
+      rejected: '⚠️ KlevaPay - KYC Review Needs Attention'
+    };
+
+    try {
+      const mailOptions = {
+        from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
+        to: email,
+        subject: subjects[update.status],
+        html: this.getKycStatusTemplate(update)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info('KYC status email sent successfully', {
+        to: email,
+        messageId: result.messageId,
+        businessName: update.businessName,
+        status: update.status
+      });
+
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      logger.error('Failed to send KYC status email', {
+        to: email,
+        error: error.message,
+        businessName: update.businessName,
+        status: update.status
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send merchant account status change email
+   * @param {string} email - Recipient email address
+   * @param {Object} update - { businessName, status, reason }
+   * @returns {Promise<Object>} - Email sending result
+   */
+  async sendMerchantStatusEmail(email, update) {
+    const subjects = {
+      active: '✅ KlevaPay - Account Restored',
+      restricted: '⚠️ KlevaPay - Settlements On Hold',
+      suspended: '⛔ KlevaPay - Account Suspended',
+      closed: 'KlevaPay - Account Closed'
+    };
+
+    try {
+      const mailOptions = {
+        from: `${process.env.FROM_NAME} <${process.env.FROM_EMAIL}>`,
+        to: email,
+        subject: subjects[update.status],
+        html: this.getMerchantStatusTemplate(update)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info('Merchant status email sent successfully', {
+        to: email,
+        messageId: result.messageId,
+        businessName: update.businessName,
+        status: update.status
+      });
+
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      logger.error('Failed to send merchant status email', {
+        to: email,
+        error: error.message,
+        businessName: update.businessName,
+        status: update.status
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Get HTML template for OTP verification email
    * @param {string} otp - 6-digit OTP code
@@ -341,6 +613,404 @@ class EmailService {
     </html>
     `;
   }
+
+  /**
+   * Get HTML template for password changed confirmation email
+   * @param {string} businessName - Business name
+   * @returns {string} - HTML template
+   */
+  getPasswordChangedTemplate(businessName) {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>KlevaPay Password Changed</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-align: center; padding: 30px; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .success-box { background: #d4edda; border: 1px solid #c3e6cb; border-radius: 5px; padding: 20px; margin: 20px 0; text-align: center; }
+            .warning { background: #f8d7da; border: 1px solid #f5c6cb; border-radius: 5px; padding: 15px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>✅ Password Changed</h1>
+                <p>KlevaPay Account Security</p>
+            </div>
+            <div class="content">
+                <h2>Hello ${businessName},</h2>
+                <div class="success-box">
+                    <p>The password for your KlevaPay account was changed successfully.</p>
+                </div>
+
+                <p>For your protection, all devices that were signed in to your account have been signed out. Please log in again with your new password.</p>
+
+                <div class="warning">
+                    <h4>🛡️ Didn't make this change?</h4>
+                    <p>Reset your password immediately and contact our support team so we can secure your account.</p>
+                </div>
+
+                <p>Best regards,<br>The KlevaPay Security Team</p>
+            </div>
+            <div class="footer">
+                <p>&copy; 2025 KlevaPay. All rights reserved.</p>
+                <p>This is an automated email, please do not reply.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Get HTML template for team invitation email
+   * @param {Object} invitation - { businessName, role, inviterName, acceptUrl, expiresAt }
+   * @returns {string} - HTML template
+   */
+  getTeamInvitationTemplate({ businessName, role, inviterName, acceptUrl, expiresAt }) {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>KlevaPay Team Invitation</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-align: center; padding: 30px; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .invite-box { background: white; border: 2px dashed #667eea; border-radius: 10px; padding: 20px; margin: 20px 0; text-align: center; }
+            .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>🤝 Team Invitation</h1>
+                <p>Join ${businessName} on KlevaPay</p>
+            </div>
+            <div class="content">
+                <h2>Hello,</h2>
+                <p>${inviterName || 'A team member'} has invited you to join <strong>${businessName}</strong> on KlevaPay.</p>
+
+                <div class="invite-box">
+                    <p>Your role: <strong>${role}</strong></p>
+                    <a href="${acceptUrl}" class="button">Accept Invitation</a>
+                </div>
+
+                <p>Sign in (or create an account) with this email address to accept. This invitation expires on <strong>${new Date(expiresAt).toUTCString()}</strong>.</p>
+
+                <p>If you weren't expecting this invitation, you can safely ignore this email.</p>
+
+                <p>Best regards,<br>The KlevaPay Team</p>
+            </div>
+            <div class="footer">
+                <p>&copy; 2025 KlevaPay. All rights reserved.</p>
+                <p>This is an automated email, please do not reply.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+  /**
+   * Get HTML template for new device sign-in alert
+   * @param {Object} login - { businessName, userAgent, ip, signedInAt }
+   * @returns {string} - HTML template
+   */
+  getNewDeviceLoginTemplate({ businessName, userAgent, ip, signedInAt }) {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>KlevaPay New Sign-In</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-align: center; padding: 30px; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .device-box { background: white; border: 1px solid #ddd; border-radius: 5px; padding: 20px; margin: 20px 0; }
+            .warning { background: #f8d7da; border: 1px solid #f5c6cb; border-radius: 5px; padding: 15px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>🔔 New Sign-In</h1>
+                <p>KlevaPay Account Security</p>
+            </div>
+            <div class="content">
+                <h2>Hello ${businessName},</h2>
+                <p>Your KlevaPay account was just signed in to from a device we haven't seen before.</p>
+
+                <div class="device-box">
+                    <p><strong>Device:</strong> ${escapeHtml(userAgent || 'Unknown device')}</p>
+                    <p><strong>IP address:</strong> ${escapeHtml(ip || 'Unknown')}</p>
+                    <p><strong>Time:</strong> ${new Date(signedInAt).toUTCString()}</p>
+                </div>
+
+                <p>If this was you, no action is needed.</p>
+
+                <div class="warning">
+                    <h4>🛡️ Don't recognise this sign-in?</h4>
+                    <p>Sign out of that session from your security settings, reset your password and enable two-factor authentication.</p>
+                </div>
+
+                <p>Best regards,<br>The KlevaPay Security Team</p>
+            </div>
+            <div class="footer">
+                <p>&copy; 2025 KlevaPay. All rights reserved.</p>
+                <p>This is an automated email, please do not reply.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+  /**
+   * Get HTML template for payout details change confirmation email
+   * @param {Object} change - { businessName, method, currency, accountSummary, confirmUrl, expiresAt, coolingOffHours }
+   * @returns {string} - HTML template
+   */
+  getPayoutChangeConfirmationTemplate({ businessName, method, currency, accountSummary, confirmUrl, expiresAt, coolingOffHours }) {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>KlevaPay Payout Details Change</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-align: center; padding: 30px; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .details-box { background: white; border: 1px solid #ddd; border-radius: 5px; padding: 20px; margin: 20px 0; }
+            .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .warning { background: #f8d7da; border: 1px solid #f5c6cb; border-radius: 5px; padding: 15px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>🏦 Payout Details Change</h1>
+                <p>${businessName}</p>
+            </div>
+            <div class="content">
+                <h2>Hello,</h2>
+                <p>A change to the payout details for <strong>${businessName}</strong> was requested from your account.</p>
+
+                <div class="details-box">
+                    <p><strong>Method:</strong> ${escapeHtml(method)}</p>
+                    <p><strong>Currency:</strong> ${escapeHtml(currency)}</p>
+                    <p><strong>Account:</strong> ${escapeHtml(accountSummary)}</p>
+                </div>
+
+                <p>Confirm the change before <strong>${new Date(expiresAt).toUTCString()}</strong>. For your protection, settlements keep using the current details for ${coolingOffHours} hours after you confirm.</p>
+                <a href="${confirmUrl}" class="button">Confirm Change</a>
+
+                <div class="warning">
+                    <h4>🛡️ Didn't request this?</h4>
+                    <p>Do not confirm. Cancel the pending change from your dashboard, reset your password and review your team members.</p>
+                </div>
+
+                <p>Best regards,<br>The KlevaPay Security Team</p>
+            </div>
+            <div class="footer">
+                <p>&copy; 2025 KlevaPay. All rights reserved.</p>
+                <p>This is an automated email, please do not reply.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+  /**
+   * Get HTML template for new payout destination email
+   * @param {Object} destination - { businessName, destinationSummary, currency, verificationStatus, usableFrom }
+   * @returns {string} - HTML template
+   */
+  getPayoutDestinationAddedTemplate({ businessName, destinationSummary, currency, verificationStatus, usableFrom }) {
+    const verification = {
+      verified: 'Verified with the bank',
+      name_mismatch: 'Account name does not match your business name; it will not receive payouts',
+      pending: 'Verification pending',
+      failed: 'Verification failed; it will not receive payouts',
+      not_required: 'Not required'
+    };
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>KlevaPay New Payout Destination</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-align: center; padding: 30px; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .details-box { background: white; border: 1px solid #ddd; border-radius: 5px; padding: 20px; margin: 20px 0; }
+            .warning { background: #f8d7da; border: 1px solid #f5c6cb; border-radius: 5px; padding: 15px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>🏦 New Payout Destination</h1>
+                <p>${escapeHtml(businessName)}</p>
+            </div>
+            <div class="content">
+                <h2>Hello,</h2>
+                <p>A payout destination was added to <strong>${escapeHtml(businessName)}</strong>.</p>
+
+                <div class="details-box">
+                    <p><strong>Destination:</strong> ${escapeHtml(destinationSummary)}</p>
+                    <p><strong>Currency:</strong> ${escapeHtml(currency)}</p>
+                    <p><strong>Verification:</strong> ${verification[verificationStatus]}</p>
+                </div>
+
+                <p>For your protection, settlements will not be paid into it before <strong>${new Date(usableFrom).toUTCString()}</strong>.</p>
+
+                <div class="warning">
+                    <h4>🛡️ Didn't add this?</h4>
+                    <p>Remove it from your dashboard before that time, reset your password and review your team members.</p>
+                </div>
+
+                <p>Best regards,<br>The KlevaPay Security Team</p>
+            </div>
+            <div class="footer">
+                <p>&copy; 2025 KlevaPay. All rights reserved.</p>
+                <p>This is an automated email, please do not reply.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Get HTML template for KYC review status email
+   * @param {Object} update - { businessName, status, reason }
+   * @returns {string} - HTML template
+   */
+  getKycStatusTemplate({ businessName, status, reason }) {
+    const bodies = {
+      submitted: `<p>We received the verification documents for <strong>${escapeHtml(businessName)}</strong>. Our compliance team will review them and email you with the outcome.</p>
+                <p>Payments are still accepted while the review is in progress; settlements are released once your business is verified.</p>`,
+      approved: `<p><strong>${escapeHtml(businessName)}</strong> has been verified. Settlements to your payout account are now enabled, including any that were held during review.</p>`,
+      rejected: `<p>We could not verify <strong>${escapeHtml(businessName)}</strong> with the documents provided.</p>
+                <div class="details-box">
+                    <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+                </div>
+                <p>Upload corrected documents from your dashboard and submit them again for review. Settlements stay on hold until your business is verified.</p>`
+    };
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>KlevaPay Business Verification</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-align: center; padding: 30px; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .details-box { background: white; border: 1px solid #ddd; border-radius: 5px; padding: 20px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>Business Verification</h1>
+                <p>${escapeHtml(businessName)}</p>
+            </div>
+            <div class="content">
+                <h2>Hello,</h2>
+                ${bodies[status]}
+
+                <p>Best regards,<br>The KlevaPay Compliance Team</p>
+            </div>
+            <div class="footer">
+                <p>&copy; 2025 KlevaPay. All rights reserved.</p>
+                <p>This is an automated email, please do not reply.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+  /**
+   * Get HTML template for merchant account status email
+   * @param {Object} update - { businessName, status, reason }
+   * @returns {string} - HTML template
+   */
+  getMerchantStatusTemplate({ businessName, status, reason }) {
+    const bodies = {
+      active: `<p><strong>${escapeHtml(businessName)}</strong> is active again. Payments are accepted and settlements that were held have been released.</p>`,
+      restricted: `<p>Settlements for <strong>${escapeHtml(businessName)}</strong> are on hold while our team reviews your account. You can keep accepting payments; they will be settled once the review is complete.</p>`,
+      suspended: `<p><strong>${escapeHtml(businessName)}</strong> has been suspended while our team reviews your account. New payments are refused and settlements are on hold.</p>`,
+      closed: `<p><strong>${escapeHtml(businessName)}</strong> has been closed. New payments are refused; payments already received are being settled to your payout account.</p>`
+    };
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>KlevaPay Account Status</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-align: center; padding: 30px; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .details-box { background: white; border: 1px solid #ddd; border-radius: 5px; padding: 20px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>Account Status</h1>
+                <p>${escapeHtml(businessName)}</p>
+            </div>
+            <div class="content">
+                <h2>Hello,</h2>
+                ${bodies[status]}
+                ${reason ? `<div class="details-box">
+                    <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+                </div>` : ''}
+                <p>If you have questions about this change, please contact our support team.</p>
+
+                <p>Best regards,<br>The KlevaPay Compliance Team</p>
+            </div>
+            <div class="footer">
+                <p>&copy; 2025 KlevaPay. All rights reserved.</p>
+                <p>This is an automated email, please do not reply.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
 }
 
 // Create and export singleton instance
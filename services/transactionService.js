@@ -2,8 +2,11 @@ const { ethers } = require('ethers');
 const mongoose = require('mongoose');
 const Transaction = require('../models/Transaction');
 const Merchant = require('../models/Merchant');
+const PaymentIntent = require('../models/PaymentInent');
 const logger = require('../lib/logger');
 const SettlementService = require('./SettlementService');
+const PricingService = require('./PricingService');
+const ReconciliationService = require('./ReconciliationService');
 
 const DEFAULT_CRYPTO_DECIMALS = 6;
 const DEFAULT_FIAT_DECIMALS = 2;
@@ -29,6 +32,71 @@ function normalizeUnits(value, decimals) {
   }
 }
 
+/**
+ * Map a Flutterwave payment type onto a Transaction method
+ * @param {string} paymentType - e.g. card, bank_transfer, account, ussd, mobilemoneyghana
+ * @returns {string}
+ */
+function normalizeFiatMethod(paymentType) {
+  const type = String(paymentType || '').toLowerCase();
+  if (type === 'card') return 'CARD';
+  if (['bank_transfer', 'banktransfer', 'account', 'ussd', 'bank'].includes(type)) return 'BANK';
+  if (type.startsWith('mobilemoney') || type === 'mpesa' || type === 'wallet') return 'WALLET';
+  return 'FIAT';
+}
+
+/**
+ * Find the payment intent a payment was made against: named by
+ * `paymentIntentId` in the payment metadata, else the intent whose checkout
+ * reference or (most recent) order id equals the payment reference. Returns
+ * the fields copied from it onto the transaction.
+ * @param {string} merchantId - Merchant that took the payment
+ * @param {string} reference - Payment tx_ref
+ * @param {Object} metadata - Payment metadata
+ * @returns {Promise<Object>} - { paymentIntentId, splits }, empty when there is no intent
+ */
+async function paymentIntentFields(merchantId, reference, metadata = {}) {
+  if (!merchantId) return {};
+
+  const intentId = metadata.paymentIntentId;
+  const fields = 'splits sourceCurrency';
+  const intent = mongoose.isValidObjectId(intentId)
+    ? await PaymentIntent.findOne({ merchantId, _id: intentId }).select(fields).lean()
+    : await PaymentIntent.findOne({ merchantId, 'metadata.reference': reference }).select(fields).lean()
+      || await PaymentIntent.findOne({ merchantId, orderId: reference }).sort({ createdAt: -1 }).select(fields).lean();
+  if (!intent) return {};
+
+  const copied = { paymentIntentId: intent._id };
+  if (intent.splits?.length) {
+    copied.splits = intent.splits.map(({ merchant, type, value }) => ({
+      merchant,
+      type,
+      value,
+      ...(type === 'fixed' && { currency: intent.sourceCurrency.toUpperCase() })
+    }));
+  }
+  return copied;
+}
+
+/**
+ * Reconcile the payment with its intent before settlement runs, so a late
+ * payment's refund-review hold applies. Failures are logged: the payment is
+ * already recorded.
+ * @param {Object} transaction - Recorded transaction
+ * @param {string} source - Status history source
+ */
+async function applyToPaymentIntent(transaction, source) {
+  try {
+    await ReconciliationService.reconcile(transaction, { source });
+  } catch (error) {
+    logger.error('Failed to reconcile payment with its payment intent', {
+      transactionId: transaction._id,
+      paymentIntentId: transaction.paymentIntentId,
+      error: error.message
+    });
+  }
+}
+
 function isPlainEmptyObject(value) {
   return (
     value &&
@@ -62,7 +130,8 @@ async function resolveMerchant({ merchantId, merchantWalletAddress }) {
 
     return {
       merchantId: merchantId,
-      merchantWalletAddress: normalizeAddress(merchantWalletAddress || merchant?.walletAddress)
+      merchantWalletAddress: normalizeAddress(merchantWalletAddress || merchant?.walletAddress),
+      feePlan: merchant?.feePlan || null
     };
   }
 
@@ -79,7 +148,8 @@ async function resolveMerchant({ merchantId, merchantWalletAddress }) {
 
   return {
     merchantId: merchant._id,
-    merchantWalletAddress: normalizedWallet
+    merchantWalletAddress: normalizedWallet,
+    feePlan: merchant.feePlan || null
   };
 }
 
@@ -104,6 +174,14 @@ class TransactionService {
 
     const normalizedCurrency = (eventPayload.tokenSymbol || 'USDT').toString().toUpperCase();
     const normalizedStatus = (eventPayload.status || 'PENDING').toString().toUpperCase();
+    const amount = normalizeUnits(eventPayload.amount, decimals);
+    const fee = await PricingService.quote({
+      feePlan: merchantContext.feePlan,
+      method: 'CRYPTO',
+      currency: normalizedCurrency,
+      amount
+    });
+    const intentFields = await paymentIntentFields(merchantContext.merchantId, eventPayload.txRef, extraMetadata);
 
     const update = cleanObject({
       merchantId: merchantContext.merchantId,
@@ -113,10 +191,10 @@ class TransactionService {
       payer: normalizeAddress(eventPayload.payer),
       fiatOrTokenType: 'CRYPTO',
       paymentType: eventPayload.paymentType,
-      amount: normalizeUnits(eventPayload.amount, decimals),
+      amount,
       amountInMinor: eventPayload.amount !== undefined ? eventPayload.amount.toString() : undefined,
       fiatEquivalent: normalizeUnits(eventPayload.fiatEquivalent, fiatDecimals),
-      chargeFee: normalizeUnits(eventPayload.chargeFee, decimals) || 0,
+      providerFee: normalizeUnits(eventPayload.chargeFee, decimals),
       symbol: normalizedCurrency,
       currency: normalizedCurrency,
       method: 'CRYPTO',
@@ -131,9 +209,10 @@ class TransactionService {
     });
 
     try {
+      // The fee and splits are fixed when the payment is first recorded; later events only update status
       const transaction = await Transaction.findOneAndUpdate(
         { merchantId: merchantContext.merchantId, reference: eventPayload.txRef },
-        { $set: update },
+        { $set: update, $setOnInsert: { fee, chargeFee: fee.total, ...intentFields } },
         { new: true, upsert: true, setDefaultsOnInsert: true }
       ).lean();
 
@@ -143,6 +222,7 @@ class TransactionService {
       });
 
       if (transaction?._id) {
+        await applyToPaymentIntent(transaction, 'contract_event');
         SettlementService.process(transaction._id).catch((err) => {
           logger.error('Failed to trigger settlement for blockchain transaction', {
             transactionId: transaction._id,
@@ -183,10 +263,12 @@ class TransactionService {
     const currency = (data.currency || payload.currency || 'NGN').toString().toUpperCase();
     const status = (data.status || payload.status || 'PENDING').toString().toUpperCase();
     const paymentType = data.payment_type || data.paymentType || options.paymentType || 'FIAT_TO_FIAT';
-    const method = (data.payment_type || data.payment_method || options.method || 'FIAT').toString().toUpperCase();
+    const method = normalizeFiatMethod(data.payment_type || data.payment_method || options.method);
     const chargedAmount = data.charged_amount !== undefined ? Number(data.charged_amount) : undefined;
     const amount = data.amount !== undefined ? Number(data.amount) : chargedAmount;
-    const fee = data.app_fee ?? data.fee ?? options.chargeFee;
+    const providerFee = data.app_fee ?? data.fee ?? options.chargeFee;
+    const fee = await PricingService.quote({ feePlan: merchantContext.feePlan, method, currency, amount });
+    const intentFields = await paymentIntentFields(merchantContext.merchantId, txRef, options.metadata);
 
     const update = cleanObject({
       merchantId: merchantContext.merchantId,
@@ -200,7 +282,7 @@ class TransactionService {
       amountInMinor: amount !== undefined ? Math.round(amount * Math.pow(10, options.fiatDecimals || DEFAULT_FIAT_DECIMALS)).toString() : undefined,
       fiatEquivalent: chargedAmount !== undefined ? chargedAmount : amount,
       fiatCurrency: currency,
-      chargeFee: fee !== undefined ? Number(fee) : undefined,
+      providerFee: providerFee !== undefined ? Number(providerFee) : undefined,
       symbol: currency,
       currency,
       method,
@@ -222,7 +304,7 @@ class TransactionService {
     try {
       const transaction = await Transaction.findOneAndUpdate(
         { merchantId: merchantContext.merchantId, reference: txRef },
-        { $set: update },
+        { $set: update, $setOnInsert: { fee, chargeFee: fee.total, ...intentFields } },
         { new: true, upsert: true, setDefaultsOnInsert: true }
       ).lean();
 
@@ -233,6 +315,7 @@ class TransactionService {
       });
 
       if (transaction?._id) {
+        await applyToPaymentIntent(transaction, 'webhook');
         SettlementService.process(transaction._id).catch((err) => {
           logger.error('Failed to trigger settlement for Flutterwave transaction', {
             transactionId: transaction._id,
@@ -20,6 +20,7 @@ class JWTUtils {
     this.refreshTokenSecret = process.env.JWT_REFRESH_SECRET;
     this.accessTokenExpiry = process.env.JWT_EXPIRE || '7d';
     this.refreshTokenExpiry = process.env.JWT_REFRESH_EXPIRE || '30d';
+    this.walletTokenExpiry = process.env.SIWE_TOKEN_EXPIRE || '1h';
     
     if (!this.accessTokenSecret || !this.refreshTokenSecret) {
       throw new Error('JWT secrets are not configured');
@@ -39,6 +40,8 @@ class JWTUtils {
         businessName: payload.businessName,
         role: payload.role,
         verified: payload.verified,
+        sid: payload.sessionId,
+        mfa: !!payload.mfa,
         type: 'access'
       };
 
@@ -63,14 +66,21 @@ class JWTUtils {
       const tokenPayload = {
         userId: payload.userId,
         email: payload.email,
+        sid: payload.sessionId,
         type: 'refresh'
       };
 
-      return jwt.sign(tokenPayload, this.refreshTokenSecret, {
+      const signOptions = {
         expiresIn: this.refreshTokenExpiry,
         issuer: 'klevapay-api',
         audience: 'klevapay-clients'
-      });
+      };
+
+      if (payload.tokenId) {
+        signOptions.jwtid = payload.tokenId;
+      }
+
+      return jwt.sign(tokenPayload, this.refreshTokenSecret, signOptions);
     } catch (error) {
       logger.error('Error generating refresh token:', error);
       throw new ApiError('Failed to generate refresh token', 500);
@@ -80,15 +90,19 @@ class JWTUtils {
   /**
    * Generate both access and refresh tokens
    * @param {Object} user - User object from database
+   * @param {Object} session - Optional session binding ({ sessionId, tokenId, mfa })
    * @returns {Object} - Object containing both tokens
    */
-  generateTokenPair(user) {
+  generateTokenPair(user, session = {}) {
     const payload = {
       userId: user._id.toString(),
       email: user.email,
       businessName: user.businessName,
       role: user.role,
-      verified: user.verified
+      verified: user.verified,
+      sessionId: session.sessionId,
+      tokenId: session.tokenId,
+      mfa: session.mfa
     };
 
     const accessToken = this.generateAccessToken(payload);
@@ -106,6 +120,74 @@ class JWTUtils {
     };
   }
 
+  /**
+   * Generate an access token scoped to a wallet proven via Sign-In With Ethereum.
+   * Wallet tokens are short-lived and have no refresh token; clients sign in again.
+   * @param {Object} payload - Wallet data ({ walletAddress, chainId, merchantId })
+   * @returns {string} - JWT access token
+   */
+  generateWalletToken(payload) {
+    try {
+      const tokenPayload = {
+        walletAddress: payload.walletAddress.toLowerCase(),
+        chainId: payload.chainId,
+        merchantId: payload.merchantId,
+        role: 'merchant',
+        scope: 'wallet',
+        type: 'access'
+      };
+
+      return jwt.sign(tokenPayload, this.accessTokenSecret, {
+        expiresIn: this.walletTokenExpiry,
+        issuer: 'klevapay-api',
+        audience: 'klevapay-clients',
+        subject: tokenPayload.walletAddress
+      });
+    } catch (error) {
+      logger.error('Error generating wallet token:', error);
+      throw new ApiError('Failed to generate wallet token', 500);
+    }
+  }
+
+  /**
+   * Generate the short-lived token that links a password login to its
+   * second (TOTP) step
+   * @param {string} userId - User id
+   * @returns {string} - JWT challenge token
+   */
+  generateTwoFactorChallengeToken(userId) {
+    return jwt.sign({ userId, type: '2fa_challenge' }, this.accessTokenSecret, {
+      expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m',
+      issuer: 'klevapay-api',
+      audience: 'klevapay-clients'
+    });
+  }
+
+  /**
+   * Verify a two-factor login challenge token
+   * @param {string} token - JWT challenge token
+   * @returns {Object} - Decoded token payload
+   */
+  verifyTwoFactorChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.accessTokenSecret, {
+        issuer: 'klevapay-api',
+        audience: 'klevapay-clients'
+      });
+
+      if (decoded.type !== '2fa_challenge') {
+        throw new ApiError('Invalid token type', 401);
+      }
+
+      return decoded;
+    } catch (error) {
+      if (error instanceof jwt.TokenExpiredError) {
+        throw new ApiError('Two-factor challenge has expired, please log in again', 401);
+      }
+      throw new ApiError('Invalid two-factor challenge', 401);
+    }
+  }
+
   /**
    * Verify access token
    * @param {string} token - JWT access token
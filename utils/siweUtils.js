@@ -0,0 +1,169 @@
+// ================================================================
+// DEPENDENCIES
+// ================================================================
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+
+// ================================================================
+// EIP-4361 (SIGN-IN WITH ETHEREUM) MESSAGE HELPERS
+// ================================================================
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELD_MAP = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+/**
+ * SIWE helpers: nonce generation, message parsing and formatting
+ */
+class SiweUtils {
+  /**
+   * Generate an alphanumeric nonce (EIP-4361 requires at least 8 characters)
+   * @param {number} length - Nonce length (default: 17)
+   * @returns {string}
+   */
+  generateNonce(length = 17) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    const bytes = crypto.randomBytes(length);
+    let nonce = '';
+    for (let i = 0; i < length; i++) {
+      nonce += alphabet[bytes[i] % alphabet.length];
+    }
+    return nonce;
+  }
+
+  /**
+   * Parse an EIP-4361 message into its fields
+   * @param {string} message - Message exactly as signed by the wallet
+   * @returns {Object} - Parsed fields
+   * @throws {Error} - When the message is not a well-formed SIWE message
+   */
+  parseMessage(message) {
+    if (typeof message !== 'string') {
+      throw new Error('SIWE message must be a string');
+    }
+
+    const lines = message.replace(/\r\n/g, '\n').split('\n');
+
+    const header = lines[0] || '';
+    if (!header.endsWith(HEADER_SUFFIX)) {
+      throw new Error('Invalid SIWE message header');
+    }
+
+    const fields = {
+      domain: header.slice(0, -HEADER_SUFFIX.length),
+      address: lines[1],
+      statement: undefined,
+      resources: []
+    };
+
+    if (!fields.domain || !ethers.isAddress(fields.address || '')) {
+      throw new Error('Invalid SIWE domain or address');
+    }
+
+    let index = 2;
+    if (lines[index] !== '') throw new Error('Malformed SIWE message');
+    index++;
+
+    // Optional statement, followed by a blank line
+    if (lines[index] !== undefined && !lines[index].startsWith('URI: ')) {
+      fields.statement = lines[index];
+      index++;
+      if (lines[index] !== '') throw new Error('Malformed SIWE message');
+      index++;
+    }
+
+    for (; index < lines.length; index++) {
+      const line = lines[index];
+      if (line === 'Resources:') {
+        fields.resources = lines.slice(index + 1)
+          .filter((resource) => resource.startsWith('- '))
+          .map((resource) => resource.slice(2));
+        break;
+      }
+
+      const separator = line.indexOf(': ');
+      const key = FIELD_MAP[line.slice(0, separator)];
+      if (separator === -1 || !key) {
+        throw new Error(`Unexpected SIWE field: ${line}`);
+      }
+      fields[key] = line.slice(separator + 2);
+    }
+
+    for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+      if (!fields[required]) throw new Error(`SIWE message is missing ${required}`);
+    }
+
+    if (fields.version !== '1') throw new Error('Unsupported SIWE version');
+    if (!/^[A-Za-z0-9]{8,}$/.test(fields.nonce)) throw new Error('Invalid SIWE nonce');
+
+    fields.chainId = Number(fields.chainId);
+    if (!Number.isInteger(fields.chainId)) throw new Error('Invalid SIWE chain id');
+
+    for (const dateField of ['issuedAt', 'expirationTime', 'notBefore']) {
+      if (fields[dateField] && Number.isNaN(Date.parse(fields[dateField]))) {
+        throw new Error(`Invalid SIWE ${dateField}`);
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Build an EIP-4361 message (used by clients/tests to know the exact format)
+   * @param {Object} fields - Message fields
+   * @returns {string}
+   */
+  formatMessage(fields) {
+    const lines = [
+      `${fields.domain}${HEADER_SUFFIX}`,
+      fields.address,
+      ''
+    ];
+
+    if (fields.statement) {
+      lines.push(fields.statement, '');
+    }
+
+    lines.push(
+      `URI: ${fields.uri}`,
+      `Version: ${fields.version || '1'}`,
+      `Chain ID: ${fields.chainId}`,
+      `Nonce: ${fields.nonce}`,
+      `Issued At: ${fields.issuedAt}`
+    );
+
+    if (fields.expirationTime) lines.push(`Expiration Time: ${fields.expirationTime}`);
+    if (fields.notBefore) lines.push(`Not Before: ${fields.notBefore}`);
+    if (fields.requestId) lines.push(`Request ID: ${fields.requestId}`);
+    if (fields.resources?.length) {
+      lines.push('Resources:', ...fields.resources.map((resource) => `- ${resource}`));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Recover the signing address of a personal_sign message
+   * @param {string} message - Signed message
+   * @param {string} signature - Hex signature
+   * @returns {string} - Checksummed address
+   */
+  recoverAddress(message, signature) {
+    return ethers.verifyMessage(message, signature);
+  }
+}
+
+// Create and export singleton instance
+const siweUtils = new SiweUtils();
+module.exports = siweUtils;